@@ -41,30 +41,17 @@ window.REDUCED_MOTION = window.matchMedia?.('(prefers-reduced-motion: reduce)').
 window.matchMedia?.('(prefers-reduced-motion: reduce)')
   .addEventListener?.('change', e => { window.REDUCED_MOTION = e.matches; });
 //
-// Consonant blends whose letters are spoken individually (b…l, s…t, etc.).
-// Digraphs like "sh", "ch", "th" are NOT listed here — they stay as one sound.
-const CONSONANT_BLENDS = new Set([
-  'bl','br','cl','cr','dr','fl','fr','gl','gr','pl','pr',
-  'sc','sk','sl','sm','sn','sp','st','sw','tr','tw',
-  'scr','spl','spr','str','shr','thr',
-]);
-
-// Phonetic TTS text for individual letter sounds (not letter names).
-// "c" → "kuh", "a" → "ah", not "see" / "ay".
-const LETTER_SOUNDS_TTS = {
-  'a': 'ah',  'b': 'buh', 'c': 'kuh', 'd': 'duh', 'e': 'eh',
-  'f': 'fuh', 'g': 'guh', 'h': 'huh', 'i': 'ih',  'j': 'juh',
-  'k': 'kuh', 'l': 'luh', 'm': 'muh', 'n': 'nuh', 'o': 'oh',
-  'p': 'puh', 'q': 'kwuh','r': 'ruh', 's': 'suh', 't': 'tuh',
-  'u': 'uh',  'v': 'vuh', 'w': 'wuh', 'x': 'ks',  'y': 'yuh', 'z': 'zuh',
-};
+// Phoneme playback is keyed on GPC phoneme ids (PHONICS_DATA.PHONEMES):
+// a tile is resolved to the sounds it spells in its word, so "c" in
+// "rice" plays /s/ (the soft_c recording) and "a_e" plays /ā/.
+//
 // Priority order:
 //   1. Loaded audio file (assets/audio/phonemes/<ph>.mp3 etc.)
 //   2. Web Speech API (TTS) — always available in modern browsers
 //   3. Web Audio API tones — for SFX fallbacks
 //
 // HOW TO ADD YOUR AUDIO FILES (see full guide at bottom):
-//   assets/audio/phonemes/<phoneme>.mp3   e.g. "sh.mp3", "ai.mp3"
+//   assets/audio/phonemes/<phoneme>.mp3   e.g. "sh.mp3", "long_a.mp3"
 //   assets/audio/words/<word>.mp3         e.g. "ship.mp3"
 //   assets/audio/sfx/coin.mp3
 //   assets/audio/sfx/boost.mp3
@@ -76,7 +63,7 @@ const LETTER_SOUNDS_TTS = {
 
 class AudioManager {
   constructor() {
-    this.muted   = localStorage.getItem('samurice_muted') === 'true';
+    this.muted   = STORE.getItem(PROFILES.key('samurice_muted')) === 'true';
     this.buffers = {};      // key → AudioBuffer (decoded audio files)
     this.loading = {};      // key → Promise (prevents duplicate fetches)
     this.ctx     = null;
@@ -109,9 +96,10 @@ class AudioManager {
       this.musicBus.connect(this.masterBus);
       this.sfxBus.connect(this.masterBus);
       // Persisted volumes (0..1)
-      this.masterBus.gain.value = this._loadVol('samurice_vol_master', 1);
-      this.musicBus.gain.value  = this._loadVol('samurice_vol_music', 0.8);
-      this.sfxBus.gain.value    = this._loadVol('samurice_vol_sfx', 1);
+      const v = this.getVolumes();
+      this.masterBus.gain.value = v.master;
+      this.musicBus.gain.value  = v.music;
+      this.sfxBus.gain.value    = v.sfx;
     }
 
     // iOS / Android require a user gesture before AudioContext can play.
@@ -159,13 +147,14 @@ class AudioManager {
   get isMuted() { return this.muted; }
 
   // ── Volume settings (persisted) ─────────────────────────────
+  // Volume and mute are per profile: keys go through PROFILES.key().
   _loadVol(key, dflt) {
-    const v = parseFloat(localStorage.getItem(key));
+    const v = parseFloat(STORE.getItem(PROFILES.key(key)));
     return Number.isFinite(v) ? Math.max(0, Math.min(1, v)) : dflt;
   }
   _setBusVol(bus, key, v) {
     v = Math.max(0, Math.min(1, v));
-    localStorage.setItem(key, String(v));
+    STORE.setItem(PROFILES.key(key), String(v));
     if (bus && this.ctx) bus.gain.linearRampToValueAtTime(v, this.ctx.currentTime + 0.05);
     return v;
   }
@@ -179,6 +168,19 @@ class AudioManager {
       sfx:    this._loadVol('samurice_vol_sfx', 1),
     };
   }
+  // Apply the active profile's mute and volumes (after a profile switch)
+  loadSettings() {
+    const wasMuted = this.muted;
+    this.muted = STORE.getItem(PROFILES.key('samurice_muted')) === 'true';
+    if (this.muted && !wasMuted) {
+      if (window.speechSynthesis) speechSynthesis.cancel();
+      this.stopMusic();
+    }
+    const v = this.getVolumes();
+    this._setBusVol(this.masterBus, 'samurice_vol_master', v.master);
+    this._setBusVol(this.musicBus, 'samurice_vol_music', v.music);
+    this._setBusVol(this.sfxBus, 'samurice_vol_sfx', v.sfx);
+  }
 
   // ── Resume AudioContext (required after user gesture) ────────
   _resume() {
@@ -202,12 +204,15 @@ class AudioManager {
   preloadStage(stageId) {
     const stage = PHONICS_DATA.stageList[stageId - 1];
     if (!stage || !Array.isArray(stage.words)) return Promise.resolve();
-    const allPh = new Set();
+    const files = new Set();
     const jobs = [];
-    stage.words.forEach(w => w.phonemes.forEach(ph => allPh.add(ph)));
-    allPh.forEach(ph => {
-      const safe = ph.replace(/[^a-z]/gi, '').toLowerCase();
-      jobs.push(this._preload(`ph_${safe}`, `assets/audio/phonemes/${safe}.mp3`));
+    stage.words.forEach(w => PHONICS_DATA.wordClips(w).forEach(({ id, clip }) => {
+      const info = PHONICS_DATA.PHONEMES[id];
+      if (info) files.add(info.audio);
+      if (clip) files.add(clip);
+    }));
+    files.forEach(f => {
+      jobs.push(this._preload(`ph_${f}`, `assets/audio/phonemes/${f}.mp3`));
     });
     stage.words.forEach(w => {
       jobs.push(this._preload(`word_${w.word}`, `assets/audio/words/${w.word}.mp3`));
@@ -297,33 +302,31 @@ class AudioManager {
     this._speak(text, rate, pitch);
   }
 
-  // ── PRIVATE: Play a single indivisible phoneme (no blend splitting) ─
-  _playSinglePhoneme(phoneme) {
-    const safe = phoneme.replace(/[^a-z]/gi, '').toLowerCase();
-    const key  = `ph_${safe}`;
-    if (!this._playBuffer(key)) {
-      // Use phonetic sound ("kuh") not letter name ("see") for single letters
-      const ttsText = (safe.length === 1 && LETTER_SOUNDS_TTS[safe])
-                       ? LETTER_SOUNDS_TTS[safe]
-                       : phoneme;
-      this._speak(ttsText, 0.75, 1.2);
-    }
-  }
-
-  // ── PUBLIC: Play a phoneme (hover / click on tile) ───────────
-  // Consonant blends (bl, str, etc.) are played as consecutive letter
-  // sounds 320 ms apart so learners hear each phoneme distinctly.
-  playPhoneme(phoneme) {
+  // ── PUBLIC: Play one speech sound by phoneme id ("sh", "long_a") ─
+  // `clip` is a context recording to try first (soft_c), from tileClips.
+  playSound(id, clip = null) {
     if (this.muted) return;
-    const safe = phoneme.replace(/[^a-z]/gi, '').toLowerCase();
-    if (CONSONANT_BLENDS.has(safe)) {
-      // Split blend into individual letter sounds played in sequence
-      safe.split('').forEach((letter, i) => {
-        setTimeout(() => this._playSinglePhoneme(letter), i * 320);
-      });
+    const info = PHONICS_DATA.PHONEMES[id];
+    if (!info) return;
+    if (clip && this._playBuffer(`ph_${clip}`)) return;
+    // Use phonetic sound ("kuh") not letter name ("see")
+    if (!this._playBuffer(`ph_${info.audio}`)) this._speak(info.say, 0.75, 1.2);
+  }
+
+  // ── PUBLIC: Play a tile (hover / click / coin) ───────────────
+  // `wordObj` gives the tile its context (c in "rice" → /s/), and
+  // `index` its place there when the tile comes twice. Consonant
+  // chunks (bl, str, mp) play each sound 320 ms apart so learners hear
+  // them distinctly; syllable chunks (cup, bot) are spoken whole.
+  playPhoneme(tile, wordObj = null, index = null) {
+    if (this.muted || !tile) return;
+    const clips = PHONICS_DATA.tileClips(tile, wordObj, index);
+    if (clips.length === 1) { this.playSound(clips[0].id, clips[0].clip); return; }
+    if (clips.some(c => PHONICS_DATA.isVowelPhoneme(c.id))) {
+      this._speak(PHONICS_DATA.spellTiles([tile]), 0.75, 1.2);
       return;
     }
-    this._playSinglePhoneme(phoneme);
+    clips.forEach((c, i) => setTimeout(() => this.playSound(c.id, c.clip), i * 320));
   }
 
   // ── PUBLIC: Play a full word ─────────────────────────────────
@@ -336,13 +339,14 @@ class AudioManager {
   }
 
   // ── PUBLIC: Segmented blend sequence then full word ──────────
-  // Plays each phoneme 400ms apart, then the whole word 300ms after
-  async playBlendSequence(phonemes, word) {
+  // Plays each phoneme 400ms apart, then the whole word 300ms after.
+  // Pass the word object when there is one so its own `sounds` apply.
+  async playBlendSequence(phonemes, word, wordObj = { word, phonemes }) {
     if (this.muted) return;
     const PHONEME_GAP = 420;
     for (let i = 0; i < phonemes.length; i++) {
       await new Promise(r => setTimeout(r, i === 0 ? 0 : PHONEME_GAP));
-      this.playPhoneme(phonemes[i]);
+      this.playPhoneme(phonemes[i], wordObj, i);
     }
     await new Promise(r => setTimeout(r, PHONEME_GAP + 200));
     this.playWord(word);
@@ -464,7 +468,7 @@ class AudioManager {
 
   toggleMute() {
     this.muted = !this.muted;
-    localStorage.setItem('samurice_muted', this.muted);
+    STORE.setItem(PROFILES.key('samurice_muted'), this.muted);
     if (this.muted) {
       if (window.speechSynthesis) speechSynthesis.cancel();
       this.stopMusic();
@@ -479,39 +483,51 @@ class AudioManager {
 // so there are zero gaps or glitches even at high CPU load.
 // ─────────────────────────────────────────────────────────────
 class MusicPlayer {
-  // 6 stage configs. melody/bass are indices into scale[]; drums is a hit pattern.
+  // One config per campaign world (stages play their world's track; extra
+  // content-pack worlds wrap). melody/bass are indices into scale[];
+  // drums is a hit pattern.
   // The 8th-note grid has 16 steps per loop (2 bars of 8 eighth notes each).
   static STAGES = [
-    // Stage 1 — CVC words: bright & simple (C major, 128 BPM)
+    // World 1 — letter sounds: bright & simple (C major, 128 BPM)
     { bpm: 128, rootHz: 261.63, scale: [0,2,4,5,7,9,11],
       melody: [0,4,7,4, 5,4,2,0, 0,4,7,9, 7,5,4,2],
       bass:   [0,0,7,7, 5,5,4,4],
       drums:  [1,0,1,0, 1,0,1,0, 1,0,1,0, 1,0,1,0] },
-    // Stage 2 — digraphs sh/ch/th: swing feel (D pentatonic, 136 BPM)
+    // World 2 — CVC blending: swing feel (D pentatonic, 136 BPM)
     { bpm: 136, rootHz: 293.66, scale: [0,2,4,7,9],
       melody: [0,2,4,2, 4,3,2,0, 0,2,4,4, 3,2,0,2],
       bass:   [0,0,4,4, 2,2,3,3, 0,0,4,4, 2,2,3,3],
       drums:  [1,0,1,1, 1,0,1,0, 1,0,1,1, 1,0,1,0] },
-    // Stage 3 — blends bl/cl/fl: energetic (E natural minor, 144 BPM)
+    // World 3 — digraphs & blends: energetic (E natural minor, 144 BPM)
     { bpm: 144, rootHz: 164.81, scale: [0,2,3,5,7,8,10],
       melody: [0,3,5,7, 5,3,2,0, 7,5,3,2, 0,3,7,5],
       bass:   [0,0,5,5, 3,3,7,7, 0,0,5,5, 3,3,7,7],
       drums:  [1,0,1,0, 1,1,1,0, 1,0,1,0, 1,1,1,0] },
-    // Stage 4 — vowel teams ai/ee/oa: smooth (F major, 140 BPM)
+    // World 4 — magic-e & vowel teams: smooth (F major, 140 BPM)
     { bpm: 140, rootHz: 174.61, scale: [0,2,4,5,7,9,11],
       melody: [4,7,9,7, 5,4,2,0, 4,5,7,5, 2,4,5,4],
       bass:   [0,0,7,7, 5,5,2,2, 0,0,7,7, 5,5,2,2],
       drums:  [1,0,0,1, 1,0,0,1, 1,0,0,1, 1,0,0,1] },
-    // Stage 5 — r-controlled: adventurous (G minor, 150 BPM)
+    // World 5 — sight words & word families: adventurous (G minor, 150 BPM)
     { bpm: 150, rootHz: 196.00, scale: [0,2,3,5,7,8,10],
       melody: [0,2,3,5, 7,8,7,5, 3,2,0,3, 5,7,5,3],
       bass:   [0,0,3,3, 7,7,5,5, 0,0,3,3, 7,7,5,5],
       drums:  [1,1,0,1, 1,0,1,1, 1,1,0,1, 1,0,1,1] },
-    // Stage 6 — complex patterns: epic (A aeolian, 160 BPM)
+    // World 6 — multisyllabic mastery: epic (A aeolian, 160 BPM)
     { bpm: 160, rootHz: 220.00, scale: [0,2,3,5,7,8,10],
       melody: [0,3,5,7, 8,7,5,3, 0,3,5,8, 7,5,3,0],
       bass:   [0,0,3,3, 7,7,5,5, 0,0,3,3, 7,7,5,5],
       drums:  [1,0,1,1, 1,1,1,0, 1,0,1,1, 1,1,1,0] },
+    // World 7 — bossy r & oi/ow diphthongs: stormy (B dorian, 154 BPM)
+    { bpm: 154, rootHz: 246.94, scale: [0,2,3,5,7,9,10],
+      melody: [0,3,7,10, 9,7,5,3, 0,5,7,9, 10,9,7,5],
+      bass:   [0,0,5,5, 3,3,7,7, 0,0,5,5, 6,6,4,4],
+      drums:  [1,0,1,0, 1,1,0,1, 1,0,1,0, 1,1,1,1] },
+    // World 8 — word parts & endings: studious (D mixolydian, 146 BPM)
+    { bpm: 146, rootHz: 293.66, scale: [0,2,4,5,7,9,10],
+      melody: [0,4,7,4, 6,4,2,4, 0,2,4,7, 9,7,6,4],
+      bass:   [0,0,4,4, 6,6,3,3, 0,0,4,4, 6,6,4,4],
+      drums:  [1,0,1,0, 1,0,1,1, 1,0,1,0, 1,0,1,1] },
   ];
 
   // Calm menu / world-map theme — slower, softer, lullaby-adjacent
@@ -545,9 +561,10 @@ class MusicPlayer {
     if (!this._ctx) return;
     if (this._playing && this._key === stageId) return; // already on this track
     this.stop();
+    const world    = typeof PHONICS_DATA !== 'undefined' ? PHONICS_DATA.worldOf(stageId) : 1;
     this._cfg      = stageId === 'menu'
       ? MusicPlayer.MENU
-      : MusicPlayer.STAGES[Math.min(stageId - 1, 5)];
+      : MusicPlayer.STAGES[(world - 1) % MusicPlayer.STAGES.length];
     this._key      = stageId;
     this._bpmMult  = 1;
     this._playing  = true;
@@ -695,12 +712,17 @@ class MusicPlayer {
 // ─────────────────────────────────────────────────────────────
 //
 // 1. PHONEME FILES → assets/audio/phonemes/<phoneme>.mp3
-//    Filename = the grapheme, lowercase, letters only.
+//    One file per SOUND, not per spelling — filename = the `audio`
+//    field in PHONICS_DATA.PHONEMES.
 //    Examples:
-//      "c" phoneme  → assets/audio/phonemes/c.mp3
-//      "sh" phoneme → assets/audio/phonemes/sh.mp3
-//      "ai" team    → assets/audio/phonemes/ai.mp3
-//      "igh" pattern→ assets/audio/phonemes/igh.mp3
+//      /k/  (c, k, ck)       → assets/audio/phonemes/k.mp3
+//      /sh/                  → assets/audio/phonemes/sh.mp3
+//      /ā/  (a_e, ai, ay)    → assets/audio/phonemes/long_a.mp3
+//      /ī/  (i_e, igh, y)    → assets/audio/phonemes/long_i.mp3
+//    A few spellings have their own recording, used only where the
+//    word's context calls for it (see _CONTEXT_CLIPS in phonicsData.js):
+//      soft c (face, rice)   → assets/audio/phonemes/soft_c.mp3
+//      soft g (gem, page)    → assets/audio/phonemes/soft_g.mp3
 //
 // 2. WORD FILES → assets/audio/words/<word>.mp3
 //    Full pronunciation of the complete word.
@@ -23,11 +23,26 @@
 
 const BLEND_TIME  = 20;   // seconds per word attempt
 const MAX_WRONGS  = 3;    // wrong-order attempts before skipping
+const REVIEW_MIX  = 2;    // due review words slotted into each pass of a stage's words
+const RECENT_MISS_DAYS = 7;  // attempt-log window for bumping recently missed words
 
 // Boss phase thresholds
 const BOSS_PHASE2_PCT = 0.50;  // 50% HP → Phase 2 (faster, angrier)
 const BOSS_PHASE3_PCT = 0.25;  // 25% HP → Phase 3 (enraged)
 
+// On-screen text for a tile — split digraphs show as "A-E".
+const _tileText = (ph) => PHONICS_DATA.tileLabel(ph).toUpperCase();
+
+// Answer cards for the Hard-or-Soft mini-game, each with a key word.
+const _HARD_SOFT_CARDS = {
+  c: { hard: { word: 'HARD /k/ · cat', hint: '🐱' }, soft: { word: 'SOFT /s/ · face', hint: '🙂' } },
+  g: { hard: { word: 'HARD /g/ · gum', hint: '🍬' }, soft: { word: 'SOFT /j/ · gem', hint: '💎' } },
+};
+const _SOFT_SOUND = { c: 's', g: 'j' };
+
+// Affixes that stand in for each other as Word Parts distractors.
+const _AFFIX_SWAPS = [['un', 're'], ['ful', 'less'], ['s', 'es', 'ed', 'ing']];
+
 // ─────────────────────────────────────────────────────────────
 // SLASH PARTICLE
 // ─────────────────────────────────────────────────────────────
@@ -207,7 +222,7 @@ class BattleEngine {
     this.bossMaxHp     = stageData.bossHp;
     this.bossHp        = stageData.bossHp;
 
-    // Word queue — adaptive ordering based on weak phonemes first
+    // Word queue — adaptive ordering, weakest correspondences first
     this._wordQueue     = this._buildAdaptiveWordQueue();
     this._wordQueueIdx  = 0;
     this._currentWord   = null;
@@ -233,6 +248,8 @@ class BattleEngine {
     this._streak     = 0;      // consecutive successful blends for streak multiplier
     this._attemptedBlends = 0; // local battle accuracy tracking
     this._correctBlends   = 0; // local battle accuracy tracking
+    this._firstTryCorrect = 0; // rounds right with no wrong tap (placement scoring)
+    this._roundsDone      = 0; // rounds finished: solved, skipped, revealed or timed out
     this.score       = 0;
     this._bossPhase  = 1;   // 1, 2, or 3
     this._phaseFlash = 0;
@@ -263,7 +280,7 @@ class BattleEngine {
     this._feedbackFlashTimer = 0; // tiny visual pulse when a tile is right/wrong
 
     // Relaxed mode — no timer penalty for younger / slower learners
-    this._relaxedMode = localStorage.getItem('samurice_relaxed') === '1';
+    this._relaxedMode = STORE.getItem(PROFILES.key('samurice_relaxed')) === '1';
 
     // Track words successfully learned this battle (for end-of-stage summary)
     this._learnedWords = [];
@@ -412,7 +429,7 @@ class BattleEngine {
     this._hearBtn.setAttribute('aria-label', 'Hear the word pronounced');
     this._hearBtn.addEventListener('click', () => {
       if (this._currentWord) {
-        this.audio?.playBlendSequence(this._currentWord.phonemes, this._currentWord.word);
+        this.audio?.playBlendSequence(this._currentWord.phonemes, this._currentWord.word, this._currentWord);
       }
     });
     this._hearBtn.addEventListener('touchend', (e) => { e.preventDefault(); this._hearBtn.click(); });
@@ -489,6 +506,8 @@ class BattleEngine {
   _startNextWord() {
     if (this.done) return;
     this._roundNum++;
+    // What the attempt log records about this round (see ProgressTracker.logAttempt)
+    this._attempt = { startedAt: Date.now(), taps: [], hints: 0, undos: 0, missedTiles: new Set(), judged: false };
 
     // Cycle through queue (re-shuffle when exhausted)
     if (this._wordQueueIdx >= this._wordQueue.length) {
@@ -552,7 +571,7 @@ class BattleEngine {
   // Player sees the full word and picks the correct phoneme split.
   _startSegmentItRound(baseWord) {
     const phonemes  = baseWord.phonemes;
-    const options   = this._generateSegmentItOptions(phonemes);
+    const options   = this._generateSegmentItOptions(baseWord);
     const correctKey = phonemes.join('|');
     this._challenge = {
       type: 'segment-it', baseWord, phonemes,
@@ -568,23 +587,33 @@ class BattleEngine {
     setTimeout(() => { if (!this.done) this.audio?.playWord(baseWord.word); }, 350);
   }
 
-  _generateSegmentItOptions(phonemes) {
+  // Wrong splits join two neighbouring tiles into one chunk, spelled
+  // from the word's GPC units. A tile holding a split digraph (a_e)
+  // is never joined: "c" + "a_e" spells nothing a child could read.
+  _generateSegmentItOptions(baseWord) {
+    const phonemes = baseWord.phonemes;
     const correct = { key: phonemes.join('|'), phonemes: [...phonemes] };
+    const units = PHONICS_DATA.gpcOf(baseWord);
+    const unitsOf = (ti) => units.filter(u => u.tile === ti);
+    const joined = (i) => {
+      const parts = [...unitsOf(i), ...unitsOf(i + 1)];
+      if (!parts.length || parts.some(u => u.split)) return null;
+      const split = [...phonemes.slice(0, i), parts.map(u => u.g).join(''), ...phonemes.slice(i + 2)];
+      return { key: split.join('|'), phonemes: split };
+    };
     const d = [];
-    if (phonemes.length === 3) {
-      d.push({ key: `${phonemes[0]+phonemes[1]}|${phonemes[2]}`, phonemes: [phonemes[0]+phonemes[1], phonemes[2]] });
-      d.push({ key: `${phonemes[0]}|${phonemes[1]+phonemes[2]}`, phonemes: [phonemes[0], phonemes[1]+phonemes[2]] });
-      d.push({ key: phonemes.join(''), phonemes: [phonemes.join('')] });
-    } else if (phonemes.length >= 4) {
-      const p = phonemes;
-      d.push({ key: [p[0]+p[1], ...p.slice(2)].join('|'), phonemes: [p[0]+p[1], ...p.slice(2)] });
-      d.push({ key: [...p.slice(0,-2), p[p.length-2]+p[p.length-1]].join('|'), phonemes: [...p.slice(0,-2), p[p.length-2]+p[p.length-1]] });
-      d.push({ key: [p[0], p[1]+p[2], ...p.slice(3)].join('|'), phonemes: [p[0], p[1]+p[2], ...p.slice(3)] });
-    } else {
-      d.push({ key: phonemes.join(''), phonemes: [phonemes.join('')] });
+    const joins = phonemes.length === 3 ? [0, 1] : [0, phonemes.length - 2, 1];
+    if (phonemes.length >= 3) joins.forEach(i => { const opt = joined(i); if (opt && !d.some(o => o.key === opt.key)) d.push(opt); });
+    if (phonemes.length <= 3) d.push({ key: phonemes.join(''), phonemes: [PHONICS_DATA.spellTiles(phonemes)] });
+    if (phonemes.length === 2) {
       d.push({ key: [phonemes[1],phonemes[0]].join('|'), phonemes: [phonemes[1],phonemes[0]] });
       d.push({ key: [phonemes[0],phonemes[0]].join('|'), phonemes: [phonemes[0],phonemes[0]] });
     }
+    // Too few joins left (a split digraph in the way): the tiles backwards
+    if (d.length < 3) {
+      const rev = [...phonemes].reverse();
+      if (rev.join('|') !== correct.key) d.push({ key: rev.join('|'), phonemes: rev });
+    }
     return this._shuffleArray([correct, ...d.slice(0, 3)]);
   }
 
@@ -596,7 +625,7 @@ class BattleEngine {
       const isHint = this._showFirstHint && opt.key === c.answer;
       const card = document.createElement('button');
       card.className = 'be-segment-card' + (isHint ? ' be-tile-hint' : '');
-      card.innerHTML = opt.phonemes.map(p => `<span class="be-seg-ph">${p.toUpperCase()}</span>`).join('<span class="be-seg-dot">•</span>');
+      card.innerHTML = opt.phonemes.map(p => `<span class="be-seg-ph">${_tileText(p)}</span>`).join('<span class="be-seg-dot">•</span>');
       card.dataset.segKey = opt.key;
       card.setAttribute('role', 'button');
       card.setAttribute('aria-label', `Segments: ${opt.phonemes.join(' - ')}`);
@@ -613,6 +642,7 @@ class BattleEngine {
     const now = Date.now();
     if (now - (this._lastTileClickMs || 0) < 80) return;
     this._lastTileClickMs = now;
+    this._attempt?.taps.push(key);
     if (key === this._challenge.answer) {
       this._flashTileFeedback(cardEl, 'ok');
       this._challengeSuccess(cardEl);
@@ -645,20 +675,28 @@ class BattleEngine {
   // Pick distractor phonemes for a standard blending round. Prefers
   // phonetically confusable sounds (b/d, m/n, short vowels…) so a wrong
   // tap is a teachable near-miss, then falls back to the stage pool.
-  // Never returns a phoneme that appears in the word itself.
+  // Never returns a tile that appears in the word itself, or one that
+  // spells the same sound as one of its tiles (k for the c in "cat").
   _pickBlendDistractors(wordObj, count) {
     if (count <= 0) return [];
+    // c and g pair with the sound they make in the other context
+    // (hard /k/ ↔ soft /s/, hard /g/ ↔ soft /j/); whichever one the
+    // word uses is dropped below as a same-sound tile.
     const CONFUSABLE = {
       b:['d','p'], d:['b','t'], p:['b','q'], t:['d'], m:['n'], n:['m'],
       a:['e','u'], e:['a','i'], i:['e'], o:['u'], u:['o','a'],
-      s:['z','c'], f:['v'], v:['f'], g:['k'], k:['g','c'], c:['k','s'],
+      s:['z','c'], f:['v'], v:['f'], g:['k','j'], j:['g','ch'], k:['g','c'], c:['k','s'],
       sh:['ch','th'], ch:['sh','j'], th:['sh','f'], w:['v'], l:['r'], r:['l'],
+      a_e:['a','i_e'], i_e:['i','a_e'], o_e:['o','u_e'], u_e:['u','o_e'], e_e:['e','i_e'],
     };
     const inWord = new Set((wordObj.phonemes || []).map(p => p.toLowerCase()));
+    const inSounds = new Set((wordObj.phonemes || []).map((p, i) => this._soundKey(p, wordObj, i)));
     const picks = [];
     const tryAdd = (p) => {
       const lp = (p || '').toLowerCase();
-      if (lp && !inWord.has(lp) && !picks.includes(lp)) picks.push(lp);
+      if (!lp || inWord.has(lp) || picks.includes(lp)) return;
+      if (inSounds.has(this._soundKey(lp))) return;
+      picks.push(lp);
     };
     // 1. confusables of the word's own sounds (shuffled for variety)
     for (const ph of this._shuffleArray([...wordObj.phonemes])) {
@@ -687,14 +725,20 @@ class BattleEngine {
     return this._distractorCache;
   }
 
+  // The sound(s) a tile spells as one comparable key ("k", "long_a").
+  // Two tiles with the same key can't be told apart by ear, so one is
+  // never offered as a distractor for the other.
+  _soundKey(tile, wordObj, index) { return PHONICS_DATA.tileSounds(tile, wordObj, index).join(' '); }
+  _tileIsVowel(tile, wordObj, index) { return PHONICS_DATA.tileSounds(tile, wordObj, index).some(PHONICS_DATA.isVowelPhoneme); }
+
   // The rime (rhyming part) of a word: from its last vowel sound to the end.
   _rimeOf(wordObj) {
     if (wordObj?.rime) return wordObj.rime.toLowerCase();
     const ph = wordObj?.phonemes || [];
     let vi = -1;
     for (let i = 0; i < ph.length; i++) { if (/[aeiou]/i.test(ph[i])) vi = i; }
-    if (vi < 0) return ph.join('').toLowerCase();
-    return ph.slice(vi).join('').toLowerCase();
+    if (vi < 0) return PHONICS_DATA.spellTiles(ph).toLowerCase();
+    return PHONICS_DATA.spellTiles(ph.slice(vi)).toLowerCase();
   }
 
   // Words in this stage that rhyme / don't rhyme with the target.
@@ -721,6 +765,9 @@ class BattleEngine {
       case 'segment-it':   return len >= 2;
       case 'rhyme':        return this._rhymePartners(w).correct.length > 0;
       case 'sight-word':   return (this.stage.words || []).length >= 2;
+      case 'hard-soft':    return !!this._hardSoftUnit(w);
+      case 'word-parts':   return !!PHONICS_DATA.morphsOf(w);
+      case 'syllable-split': return this._syllableSplits(w).length > 1;
       default:             return false;
     }
   }
@@ -758,6 +805,9 @@ class BattleEngine {
       case 'letter-sound': this._startLetterSoundRound(baseWord); break;
       case 'oral-blend':   this._startOralBlendRound(baseWord); break;
       case 'sound-count':  this._startSoundCountRound(baseWord); break;
+      case 'hard-soft':    this._startHardSoftRound(baseWord); break;
+      case 'word-parts':   this._startWordPartsRound(baseWord); break;
+      case 'syllable-split': this._startSyllableSplitRound(baseWord); break;
       default:             this._startSoundIsoRound(type, baseWord); break;
     }
     if (firstTime) this._coachSkill(type, baseWord);
@@ -776,6 +826,9 @@ class BattleEngine {
       'segment-it': '🎓 NEW! SEGMENT IT — break the word into its separate sounds.',
       'oral-blend': '🎓 NEW! HEAR & FIND — listen to the sounds, blend them in your head, find the picture!',
       'sound-count':'🎓 NEW! COUNT THE SOUNDS — how many sounds does the word have?',
+      'hard-soft':  '🎓 NEW! HARD OR SOFT — c and g go soft before e, i or y: cat & face, gum & gem.',
+      'word-parts': '🎓 NEW! WORD PARTS — a base word plus a part: hop + ing = hopping, un + lock = unlock.',
+      'syllable-split': '🎓 NEW! SYLLABLE SPLIT — find where the word breaks (ro·bot, sun·set), then read each part.',
     };
     const tip = tips[type];
     if (!tip) return;
@@ -785,7 +838,7 @@ class BattleEngine {
     setTimeout(() => {
       if (this._destroyed || this.done) return;
       if (type === 'letter-sound' && this._challenge?.playTarget) {
-        this.audio?.playPhoneme(this._challenge.playTarget);
+        this.audio?.playPhoneme(this._challenge.playTarget, baseWord, this._challenge.blankIdx);
       } else if (baseWord) {
         this.audio?.playWord(baseWord.word);
       }
@@ -799,10 +852,10 @@ class BattleEngine {
     const answer   = phonemes[blankIdx].toLowerCase();
 
     // Pick 2 distractors of the same broad kind where possible.
-    const answerIsVowel = /^[aeiou]$/.test(answer);
-    const pool = this._distractorPool().filter(p =>
-      p !== answer && /^[aeiou]$/.test(p) === answerIsVowel);
-    const fallback = this._distractorPool().filter(p => p !== answer);
+    const answerKey = this._soundKey(answer, baseWord, blankIdx);
+    const answerIsVowel = this._tileIsVowel(answer, baseWord, blankIdx);
+    const fallback = this._distractorPool().filter(p => p !== answer && this._soundKey(p) !== answerKey);
+    const pool = fallback.filter(p => this._tileIsVowel(p) === answerIsVowel);
     const distractors = [];
     const src = pool.length >= 2 ? pool : fallback;
     const shuffledSrc = this._shuffleArray([...src]);
@@ -842,10 +895,10 @@ class BattleEngine {
     const idx      = Math.floor(Math.random() * phonemes.length);
     const answer   = phonemes[idx].toLowerCase();
 
-    const answerIsVowel = /^[aeiou]/.test(answer);
-    const pool = this._distractorPool().filter(p =>
-      p !== answer && /^[aeiou]/.test(p) === answerIsVowel);
-    const fallback = this._distractorPool().filter(p => p !== answer);
+    const answerKey = this._soundKey(answer, baseWord, idx);
+    const answerIsVowel = this._tileIsVowel(answer, baseWord, idx);
+    const fallback = this._distractorPool().filter(p => p !== answer && this._soundKey(p) !== answerKey);
+    const pool = fallback.filter(p => this._tileIsVowel(p) === answerIsVowel);
     const src = pool.length >= 2 ? pool : fallback;
     const distractors = [];
     for (const p of this._shuffleArray([...src])) {
@@ -865,7 +918,7 @@ class BattleEngine {
     this._setFeedback(this._challenge.instr, '#FFD180');
     if (this._hintBtn) this._hintBtn.disabled = false;
     // Play the SOUND (not the word) so the child maps sound → letter.
-    setTimeout(() => { if (!this.done) this.audio?.playPhoneme?.(answer); }, 350);
+    setTimeout(() => { if (!this.done) this.audio?.playPhoneme?.(answer, baseWord); }, 350);
   }
 
   // ── Rhyme: pick the word that rhymes with the target ──
@@ -933,17 +986,18 @@ class BattleEngine {
   }
 
   // Speak the phonemes spaced apart so the child blends them mentally.
+  // These are the word's true sounds, not its tiles (cake → k · ā · k).
   _playOralSequence(wordObj) {
     if (this.done || this._destroyed) return;
-    (wordObj.phonemes || []).forEach((ph, i) => {
-      setTimeout(() => { if (!this.done) this.audio?.playPhoneme(ph); }, i * 620);
+    PHONICS_DATA.wordClips(wordObj).forEach(({ id, clip }, i) => {
+      setTimeout(() => { if (!this.done) this.audio?.playSound(id, clip); }, i * 620);
     });
   }
 
   // ── SOUND COUNT (PhonicsQuest 'Count the Sounds') ────────────
   // The child hears the word segmented and counts its phonemes.
   _startSoundCountRound(baseWord) {
-    const n = (baseWord.phonemes || []).length;
+    const n = PHONICS_DATA.wordPhonemes(baseWord).length;
     const opts = new Set([n]);
     for (const d of [n - 1, n + 1, n - 2, n + 2]) {
       if (opts.size >= 4) break;
@@ -963,6 +1017,178 @@ class BattleEngine {
     setTimeout(() => this._playOralSequence(baseWord), 500);
   }
 
+  // ── HARD OR SOFT: does the word's c / g make its hard or soft sound? ──
+  // The c or g the round asks about (the word's first one), or null.
+  _hardSoftUnit(wordObj) {
+    return PHONICS_DATA.gpcOf(wordObj).find(u => _SOFT_SOUND[u.g] && u.p.length === 1) || null;
+  }
+
+  _startHardSoftRound(baseWord) {
+    const u       = this._hardSoftUnit(baseWord);
+    const cards   = _HARD_SOFT_CARDS[u.g];
+    const options = ['hard', 'soft'].map(key => ({ key, ...cards[key] }));
+    this._challenge = {
+      type: 'hard-soft', baseWord, answer: u.p[0] === _SOFT_SOUND[u.g] ? 'soft' : 'hard', options,
+      letterIdx: u.tile, cardKind: 'word', showHint: true, playTarget: baseWord.word,
+      instr: `🔉 Is the ${u.g.toUpperCase()} in "${baseWord.word.toUpperCase()}" hard or soft?`, tag: `${u.g.toUpperCase()} SOUND`,
+    };
+    this._currentWord = baseWord;
+    this._renderChallengePrompt();
+    this._renderChallengeTiles();
+    this._setFeedback(this._challenge.instr, '#B39DDB');
+    if (this._hintBtn) this._hintBtn.disabled = false;
+    setTimeout(() => { if (!this.done) this.audio?.playWord(baseWord.word); }, 350);
+  }
+
+  // ── WORD PARTS: build a word from base + affix, or split it back ──
+  _startWordPartsRound(baseWord) {
+    const parts  = PHONICS_DATA.morphsOf(baseWord);
+    const build  = Math.random() < 0.5;
+    const word   = baseWord.word.toLowerCase();
+    const split  = parts.map(p => p.text).join(' + ');
+    const answer = build ? word : split;
+    const wrong  = (build ? this._misbuiltWords(baseWord, parts) : this._missplitWords(parts, word))
+      .filter(x => x !== answer).slice(0, 2);
+    const options = this._shuffleArray([answer, ...wrong]).map(x => ({ key: x, word: x }));
+    this._challenge = {
+      type: 'word-parts', baseWord, parts, build, answer, options,
+      cardKind: 'word', showHint: false, playTarget: baseWord.word,
+      instr: build ? `🧩 ${split.toUpperCase()} — which word do they build?`
+                   : `🧩 Split "${word.toUpperCase()}" into its parts!`,
+      tag: build ? 'BUILT WORD' : 'SPLIT',
+    };
+    this._currentWord = baseWord;
+    this._renderChallengePrompt();
+    this._renderChallengeTiles();
+    this._setFeedback(this._challenge.instr, '#80CBC4');
+    if (this._hintBtn) this._hintBtn.disabled = false;
+    setTimeout(() => { if (!this.done) this.audio?.playWord(baseWord.word); }, 350);
+  }
+
+  // Misspellings a child might build, likeliest first: the wrong
+  // spelling rule (hoping for hop + ing), the ending spelled as it
+  // sounds (jumpt), the ending forgotten, or a sibling affix (relock).
+  _misbuiltWords(wordObj, parts) {
+    const bi  = parts.findIndex(p => p.kind === 'base');
+    const b   = parts[bi].text;
+    const pre = parts.slice(0, bi).map(p => p.text).join('');
+    const suf = parts.slice(bi + 1).map(p => p.text).join('');
+    const out = [];
+    if (suf) {
+      out.push(pre + b + suf);
+      if (/(^|[^aeiou])[aeiou][^aeiouwxy]$/.test(b)) out.push(pre + b + b.slice(-1) + suf);
+      if (b.endsWith('e')) out.push(pre + b.slice(0, -1) + suf);
+      const last = parts[parts.length - 1];
+      const said = PHONICS_DATA.gpcOf(wordObj).filter(u => u.affix === last.morph).map(u => u.p.join('')).join('');
+      if (/^[a-z]+$/.test(said) && said !== last.text) out.push(pre + b + said);
+    }
+    out.push(b);
+    const affix = parts.find(p => p.kind !== 'base');
+    const swap  = _AFFIX_SWAPS.find(g => g.includes(affix.text)) || [];
+    swap.filter(a => a !== affix.text).forEach(a => {
+      out.push(affix.kind === 'prefix' ? a + b + suf : pre + b + a);
+    });
+    return [...new Set(out)];
+  }
+
+  // Wrong places to cut, likeliest first: where the letters change
+  // (hopp + ing), then a letter or two either side of the real cut.
+  _missplitWords(parts, word) {
+    const bi  = parts.findIndex(p => p.kind === 'base');
+    const cut = bi > 0 ? parts.slice(0, bi).reduce((n, p) => n + p.surface.length, 0) : parts[0].surface.length;
+    const out = [parts.map(p => p.surface).join(' + ')];
+    [cut - 1, cut + 1, cut - 2, cut + 2].forEach(k => {
+      if (k > 0 && k < word.length) out.push(`${word.slice(0, k)} + ${word.slice(k)}`);
+    });
+    return [...new Set(out)];
+  }
+
+  // ── SYLLABLE SPLIT: choose where the word divides, then read each part ──
+  // Ways to cut the word: the real syllables first, then each cut moved
+  // one letter either way (ro·bot → rob·ot) while every part keeps a vowel.
+  _syllableSplits(wordObj) {
+    const syl = PHONICS_DATA.syllablesOf(wordObj);
+    if (!syl) return [];
+    const word = syl.map(s => s.text).join('');
+    const cuts = [];
+    syl.slice(0, -1).reduce((at, s) => { cuts.push(at + s.text.length); return at + s.text.length; }, 0);
+    const chunksAt = (cs) => cs.concat(word.length).map((end, i) => word.slice(i ? cs[i - 1] : 0, end));
+    const splits = [chunksAt(cuts)];
+    cuts.forEach((cut, i) => [-1, 1].forEach(d => {
+      const cs = cuts.slice();
+      cs[i] = cut + d;
+      const chunks = chunksAt(cs);
+      if (chunks.every(ch => /[aeiou]|.y/.test(ch))) splits.push(chunks);
+    }));
+    const seen = new Set();
+    return splits.filter(ch => !seen.has(ch.join()) && seen.add(ch.join()));
+  }
+
+  _startSyllableSplitRound(baseWord) {
+    const [right, ...wrong] = this._syllableSplits(baseWord).map(ch => ch.join(' · '));
+    const options = this._shuffleArray([right, ...this._shuffleArray(wrong).slice(0, 2)])
+      .map(x => ({ key: x, word: x }));
+    this._challenge = {
+      type: 'syllable-split', baseWord, phase: 'divide', readIdx: 0,
+      syllables: PHONICS_DATA.syllablesOf(baseWord), answer: right, options,
+      cardKind: 'word', showHint: false, playTarget: baseWord.word,
+      instr: `✂️ Where does "${baseWord.word.toUpperCase()}" break into syllables?`, tag: 'SYLLABLE SPLIT',
+    };
+    this._currentWord = baseWord;
+    this._renderChallengePrompt();
+    this._renderChallengeTiles();
+    this._setFeedback(this._challenge.instr, '#FFCC80');
+    if (this._hintBtn) this._hintBtn.disabled = false;
+    setTimeout(() => { if (!this.done) this.audio?.playWord(baseWord.word); }, 350);
+  }
+
+  // Divided right: name the rule and the first syllable's type, then
+  // the child reads the parts left to right before the strike lands.
+  _startSyllableReading() {
+    const c      = this._challenge;
+    const [a, b] = c.syllables;
+    const type   = PHONICS_DATA.SYLLABLE_TYPES[a.type];
+    c.phase = 'read';
+    this._showFirstHint = false;
+    this._renderChallengePrompt();
+    this._renderChallengeTiles();
+    this._setFeedback(`✂️ ${PHONICS_DATA.divisionPattern(a.text, b.text)}! ${_tileText(a.text)} is ${type.label.toLowerCase()}: ` +
+                      `${type.hint}. Now tap each part to read it.`, '#FFCC80');
+  }
+
+  _renderSyllableReadCards() {
+    this._poolEl.classList.add('be-pool-segment');
+    const c = this._challenge;
+    c.syllables.forEach((s, i) => {
+      const label  = PHONICS_DATA.SYLLABLE_TYPES[s.type]?.label || '';
+      const isHint = this._showFirstHint && i === c.readIdx;
+      const card = document.createElement('button');
+      card.className = 'be-segment-card be-word-card' + (i < c.readIdx ? ' be-syl-read' : '') + (isHint ? ' be-tile-hint' : '');
+      card.innerHTML = `<span class="be-seg-ph">${_tileText(s.text)}</span><span class="be-syl-type">${label}</span>`;
+      card.dataset.wordKey = String(i);
+      card.setAttribute('role', 'button');
+      card.setAttribute('aria-label', `${s.text}, ${label} syllable`);
+      card.addEventListener('click', () => this._onWordCardClick(String(i), card));
+      card.addEventListener('touchend', (e) => { e.preventDefault(); this._onWordCardClick(String(i), card); });
+      this._tileEls.push(card);
+      this._poolEl.appendChild(card);
+    });
+  }
+
+  // Reading is practice, not a test: out-of-order taps just redirect.
+  _onSyllableRead(idx, cardEl) {
+    const c = this._challenge;
+    if (idx !== c.readIdx) {
+      this._setFeedback(`👉 Read left to right — start with "${_tileText(c.syllables[c.readIdx].text)}".`, '#FFCC80');
+      return;
+    }
+    this.audio?.playPhoneme(c.baseWord.phonemes[idx], c.baseWord, idx);
+    this._flashTileFeedback(cardEl, 'ok');
+    c.readIdx++;
+    if (c.readIdx < c.syllables.length) { cardEl.classList.add('be-syl-read'); return; }
+    this._challengeSuccess(cardEl);
+  }
+
   // Prompt: emoji + the word shown as slots, the queried slot a glowing "?".
   _renderChallengePrompt() {
     const c = this._challenge;
@@ -1025,6 +1251,41 @@ class BattleEngine {
       return;
     }
 
+    if (c.type === 'hard-soft') {
+      // The whole word, with the c / g in question glowing.
+      this._blanksEl.innerHTML = c.baseWord.phonemes.map((ph, i) =>
+        `<span class="be-blank ${i === c.letterIdx ? 'be-blank-query' : 'be-blank-ghost'}">${_tileText(ph)}</span>`).join('');
+      if (this._wordPreviewEl) {
+        this._wordPreviewEl.textContent = '🔉 HARD OR SOFT — LISTEN TO THE LETTER';
+        this._wordPreviewEl.style.color = '#B39DDB';
+      }
+      return;
+    }
+
+    if (c.type === 'syllable-split') {
+      this._blanksEl.innerHTML = c.phase === 'read'
+        ? c.syllables.map(s => `<span class="be-blank be-blank-ghost">${_tileText(s.text)}</span>`).join('<span class="be-morph-plus">·</span>')
+        : `<span class="be-blank be-blank-ghost be-word-full">${c.baseWord.word.toUpperCase()}</span>`;
+      if (this._wordPreviewEl) {
+        this._wordPreviewEl.textContent = c.phase === 'read' ? '✂️ SYLLABLE SPLIT — READ EACH PART' : '✂️ SYLLABLE SPLIT — WHERE DOES IT BREAK?';
+        this._wordPreviewEl.style.color = '#FFCC80';
+      }
+      return;
+    }
+
+    if (c.type === 'word-parts') {
+      // Build: the parts, then "?" for the word. Split: the whole word.
+      this._blanksEl.innerHTML = c.build
+        ? c.parts.map(p => `<span class="be-blank ${p.kind === 'base' ? 'be-blank-ghost' : 'be-blank-affix'}">${p.text.toUpperCase()}</span>`)
+            .join('<span class="be-morph-plus">+</span>') + `<span class="be-morph-plus">=</span><span class="be-blank be-blank-query">?</span>`
+        : `<span class="be-blank be-blank-ghost be-word-full">${c.baseWord.word.toUpperCase()}</span>`;
+      if (this._wordPreviewEl) {
+        this._wordPreviewEl.textContent = c.build ? '🧩 WORD PARTS — BUILD THE WORD' : '🧩 WORD PARTS — SPLIT THE WORD';
+        this._wordPreviewEl.style.color = '#80CBC4';
+      }
+      return;
+    }
+
     if (c.type === 'letter-sound') {
       this._blanksEl.innerHTML = `<span class="be-blank be-blank-query">🔊 ?</span>`;
       if (this._wordPreviewEl) {
@@ -1038,7 +1299,7 @@ class BattleEngine {
       if (i === c.blankIdx) {
         return `<span class="be-blank be-blank-query">?</span>`;
       }
-      return `<span class="be-blank be-blank-ghost">${ph.toUpperCase()}</span>`;
+      return `<span class="be-blank be-blank-ghost">${_tileText(ph)}</span>`;
     }).join('');
     this._blanksEl.innerHTML = html;
 
@@ -1054,20 +1315,22 @@ class BattleEngine {
     this._tileEls = [];
     const c = this._challenge;
     if (c.type === 'segment-it') { this._renderSegmentItTiles(); return; }
+    if (c.phase === 'read')      { this._renderSyllableReadCards(); return; }
     if (c.cardKind === 'word')   { this._renderWordCards(); return; }
     c.options.forEach((ph, idx) => {
       const colorClass = this._getPhonemeColorClass(ph);
       const isHint = this._showFirstHint && ph === c.answer;
       const tile = document.createElement('button');
       tile.className   = 'be-tile ' + colorClass + (isHint ? ' be-tile-hint' : '');
-      tile.textContent = ph.toUpperCase();
+      tile.textContent = _tileText(ph);
       tile.dataset.phoneme = ph;
       tile.setAttribute('role', 'button');
-      tile.setAttribute('aria-label', `Sound ${ph.toUpperCase()}`);
-      tile.setAttribute('title', `${ph.toUpperCase()} — press '${ph[0].toUpperCase()}' key`);
+      tile.setAttribute('aria-label', `Sound ${_tileText(ph)}`);
+      tile.setAttribute('title', `${_tileText(ph)} — press '${ph[0].toUpperCase()}' key`);
       tile.addEventListener('click', () => this._onChallengeTileClick(ph, tile));
-      tile.addEventListener('mouseenter', () => { this.audio?.playPhoneme(ph); });
-      tile.addEventListener('touchstart', () => { this.audio?.playPhoneme(ph); }, { passive: true });
+      const at = ph === c.answer ? c.blankIdx : undefined;
+      tile.addEventListener('mouseenter', () => { this.audio?.playPhoneme(ph, c.baseWord, at); });
+      tile.addEventListener('touchstart', () => { this.audio?.playPhoneme(ph, c.baseWord, at); }, { passive: true });
       tile.addEventListener('touchend', (e) => { e.preventDefault(); this._onChallengeTileClick(ph, tile); });
       this._tileEls.push(tile);
       this._poolEl.appendChild(tile);
@@ -1080,8 +1343,9 @@ class BattleEngine {
     const now = Date.now();
     if (now - (this._lastTileClickMs || 0) < 80) return;
     this._lastTileClickMs = now;
+    this._attempt?.taps.push(phoneme);
 
-    this.audio?.playPhoneme(phoneme);
+    this.audio?.playPhoneme(phoneme, this._challenge.baseWord, phoneme === this._challenge.answer ? this._challenge.blankIdx : undefined);
     if (phoneme === this._challenge.answer) {
       this._flashTileFeedback(tileEl, 'ok');
       this._challengeSuccess(tileEl);
@@ -1126,8 +1390,12 @@ class BattleEngine {
     const now = Date.now();
     if (now - (this._lastTileClickMs || 0) < 80) return;
     this._lastTileClickMs = now;
-    if (key === this._challenge.answer) {
+    this._attempt?.taps.push(key);
+    const c = this._challenge;
+    if (c.phase === 'read') { this._onSyllableRead(Number(key), cardEl); return; }
+    if (key === c.answer) {
       this._flashTileFeedback(cardEl, 'ok');
+      if (c.type === 'syllable-split') { this._startSyllableReading(); return; }
       this._challengeSuccess(cardEl);
     } else {
       this._flashTileFeedback(cardEl, 'bad');
@@ -1140,12 +1408,12 @@ class BattleEngine {
     this._wrongAttempts++;
     this._setFeedback(`❌ Listen again… find the ${this._challenge.tag.toLowerCase()}.`, '#FF8A80');
     if (this._challenge.type === 'segment-it') {
-      setTimeout(() => { if (!this.done) this.audio?.playBlendSequence?.(this._challenge.phonemes, this._challenge.baseWord.word); }, 500);
+      setTimeout(() => { if (!this.done) this.audio?.playBlendSequence?.(this._challenge.phonemes, this._challenge.baseWord.word, this._challenge.baseWord); }, 500);
     } else if (this._challenge.cardKind === 'word') {
       // Rhyme / Sight Word — replay the target word, not a single phoneme.
       setTimeout(() => { if (!this.done) this.audio?.playWord?.(this._challenge.playTarget || this._challenge.baseWord.word); }, 500);
     } else {
-      setTimeout(() => { if (!this.done) this.audio?.playPhoneme?.(this._challenge.answer); }, 500);
+      setTimeout(() => { if (!this.done) this.audio?.playPhoneme?.(this._challenge.answer, this._challenge.baseWord); }, 500);
     }
 
     const pokeDmg = Math.max(2, Math.floor(this.stage.bossAttack * 0.14));
@@ -1168,11 +1436,13 @@ class BattleEngine {
     if (this.done) return;
     this._stopBlendTimer();
     this.state = 'boss-attack';
-    const ans = this._challenge.type === 'segment-it'
-      ? this._challenge.phonemes.map(p => p.toUpperCase()).join(' • ')
-      : this._challenge.answer.toUpperCase();
-    this._setFeedback(`💦 The ${this._challenge.tag.toLowerCase()} was "${ans}"`, '#FF9800');
+    const c = this._challenge;
+    const ans = c.type === 'segment-it' ? c.phonemes.map(_tileText).join(' • ')
+      : c.type === 'hard-soft' ? c.options.find(o => o.key === c.answer).word
+      : _tileText(c.answer);
+    this._setFeedback(`💦 The ${c.tag.toLowerCase()} was "${ans}"`, '#FF9800');
     this.audio?.sfxHurt?.();
+    this._logMissedRound('missed');
     setTimeout(() => {
       if (this._destroyed) return;
       if (this.rikuHp <= 0) { this._lose(); return; }
@@ -1182,6 +1452,22 @@ class BattleEngine {
     }, 1500);
   }
 
+  // The tiles of the base word a mini-game round is about: null for
+  // the whole word, [] for whole-word rounds (rhyme, sight word).
+  _challengeTiles(c) {
+    return c.type === 'segment-it' || c.type === 'syllable-split' ? null
+      : c.type === 'hard-soft' ? [c.letterIdx]
+      : c.cardKind === 'phoneme' ? [c.baseWord.phonemes.indexOf(c.answer)].filter(i => i >= 0) : [];
+  }
+
+  // The sounds a mini-game round practised.
+  // Whole-word rounds (rhyme, sight word) practise none.
+  _challengeSounds(c) {
+    return c.type === 'segment-it' || c.type === 'syllable-split' ? PHONICS_DATA.wordPhonemes(c.baseWord)
+      : c.type === 'hard-soft' ? PHONICS_DATA.tileSounds(c.baseWord.phonemes[c.letterIdx], c.baseWord, c.letterIdx)
+      : c.cardKind === 'phoneme' ? PHONICS_DATA.tileSounds(c.answer, c.baseWord, c.blankIdx) : [];
+  }
+
   _challengeSuccess(tileEl) {
     this._stopBlendTimer();
     this.state = 'riku-attack';
@@ -1194,6 +1480,8 @@ class BattleEngine {
     const damage = Math.floor(base * streakMult * (0.78 + timeBonus * 0.22) * phaseMult * this._coinBonus);
 
     this._combo++; this._streak++; this._attemptedBlends++; this._correctBlends++;
+    if (this._wrongAttempts === 0) this._firstTryCorrect++;
+    this._roundsDone++;
     this._challengesSolved++;
     this.bossHp = Math.max(0, this.bossHp - damage);
     this.score += Math.floor(damage * 2.0);
@@ -1214,9 +1502,11 @@ class BattleEngine {
     }
 
     // Credit the isolated sound toward phoneme mastery (lightens its weak-count).
+    // Whole-word rounds (rhyme, sight word) credit the word but no sound.
     if (this.progress) {
-      this.progress.recordBlend(this.stage.id, this._challenge.baseWord.word,
-        true, timeBonus > 0.82, [this._challenge.answer]);
+      const c = this._challenge;
+      this.progress.recordBlend(this._statStageId(c.baseWord), c.baseWord.word, true, timeBonus > 0.82, this._challengeSounds(c), this._attemptInfo(c.type));
+      this._observeChallenge(c, this._wrongAttempts === 0);
     }
 
     if (this.audio) { this.audio.sfxSlash(); this.audio.sfxBlendChime?.(); this.audio.sfxBossHit(); }
@@ -1227,12 +1517,12 @@ class BattleEngine {
     this.damagePops.push(new DamagePop(bossX, bossY - 40, `-${damage}`, '#80D8FF'));
     this.damagePops.push(new DamagePop(bossX, bossY - 80, praise, '#fff'));
     this._gradeFloat = { text: praise, life: 1.0, color: '#40C4FF' };
-    this._setFeedback(`🕵️ Correct! "${this._challenge.answer.toUpperCase()}" — ${praise} (${damage} dmg)`, '#80D8FF');
+    this._setFeedback(`🕵️ Correct! "${_tileText(this._challenge.answer)}" — ${praise} (${damage} dmg)`, '#80D8FF');
 
     // Reinforce: say the whole word so they hear the sound in context.
     setTimeout(() => {
       if (this._destroyed) return;
-      this.audio?.playBlendSequence?.(this._challenge.baseWord.phonemes, this._challenge.baseWord.word);
+      this.audio?.playBlendSequence?.(this._challenge.baseWord.phonemes, this._challenge.baseWord.word, this._challenge.baseWord);
     }, 220);
 
     this._checkBossPhase();
@@ -1270,7 +1560,7 @@ class BattleEngine {
     const html = this._currentWord.phonemes.map((ph, i) => {
       const built = this._currentBuilt[i];
       if (built) {
-        return `<span class="be-blank be-blank-filled">${built.toUpperCase()}</span>`;
+        return `<span class="be-blank be-blank-filled">${_tileText(built)}</span>`;
       }
       return `<span class="be-blank"></span>`;
     }).join('');
@@ -1281,7 +1571,7 @@ class BattleEngine {
       if (this._currentBuilt.length === 0) {
         this._wordPreviewEl.textContent = '';
       } else {
-        const joined = this._currentBuilt.map(p => p.toUpperCase()).join(' · ');
+        const joined = this._currentBuilt.map(_tileText).join(' · ');
         const full   = this._currentWord.word.toUpperCase();
         // Show "SH · I · P = SHIP" once all phonemes are placed, otherwise "SH · I ···"
         const isComplete = this._currentBuilt.length === this._currentWord.phonemes.length;
@@ -1310,19 +1600,19 @@ class BattleEngine {
 
       const tile   = document.createElement('button');
       tile.className        = 'be-tile ' + colorClass + (isUsed ? ' be-tile-used' : '') + (isHint ? ' be-tile-hint' : '');
-      tile.textContent      = ph.toUpperCase();
+      tile.textContent      = _tileText(ph);
       tile.dataset.phoneme  = ph;
       tile.dataset.idx      = idx;
       tile.setAttribute('role', 'button');
-      tile.setAttribute('aria-label', `Phoneme tile ${ph.toUpperCase()}${isUsed ? ', used' : ''}`);
+      tile.setAttribute('aria-label', `Phoneme tile ${_tileText(ph)}${isUsed ? ', used' : ''}`);
       tile.setAttribute('aria-disabled', isUsed ? 'true' : 'false');
-      tile.setAttribute('title', `${ph.toUpperCase()} — press '${ph[0].toUpperCase()}' key`);
+      tile.setAttribute('title', `${_tileText(ph)} — press '${ph[0].toUpperCase()}' key`);
 
       if (!isUsed) {
         tile.addEventListener('click', () => this._onTileClick(ph, tile, idx));
-        tile.addEventListener('mouseenter', () => { this.audio?.playPhoneme(ph); });
+        tile.addEventListener('mouseenter', () => { this.audio?.playPhoneme(ph, this._currentWord, this._dueTileIdx(ph)); });
         tile.addEventListener('touchstart', () => {
-          this.audio?.playPhoneme(ph);
+          this.audio?.playPhoneme(ph, this._currentWord, this._dueTileIdx(ph));
         }, { passive: true });
         tile.addEventListener('touchend', (e) => {
           e.preventDefault();
@@ -1335,6 +1625,14 @@ class BattleEngine {
     });
   }
 
+  // Which of the word's tiles a pool tile stands for: the one due next
+  // when it matches, so a tile used twice (ba·na·na) sounds right in
+  // each place. Otherwise left to tileSounds.
+  _dueTileIdx(ph) {
+    const due = this._currentBuilt.length;
+    return this._currentWord.phonemes[due] === ph ? due : undefined;
+  }
+
   // ── Tile click ───────────────────────────────────────────────
   _onTileClick(phoneme, tileEl, tileIdx) {
     if (this.state !== 'idle' && this.state !== 'blending') return;
@@ -1346,7 +1644,8 @@ class BattleEngine {
     this._lastTileClickMs = now;
 
     const expected = this._currentWord.phonemes[this._currentBuilt.length];
-    this.audio?.playPhoneme(phoneme);
+    this._attempt?.taps.push(phoneme);
+    this.audio?.playPhoneme(phoneme, this._currentWord, this._dueTileIdx(phoneme));
 
     // Live correctness feedback per tile (green/red flash)
     if (phoneme !== expected) {
@@ -1405,20 +1704,89 @@ class BattleEngine {
     }
   }
 
-  // ── Adaptive queue: weak phonemes get served earlier ─────────────────
+  // ── Adaptive queue: words with weak correspondences get served earlier ──
   _buildAdaptiveWordQueue() {
     const words = [...(this.stage.words || [])];
-    const weakMap = this.progress?.getWeakPhonemes?.(this.stage.id) || {};
-    const scored = words.map(w => ({ word: w, score: this._getWordWeaknessScore(w, weakMap) + Math.random() * 0.35 }));
+    // Words missed here in the last week come round sooner too.
+    const missed = {};
+    (this.progress?.getAttempts?.({ from: Date.now() - RECENT_MISS_DAYS * 864e5, stage: this.stage.id, ok: false }) || [])
+      .forEach(a => { missed[a.word] = (missed[a.word] || 0) + 1; });
+    const scored = words.map(w => ({
+      word: w,
+      score: this._getWordWeaknessScore(w) + Math.min(2, missed[w.word] || 0) * 0.5 + Math.random() * 0.35,
+    }));
     scored.sort((a, b) => b.score - a.score);
-    return scored.map(x => x.word);
+    const queue = scored.map(x => x.word);
+    // Spaced review: a few due words from earlier cleared stages join
+    // a stage battle, spread out so they never come back to back.
+    // (The Review Dojo's words are all review already, and a placement
+    // probe asks only about its own skill.)
+    if (!this.stage.review && !this.stage.placement) {
+      const due = this.progress?.getDueReviewWords?.({ limit: REVIEW_MIX, exclude: new Set(words.map(w => w.word)) }) || [];
+      due.forEach((w, i) => queue.splice(Math.min(queue.length, 2 + i * 3), 0, w));
+    }
+    return queue;
+  }
+
+  // Review words count toward the stage they came from, not this one,
+  // so a stage's "words mastered" never includes another stage's words.
+  // Placement rounds count toward no stage at all.
+  _statStageId(wordObj) { return wordObj?.reviewOf ?? (this.stage.placement ? null : this.stage.id); }
+
+  // ── Attempt log ──────────────────────────────────────────────
+  _attemptInfo(round, outcome) {
+    const a = this._attempt || { startedAt: Date.now(), taps: [], hints: 0, undos: 0 };
+    return { round, outcome, tiles: [...a.taps], ms: Date.now() - a.startedAt, hints: a.hints, undos: a.undos };
+  }
+
+  // A round that ends without recordBlend(): a mini-game answer
+  // revealed after too many tries, or the timer running out.
+  _logMissedRound(outcome) {
+    this._roundsDone++;
+    const c = this._isChallenge ? this._challenge : null;
+    const wordObj = c ? c.baseWord : this._currentWord;
+    if (!this.progress?.logAttempt || !wordObj) return;
+    if (c) this._observeChallenge(c, false);
+    else this._observeTileMiss(wordObj, this._currentBuilt.length);
+    this.progress.logAttempt({
+      ...this._attemptInfo(c ? c.type : 'blend', outcome),
+      stage: this._statStageId(wordObj), word: wordObj.word, ok: false,
+      sounds: c ? this._challengeSounds(c) : PHONICS_DATA.wordPhonemes(wordObj),
+    });
   }
 
-  _getWordWeaknessScore(wordObj, weakMap) {
-    const bonus = (wordObj.phonemes || []).reduce((sum, ph) => sum + (weakMap[ph.toLowerCase()] || 0), 0);
+  // Each correspondence far from mastered is worth about two recent misses.
+  _getWordWeaknessScore(wordObj) {
+    const bonus = (this.progress?.getWordWeakness?.(wordObj) || 0) * 2;
     return bonus + ((wordObj.phonemes?.length || 0) >= 4 ? 0.25 : 0);
   }
 
+  // ── Skill evidence (ProgressTracker.observeSkill) ───────────────────
+  // A blend is judged tile by tile: the first wrong tap at a position
+  // counts against that tile only, and a finished word credits just the
+  // tiles that never went wrong this round.
+  _observeTileMiss(wordObj, idx) {
+    const missed = this._attempt?.missedTiles;
+    if (!this.progress?.observeSkill || !missed || idx >= (wordObj.phonemes?.length || 0) || missed.has(idx)) return;
+    missed.add(idx);
+    this.progress.observeSkill(wordObj, false, { tiles: [idx] });
+  }
+
+  _observeBlendSuccess(wordObj) {
+    const missed = this._attempt?.missedTiles || new Set();
+    const tiles = (wordObj.phonemes || []).map((_, i) => i).filter(i => !missed.has(i));
+    if (tiles.length) this.progress?.observeSkill?.(wordObj, true, { tiles });
+  }
+
+  // A mini-game round counts once, on its first answer: right only if
+  // solved without a wrong try.
+  _observeChallenge(c, ok) {
+    if (!this._attempt || this._attempt.judged) return;
+    this._attempt.judged = true;
+    const tiles = this._challengeTiles(c);
+    if (tiles === null || tiles.length) this.progress?.observeSkill?.(c.baseWord, ok, { activity: c.type, tiles });
+  }
+
   // ── Tile pronunciation helper using speech synthesis ─────────────────
   _pronounceTile(phoneme) {
     // Reuse AudioManager's UK-female voice preference when available.
@@ -1439,7 +1807,7 @@ class BattleEngine {
   _getPhonemeColorClass(phoneme) {
     const ph = String(phoneme || '').toLowerCase();
     const vowels = new Set(['a','e','i','o','u']);
-    if (vowels.has(ph)) return 'be-tile-vowel';
+    if (vowels.has(ph) || /^[aeiou]_e$/.test(ph)) return 'be-tile-vowel';
     if (/^(sh|ch|th|wh|ph|ck|ng)$/.test(ph)) return 'be-tile-digraph';
     if (ph.length >= 2) return 'be-tile-blend';
     return 'be-tile-cons';
@@ -1454,12 +1822,13 @@ class BattleEngine {
   }
 
   _onWrongTile(expected, got, tileEl) {
+    this._observeTileMiss(this._currentWord, this._currentBuilt.length);
     this._flashTileFeedback(tileEl, 'bad');
     this.audio?.sfxWrongBlend?.();
-    this._setFeedback(`❌ Try '${String(expected).toUpperCase()}' first. You tapped '${String(got).toUpperCase()}'.`, '#FF8A80');
+    this._setFeedback(`❌ Try '${_tileText(expected)}' first. You tapped '${_tileText(got)}'.`, '#FF8A80');
     // After brief pause, play the CORRECT phoneme so the child hears what to listen for
     setTimeout(() => {
-      if (!this.done) this.audio?.playPhoneme?.(expected);
+      if (!this.done) this.audio?.playPhoneme?.(expected, this._currentWord);
     }, 650);
 
     this._wrongAttempts++;
@@ -1551,6 +1920,7 @@ class BattleEngine {
     this._combo = 0;
     this._streak = 0;
     this._attemptedBlends++;
+    this._roundsDone++;
 
     const rawDmg = this.stage.bossAttack;
     const dmg = this._applyIncomingDamage(rawDmg, 'skip');
@@ -1560,12 +1930,14 @@ class BattleEngine {
     if (this.audio) this.audio.sfxHurt();
 
     const wordUp = this._currentWord.word.toUpperCase();
-    this._setFeedback(`💦 "${wordUp}" — the answer was: ${this._currentWord.phonemes.map(p=>p.toUpperCase()).join(' · ')}`, '#FF9800');
+    this._setFeedback(`💦 "${wordUp}" — the answer was: ${this._currentWord.phonemes.map(_tileText).join(' · ')}`, '#FF9800');
 
     const _fy = Math.round(this.H * 0.58);
     this.damagePops.push(new DamagePop(Math.round(this.W * 0.22), Math.round(_fy * 0.50), `🦖 -${dmg}`, '#FF5252'));
 
-    if (this.progress) this.progress.recordBlend(this.stage.id, this._currentWord.word, false, false, this._currentWord.phonemes);
+    // Out of tries: the tile the child was stuck on is the one missed
+    this._observeTileMiss(this._currentWord, this._currentBuilt.length);
+    if (this.progress) this.progress.recordBlend(this._statStageId(this._currentWord), this._currentWord.word, false, false, PHONICS_DATA.wordPhonemes(this._currentWord), this._attemptInfo('blend'));
 
     setTimeout(() => {
       if (this._destroyed) return;
@@ -1673,6 +2045,8 @@ class BattleEngine {
     this._streak++;
     this._attemptedBlends++;
     this._correctBlends++;
+    if (this._wrongAttempts === 0) this._firstTryCorrect++;
+    this._roundsDone++;
     // Phase-2 gimmick payoff: beating the word breaks the boss's lock
     if (this._tileStolen) {
       this._tileStolen = false;
@@ -1704,7 +2078,8 @@ class BattleEngine {
       }
     }
 
-    if (this.progress) this.progress.recordBlend(this.stage.id, wordObj.word, true, timeBonus > 0.82, wordObj.phonemes);
+    this._observeBlendSuccess(wordObj);
+    if (this.progress) this.progress.recordBlend(this._statStageId(wordObj), wordObj.word, true, timeBonus > 0.82, PHONICS_DATA.wordPhonemes(wordObj), this._attemptInfo('blend'));
     // Track unique words the child successfully blended (for end-of-stage summary)
     if (!this._learnedWords.includes(wordObj.word)) {
       this._learnedWords.push(wordObj.word);
@@ -1716,7 +2091,7 @@ class BattleEngine {
     this._showSayItBanner(wordObj.word);
     setTimeout(() => {
       if (this._destroyed) return;
-      if (this.audio) this.audio.playBlendSequence(wordObj.phonemes, wordObj.word);
+      if (this.audio) this.audio.playBlendSequence(wordObj.phonemes, wordObj.word, wordObj);
     }, 200);
 
     const floorY = Math.round(this.H * 0.58);
@@ -1796,6 +2171,7 @@ class BattleEngine {
 
   _bossAutoAttack() {
     if (this.done || this.state === 'boss-attack') return;
+    this._logMissedRound('timeout');
 
     // Relaxed mode: timer expiry never hurts — just encourage and restart
     if (this._relaxedMode) {
@@ -1860,6 +2236,7 @@ class BattleEngine {
     // Disable button so it can't be spammed mid-word
     if (this._hintBtn) this._hintBtn.disabled = true;
     this._showFirstHint = true;
+    if (this._attempt) this._attempt.hints++;
     if (this._isChallenge && this._challenge) {
       this._renderChallengeTiles();
       this._setFeedback('💡 Hint: the right sound is glowing!', '#FFD700');
@@ -1875,6 +2252,7 @@ class BattleEngine {
     if (this._isChallenge) return;   // no tile placement to undo in a detective round
     if (this.state === 'riku-attack' || this.state === 'boss-attack') return;
     if (!this._currentBuilt.length) return;
+    if (this._attempt) this._attempt.undos++;
     this._currentBuilt.pop();
     const lastIdx = this._builtTileIdxes.pop();
     if (lastIdx !== undefined) this._usedTileIdx.delete(lastIdx);
@@ -2665,7 +3043,7 @@ class EndlessBattleEngine {
     const html = this.word.phonemes.map((ph, i) => {
       const filled = this._built[i];
       return filled
-        ? `<span class="ebe-blank ebe-blank-filled">${filled.toUpperCase()}</span>`
+        ? `<span class="ebe-blank ebe-blank-filled">${_tileText(filled)}</span>`
         : `<span class="ebe-blank"></span>`;
     }).join('');
     this._blanksEl.innerHTML = html;
@@ -2688,16 +3066,16 @@ class EndlessBattleEngine {
       const btn = document.createElement('button');
       const _isUsedEbe = this._usedIdx.has(i);
       btn.className = 'ebe-tile' + (_isUsedEbe ? ' ebe-tile-used' : '');
-      btn.textContent = ph.toUpperCase();
+      btn.textContent = _tileText(ph);
       btn.setAttribute('role', 'button');
-      btn.setAttribute('aria-label', `Phoneme ${ph.toUpperCase()}${_isUsedEbe ? ', used' : ''}`);
+      btn.setAttribute('aria-label', `Phoneme ${_tileText(ph)}${_isUsedEbe ? ', used' : ''}`);
       btn.setAttribute('aria-disabled', _isUsedEbe ? 'true' : 'false');
-      btn.setAttribute('title', `${ph.toUpperCase()} — press '${ph[0].toUpperCase()}' key`);
+      btn.setAttribute('title', `${_tileText(ph)} — press '${ph[0].toUpperCase()}' key`);
       if (!this._usedIdx.has(i)) {
         const tap = (e) => { e.preventDefault(); this._onTap(ph, i, btn); };
         btn.addEventListener('touchstart', tap, { passive: false });
         btn.addEventListener('mousedown',  tap);
-        btn.addEventListener('mouseenter', () => this.audio?.playPhoneme(ph));
+        btn.addEventListener('mouseenter', () => this.audio?.playPhoneme(ph, this.word, i));
       }
       this._tilesEl.appendChild(btn);
       this._tileEls[i] = btn;
@@ -2708,7 +3086,7 @@ class EndlessBattleEngine {
     if (this._state !== 'blend') return;
     if (this._usedIdx.has(idx)) return;
 
-    this.audio?.playPhoneme(ph);
+    this.audio?.playPhoneme(ph, this.word, idx);
 
     const expected = this.word.phonemes[this._built.length];
     if (ph === expected) {
@@ -2831,7 +3209,7 @@ class EndlessBattleEngine {
 
     // Also pronounce the word
     if (this.audio && !isMiss) {
-      this.audio.playBlendSequence(this.word.phonemes, this.word.word);
+      this.audio.playBlendSequence(this.word.phonemes, this.word.word, this.word);
     }
 
     // Hide tiles
@@ -2883,7 +3261,7 @@ class EndlessBattleEngine {
       const ph = this.word.phonemes[i];
       // Find tile that hasn't been used
       const btn = Object.values(this._tileEls).find(
-        b => b.textContent.toLowerCase() === ph && !b.classList.contains('ebe-tile-used')
+        b => b.textContent === _tileText(ph) && !b.classList.contains('ebe-tile-used')
       );
       if (btn) {
         this._built.push(ph);
@@ -2891,7 +3269,7 @@ class EndlessBattleEngine {
         btn.classList.add('ebe-tile-used');
         this._renderBlanks();
         this._spawnTileParticles(btn, '#FFD700');
-        if (this.audio) this.audio.playPhoneme(ph);
+        if (this.audio) this.audio.playPhoneme(ph, this.word, i);
       }
       setTimeout(() => autoNext(i + 1), 250);
     };
@@ -0,0 +1,89 @@
+'use strict';
+// ============================================================
+// CALENDAR — js/calendar.js
+//
+// One idea of "today" for the whole game: the date on the device's
+// own clock, in its own time zone. Daily challenges, streaks, the
+// login calendar, review due dates, weekly boards and Dino Dash's
+// daily course all roll over together at local midnight.
+//
+// Dates are 'YYYY-MM-DD' strings, which sort and compare as text.
+// Day counts are worked out from the date parts alone, never from
+// milliseconds between two clock times, so a 23- or 25-hour DST day
+// is still one day.
+// ============================================================
+
+const _DAY_MS = 86400000;
+
+class GameCalendar {
+  // ── Dates ────────────────────────────────────────────────
+  // The local date `offsetDays` from `from` (default: now)
+  dateStr(offsetDays = 0, from = new Date()) {
+    // Noon keeps the arithmetic clear of DST jumps around midnight
+    const d = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offsetDays, 12);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  today()     { return this.dateStr(0); }
+  yesterday() { return this.dateStr(-1); }
+
+  // Whole days from date `a` to date `b` (negative when b is earlier).
+  // Either may be a date string or a Date; null/invalid gives NaN.
+  daysBetween(a, b = this.today()) {
+    return this._dayNumber(b) - this._dayNumber(a);
+  }
+
+  // The Monday the week of `date` (default today) started on
+  weekStart(date = this.today()) {
+    const day = this._parse(date);
+    return day ? this.dateStr(-((day.getDay() + 6) % 7), day) : this.today();
+  }
+
+  // 1 on 1 January
+  dayOfYear(date = this.today()) {
+    const d = this._parse(date);
+    return d ? this._dayNumber(d) - this._dayNumber(new Date(d.getFullYear(), 0, 0)) : 1;
+  }
+
+  // A number that is the same all day and changes at midnight, for
+  // seeding a day's random course: 20261019
+  daySeed(date = this.today()) {
+    return Number(String(this._str(date)).replace(/-/g, ''));
+  }
+
+  msUntilMidnight(now = new Date()) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1) - now;
+  }
+
+  // ── Streaks ──────────────────────────────────────────────
+  // What a streak last kept on `last` does today:
+  //   'same'    — already counted today, or the clock went back; leave it
+  //   'next'    — yesterday, so it carries on
+  //   'missed'  — one or more days were skipped; `missed` says how many
+  //   'first'   — never kept before
+  streakStep(last, today = this.today()) {
+    if (!last) return { step: 'first', missed: 0 };
+    const gap = this.daysBetween(last, today);
+    if (!Number.isFinite(gap)) return { step: 'first', missed: 0 };
+    if (gap <= 0) return { step: 'same', missed: 0 };
+    if (gap === 1) return { step: 'next', missed: 0 };
+    return { step: 'missed', missed: gap - 1 };
+  }
+
+  // ── Internals ────────────────────────────────────────────
+  // 'YYYY-MM-DD' or a Date → a local Date at noon that day
+  _parse(v) {
+    if (v instanceof Date) return isNaN(v) ? null : new Date(v.getFullYear(), v.getMonth(), v.getDate(), 12);
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(v || ''));
+    return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12) : null;
+  }
+  _str(v) { return v instanceof Date ? this.dateStr(0, v) : v; }
+
+  // Days since 1970-01-01 for the calendar date itself, time zone aside
+  _dayNumber(v) {
+    const d = this._parse(v);
+    return d ? Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / _DAY_MS : NaN;
+  }
+}
+
+const CALENDAR = new GameCalendar();
@@ -13,6 +13,10 @@
 //   4. Live Countdown Timer     — FOMO: daily challenge resets in X:XX:XX
 //   5. Streak Shield            — spend rice to save a streak (loss aversion)
 //   6. Welcome-Back Bonus       — reward returning players, never shame them
+//
+// While a parent's play-time limit or quiet hours are in force
+// (SCREEN_TIME.lock()), the countdown, jar and rewards dot go quiet
+// and the home screen says when Riku can play again.
 // ============================================================
 
 // ── XP level thresholds (cumulative XP to REACH that level) ──
@@ -37,40 +41,42 @@ const SHIELD_COST = 75;
 class EngagementEngine {
   constructor(tracker) {
     this._t   = tracker;
-    this._key = 'samurice_engage_v2';
+    this._key = PROFILES.key('samurice_engage_v2');
     this._load();
     this._checkWelcomeBack();
     this._startCountdown();
   }
 
+  // After a profile switch: the tracker has already reloaded, so
+  // re-read this profile's jar/shield state and redraw the home UI.
+  reload() {
+    this._key = PROFILES.key('samurice_engage_v2');
+    this._load();
+    this._checkWelcomeBack();
+    this.refresh();
+  }
+
   // ── Persistence ──────────────────────────────────────────
   _load() {
     try {
-      const raw = localStorage.getItem(this._key);
+      const raw = STORE.getItem(this._key);
       this._d = raw ? JSON.parse(raw) : this._fresh();
     } catch { this._d = this._fresh(); }
   }
   _save() {
-    try { localStorage.setItem(this._key, JSON.stringify(this._d)); } catch {}
+    STORE.setItem(this._key, JSON.stringify(this._d));
+    this._t.markSyncDirty?.();
   }
   _fresh() {
     return {
       lastJarDate:      null,  // date-string of last jar spin
       jarSpunToday:     false,
       welcomeBonusPaid: null,  // date-string when paid
-      shieldActive:     false, // true = streak is frozen today
-      shieldUsedDate:   null,
+      shieldActive:     false, // true = armed: the next missed day(s) are forgiven
+      shieldUsedDate:   null,  // date-string it was bought
     };
   }
 
-  // ── Date helpers ─────────────────────────────────────────
-  _today()     { return new Date().toISOString().slice(0, 10); }
-  _yesterday() { const d = new Date(); d.setDate(d.getDate() - 1); return d.toISOString().slice(0, 10); }
-  _daysSince(dateStr) {
-    if (!dateStr) return 999;
-    return Math.floor((Date.now() - new Date(dateStr).getTime()) / 86400000);
-  }
-
   // ── XP System ────────────────────────────────────────────
   computeXP() {
     const t = this._t;
@@ -108,14 +114,14 @@ class EngagementEngine {
 
   // ── Lucky Jar ────────────────────────────────────────────
   canSpinJar() {
-    return this._d.lastJarDate !== this._today();
+    return this._d.lastJarDate !== CALENDAR.today();
   }
 
   spinJar() {
     if (!this.canSpinJar()) return 0;
     const amount = JAR_MIN + Math.floor(Math.random() * (JAR_MAX - JAR_MIN + 1));
     this._t.addRiceGrains(amount);
-    this._d.lastJarDate = this._today();
+    this._d.lastJarDate = CALENDAR.today();
     this._save();
     return amount;
   }
@@ -143,37 +149,38 @@ class EngagementEngine {
   }
 
   // ── Streak Shield ────────────────────────────────────────
+  // Bought here, spent by ProgressTracker._checkLoginStreak() on the
+  // first day back after a short gap. One can be armed at a time.
   canUseShield() {
     const streak = this._t.getLoginStreak();
-    const notUsedToday = this._d.shieldUsedDate !== this._today();
     const hasRice = this._t.getRiceGrains() >= SHIELD_COST;
-    return streak >= 3 && notUsedToday && hasRice;
+    return streak >= 3 && !this._d.shieldActive && hasRice;
   }
 
   useShield() {
     if (!this.canUseShield()) return false;
     const spent = this._t.spendRiceGrains(SHIELD_COST);
     if (!spent) return false;
-    this._d.shieldUsedDate = this._today();
+    this._d.shieldUsedDate = CALENDAR.today();
     this._d.shieldActive   = true;
     this._save();
     return true;
   }
 
-  shieldActiveToday() {
-    return this._d.shieldUsedDate === this._today();
+  shieldArmed() {
+    return !!this._d.shieldActive;
   }
 
   // ── Welcome-Back Bonus ───────────────────────────────────
   _checkWelcomeBack() {
     const lastLogin = this._t.data?.lastLoginDate;
     if (!lastLogin) return;
-    const days = this._daysSince(lastLogin);
+    const days = CALENDAR.daysBetween(lastLogin);
     // If away for 2-14 days, give a bonus (not if they just played yesterday)
-    if (days >= 2 && days <= 14 && this._d.welcomeBonusPaid !== this._today()) {
+    if (days >= 2 && days <= 14 && this._d.welcomeBonusPaid !== CALENDAR.today()) {
       const bonus = Math.min(50 + days * 15, 200);
       this._t.addRiceGrains(bonus);
-      this._d.welcomeBonusPaid = this._today();
+      this._d.welcomeBonusPaid = CALENDAR.today();
       this._d.pendingWelcome   = { days, bonus };
       this._save();
     }
@@ -188,12 +195,6 @@ class EngagementEngine {
   }
 
   // ── Countdown to daily reset ─────────────────────────────
-  _msUntilMidnight() {
-    const now  = new Date();
-    const next = new Date(now);
-    next.setHours(24, 0, 0, 0);
-    return next - now;
-  }
 
   _formatCountdown(ms) {
     const s = Math.floor(ms / 1000);
@@ -204,9 +205,26 @@ class EngagementEngine {
   }
 
   _startCountdown() {
+    this._day = this._day || CALENDAR.today();
     const tick = () => {
+      // Midnight passed with the game open (or the clock was changed):
+      // start the new day without waiting for a reload.
+      if (CALENDAR.today() !== this._day) {
+        this._day = CALENDAR.today();
+        this._t.checkNewDay?.();
+        this._load();   // the tracker may have spent the streak shield
+        this.refresh();
+        return;
+      }
+      // A limit starting or ending changes the whole home screen
+      const lock = SCREEN_TIME.lock();
+      if ((lock?.kind || null) !== this._lockKind) {
+        this._lockKind = lock?.kind || null;
+        this.refresh();
+        return;
+      }
       const el = document.getElementById('mc-countdown');
-      if (el) el.textContent = '⏱ ' + this._formatCountdown(this._msUntilMidnight()) + ' left';
+      if (el) el.textContent = lock ? '' : '⏱ ' + this._formatCountdown(CALENDAR.msUntilMidnight()) + ' left';
     };
     tick();
     if (this._countdownInterval) clearInterval(this._countdownInterval);
@@ -216,10 +234,12 @@ class EngagementEngine {
   // ── Home screen render ────────────────────────────────────
   renderHomeUI() {
     this._renderXPBar();
+    this._renderGoals();
     this._renderCalendar();
     this._renderJarBtn();
     this._renderShield();
     this._renderWelcomeBack();
+    this._renderNapNote();
     this._startCountdown();
   }
 
@@ -235,8 +255,30 @@ class EngagementEngine {
     if (nextEl)  nextEl.textContent = `${xpInLevel}/${xpForLevel} XP`;
   }
 
+  // One ring per weekly goal; a met goal shows a tick
+  _renderGoals() {
+    const wrap = document.getElementById('mc-goals');
+    if (!wrap) return;
+    const goals = this._t.getGoals();
+    wrap.style.display = goals.length ? 'flex' : 'none';
+    wrap.innerHTML = '';
+    goals.forEach(g => {
+      const el = document.createElement('div');
+      el.className = `mc-goal${g.done ? ' mc-goal-done' : ''}`;
+      el.title = g.label;
+      el.innerHTML = `
+        <div class="mc-goal-ring" style="--pct:${Math.round(g.pct * 100)}">
+          <span>${g.done ? '✓' : g.emoji}</span>
+        </div>
+        <div class="mc-goal-label"></div>`;
+      el.querySelector('.mc-goal-label').textContent = g.label;
+      wrap.appendChild(el);
+    });
+  }
+
   // Whether there are uncollected daily rewards (drives notification dot)
   hasUncollectedRewards() {
+    if (SCREEN_TIME.lock()) return false;
     return this.canSpinJar() || (this._t.canClaimLoginReward?.() ?? false);
   }
 
@@ -298,7 +340,12 @@ class EngagementEngine {
     const btn   = document.getElementById('mc-jar-btn');
     const label = document.getElementById('mc-jar-label');
     if (!btn) return;
-    if (this.canSpinJar()) {
+    if (this.canSpinJar() && SCREEN_TIME.lock()) {
+      btn.classList.remove('jar-ready');
+      btn.classList.add('jar-spent');
+      if (label) label.textContent = '💤 Riku is napping';
+      btn.onclick = null;
+    } else if (this.canSpinJar()) {
       btn.textContent = '🫙';
       btn.classList.add('jar-ready');
       btn.classList.remove('jar-spent');
@@ -344,7 +391,7 @@ class EngagementEngine {
 
     const btn = document.getElementById('mc-shield-btn');
     if (!btn) return;
-    if (this.shieldActiveToday()) {
+    if (this.shieldArmed()) {
       btn.textContent    = '🛡️ Streak Shielded!';
       btn.disabled       = true;
       btn.classList.add('shield-active');
@@ -377,6 +424,14 @@ class EngagementEngine {
     if (riceEl) riceEl.textContent = `🌾 ${this._t.getRiceGrains()} rice grains`;
   }
 
+  _renderNapNote() {
+    const note = document.getElementById('mc-nap-note');
+    if (!note) return;
+    const lock = SCREEN_TIME.lock();
+    note.textContent = lock ? `💤 ${lock.text}` : '';
+    note.style.display = lock ? 'block' : 'none';
+  }
+
   _renderWelcomeBack() {
     const w = this.getPendingWelcome();
     if (!w) return;
@@ -0,0 +1,232 @@
+'use strict';
+// ============================================================
+// READING SPRINT — js/fluencySprint.js
+//
+// A timed oral reading fluency (ORF) sprint, scored by a grown-up
+// while the child reads out loud. The text is one world's Read-with-
+// Riku passage, or a list of that world's words; each word on screen
+// is a button:
+//
+//   while reading   tap a word read wrong or skipped (tap again to undo)
+//   time's up       tap the last word they read, then Score it
+//   Read to the end they finished early; the time taken is used
+//
+// Words correct per minute (WCPM) is the words read less the errors,
+// scaled to ORF_SECONDS, and accuracy is the share of words read that
+// were right. The sprint goes to ProgressTracker.recordOrf(); nothing
+// is saved if it is cancelled.
+//
+//   FLUENCY_SPRINT.start(tracker, worldId, 'passage' | 'words', (sprint) => …)
+// ============================================================
+
+const ORF_SECONDS    = 60;
+const ORF_LIST_WORDS = 60;   // words in a word-list sprint, at most
+const ORF_ACCURACY   = 95;   // % right for reading that is comfortable, not a struggle
+
+// WCPM to aim for in each world's sprint: about the 50th percentile of
+// the Hasbrouck & Tindal (2017) oral reading norms at the point in
+// grades 1–2 where the world's skills are usually taught. A guide for
+// the chart, not a pass mark.
+const ORF_TARGETS = { 1: 10, 2: 20, 3: 30, 4: 45, 5: 60, 6: 70, 7: 85, 8: 100 };
+
+class FluencySprint {
+  constructor() {
+    this._el  = null;
+    this._run = null;     // the sprint in progress
+  }
+
+  // Opens a sprint on `worldId`'s passage or word list. false if one
+  // is already open or the world has nothing of that kind to read.
+  start(tracker, worldId, kind = 'passage', onDone = null) {
+    if (this._run) return false;
+    const words = this.text(worldId, kind);
+    if (!words.length) return false;
+    if (!this._el) this._build();
+    this._run = {
+      tracker, world: worldId, kind, words, onDone,
+      wrong: new Set(), last: null, startedAt: 0, timer: null, timeUp: false,
+    };
+    const world = PHONICS_DATA.getWorld(worldId);
+    this._ui.title.textContent = `⏱️ Reading sprint · ${world.icon} ${world.name}`;
+    this._ui.intro.textContent = kind === 'passage'
+      ? 'Your child reads the story out loud from the start.'
+      : 'Your child reads the words out loud, along each row.';
+    this._showPanel('intro');
+    this._el.classList.add('orf-open');
+    return true;
+  }
+
+  cancel() {
+    if (!this._run) return;
+    clearInterval(this._run.timer);
+    this._run = null;
+    this._el.classList.remove('orf-open');
+  }
+
+  // What a sprint reads, as the words shown: the world's story
+  // sentences in order, or its words shuffled
+  text(worldId, kind) {
+    const world = PHONICS_DATA.getWorld(worldId);
+    if (!world) return [];
+    const stages = world.stageIds.map(id => PHONICS_DATA.getStage(id)).filter(Boolean);
+    if (kind === 'passage') return stages.flatMap(st => st.sentences || []).join(' ').split(' ').filter(Boolean);
+    const words = [...new Set(stages.flatMap(st => st.words.map(w => w.word)))];
+    for (let i = words.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [words[i], words[j]] = [words[j], words[i]];
+    }
+    return words.slice(0, ORF_LIST_WORDS);
+  }
+
+  // ── Running ──────────────────────────────────────────────
+  _begin() {
+    const run = this._run;
+    run.startedAt = Date.now();
+    run.timer = setInterval(() => this._tick(), 200);
+    this._showText();
+    this._showPanel('read');
+    this._tick();
+  }
+
+  _tick() {
+    const run = this._run;
+    const left = Math.max(0, ORF_SECONDS - (Date.now() - run.startedAt) / 1000);
+    this._ui.fill.style.width = `${(left / ORF_SECONDS) * 100}%`;
+    this._ui.clock.textContent = run.timeUp ? "⏱️ Time's up! Tap the last word they read." : `⏱️ ${Math.ceil(left)}s`;
+    if (left > 0 || run.timeUp) return;
+    run.timeUp = true;
+    clearInterval(run.timer);
+    this._ui.end.textContent = 'Score it →';
+    this._ui.end.disabled = true;
+    this._tick();
+  }
+
+  _showText() {
+    const run = this._run;
+    const text = this._ui.text;
+    text.classList.toggle('orf-list', run.kind === 'words');
+    text.innerHTML = '';
+    this._ui.end.textContent = '🏁 Read to the end';
+    this._ui.end.disabled = false;
+    run.words.forEach((w, i) => {
+      const btn = document.createElement('button');
+      btn.className = 'orf-word';
+      btn.textContent = w;
+      btn.setAttribute('aria-pressed', 'false');
+      btn.addEventListener('click', () => this._tap(i, btn));
+      text.appendChild(btn);
+    });
+  }
+
+  // Before time's up a tap marks an error; after, it picks the last word read
+  _tap(i, btn) {
+    const run = this._run;
+    if (!run.timeUp) {
+      if (run.wrong.has(i)) run.wrong.delete(i); else run.wrong.add(i);
+      btn.classList.toggle('orf-wrong', run.wrong.has(i));
+      btn.setAttribute('aria-pressed', String(run.wrong.has(i)));
+      return;
+    }
+    run.last = i;
+    [...this._ui.text.children].forEach((b, j) => {
+      b.classList.toggle('orf-last', j === i);
+      b.classList.toggle('orf-unread', j > i);
+    });
+    this._ui.end.disabled = false;
+  }
+
+  _end() {
+    const run = this._run;
+    if (!run?.startedAt) return;
+    if (!run.timeUp) run.last = run.words.length - 1;
+    if (run.last === null) return;
+    this._finish();
+  }
+
+  _finish() {
+    const run = this._run;
+    clearInterval(run.timer);
+    const sec = run.timeUp ? ORF_SECONDS
+      : Math.max(1, Math.min(ORF_SECONDS, Math.round((Date.now() - run.startedAt) / 1000)));
+    const wrong = [...run.wrong].filter(i => i <= run.last).sort((a, b) => a - b);
+    const read = run.last + 1;
+    const correct = read - wrong.length;
+    const sprint = run.tracker.recordOrf({
+      world: run.world, kind: run.kind,
+      wcpm: Math.round((correct * 60) / sec),
+      accuracy: Math.round((correct / read) * 100),
+      read, errors: wrong.length, sec,
+      missed: wrong.map(i => run.words[i].replace(/[^a-zA-Z']/g, '').toLowerCase()),
+    });
+    const target = ORF_TARGETS[run.world];
+    this._ui.result.innerHTML = `
+      <p class="nwf-big">${sprint.wcpm} <span>words correct per minute</span></p>
+      <p class="nwf-big">${sprint.accuracy}% <span>accuracy</span></p>
+      <p class="nwf-note">${sprint.read} word${sprint.read === 1 ? '' : 's'} read in ${sprint.sec}s ·
+        ${sprint.errors} error${sprint.errors === 1 ? '' : 's'}${target ? ` · target for this world ${target} WCPM` : ''}</p>
+      ${sprint.accuracy < ORF_ACCURACY ? `<p class="nwf-note">Under ${ORF_ACCURACY}% right is hard going — more practice on these sounds will help before pushing for speed.</p>` : ''}
+      ${sprint.missed.length ? `<p class="nwf-note">Read wrong: ${sprint.missed.join(', ')}</p>` : ''}`;
+    this._showPanel('result');
+    run.sprint = sprint;
+  }
+
+  _close() {
+    const run = this._run;
+    this.cancel();
+    if (run?.sprint) run.onDone?.(run.sprint);
+  }
+
+  // ── Dialog ───────────────────────────────────────────────
+  // Shares the nonsense-word check's layout styles (nwf-*)
+  _build() {
+    const el = document.createElement('div');
+    el.id = 'orf-sprint';
+    el.className = 'pg-backdrop orf-backdrop';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-labelledby', 'orf-title');
+    el.innerHTML = `
+      <div class="pg-card nwf-card orf-card">
+        <h3 class="pg-title" id="orf-title"></h3>
+        <div class="orf-panel" data-panel="intro">
+          <p class="pg-reason"><span class="orf-intro"></span> For a grown-up to score: tap any word
+            read wrong or skipped. A word they fix straight away counts as right. If they get stuck for
+            about 3 seconds, say the word, mark it wrong and point to the next one. When the minute is
+            up, tap the last word they read.</p>
+          <button class="pg-btn orf-begin">▶ Start the minute</button>
+        </div>
+        <div class="orf-panel" data-panel="read">
+          <div class="nwf-bar"><span class="nwf-fill"></span></div>
+          <p class="nwf-clock" aria-live="polite"></p>
+          <div class="orf-text"></div>
+          <button class="pg-btn orf-end"></button>
+        </div>
+        <div class="orf-panel" data-panel="result">
+          <div class="orf-result"></div>
+          <button class="pg-btn orf-done">Done</button>
+        </div>
+        <button class="pg-btn pg-cancel orf-cancel">Cancel</button>
+      </div>`;
+    document.body.appendChild(el);
+    const $ = (sel) => el.querySelector(sel);
+    this._ui = {
+      title: $('.pg-title'), intro: $('.orf-intro'), fill: $('.nwf-fill'), clock: $('.nwf-clock'),
+      text: $('.orf-text'), end: $('.orf-end'), result: $('.orf-result'), cancel: $('.orf-cancel'),
+      panels: [...el.querySelectorAll('.orf-panel')],
+    };
+    $('.orf-begin').addEventListener('click', () => this._begin());
+    this._ui.end.addEventListener('click', () => this._end());
+    $('.orf-done').addEventListener('click', () => this._close());
+    this._ui.cancel.addEventListener('click', () => this.cancel());
+    // Keys pressed here mustn't reach the game's own shortcuts underneath
+    el.addEventListener('keydown', (e) => e.stopPropagation());
+    this._el = el;
+  }
+
+  _showPanel(name) {
+    this._ui.panels.forEach(p => { p.hidden = p.dataset.panel !== name; });
+    this._ui.cancel.hidden = name === 'result';
+  }
+}
+
+const FLUENCY_SPRINT = new FluencySprint();
@@ -61,6 +61,9 @@ const SHAKE_DURATION  = 18;
 const SHAKE_MAG       = 8;
 const PARTICLE_COUNT  = 22;
 
+const DINO_BEST_KEY   = 'samurice_dino_best';   // in STORE
+const DINO_BEST_OLD   = 'dinoDashBest';         // where it was kept before, in localStorage
+
 const SKINS = [
   { name: 'Velociraptor', file: 'assets/dinosaurs/velociraptor.png'  },
   { name: 'Stego',        file: 'assets/dinosaurs/stegosaurus.png'  },
@@ -78,8 +81,7 @@ function seededRandom(seed) {
 }
 
 function getDailySeed() {
-  const d = new Date();
-  return d.getFullYear() * 10000 + (d.getMonth() + 1) * 100 + d.getDate();
+  return CALENDAR.daySeed();
 }
 
 // ── AUDIO MANAGER ────────────────────────────────────────────
@@ -470,7 +472,7 @@ class FlappyGame {
     this.state     = 'start';   // start | playing | paused | gameover
     this.mode      = 'classic'; // classic | daily
     this.score     = 0;
-    this.bestScore = parseInt(localStorage.getItem('dinoDashBest') || '0');
+    this.bestScore = this._loadBest();
     this.isNewBest = false;
 
     // Collections
@@ -500,6 +502,20 @@ class FlappyGame {
     this._rafId = requestAnimationFrame(this._loop);
   }
 
+  // Best score from the save store. The first time, it is moved over
+  // from the localStorage key Dino Dash used before.
+  _loadBest() {
+    let best = STORE.getItem(DINO_BEST_KEY);
+    if (best === null) {
+      try { best = localStorage.getItem(DINO_BEST_OLD); } catch { /* storage disabled */ }
+      if (best !== null) {
+        STORE.setItem(DINO_BEST_KEY, best);
+        try { localStorage.removeItem(DINO_BEST_OLD); } catch { /* ignore */ }
+      }
+    }
+    return parseInt(best, 10) || 0;
+  }
+
   // ── CANVAS SETUP ─────────────────────────────────────────
   _setupCanvas() {
     const dpr  = this._dpr;
@@ -645,6 +661,13 @@ class FlappyGame {
 
   // ── GAME FLOW ─────────────────────────────────────────────
   _startGame() {
+    // A run already going finishes; a new one waits until play opens
+    // again, back on the home screen where the reason is shown.
+    if (typeof SCREEN_TIME !== 'undefined' && SCREEN_TIME.lock()) {
+      exitFlappy();
+      window._engagementEngine?.refresh();
+      return;
+    }
     this.score         = 0;
     this.isNewBest     = false;
     this.obstacles     = [];
@@ -673,14 +696,14 @@ class FlappyGame {
     this.audio.hit();
 
     // Record the run in the shared progress tracker so Dino Dash scores
-    // show up in the family Best Scores screen too.
+    // show up on the family Best Scores screen too.
     try {
-      window._progressTracker?.recordEndlessRun?.(this.score, this.score * 10, 0);
+      window._progressTracker?.recordDinoDash?.(this.score);
     } catch { /* tracker optional when Dino Dash runs standalone */ }
     if (this.score > this.bestScore) {
       this.bestScore = this.score;
       this.isNewBest = true;
-      localStorage.setItem('dinoDashBest', this.bestScore);
+      STORE.setItem(DINO_BEST_KEY, this.bestScore);
       setTimeout(() => this.audio.highScore(), 350);
     }
     this._setShareVisible(true);
@@ -729,6 +752,11 @@ class FlappyGame {
   // ── MAIN LOOP ─────────────────────────────────────────────
   _loop(now) {
     this._rafId = requestAnimationFrame(this._loop);
+    // Runs count towards the child's play-time limits (js/screenTime.js)
+    if (this.state === 'playing' && this._lastNow && typeof SCREEN_TIME !== 'undefined') {
+      SCREEN_TIME.tick(Math.min(now - this._lastNow, 250) / 1000);
+    }
+    this._lastNow = now;
     const ctx = this.ctx;
     ctx.clearRect(0, 0, this.W, this.H);
 
@@ -0,0 +1,202 @@
+'use strict';
+// ============================================================
+// NONSENSE-WORD CHECK — js/nwfCheck.js
+//
+// A one-minute nonsense-word fluency (NWF) check, given by a grown-up
+// sitting next to the child. Made-up words from
+// PHONICS_DATA.pseudoWords() come up one at a time; the child reads
+// each one aloud, sound by sound or all in one go, and the grown-up
+// scores it on the buttons underneath:
+//
+//   a sound     tap it if it was wrong or skipped (tap again to undo)
+//   Sounds      read sound by sound, or with a sound wrong
+//   Whole word  read in one go; counts as a whole word read when no
+//               sound is marked
+//
+// The clock starts on the first word. When the minute is up the word
+// on screen is still scored, then the totals go to
+// ProgressTracker.recordNwf(): correct letter sounds (CLS) and whole
+// words read (WWR). Nothing is saved if the check is cancelled.
+//
+//   NWF_CHECK.start(tracker, stageId, (check) => …)
+// ============================================================
+
+const NWF_SECONDS = 60;
+const NWF_WORDS   = 80;   // more than anyone reads in a minute
+
+class NwfCheck {
+  constructor() {
+    this._el  = null;
+    this._run = null;     // the check in progress
+  }
+
+  // Opens the check on words a child who has finished `stageId` can
+  // decode. false if one is already open or the stage has no words to
+  // make them from.
+  start(tracker, stageId, onDone = null) {
+    if (this._run) return false;
+    const words = PHONICS_DATA.pseudoWords(stageId, NWF_WORDS);
+    if (!words.length) return false;
+    if (!this._el) this._build();
+    this._run = {
+      tracker, stageId, words, onDone,
+      index: 0, wrong: new Set(), startedAt: 0, timer: null, timeUp: false,
+      cls: 0, wwr: 0, sounds: 0, tried: 0, missed: [],
+    };
+    const stage = PHONICS_DATA.getStage(stageId);
+    this._ui.title.textContent = `🔤 Made-up word check · Stage ${stage.world}-${stage.local}`;
+    this._showPanel('intro');
+    this._el.classList.add('nwf-open');
+    return true;
+  }
+
+  cancel() {
+    if (!this._run) return;
+    clearInterval(this._run.timer);
+    this._run = null;
+    this._el.classList.remove('nwf-open');
+  }
+
+  // ── Running ──────────────────────────────────────────────
+  _begin() {
+    const run = this._run;
+    run.startedAt = Date.now();
+    run.timer = setInterval(() => this._tick(), 200);
+    this._showPanel('word');
+    this._showWord();
+    this._tick();
+  }
+
+  _tick() {
+    const run = this._run;
+    const left = Math.max(0, NWF_SECONDS - (Date.now() - run.startedAt) / 1000);
+    this._ui.fill.style.width = `${(left / NWF_SECONDS) * 100}%`;
+    this._ui.clock.textContent = run.timeUp ? "⏱️ Time's up! Score this last word." : `⏱️ ${Math.ceil(left)}s`;
+    if (left > 0 || run.timeUp) return;
+    run.timeUp = true;
+    clearInterval(run.timer);
+    this._tick();
+  }
+
+  // The word, and one button per sound for marking
+  _showWord() {
+    const run = this._run;
+    const w = run.words[run.index];
+    run.wrong.clear();
+    run.units = PHONICS_DATA.gpcOf(w).filter(u => u.p.length);
+    this._ui.word.textContent = w.word;
+    const sounds = this._ui.sounds;
+    sounds.innerHTML = '';
+    run.units.forEach((u, i) => {
+      const btn = document.createElement('button');
+      btn.className = 'nwf-sound';
+      btn.textContent = PHONICS_DATA.tileLabel(u.g);
+      btn.setAttribute('aria-pressed', 'false');
+      btn.addEventListener('click', () => {
+        if (run.wrong.has(i)) run.wrong.delete(i); else run.wrong.add(i);
+        btn.classList.toggle('nwf-wrong', run.wrong.has(i));
+        btn.setAttribute('aria-pressed', String(run.wrong.has(i)));
+      });
+      sounds.appendChild(btn);
+    });
+  }
+
+  _score(whole) {
+    const run = this._run;
+    if (!run || !run.startedAt) return;
+    const w = run.words[run.index];
+    run.cls += run.units.length - run.wrong.size;
+    run.sounds += run.units.length;
+    run.tried++;
+    if (whole && !run.wrong.size) run.wwr++;
+    if (run.wrong.size) run.missed.push(w.word);
+    if (run.timeUp || ++run.index >= run.words.length) this._finish();
+    else this._showWord();
+  }
+
+  _finish() {
+    const run = this._run;
+    clearInterval(run.timer);
+    const check = run.tracker.recordNwf({
+      stage: run.stageId, cls: run.cls, wwr: run.wwr, words: run.tried, sounds: run.sounds,
+      sec: Math.min(NWF_SECONDS, Math.round((Date.now() - run.startedAt) / 1000)), missed: run.missed,
+    });
+    this._ui.result.innerHTML = `
+      <p class="nwf-big">${check.cls} <span>correct sounds</span></p>
+      <p class="nwf-big">${check.wwr} <span>whole words read</span></p>
+      <p class="nwf-note">${check.words} word${check.words === 1 ? '' : 's'} tried · ${check.sounds ? Math.round((check.cls / check.sounds) * 100) : 0}% of sounds right</p>`;
+    // The made-up words are spelled from pack graphemes, so they go in as text
+    if (check.missed.length) {
+      const missed = document.createElement('p');
+      missed.className = 'nwf-note';
+      missed.textContent = `Had a wrong sound: ${check.missed.join(', ')}`;
+      this._ui.result.appendChild(missed);
+    }
+    this._showPanel('result');
+    run.check = check;
+  }
+
+  _close() {
+    const run = this._run;
+    this.cancel();
+    if (run?.check) run.onDone?.(run.check);
+  }
+
+  // ── Dialog ───────────────────────────────────────────────
+  _build() {
+    const el = document.createElement('div');
+    el.id = 'nwf-check';
+    el.className = 'pg-backdrop nwf-backdrop';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-labelledby', 'nwf-title');
+    el.innerHTML = `
+      <div class="pg-card nwf-card">
+        <h3 class="pg-title" id="nwf-title"></h3>
+        <div class="nwf-panel" data-panel="intro">
+          <p class="pg-reason">For a grown-up to give. Your child reads each made-up word out loud —
+            one sound at a time or the whole word. Tap any sound they got wrong or skipped, then
+            <b>Sounds</b>, or <b>Whole word</b> if they read it all in one go. If they get stuck for
+            about 3 seconds, say the sounds for them, mark them wrong and move on.</p>
+          <button class="pg-btn nwf-begin">▶ Start the minute</button>
+        </div>
+        <div class="nwf-panel" data-panel="word">
+          <div class="nwf-bar"><span class="nwf-fill"></span></div>
+          <p class="nwf-clock" aria-live="polite"></p>
+          <p class="nwf-word"></p>
+          <div class="nwf-sounds"></div>
+          <div class="pg-row">
+            <button class="pg-btn nwf-next">Sounds →</button>
+            <button class="pg-btn nwf-whole">⭐ Whole word →</button>
+          </div>
+        </div>
+        <div class="nwf-panel" data-panel="result">
+          <div class="nwf-result"></div>
+          <button class="pg-btn nwf-done">Done</button>
+        </div>
+        <button class="pg-btn pg-cancel nwf-cancel">Cancel</button>
+      </div>`;
+    document.body.appendChild(el);
+    const $ = (sel) => el.querySelector(sel);
+    this._ui = {
+      title: $('.pg-title'), fill: $('.nwf-fill'), clock: $('.nwf-clock'), word: $('.nwf-word'),
+      sounds: $('.nwf-sounds'), result: $('.nwf-result'), cancel: $('.nwf-cancel'),
+      panels: [...el.querySelectorAll('.nwf-panel')],
+    };
+    $('.nwf-begin').addEventListener('click', () => this._begin());
+    $('.nwf-next').addEventListener('click', () => this._score(false));
+    $('.nwf-whole').addEventListener('click', () => this._score(true));
+    $('.nwf-done').addEventListener('click', () => this._close());
+    this._ui.cancel.addEventListener('click', () => this.cancel());
+    // Keys pressed here mustn't reach the game's own shortcuts underneath
+    el.addEventListener('keydown', (e) => e.stopPropagation());
+    this._el = el;
+  }
+
+  _showPanel(name) {
+    this._ui.panels.forEach(p => { p.hidden = p.dataset.panel !== name; });
+    this._ui.cancel.hidden = name === 'result';
+  }
+}
+
+const NWF_CHECK = new NwfCheck();
@@ -9,17 +9,27 @@
 //
 // Features:
 //  • Stage-by-stage progress with star ratings & accuracy bars
-//  • Phoneme mastery heatmap (green=strong, yellow=fair, red=weak)
+//  • Phoneme mastery heatmap (green=strong, yellow=fair, red=weak, grey=new)
+//  • What to practise next — ranked steps, each launching straight into play
+//  • Placement check — the last result, a re-run, and unlocking the suggested world
+//  • Made-up word check — a one-minute nonsense-word check and its trend
+//  • Reading fluency — timed reading sprints, WCPM per world against a target
 //  • Key stats: words blended, combos, daily streak, rice grains
 //  • Daily challenge badge on the home screen
 //  • Shareable rich progress report (clipboard)
+//  • Play Time — daily/session limits, quiet hours and the play log
+//  • Weekly Goals — set a child's goals and see how far along they are
 //  • Classroom Code — create/join a local class for group play
+//  • Word Lists — load a content pack (bundled or picked file)
+//  • Save File — export/import a player's progress with a preview
+//  • Grown-up Gate — how the parent gate asks (see parentGate.js)
 // ============================================================
 
 class ParentDashboard {
   constructor(tracker) {
     this._tracker = tracker;
     this._el      = document.getElementById('progressScreen');
+    this._pendingSave = null; // previewed save file awaiting "Replace Progress"
     this._bindEvents();
     this._renderHomeStreak();
   }
@@ -33,6 +43,7 @@ class ParentDashboard {
 
   hide() {
     this._el.classList.remove('active');
+    PARENT_GATE.lock();
     document.getElementById('modeChooser').classList.add('active');
     // Refresh engagement strip so rice/level are up-to-date when returning home
     if (window._engagementEngine) window._engagementEngine.refresh();
@@ -80,7 +91,19 @@ class ParentDashboard {
 
     this._renderStages();
     this._renderHeatmap();
+    this._renderNextSteps();
+    this._renderPlacement();
+    this._renderNwf();
+    this._renderOrf();
+    this._renderRecent();
+    this._renderPlayTime();
+    this._renderGoals();
     this._renderClassroom();
+    this._renderBoardPlayers();
+    this._renderPacks();
+    this._renderXapi();
+    this._renderSync();
+    this._renderGate();
   }
 
   // ── Stage progress cards ─────────────────────────────────
@@ -92,7 +115,7 @@ class ParentDashboard {
     for (let i = 1; i <= (PHONICS_DATA.stageCount || 6); i++) {
       const stage = PHONICS_DATA.stageList[i - 1];
       const data  = this._tracker.getStage(i);
-      const { stars, unlocked, wordsMastered = [], totalBlends = 0, correctBlends = 0 } = data;
+      const { stars, unlocked, wordsMastered = [], totalBlends = 0, correctBlends = 0, testedOut, completedAt } = data;
       const mastered = wordsMastered.length;
       const total    = stage.words.length;
       const acc      = totalBlends > 0 ? Math.round((correctBlends / totalBlends) * 100) : 0;
@@ -107,10 +130,11 @@ class ParentDashboard {
           <div class="pd-mastery-badges">
             ${mastery.noHit      ? '<span class="pd-badge pd-badge-nohit" title="No-hit clear!">🛡️</span>'    : ''}
             ${mastery.speedClear ? '<span class="pd-badge pd-badge-speed" title="Speed clear!">⚡</span>'     : ''}
+            ${testedOut && !completedAt ? '<span class="pd-badge" title="Skipped after the placement check">📍</span>' : ''}
           </div>
         </div>
-        <div class="pd-stage-name">${stage.name}</div>
-        <div class="pd-stage-pattern">${stage.pattern}</div>
+        <div class="pd-stage-name"></div>
+        <div class="pd-stage-pattern"></div>
         ${unlocked ? `
           <div class="pd-stage-bar-wrap">
             <div class="pd-stage-bar">
@@ -121,6 +145,9 @@ class ParentDashboard {
           <div class="pd-stage-stats">${mastered}/${total} words mastered</div>
         ` : '<div class="pd-stage-stats pd-locked-label">🔒 Locked — complete previous stage</div>'}
       `;
+      // Names and patterns can come from a content pack: text only
+      card.querySelector('.pd-stage-name').textContent = stage.name;
+      card.querySelector('.pd-stage-pattern').textContent = stage.pattern;
       container.appendChild(card);
     }
   }
@@ -131,19 +158,14 @@ class ParentDashboard {
     if (!container) return;
     container.innerHTML = '';
 
-    // Aggregate weak scores across all stages
-    const scores = {};
-    for (let i = 1; i <= (PHONICS_DATA.stageCount || 6); i++) {
-      const weak = this._tracker.getWeakPhonemes(i);
-      for (const [ph, s] of Object.entries(weak)) {
-        scores[ph] = (scores[ph] || 0) + s;
-      }
-    }
+    // Skill estimates per sound (see ProgressTracker.getSoundMastery)
+    const mastery = this._tracker.getSoundMastery();
 
-    // Collect all unique phonemes from the word data
+    // Collect every speech sound the campaign's words use (true
+    // phonemes, so "c" in cat and "k" in kit are one /k/ cell)
     const all = new Set();
     PHONICS_DATA.stageList.forEach(stage =>
-      stage.words.forEach(w => w.phonemes.forEach(ph => all.add(ph)))
+      stage.words.forEach(w => PHONICS_DATA.wordPhonemes(w).forEach(ph => all.add(ph)))
     );
 
     if (all.size === 0) {
@@ -151,31 +173,434 @@ class ParentDashboard {
       return;
     }
 
-    // Sort weakest first so trouble spots appear at the top
-    const sorted = [...all].sort((a, b) => (scores[b] || 0) - (scores[a] || 0));
+    // Weakest first so trouble spots appear at the top; unpractised last
+    const sorted = [...all].sort((a, b) => (mastery[a]?.p ?? 2) - (mastery[b]?.p ?? 2));
 
     sorted.forEach(ph => {
-      const s  = scores[ph] || 0;
-      let cls  = 'pd-ph-green';  // mastered
-      if (s >= 6)      cls = 'pd-ph-red';    // needs a lot of work
-      else if (s >= 2) cls = 'pd-ph-yellow'; // some practice needed
+      const m  = mastery[ph];
+      const label = PHONICS_DATA.phonemeLabel(ph);
+      let cls  = 'pd-ph-new';                          // not practised yet
+      if (m) {
+        if (m.p >= BKT.mastered) cls = 'pd-ph-green'; // mastered
+        else if (m.p >= 0.6)     cls = 'pd-ph-yellow'; // some practice needed
+        else                     cls = 'pd-ph-red';    // needs a lot of work
+      }
 
       const cell = document.createElement('div');
       cell.className = `pd-phoneme-cell ${cls}`;
-      cell.textContent = ph;
-      cell.title = s === 0
-        ? `"${ph}" — mastered!`
-        : s >= 6
-          ? `"${ph}" — needs practice`
-          : `"${ph}" — almost there`;
+      cell.textContent = label;
+      const week = this._tracker.summarizeAttempts(this._tracker.getAttempts({ from: this._daysAgo(6), phoneme: ph }));
+      // e.g. "c" — 72% sure they know it · c 90% (blend 92%, first 80%), k 54% (blend 54%)
+      const pct = (p) => `${Math.round(p * 100)}%`;
+      const spellings = m ? Object.entries(m.graphemes).map(([key, g]) =>
+        `${PHONICS_DATA.tileLabel(key.slice(0, key.lastIndexOf(':')))} ${pct(g.p)} (` +
+        Object.entries(g.byActivity).map(([act, e]) => `${act} ${pct(e.p)}`).join(', ') + ')'
+      ).join(', ') : '';
+      cell.title = (!m
+        ? `"${label}" — not practised yet`
+        : cls === 'pd-ph-green'
+          ? `"${label}" — mastered!`
+          : `"${label}" — ${pct(m.p)} sure they know it`) +
+        (spellings ? ` · ${spellings}` : '') +
+        (week.attempts ? ` · this week ${week.correct}/${week.attempts} right` : '');
       container.appendChild(cell);
     });
   }
 
+  // ── What to practise next (ProgressTracker.getRecommendations) ──
+  _renderNextSteps() {
+    const container = document.getElementById('pd-next');
+    if (!container) return;
+    container.innerHTML = '';
+    this._tracker.getRecommendations().forEach(step => {
+      const row = document.createElement('div');
+      row.className = 'pd-recent-row pd-next-row';
+      row.innerHTML = `
+        <span class="pd-next-text">
+          <span class="pd-next-title"></span>
+          <span class="pd-next-why"></span>
+        </span>
+        <button class="pd-create-btn">▶ Play</button>
+      `;
+      // Titles and reasons carry stage names and patterns, which a content pack sets
+      row.querySelector('.pd-next-title').textContent = `${step.emoji} ${step.title}`;
+      row.querySelector('.pd-next-why').textContent = step.why.join(' · ');
+      row.querySelector('button').addEventListener('click', () => {
+        this.hide();
+        launchSlashGame(step.launch);
+      });
+      container.appendChild(row);
+    });
+    if (!container.children.length) container.innerHTML = '<p class="pd-no-data">Play some stages to get suggestions here.</p>';
+  }
+
+  // ── Placement check (js/placement.js) ────────────────────
+  _renderPlacement() {
+    const container = document.getElementById('pd-placement');
+    if (!container) return;
+    const res = this._tracker.getPlacement();
+    const world = res && PHONICS_DATA.getWorld(res.world);
+    container.innerHTML = res ? `
+      <div class="pd-recent-row">
+        <span class="pd-recent-day">${new Date(res.at).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}</span>
+      </div>
+      <p class="pd-section-hint">Suggested start: <strong></strong>
+        ${res.applied ? '— earlier stages are unlocked.' : res.world > 1 ? '— earlier stages are still locked.' : ''}</p>
+    ` : '<p class="pd-no-data">No placement check yet.</p>';
+    if (res) {
+      // Level names come from the save, which may be a file or another device
+      const levels = container.querySelector('.pd-recent-row');
+      res.levels.forEach(lv => {
+        const span = document.createElement('span');
+        span.textContent = `${lv.passed ? '✅' : '🌱'} ${lv.name} ${lv.right}/${lv.rounds}`;
+        levels.appendChild(span);
+      });
+      container.querySelector('strong').textContent = `World ${res.world}${world ? ` · ${world.name}` : ''}`;
+    }
+    const row = document.createElement('div');
+    row.className = 'pd-class-row';
+    const run = document.createElement('button');
+    run.className = 'pd-create-btn';
+    run.textContent = res ? '▶ Run it again' : '▶ Run placement check';
+    run.addEventListener('click', () => {
+      this.hide();
+      launchSlashGame({ mode: 'placement' });
+    });
+    row.appendChild(run);
+    if (res && !res.applied && res.world > 1) {
+      const unlock = document.createElement('button');
+      unlock.className = 'pd-create-btn pd-btn-muted';
+      unlock.textContent = `🔓 Unlock up to World ${res.world}`;
+      unlock.addEventListener('click', () => {
+        this._tracker.applyPlacement();
+        this._renderStages();
+        this._renderPlacement();
+        this._renderNextSteps();
+      });
+      row.appendChild(unlock);
+    }
+    container.appendChild(row);
+  }
+
+  // ── Made-up word check (js/nwfCheck.js) ──────────────────
+  _renderNwf() {
+    const select = document.getElementById('pd-nwf-stage');
+    if (select) {
+      const unlocked = PHONICS_DATA.stageList.filter(st => this._tracker.isUnlocked(st.id));
+      const keep = Number(select.value);
+      select.innerHTML = '';
+      unlocked.forEach(st => select.appendChild(new Option(`Sounds up to ${st.world}-${st.local} · ${st.name}`, st.id)));
+      const last = unlocked[unlocked.length - 1];
+      select.value = unlocked.some(st => st.id === keep) ? keep : last?.id ?? 1;
+    }
+
+    const chart = document.getElementById('pd-nwf-chart');
+    if (chart) chart.innerHTML = this._nwfChart(this._tracker.getNwfTrend().slice(-30));
+
+    const container = document.getElementById('pd-nwf-list');
+    if (!container) return;
+    container.innerHTML = '';
+    this._tracker.getNwfResults().slice(-5).reverse().forEach(c => {
+      const stage = PHONICS_DATA.getStage(c.stage);
+      const row = document.createElement('div');
+      row.className = 'pd-recent-row';
+      row.innerHTML = `
+        <span class="pd-recent-day">${new Date(c.at).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}</span>
+        <span>${stage ? `Stage ${stage.world}-${stage.local}` : ''}</span>
+        <span>${c.cls} sound${c.cls === 1 ? '' : 's'}</span>
+        <span>${c.wwr} whole word${c.wwr === 1 ? '' : 's'}</span>
+        <span>${c.words} tried</span>
+        ${c.missed.length ? `<span class="pd-recent-missed">Wrong sounds in: ${c.missed.join(', ')}</span>` : ''}
+      `;
+      container.appendChild(row);
+    });
+  }
+
+  // Correct sounds and whole words per day, as two lines on one scale
+  _nwfChart(trend) {
+    if (!trend.length) return '<p class="pd-no-data">No checks yet. The trend shows here after the first one.</p>';
+    const W = 320, H = 120, L = 28, R = 8, T = 10, B = 20;
+    const top = Math.max(10, ...trend.map(d => d.cls));
+    const x = (i) => (trend.length === 1 ? (L + W - R) / 2 : L + (i * (W - L - R)) / (trend.length - 1));
+    const y = (v) => T + (H - T - B) * (1 - v / top);
+    const line = (key) => trend.map((d, i) => `${x(i).toFixed(1)},${y(d[key]).toFixed(1)}`).join(' ');
+    const plural = (n, what) => `${n} ${what}${n === 1 ? '' : 's'}`;
+    const day = (d) => new Date(`${d}T12:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    const dots = (key, cls) => trend.map((d, i) =>
+      `<circle class="${cls}" cx="${x(i).toFixed(1)}" cy="${y(d[key]).toFixed(1)}" r="3"><title>${day(d.date)}: ${plural(d.cls, 'sound')}, ${plural(d.wwr, 'whole word')}</title></circle>`).join('');
+    return `
+      <svg class="pd-nwf-svg" viewBox="0 0 ${W} ${H}" role="img" aria-label="Made-up word check results over time">
+        <line class="pd-nwf-axis" x1="${L}" y1="${y(0)}" x2="${W - R}" y2="${y(0)}"/>
+        <text x="${L - 4}" y="${y(top) + 4}" text-anchor="end">${top}</text>
+        <text x="${L - 4}" y="${y(0) + 4}" text-anchor="end">0</text>
+        <text x="${x(0)}" y="${H - 4}" text-anchor="${trend.length === 1 ? 'middle' : 'start'}">${day(trend[0].date)}</text>
+        ${trend.length > 1 ? `<text x="${x(trend.length - 1)}" y="${H - 4}" text-anchor="end">${day(trend[trend.length - 1].date)}</text>` : ''}
+        <polyline class="pd-nwf-cls" points="${line('cls')}"/>
+        <polyline class="pd-nwf-wwr" points="${line('wwr')}"/>
+        ${dots('cls', 'pd-nwf-cls')}${dots('wwr', 'pd-nwf-wwr')}
+      </svg>
+      <p class="pd-section-hint"><span class="pd-nwf-key pd-nwf-cls">●</span> correct sounds ·
+        <span class="pd-nwf-key pd-nwf-wwr">●</span> whole words read — each day's best check</p>`;
+  }
+
+  // ── Reading fluency (js/fluencySprint.js) ────────────────
+  _renderOrf() {
+    const select = document.getElementById('pd-orf-world');
+    if (!select) return;
+    const worlds = PHONICS_DATA.WORLDS.filter(w => this._tracker.isUnlocked(w.startId));
+    const keep = Number(select.value);
+    select.innerHTML = '';
+    worlds.forEach(w => {
+      const best = Math.max(0, ...this._tracker.getOrfTrend(w.id).map(d => d.wcpm));
+      const target = ORF_TARGETS[w.id];
+      const opt = document.createElement('option');
+      opt.value = w.id;
+      opt.textContent = `${w.icon} World ${w.id} · ${w.name}${best ? ` — best ${best}${target ? ` / ${target}` : ''} WCPM` : ''}`;
+      select.appendChild(opt);
+    });
+    const latest = this._tracker.getOrfResults().pop()?.world;
+    const world = [keep, latest].find(id => worlds.some(w => w.id === id)) ?? worlds[worlds.length - 1]?.id ?? 1;
+    select.value = world;
+
+    const chart = document.getElementById('pd-orf-chart');
+    if (chart) chart.innerHTML = this._orfChart(world);
+
+    const container = document.getElementById('pd-orf-list');
+    if (!container) return;
+    container.innerHTML = '';
+    this._tracker.getOrfResults(world).slice(-5).reverse().forEach(s => {
+      const row = document.createElement('div');
+      row.className = 'pd-recent-row';
+      row.innerHTML = `
+        <span class="pd-recent-day">${new Date(s.at).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}</span>
+        <span>${s.kind === 'passage' ? 'Story' : 'Word list'}</span>
+        <span>${s.wcpm} WCPM</span>
+        <span>${s.accuracy}% right</span>
+        <span>${s.read} read in ${s.sec}s</span>
+        ${s.missed.length ? `<span class="pd-recent-missed">Read wrong: ${s.missed.join(', ')}</span>` : ''}
+      `;
+      container.appendChild(row);
+    });
+  }
+
+  // One world's story and word-list WCPM per day, with its target as a
+  // dashed line
+  _orfChart(world) {
+    const story = this._tracker.getOrfTrend(world, 'passage');
+    const list  = this._tracker.getOrfTrend(world, 'words');
+    const dates = [...new Set([...story, ...list].map(d => d.date))].sort().slice(-30);
+    if (!dates.length) return '<p class="pd-no-data">No sprints in this world yet. Progress shows here after the first one.</p>';
+    const target = ORF_TARGETS[world];
+    const W = 320, H = 120, L = 28, R = 8, T = 10, B = 20;
+    const top = Math.max(10, target || 0, ...story.map(d => d.wcpm), ...list.map(d => d.wcpm));
+    const x = (date) => (dates.length === 1 ? (L + W - R) / 2 : L + (dates.indexOf(date) * (W - L - R)) / (dates.length - 1));
+    const y = (v) => T + (H - T - B) * (1 - v / top);
+    const day = (d) => new Date(`${d}T12:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    const shown = (trend) => trend.filter(d => dates.includes(d.date));
+    const line = (trend, cls) => `<polyline class="${cls}" points="${shown(trend).map(d => `${x(d.date).toFixed(1)},${y(d.wcpm).toFixed(1)}`).join(' ')}"/>`;
+    const dots = (trend, cls, what) => shown(trend).map(d =>
+      `<circle class="${cls}" cx="${x(d.date).toFixed(1)}" cy="${y(d.wcpm).toFixed(1)}" r="3"><title>${day(d.date)}: ${what} ${d.wcpm} WCPM, ${d.accuracy}% right</title></circle>`).join('');
+    return `
+      <svg class="pd-nwf-svg" viewBox="0 0 ${W} ${H}" role="img" aria-label="Reading sprint words correct per minute over time">
+        <line class="pd-nwf-axis" x1="${L}" y1="${y(0)}" x2="${W - R}" y2="${y(0)}"/>
+        ${target ? `<line class="pd-orf-target" x1="${L}" y1="${y(target)}" x2="${W - R}" y2="${y(target)}"/>
+        <text x="${L - 4}" y="${y(target) + 4}" text-anchor="end">${target}</text>` : ''}
+        ${top > (target || 0) * 1.15 ? `<text x="${L - 4}" y="${y(top) + 4}" text-anchor="end">${top}</text>` : ''}
+        <text x="${L - 4}" y="${y(0) + 4}" text-anchor="end">0</text>
+        <text x="${x(dates[0])}" y="${H - 4}" text-anchor="${dates.length === 1 ? 'middle' : 'start'}">${day(dates[0])}</text>
+        ${dates.length > 1 ? `<text x="${x(dates[dates.length - 1])}" y="${H - 4}" text-anchor="end">${day(dates[dates.length - 1])}</text>` : ''}
+        ${line(story, 'pd-orf-story')}${line(list, 'pd-orf-words')}
+        ${dots(story, 'pd-orf-story', 'story')}${dots(list, 'pd-orf-words', 'word list')}
+      </svg>
+      <p class="pd-section-hint"><span class="pd-nwf-key pd-orf-story">●</span> story ·
+        <span class="pd-nwf-key pd-orf-words">●</span> word list — each day's best sprint${target ? ` ·
+        <span class="pd-nwf-key pd-orf-target">╌</span> target ${target} WCPM` : ''}</p>`;
+  }
+
+  // ── Recent practice, from the attempt log ────────────────
+  _renderRecent() {
+    const container = document.getElementById('pd-recent');
+    if (!container) return;
+    container.innerHTML = '';
+    let any = false;
+    for (let back = 0; back < 7; back++) {
+      const day  = this._daysAgo(back);
+      const list = this._tracker.getAttempts({ from: day, to: this._daysAgo(back - 1) - 1 });
+      if (!list.length) continue;
+      any = true;
+      const sum = this._tracker.summarizeAttempts(list);
+      const missed = [...new Set(list.filter(a => !a.ok).map(a => a.word))].slice(0, 6);
+      const row = document.createElement('div');
+      row.className = 'pd-recent-row';
+      row.innerHTML = `
+        <span class="pd-recent-day">${back === 0 ? 'Today' : back === 1 ? 'Yesterday' : day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}</span>
+        <span>${sum.attempts} rounds</span>
+        <span>${sum.accuracy}% right</span>
+        ${sum.avgMs != null ? `<span>${(sum.avgMs / 1000).toFixed(1)}s each</span>` : ''}
+        ${sum.hints ? `<span>💡 ${sum.hints}</span>` : ''}
+        ${missed.length ? `<span class="pd-recent-missed">Missed: ${missed.join(', ')}</span>` : ''}
+      `;
+      container.appendChild(row);
+    }
+    if (!any) container.innerHTML = '<p class="pd-no-data">No practice in the last 7 days yet.</p>';
+  }
+
+  // ── Play time (js/screenTime.js) ─────────────────────────
+  _renderPlayTime() {
+    const lim = SCREEN_TIME.limits();
+    const p   = PROFILES.active();
+    const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v ?? ''; };
+    set('pd-time-daily', lim.dailyMin);
+    set('pd-time-session', lim.sessionMin);
+    set('pd-time-quiet-from', lim.quietFrom);
+    set('pd-time-quiet-to', lim.quietTo);
+    const who = document.getElementById('pd-time-who');
+    if (who) who.textContent = `${p.avatar} ${p.name}`;
+
+    const list = document.getElementById('pd-time-status');
+    if (list) {
+      const today = Math.round(SCREEN_TIME.todaySec() / 60);
+      const rows  = [['', `⏱️ ${today} min played today${lim.dailyMin ? ` of ${lim.dailyMin}` : ''}.`]];
+      const lock  = SCREEN_TIME.lock();
+      const left  = SCREEN_TIME.minutesLeft();
+      if (lock) rows.push(['pd-pack-warn', `💤 Play is closed now. ${lock.text}`]);
+      else if (left != null) rows.push(['pd-pack-ok', `✅ ${left} min left before the next limit.`]);
+      list.innerHTML = '';
+      rows.forEach(([cls, text]) => {
+        const li = document.createElement('li');
+        li.className = cls;
+        li.textContent = text;
+        list.appendChild(li);
+      });
+    }
+
+    const container = document.getElementById('pd-time-log');
+    if (!container) return;
+    container.innerHTML = '';
+    SCREEN_TIME.history(7).forEach((d, back) => {
+      if (!d.sec) return;
+      const row = document.createElement('div');
+      row.className = 'pd-recent-row';
+      row.innerHTML = `
+        <span class="pd-recent-day">${back === 0 ? 'Today' : back === 1 ? 'Yesterday' : this._daysAgo(back).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}</span>
+        <span>${Math.round(d.sec / 60)} min</span>
+        <span>${d.sessions} session${d.sessions === 1 ? '' : 's'}</span>
+      `;
+      container.appendChild(row);
+    });
+    if (!container.children.length) container.innerHTML = '<p class="pd-no-data">No play in the last 7 days yet.</p>';
+  }
+
+  _savePlayTime() {
+    const val = (id) => document.getElementById(id)?.value.trim() ?? '';
+    const quietFrom = val('pd-time-quiet-from'), quietTo = val('pd-time-quiet-to');
+    SCREEN_TIME.setLimits({ dailyMin: val('pd-time-daily'), sessionMin: val('pd-time-session'), quietFrom, quietTo });
+    this._renderPlayTime();
+    if (!quietFrom !== !quietTo) {
+      const li = document.createElement('li');
+      li.className = 'pd-pack-warn';
+      li.textContent = '⚠️ Quiet hours need both a start and an end time.';
+      document.getElementById('pd-time-status')?.appendChild(li);
+    }
+  }
+
+  // ── Weekly goals (GOAL_TYPES in progressTracker.js) ──────
+  _renderGoals() {
+    const t = this._tracker;
+    const p = PROFILES.active();
+    const who = document.getElementById('pd-goal-who');
+    if (who) who.textContent = `${p.avatar} ${p.name}`;
+
+    const type = document.getElementById('pd-goal-type');
+    if (type && !type.options.length) {
+      type.innerHTML = Object.entries(GOAL_TYPES)
+        .map(([id, g]) => `<option value="${id}">${g.emoji} ${g.name}</option>`).join('');
+    }
+    const world = document.getElementById('pd-goal-world');
+    if (world) {
+      const keep = world.value;
+      world.innerHTML = '<option value="">Any stages</option>';
+      PHONICS_DATA.WORLDS.forEach(w => world.appendChild(new Option(`Finish World ${w.id}: ${w.name}`, w.id)));
+      world.value = keep;
+    }
+    const sound = document.getElementById('pd-goal-phoneme');
+    if (sound && !sound.options.length) {
+      sound.innerHTML = Object.keys(PHONICS_DATA.PHONEMES)
+        .map(id => `<option value="${id}">${PHONICS_DATA.phonemeLabel(id)}</option>`).join('');
+    }
+    this._showGoalInputs();
+
+    const container = document.getElementById('pd-goal-list');
+    if (!container) return;
+    container.innerHTML = '';
+    t.getGoals().forEach(g => {
+      const row = document.createElement('div');
+      row.className = 'pd-recent-row';
+      const shown = g.type === 'skill'
+        ? (g.rounds ? `${g.value}% in ${g.rounds} round${g.rounds === 1 ? '' : 's'}` : 'no rounds yet')
+        : `${Math.min(g.value, g.target)} / ${g.target}`;
+      row.innerHTML = `
+        <span class="pd-recent-day"></span>
+        <span>${g.done ? '✅ Done' : shown}</span>
+        <button class="pd-create-btn pd-btn-muted">Remove</button>
+      `;
+      row.querySelector('.pd-recent-day').textContent = `${g.emoji} ${g.label}`;
+      row.querySelector('button').addEventListener('click', () => { t.removeGoal(g.id); this._renderGoals(); });
+      container.appendChild(row);
+    });
+    if (!container.children.length) container.innerHTML = '<p class="pd-no-data">No goals set yet.</p>';
+  }
+
+  // Only the inputs the chosen goal type uses
+  _showGoalInputs() {
+    const type  = document.getElementById('pd-goal-type')?.value;
+    const world = document.getElementById('pd-goal-world');
+    const show  = (id, on) => { const el = document.getElementById(id); if (el) el.hidden = !on; };
+    show('pd-goal-world', type === 'stages');
+    show('pd-goal-phoneme', type === 'skill');
+    show('pd-goal-target', !(type === 'stages' && world?.value));
+    const target = document.getElementById('pd-goal-target');
+    if (target) target.placeholder = type === 'skill' ? 'Percent right, e.g. 80' : type === 'minutes' ? 'Minutes' : 'How many';
+  }
+
+  _addGoal() {
+    const val = (id) => document.getElementById(id)?.value ?? '';
+    const type = val('pd-goal-type');
+    const goal = this._tracker.addGoal({
+      type,
+      target: val('pd-goal-target'),
+      world: type === 'stages' ? val('pd-goal-world') : null,
+      phoneme: type === 'skill' ? val('pd-goal-phoneme') : null,
+    });
+    const list = document.getElementById('pd-goal-status');
+    if (list) {
+      list.innerHTML = '';
+      if (!goal) {
+        const li = document.createElement('li');
+        li.className = 'pd-pack-warn';
+        li.textContent = this._tracker.getGoals().length >= GOAL_MAX
+          ? `⚠️ A player can have up to ${GOAL_MAX} goals. Remove one first.`
+          : type === 'skill' ? '⚠️ Enter a percent between 1 and 100.' : '⚠️ Enter a number above 0.';
+        list.appendChild(li);
+      }
+    }
+    if (goal) {
+      const target = document.getElementById('pd-goal-target');
+      if (target) target.value = '';
+    }
+    this._renderGoals();
+  }
+
+  // Local midnight `n` days back
+  _daysAgo(n) {
+    const d = new Date();
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() - n);
+  }
+
   // ── Classroom Code panel ─────────────────────────────────
   _renderClassroom() {
     const t = this._tracker;
-    const stored = localStorage.getItem('samurice_class') || null;
+    const stored = STORE.getItem('samurice_class') || null;
     const nameEl = document.getElementById('pd-class-name');
     const codeEl = document.getElementById('pd-class-code');
     if (!nameEl || !codeEl) return;
@@ -192,6 +617,186 @@ class ParentDashboard {
     }
   }
 
+  // ── Family leaderboard: who is on it ──────────────────────
+  _renderBoardPlayers() {
+    const container = document.getElementById('pd-board-players');
+    if (!container) return;
+    container.innerHTML = '';
+    const words = new Map(this._tracker.getLeaderboard('words', 'week').map(r => [r.id, r.value]));
+    PROFILES.list().forEach(p => {
+      const row = document.createElement('label');
+      row.className = 'pd-recent-row pd-board-row';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = p.leaderboard !== false;
+      box.addEventListener('change', () => PROFILES.update(p.id, { leaderboard: box.checked }));
+      const name = document.createElement('span');
+      name.className = 'pd-board-name';
+      name.textContent = `${p.avatar} ${p.name}`;
+      const week = document.createElement('span');
+      week.className = 'pd-board-week';
+      // Blank for players who opted out (getLeaderboard leaves them off)
+      week.textContent = words.has(p.id) ? `📖 ${words.get(p.id)} words this week` : '';
+      row.append(box, name, week);
+      container.appendChild(row);
+    });
+  }
+
+  // ── Word Lists (content packs) ───────────────────────────
+  _renderPacks() {
+    const nameEl = document.getElementById('pd-pack-name');
+    const select = document.getElementById('pd-pack-select');
+    if (!nameEl || !select) return;
+    const active = PHONICS_DATA.activePack;
+    nameEl.textContent = active
+      ? `${active.name} (${PHONICS_DATA.worldCount} worlds · ${PHONICS_DATA.stageCount} stages)`
+      : 'Built-in campaign';
+    select.innerHTML = '';
+    PHONICS_DATA.bundledPacks.forEach(p => {
+      const opt = new Option(p.name, p.file, false, active?.file === p.file);
+      select.appendChild(opt);
+    });
+  }
+
+  _showPackResult(result, okMsg) {
+    const list = document.getElementById('pd-pack-issues');
+    if (!list) return;
+    list.innerHTML = '';
+    // Pack text comes from a user-picked file, so rows use textContent.
+    const add = (cls, text) => {
+      const li = document.createElement('li');
+      li.className = cls;
+      li.textContent = text;
+      list.appendChild(li);
+    };
+    if (result.ok) add('pd-pack-ok', `✅ ${okMsg}`);
+    else add('pd-pack-err', '❌ This pack has problems, so it was not loaded:');
+    // Cap the list — a badly broken file can produce hundreds of errors.
+    result.errors.slice(0, 12).forEach(e => add('pd-pack-err', `• ${e}`));
+    if (result.errors.length > 12) add('pd-pack-err', `…and ${result.errors.length - 12} more`);
+    result.warnings.slice(0, 6).forEach(w => add('pd-pack-warn', `⚠️ ${w}`));
+  }
+
+  _afterPackChange(result, okMsg) {
+    this._showPackResult(result, okMsg);
+    if (!result.ok) return;
+    this._tracker.useCampaign();
+    this._render();
+    if (window._engagementEngine) window._engagementEngine.refresh();
+  }
+
+  async _loadBundledPack() {
+    const file = document.getElementById('pd-pack-select')?.value;
+    if (!file) return;
+    const result = await PHONICS_DATA.fetchContentPack(file, { persist: true });
+    this._afterPackChange(result, `Loaded "${PHONICS_DATA.activePack?.name}".`);
+  }
+
+  _loadPackFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let pack;
+      try { pack = JSON.parse(reader.result); } catch (e) {
+        this._showPackResult({ ok: false, errors: [`Not valid JSON: ${e.message}`], warnings: [] });
+        return;
+      }
+      const result = PHONICS_DATA.loadContentPack(pack, { persist: true, file: file.name });
+      this._afterPackChange(result, `Loaded "${pack.name}" from ${file.name}.`);
+    };
+    reader.readAsText(file);
+  }
+
+  _resetPack() {
+    PHONICS_DATA.unloadContentPack();
+    this._afterPackChange({ ok: true, errors: [], warnings: [] }, 'Back to the built-in campaign.');
+  }
+
+  _exportPack() {
+    const json = JSON.stringify(PHONICS_DATA.exportContentPack(), null, 2);
+    const url  = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a    = document.createElement('a');
+    a.href = url;
+    a.download = 'samurice-campaign-pack.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ── Save file (export / import progress) ─────────────────
+  _exportSave() {
+    const save = this._tracker.exportSave();
+    const json = JSON.stringify(save, null, 2);
+    const url  = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a    = document.createElement('a');
+    const who  = save.profile.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'player';
+    a.href = url;
+    a.download = `samurice-save-${who}-${CALENDAR.today()}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    this._showSaveRows([['pd-pack-ok', `✅ Saved ${save.profile.avatar} ${save.profile.name}'s progress to ${a.download}.`]]);
+  }
+
+  // Reading a file is always a dry run; the parent confirms before
+  // the active player's progress is replaced.
+  _previewSaveFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let save;
+      try { save = JSON.parse(reader.result); } catch (e) {
+        this._showSaveRows([['pd-pack-err', `❌ Not valid JSON: ${e.message}`]]);
+        return;
+      }
+      const result = this._tracker.importSave(save, { dryRun: true });
+      if (!result.ok) {
+        this._showSaveRows([['pd-pack-err', '❌ This save file was not loaded:'],
+                            ...result.errors.map(e => ['pd-pack-err', `• ${e}`])]);
+        return;
+      }
+      const from = result.profile ? `${result.profile.avatar || ''} ${result.profile.name}`.trim() : 'a player';
+      const when = result.exportedAt ? ` (saved ${result.exportedAt.slice(0, 10)})` : '';
+      const who  = PROFILES.active();
+      const rows = [['pd-pack-warn', `⚠️ Load ${from}'s progress${when} into ${who.avatar} ${who.name}?`]];
+      if (result.changes.length) result.changes.forEach(c => rows.push(['', `• ${c.label}: ${c.from} → ${c.to}`]));
+      else rows.push(['', '• Nothing would change.']);
+      this._showSaveRows(rows);
+      this._pendingSave = save;
+      document.getElementById('pd-save-confirm').hidden = false;
+    };
+    reader.readAsText(file);
+  }
+
+  async _applySave() {
+    const save = this._pendingSave;
+    if (!save) return;
+    if (!await PARENT_GATE.check(`replace ${PROFILES.active().name}'s progress`, { always: true })) return;
+    const result = this._tracker.importSave(save);
+    if (!result.ok) {
+      this._showSaveRows(result.errors.map(e => ['pd-pack-err', `❌ ${e}`]));
+      return;
+    }
+    window._sharedAudio?.loadSettings();
+    window._engagementEngine?.reload();
+    this._render();
+    this._showSaveRows([['pd-pack-ok', '✅ Progress loaded.']]);
+  }
+
+  // Rows are [className, text]; file text only ever goes in textContent.
+  _showSaveRows(rows) {
+    this._pendingSave = null;
+    const confirm = document.getElementById('pd-save-confirm');
+    if (confirm) confirm.hidden = true;
+    const list = document.getElementById('pd-save-preview');
+    if (!list) return;
+    list.innerHTML = '';
+    rows.forEach(([cls, text]) => {
+      const li = document.createElement('li');
+      li.className = cls;
+      li.textContent = text;
+      list.appendChild(li);
+    });
+  }
+
   // ── Share report ─────────────────────────────────────────
   _shareReport() {
     const t = this._tracker;
@@ -229,12 +834,13 @@ class ParentDashboard {
   }
 
   // ── Classroom Code creation ───────────────────────────────
-  _createClass() {
+  async _createClass() {
     const input = document.getElementById('pd-class-input');
     const name  = input?.value?.trim();
     if (!name) return;
+    if (!await PARENT_GATE.check('create a class code')) return;
     const code  = name.toUpperCase().replace(/\s+/g, '').slice(0, 6) + Math.floor(100 + Math.random() * 900);
-    localStorage.setItem('samurice_class', JSON.stringify({ name, code }));
+    STORE.setItem('samurice_class', JSON.stringify({ name, code }));
     this._renderClassroom();
     if (input) input.value = '';
 
@@ -243,6 +849,198 @@ class ParentDashboard {
     if (codeEl) { codeEl.classList.add('pd-code-flash'); setTimeout(() => codeEl.classList.remove('pd-code-flash'), 1400); }
   }
 
+  // ── School LRS (xAPI) ─────────────────────────────────────
+  _renderXapi() {
+    const cfg = XAPI.config();
+    const p   = PROFILES.active();
+    const endpointEl = document.getElementById('pd-xapi-endpoint');
+    const authEl     = document.getElementById('pd-xapi-auth');
+    if (endpointEl) endpointEl.value = cfg.endpoint;
+    if (authEl)     authEl.value     = cfg.auth;
+    const who = document.getElementById('pd-xapi-who');
+    if (who) who.textContent = `${p.avatar} ${p.name}`;
+    const count = document.getElementById('pd-xapi-count');
+    if (count) count.textContent = XAPI.queued();
+  }
+
+  _saveXapiConfig() {
+    XAPI.setConfig({
+      endpoint: document.getElementById('pd-xapi-endpoint')?.value || '',
+      auth:     document.getElementById('pd-xapi-auth')?.value || '',
+    });
+  }
+
+  _showXapiStatus(cls, text) {
+    const list = document.getElementById('pd-xapi-status');
+    if (!list) return;
+    list.innerHTML = '';
+    const li = document.createElement('li');
+    li.className = cls;
+    li.textContent = text;
+    list.appendChild(li);
+  }
+
+  async _sendXapi() {
+    this._saveXapiConfig();
+    if (!XAPI.queued()) { this._showXapiStatus('pd-pack-ok', '✅ Nothing waiting to send.'); return; }
+    const btn = document.getElementById('pd-xapi-send-btn');
+    if (btn) btn.disabled = true;
+    this._showXapiStatus('pd-pack-warn', '⏳ Sending…');
+    const result = await XAPI.send();
+    if (btn) btn.disabled = false;
+    if (result.ok) this._showXapiStatus('pd-pack-ok', `✅ Sent ${result.sent} statement${result.sent === 1 ? '' : 's'}.`);
+    else this._showXapiStatus('pd-pack-err', `❌ ${result.error}${result.sent ? ` (${result.sent} sent before that)` : ''}`);
+    this._renderXapi();
+  }
+
+  // Downloads the queue as a plain statement array — the same body an
+  // LRS accepts on POST /statements. The queue is kept until sent.
+  _exportXapi() {
+    const statements = XAPI.statements();
+    const json = JSON.stringify(statements, null, 2);
+    const url  = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a    = document.createElement('a');
+    const who  = PROFILES.active().name.replace(/[^\w-]+/g, '-').toLowerCase() || 'player';
+    a.href = url;
+    a.download = `samurice-xapi-${who}-${CALENDAR.today()}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    this._showXapiStatus('pd-pack-ok', `✅ Downloaded ${statements.length} statement${statements.length === 1 ? '' : 's'}.`);
+  }
+
+  // ── Sync between devices ─────────────────────────────────
+  _renderSync() {
+    const cfg = HttpSyncAdapter.config();
+    const st  = this._tracker.getSyncStatus();
+    const p   = PROFILES.active();
+    const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+    set('pd-sync-endpoint', cfg.endpoint);
+    set('pd-sync-token', cfg.token);
+    set('pd-sync-id', st.id);
+    const who = document.getElementById('pd-sync-who');
+    if (who) who.textContent = `${p.avatar} ${p.name}`;
+
+    const list = document.getElementById('pd-sync-status');
+    if (list) {
+      list.innerHTML = '';
+      const add = (cls, text) => {
+        const li = document.createElement('li');
+        li.className = cls;
+        li.textContent = text;
+        list.appendChild(li);
+      };
+      const when = st.lastSyncAt ? new Date(st.lastSyncAt).toLocaleString() : 'never';
+      if (!cfg.endpoint || !st.id) add('pd-pack-warn', 'Sync is off — set a server and a sync code to turn it on.');
+      else if (st.lastError) add('pd-pack-err', `❌ ${st.lastError} (last synced ${when})`);
+      else add('pd-pack-ok', `✅ Last synced ${when}${st.dirty ? ' · changes waiting' : ''}`);
+    }
+
+    // Values both devices changed: show what each side had and which one stayed.
+    const conflicts = document.getElementById('pd-sync-conflicts');
+    if (conflicts) {
+      conflicts.innerHTML = '';
+      const show = (v) => (typeof v === 'string' ? v : JSON.stringify(v) ?? '—').slice(0, 40);
+      st.conflicts.slice(0, 8).forEach(c => {
+        const li = document.createElement('li');
+        li.className = 'pd-pack-warn';
+        li.textContent = `⚠️ ${c.field}: this device ${show(c.local)}, other device ${show(c.remote)} — kept ${c.kept === 'local' ? "this device's" : "the other device's"}`;
+        conflicts.appendChild(li);
+      });
+      if (st.conflicts.length > 8) {
+        const li = document.createElement('li');
+        li.className = 'pd-pack-warn';
+        li.textContent = `…and ${st.conflicts.length - 8} more`;
+        conflicts.appendChild(li);
+      }
+    }
+  }
+
+  // Saving the settings swaps the tracker's adapter, so a new server
+  // or token takes effect straight away.
+  _saveSyncConfig() {
+    const endpoint = document.getElementById('pd-sync-endpoint')?.value || '';
+    const token    = document.getElementById('pd-sync-token')?.value || '';
+    HttpSyncAdapter.setConfig({ endpoint, token });
+    const cfg = HttpSyncAdapter.config();
+    this._tracker.setSyncAdapter(cfg.endpoint ? new HttpSyncAdapter(cfg) : null);
+    const idEl = document.getElementById('pd-sync-id');
+    if (idEl && !this._tracker.setSyncId(idEl.value)) {
+      idEl.value = this._tracker.getSyncStatus().id;
+      return false;
+    }
+    return true;
+  }
+
+  async _syncNow() {
+    const list = document.getElementById('pd-sync-status');
+    if (!this._saveSyncConfig()) {
+      this._renderSync();
+      if (list) list.innerHTML = '<li class="pd-pack-err">❌ A sync code is letters, numbers, - and _ only.</li>';
+      return;
+    }
+    const btn = document.getElementById('pd-sync-btn');
+    if (btn) btn.disabled = true;
+    if (list) list.innerHTML = '<li class="pd-pack-warn">⏳ Syncing…</li>';
+    await this._tracker.syncNow();
+    if (btn) btn.disabled = false;
+    // A sync can change any number on this screen
+    this._render();
+  }
+
+  // ── Erase progress ────────────────────────────────────────
+  // Always asks again, even inside the dashboard's grace window
+  async _eraseProgress() {
+    const p = PROFILES.active();
+    if (!await PARENT_GATE.check(`erase all of ${p.name}'s progress`, { always: true })) return;
+    if (!confirm(`Erase ${p.avatar} ${p.name}'s stars, rice, items and practice history? This can't be undone — export a save file first to keep a copy.`)) return;
+    this._tracker.reset();
+    window._engagementEngine?.reload();
+    this._render();
+    this._showSaveRows([['pd-pack-ok', `✅ ${p.name} is starting fresh.`]]);
+  }
+
+  // ── Grown-up gate settings ────────────────────────────────
+  _renderGate() {
+    const cfg = PARENT_GATE.config();
+    const sel = document.getElementById('pd-gate-challenge');
+    if (sel) sel.value = cfg.challenge;
+    const shop = document.getElementById('pd-gate-shop');
+    if (shop) shop.value = cfg.shopOver == null ? '' : cfg.shopOver;
+    const pin = document.getElementById('pd-gate-pin');
+    if (pin) pin.value = '';
+    const list = document.getElementById('pd-gate-status');
+    if (!list) return;
+    const rows = [];
+    if (cfg.pinHash) rows.push(['pd-pack-ok', '🔑 A PIN is set; the gate asks for it instead of the challenge.']);
+    else if (cfg.challenge === 'off') rows.push(['pd-pack-warn', '⚠️ The gate is off: anyone can open this dashboard.']);
+    if (cfg.shopOver != null) rows.push(['', `🏪 Shop buys over 🌾${cfg.shopOver} ask first.`]);
+    list.innerHTML = '';
+    rows.forEach(([cls, text]) => {
+      const li = document.createElement('li');
+      li.className = cls;
+      li.textContent = text;
+      list.appendChild(li);
+    });
+  }
+
+  _saveGateConfig() {
+    const challenge = document.getElementById('pd-gate-challenge')?.value || 'math';
+    const raw = document.getElementById('pd-gate-shop')?.value.trim();
+    const shopOver = raw === '' || raw == null || !(Number(raw) >= 0) ? null : Math.floor(Number(raw));
+    PARENT_GATE.setConfig({ challenge, shopOver });
+    this._renderGate();
+  }
+
+  _setGatePin(clear = false) {
+    const input = document.getElementById('pd-gate-pin');
+    if (!PARENT_GATE.setPin(clear ? '' : input?.value)) {
+      const list = document.getElementById('pd-gate-status');
+      if (list) list.innerHTML = '<li class="pd-pack-err">❌ A PIN is 4 to 8 digits.</li>';
+      return;
+    }
+    this._renderGate();
+  }
+
   // ── Helpers ──────────────────────────────────────────────
   _stars(n)     { return '⭐'.repeat(n) + '☆'.repeat(Math.max(0, 3 - n)); }
   _starsText(n) { return '★'.repeat(n) + '☆'.repeat(Math.max(0, 3 - n)); }
@@ -252,10 +1050,57 @@ class ParentDashboard {
     document.getElementById('progressBackBtn')?.addEventListener('click', () => this.hide());
     document.getElementById('shareReportBtn')?.addEventListener('click', () => this._shareReport());
     document.getElementById('pd-create-class-btn')?.addEventListener('click', () => this._createClass());
-    document.getElementById('launchProgressBtn')?.addEventListener('click', () => this.show());
+    document.getElementById('launchProgressBtn')?.addEventListener('click', async () => {
+      if (await PARENT_GATE.check('open the progress dashboard')) this.show();
+    });
     document.getElementById('pd-class-input')?.addEventListener('keydown', e => {
       if (e.key === 'Enter') this._createClass();
     });
+    const packFile = document.getElementById('pd-pack-file');
+    document.getElementById('pd-pack-load-btn')?.addEventListener('click', () => this._loadBundledPack());
+    document.getElementById('pd-pack-file-btn')?.addEventListener('click', () => packFile?.click());
+    packFile?.addEventListener('change', () => {
+      this._loadPackFile(packFile.files?.[0]);
+      packFile.value = '';
+    });
+    document.getElementById('pd-pack-reset-btn')?.addEventListener('click', () => this._resetPack());
+    document.getElementById('pd-pack-export-btn')?.addEventListener('click', () => this._exportPack());
+    const saveFile = document.getElementById('pd-save-file');
+    document.getElementById('pd-save-export-btn')?.addEventListener('click', () => this._exportSave());
+    document.getElementById('pd-save-import-btn')?.addEventListener('click', () => saveFile?.click());
+    saveFile?.addEventListener('change', () => {
+      this._previewSaveFile(saveFile.files?.[0]);
+      saveFile.value = '';
+    });
+    document.getElementById('pd-save-apply-btn')?.addEventListener('click', () => this._applySave());
+    document.getElementById('pd-save-cancel-btn')?.addEventListener('click', () => this._showSaveRows([]));
+    ['pd-xapi-endpoint', 'pd-xapi-auth'].forEach(id =>
+      document.getElementById(id)?.addEventListener('change', () => this._saveXapiConfig()));
+    document.getElementById('pd-xapi-send-btn')?.addEventListener('click', () => this._sendXapi());
+    document.getElementById('pd-xapi-export-btn')?.addEventListener('click', () => this._exportXapi());
+    ['pd-sync-endpoint', 'pd-sync-token', 'pd-sync-id'].forEach(id =>
+      document.getElementById(id)?.addEventListener('change', () => { this._saveSyncConfig(); this._renderSync(); }));
+    document.getElementById('pd-sync-btn')?.addEventListener('click', () => this._syncNow());
+    document.getElementById('pd-reset-btn')?.addEventListener('click', () => this._eraseProgress());
+    ['pd-time-daily', 'pd-time-session', 'pd-time-quiet-from', 'pd-time-quiet-to'].forEach(id =>
+      document.getElementById(id)?.addEventListener('change', () => this._savePlayTime()));
+    ['pd-goal-type', 'pd-goal-world'].forEach(id =>
+      document.getElementById(id)?.addEventListener('change', () => this._showGoalInputs()));
+    document.getElementById('pd-goal-add-btn')?.addEventListener('click', () => this._addGoal());
+    document.getElementById('pd-nwf-start')?.addEventListener('click', () => {
+      const stageId = Number(document.getElementById('pd-nwf-stage')?.value) || 1;
+      NWF_CHECK.start(this._tracker, stageId, () => this._renderNwf());
+    });
+    document.getElementById('pd-orf-world')?.addEventListener('change', () => this._renderOrf());
+    [['pd-orf-passage', 'passage'], ['pd-orf-words', 'words']].forEach(([id, kind]) =>
+      document.getElementById(id)?.addEventListener('click', () => {
+        const world = Number(document.getElementById('pd-orf-world')?.value) || 1;
+        FLUENCY_SPRINT.start(this._tracker, world, kind, () => this._renderOrf());
+      }));
+    ['pd-gate-challenge', 'pd-gate-shop'].forEach(id =>
+      document.getElementById(id)?.addEventListener('change', () => this._saveGateConfig()));
+    document.getElementById('pd-gate-pin-btn')?.addEventListener('click', () => this._setGatePin());
+    document.getElementById('pd-gate-pin-clear')?.addEventListener('click', () => this._setGatePin(true));
   }
 }
 
@@ -0,0 +1,221 @@
+'use strict';
+// ============================================================
+// PARENT GATE — js/parentGate.js
+//
+// A grown-up check in front of what a child shouldn't do alone:
+// the progress dashboard, erasing or replacing a player's progress,
+// the sound settings, the Relaxed Mode switch, class codes and, if a
+// parent turns it on, shop purchases above a price.
+//
+//   PARENT_GATE.check('open the progress dashboard').then(ok => …)
+//
+// The challenge is either a sum written out in words ("seven times
+// eight"), which an early reader can't yet work out, or a button
+// held down for three seconds. A parent can also set a PIN, which is
+// then asked for instead. Passing keeps the gate open for a couple of
+// minutes so one visit to the dashboard doesn't ask again and again;
+// erasing progress passes `{ always: true }` and asks every time.
+// Settings are device-wide.
+// ============================================================
+
+const GATE_CFG_KEY  = 'samurice_gate_cfg';
+const GATE_GRACE_MS = 2 * 60 * 1000;
+const GATE_HOLD_MS  = 3000;
+const GATE_TRIES    = 3;      // wrong answers before the gate closes
+
+const _GATE_WORDS = ['zero','one','two','three','four','five','six','seven','eight','nine','ten',
+  'eleven','twelve','thirteen','fourteen','fifteen','sixteen','seventeen','eighteen','nineteen'];
+const _GATE_TENS  = ['','','twenty','thirty','forty','fifty','sixty','seventy','eighty','ninety'];
+
+class ParentGate {
+  constructor() {
+    this._openUntil = 0;
+    this._el = null;
+    this._pending = null;     // { resolve } while the gate is showing
+  }
+
+  // ── Settings ─────────────────────────────────────────────
+  //   challenge — 'math' | 'hold' | 'off' (no gate at all)
+  //   pinHash   — set through setPin(); '' for no PIN
+  //   shopOver  — purchases costing more than this ask first; null = never
+  config() {
+    const def = { challenge: 'math', pinHash: '', shopOver: null };
+    try { return { ...def, ...JSON.parse(STORE.getItem(GATE_CFG_KEY) || '{}') }; }
+    catch { return def; }
+  }
+  setConfig(partial) {
+    STORE.setItem(GATE_CFG_KEY, JSON.stringify({ ...this.config(), ...partial }));
+  }
+
+  // 4–8 digits, or '' to remove the PIN
+  setPin(pin) {
+    pin = String(pin || '').trim();
+    if (pin && !/^\d{4,8}$/.test(pin)) return false;
+    this.setConfig({ pinHash: pin ? this._hash(pin) : '' });
+    return true;
+  }
+  hasPin() { return !!this.config().pinHash; }
+
+  guardsPurchase(price) {
+    const over = this.config().shopOver;
+    return over != null && price > over;
+  }
+
+  // ── Checking ─────────────────────────────────────────────
+  // Resolves true once a grown-up has passed (or recently passed and
+  // `always` isn't set), false when cancelled or failed.
+  check(reason, { always = false } = {}) {
+    const cfg = this.config();
+    if (cfg.challenge === 'off' && !cfg.pinHash) return Promise.resolve(true);
+    if (!always && Date.now() < this._openUntil) return Promise.resolve(true);
+    if (this._pending) return Promise.resolve(false);   // one gate at a time
+    return new Promise(resolve => {
+      this._pending = { resolve };
+      this._show(reason, cfg);
+    });
+  }
+
+  // Close the grace window, e.g. when the dashboard is left
+  lock() { this._openUntil = 0; }
+
+  _finish(ok) {
+    const pending = this._pending;
+    this._pending = null;
+    this._stopHold();
+    if (this._el) this._el.classList.remove('pg-open');
+    if (ok) this._openUntil = Date.now() + GATE_GRACE_MS;
+    pending?.resolve(ok);
+  }
+
+  // ── Challenges ───────────────────────────────────────────
+  // A times-table fact or a two-digit sum with a carry
+  _newProblem() {
+    const r = (lo, hi) => lo + Math.floor(Math.random() * (hi - lo + 1));
+    if (Math.random() < 0.5) {
+      const a = r(3, 9), b = r(3, 9);
+      return { text: `${this._words(a)} times ${this._words(b)}`, answer: a * b };
+    }
+    const a = r(13, 49), b = r(13, 49);
+    return { text: `${this._words(a)} plus ${this._words(b)}`, answer: a + b };
+  }
+
+  _words(n) {
+    if (n < 20) return _GATE_WORDS[n];
+    return _GATE_TENS[Math.floor(n / 10)] + (n % 10 ? `-${_GATE_WORDS[n % 10]}` : '');
+  }
+
+  // Kept out of plain sight in the save store; a 4-digit PIN is not
+  // meant to stop anyone with the developer tools open.
+  _hash(pin) {
+    let h = 0x811c9dc5;
+    const text = `samurice-gate:${pin}`;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, '0');
+  }
+
+  // ── Dialog ───────────────────────────────────────────────
+  _build() {
+    const el = document.createElement('div');
+    el.id = 'parent-gate';
+    el.className = 'pg-backdrop';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-labelledby', 'pg-title');
+    el.innerHTML = `
+      <div class="pg-card">
+        <h3 class="pg-title" id="pg-title">🔒 Grown-ups only</h3>
+        <p class="pg-reason"></p>
+        <p class="pg-question"></p>
+        <div class="pg-row pg-answer-row">
+          <input class="pg-input" type="password" inputmode="numeric" autocomplete="off" maxlength="8">
+          <button class="pg-btn pg-ok">OK</button>
+        </div>
+        <button class="pg-btn pg-hold"><span class="pg-hold-fill"></span><span class="pg-hold-label">Press and hold for 3 seconds</span></button>
+        <p class="pg-error" aria-live="polite"></p>
+        <button class="pg-btn pg-cancel">Cancel</button>
+      </div>`;
+    document.body.appendChild(el);
+    const $ = (sel) => el.querySelector(sel);
+    this._ui = {
+      reason: $('.pg-reason'), question: $('.pg-question'), row: $('.pg-answer-row'),
+      input: $('.pg-input'), hold: $('.pg-hold'), fill: $('.pg-hold-fill'), error: $('.pg-error'),
+    };
+    $('.pg-ok').addEventListener('click', () => this._submit());
+    $('.pg-cancel').addEventListener('click', () => this._finish(false));
+    el.addEventListener('click', (e) => { if (e.target === el) this._finish(false); });
+    // Keys typed here mustn't reach the game's own shortcuts underneath
+    el.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') this._submit();
+      if (e.key === 'Escape') this._finish(false);
+    });
+    const hold = this._ui.hold;
+    hold.addEventListener('pointerdown', (e) => { e.preventDefault(); this._startHold(); });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(ev => hold.addEventListener(ev, () => this._stopHold()));
+    hold.addEventListener('contextmenu', (e) => e.preventDefault());
+    this._el = el;
+  }
+
+  _show(reason, cfg) {
+    if (!this._el) this._build();
+    const ui = this._ui;
+    this._mode = cfg.pinHash ? 'pin' : cfg.challenge;
+    this._tries = 0;
+    ui.reason.textContent = reason ? `Ask a grown-up to ${reason}.` : 'Ask a grown-up to help.';
+    ui.error.textContent = '';
+    ui.input.value = '';
+    ui.row.hidden = this._mode === 'hold';
+    ui.hold.hidden = this._mode !== 'hold';
+    this._problem = null;
+    if (this._mode === 'pin') {
+      ui.question.textContent = 'Enter the parent PIN.';
+    } else if (this._mode === 'math') {
+      this._problem = this._newProblem();
+      ui.question.textContent = `What is ${this._problem.text}?`;
+    } else {
+      ui.question.textContent = 'Keep your finger on the button until it fills up.';
+    }
+    this._el.classList.add('pg-open');
+    if (this._mode !== 'hold') setTimeout(() => ui.input.focus(), 50);
+  }
+
+  _submit() {
+    if (!this._pending || this._mode === 'hold') return;
+    const value = this._ui.input.value.trim();
+    if (!value) return;
+    const ok = this._mode === 'pin'
+      ? this._hash(value) === this.config().pinHash
+      : Number(value) === this._problem.answer;
+    if (ok) { this._finish(true); return; }
+    if (++this._tries >= GATE_TRIES) { this._finish(false); return; }
+    this._ui.input.value = '';
+    this._ui.error.textContent = this._mode === 'pin' ? 'That PIN isn’t right.' : 'Not quite. Here’s another one.';
+    if (this._mode === 'math') {
+      this._problem = this._newProblem();
+      this._ui.question.textContent = `What is ${this._problem.text}?`;
+    }
+  }
+
+  _startHold() {
+    if (!this._pending || this._holdStart) return;
+    this._holdStart = Date.now();
+    const step = () => {
+      const t = Math.min(1, (Date.now() - this._holdStart) / GATE_HOLD_MS);
+      this._ui.fill.style.width = `${t * 100}%`;
+      if (t >= 1) { this._holdStart = 0; this._finish(true); return; }
+      this._holdRaf = requestAnimationFrame(step);
+    };
+    step();
+  }
+
+  _stopHold() {
+    cancelAnimationFrame(this._holdRaf);
+    this._holdStart = 0;
+    if (this._ui) this._ui.fill.style.width = '0%';
+  }
+}
+
+const PARENT_GATE = new ParentGate();
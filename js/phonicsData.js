@@ -3,7 +3,7 @@
 // PHONICS DATA — js/phonicsData.js
 // ------------------------------------------------------------
 // CAMPAIGN = the main game mode.
-//   6 Worlds × 5 stages = 30 stages, sequenced by the
+//   8 Worlds, 42 stages (5 per world, 7 in World 7), sequenced by the
 //   science-of-reading progression children master phonics with:
 //
 //     World 1 · Rice Paddy Valley  → Phonemic Awareness & Letter Sounds
@@ -12,6 +12,8 @@
 //     World 4 · Ancient Rice Ruins → Long Vowels (Magic-e & Vowel Teams)
 //     World 5 · Mountain Terraces  → Sight Words & Word Families
 //     World 6 · Volcanic Peak      → Multisyllabic Words & Mastery
+//     World 7 · Storm Castle Harbor → R-Controlled Vowels, Diphthongs & Soft C/G
+//     World 8 · Moonlit Scroll Library → Morphology: Endings, Prefixes & Suffixes
 //
 //   Each stage tags a `skill` (what it teaches) and `activities`
 //   (which mini-game types the boss battle uses):
@@ -20,8 +22,19 @@
 //     rhyme                             → rhyming (phonemic awareness)
 //     segment-it                        → segmenting & blending
 //     sight-word                        → whole-word sight recognition
+//     hard-soft                         → sort hard vs soft c / g (cat·face, gum·gem)
+//     word-parts                        → build / split base + affix (hop + ing = hopping)
+//     syllable-split                    → divide a word into syllables, then read each one
 //   `challengeEvery` controls how often a mini-game round appears
 //   (1 = every round is a mini-game; great for sight-word stages).
+//
+//   A word's `phonemes` are the tiles the child blends; magic-e is a
+//   split digraph tile ("a_e"). GRAPHEME–PHONEME CORRESPONDENCES maps
+//   tiles to true speech sounds for scoring and audio.
+//
+//   The tables below are the built-in campaign. A JSON content pack
+//   (see CONTENT PACKS at the end of this file) can replace them at
+//   runtime; both go through PHONICS_DATA.buildCampaign().
 // ============================================================
 
 const PHONICS_DATA = {};
@@ -90,6 +103,29 @@ const _WORLDS_META = [
     skyColor:["#212121","#B71C1C"], groundColor:"#880E4F", accentColor:"#FF6F00",
     dmg:24, blendTime:18, bossHp:200, bossAttack:22, runnerSpeed:4.8,
   },
+  {
+    // No art set of its own yet: the ruins backdrop under a storm sky,
+    // with Rex back for a rematch.
+    id:7, name:"Storm Castle Harbor", icon:"⛈️",
+    skill:"R-Controlled Vowels, Diphthongs & Soft C/G",
+    desc:"Bossy r takes charge (car, fork, bird, hair), vowels slide together in coin, toy & cloud, and c and g go soft in face & gem!",
+    bg:"stage-4-ruins", arenaBg:"arena-4", bossFile:"stage-1-rex", minionFile:"stage-3-ptera", miniFile:"mini-w4",
+    bossName:"Storm Rex the Roarer",
+    sentences: ['The girl and the boy hear the storm.', 'A brown cow is in the barn.', 'Turn left at the fork for the coins.'],
+    skyColor:["#263238","#607D8B"], groundColor:"#37474F", accentColor:"#7C4DFF",
+    dmg:26, blendTime:18, bossHp:215, bossAttack:23, runnerSpeed:5.0,
+  },
+  {
+    // Borrows the temple art by moonlight; Rapi returns as the scribe.
+    id:8, name:"Moonlit Scroll Library", icon:"📜",
+    skill:"Morphology — Endings, Prefixes & Suffixes",
+    desc:"Words have parts! Snap on endings (cats, jumped, hopping), prefixes and suffixes (unlock, helpful) and split big words back apart.",
+    bg:"stage-3-cherry-temple", arenaBg:"arena-3", bossFile:"stage-2-rapi", minionFile:"stage-2-stego", miniFile:"mini-w3",
+    bossName:"Scribe Rapi the Riddler",
+    sentences: ['The cats jumped and played.', 'The dogs are hopping and running.', 'Unpack the boxes and help.'],
+    skyColor:["#311B92","#9575CD"], groundColor:"#4527A0", accentColor:"#26A69A",
+    dmg:28, blendTime:18, bossHp:230, bossAttack:24, runnerSpeed:5.2,
+  },
 ];
 
 // Tiny word helper — keeps stage tables readable.
@@ -131,12 +167,21 @@ PHONICS_DATA.buildStageQuest = function(stage) {
 
 // ── Per-world stage tables ────────────────────────────────────
 // Each entry: { name, pattern, patternDesc, skill, activities,
-//               challengeEvery?, miniName?, words:[...] }
+//               challengeEvery?, miniName?, teaches?, words:[...] }
+// `teaches` lists the grapheme–phoneme correspondences the stage
+// introduces (see DECODABILITY); later stages may use them freely.
+
+// World 1 works through the whole alphabet, one sound per letter.
+const _ALPHABET_GPCS = [
+  'a','b','c','d','e','f','g','h','i','j','k','l','m',
+  'n','o','p','q','r','s','t','u','v','w','x','y','z',
+];
+
 const _WORLD_STAGES = {
 
   // ════════ WORLD 1 — Phonemic Awareness & Letter Sounds ════════
   1: [
-    { name:"First Sound Forest", pattern:"First Sounds",
+    { name:"First Sound Forest", pattern:"First Sounds", teaches:_ALPHABET_GPCS,
       patternDesc:"Hear the sound a word STARTS with", skill:"Phonemic Awareness",
       activities:["oral-blend","first","letter-sound"], challengeEvery:2, miniName:"Sound Sprout", miniFile:"sound-sprout",
       words:[ _w("sun",["s","u","n"],"☀️"), _w("map",["m","a","p"],"🗺️"),
@@ -225,14 +270,14 @@ const _WORLD_STAGES = {
 
   // ════════ WORLD 3 — Digraphs & Consonant Blends ════════
   3: [
-    { name:"SH & CH Shrine", pattern:"sh · ch Digraphs",
+    { name:"SH & CH Shrine", pattern:"sh · ch Digraphs", teaches:["sh","ch"],
       patternDesc:"Two letters, one sound: ship · chip", skill:"Digraphs",
       activities:["first","segment-it"], miniName:"Petal Ptero",
       words:[ _w("ship",["sh","i","p"],"🚢"), _w("shop",["sh","o","p"],"🏪"),
         _w("shed",["sh","e","d"],"🛖"), _w("fish",["f","i","sh"],"🐟"),
         _w("chip",["ch","i","p"],"🍟"), _w("chat",["ch","a","t"],"💬"),
         _w("chin",["ch","i","n"],"😀"), _w("much",["m","u","ch"],"🔆") ] },
-    { name:"TH & WH Wing", pattern:"th · wh Digraphs",
+    { name:"TH & WH Wing", pattern:"th · wh Digraphs", teaches:["th","wh"],
       patternDesc:"thin · that · when", skill:"Digraphs",
       activities:["first","last"], miniName:"Blossom Brachi",
       words:[ _w("thin",["th","i","n"],"📏"), _w("that",["th","a","t"],"👆"),
@@ -266,30 +311,30 @@ const _WORLD_STAGES = {
 
   // ════════ WORLD 4 — Long Vowels ════════
   4: [
-    { name:"Magic-E Manor · A", pattern:"a_e (Magic-e)",
+    { name:"Magic-E Manor · A", pattern:"a_e (Magic-e)", teaches:["a_e"],
       patternDesc:"Silent e makes a say its name: cake", skill:"Long Vowels · Magic-e",
       activities:["segment-it","middle"], miniName:"Ruin Raptor",
-      words:[ _w("cake",["c","a","ke"],"🎂"), _w("lake",["l","a","ke"],"🏞️"),
-        _w("make",["m","a","ke"],"🔨"), _w("bake",["b","a","ke"],"👨‍🍳"),
-        _w("gate",["g","a","te"],"🚪"), _w("name",["n","a","me"],"🏷️"),
-        _w("game",["g","a","me"],"🎮"), _w("tape",["t","a","pe"],"📼"),
-        _w("cane",["c","a","ne"],"🦯"), _w("wave",["w","a","ve"],"🌊") ] },
-    { name:"Magic-E Manor · I & O", pattern:"i_e · o_e (Magic-e)",
+      words:[ _w("cake",["c","a_e","k"],"🎂"), _w("lake",["l","a_e","k"],"🏞️"),
+        _w("make",["m","a_e","k"],"🔨"), _w("bake",["b","a_e","k"],"👨‍🍳"),
+        _w("gate",["g","a_e","t"],"🚪"), _w("name",["n","a_e","m"],"🏷️"),
+        _w("game",["g","a_e","m"],"🎮"), _w("tape",["t","a_e","p"],"📼"),
+        _w("cane",["c","a_e","n"],"🦯"), _w("wave",["w","a_e","v"],"🌊") ] },
+    { name:"Magic-E Manor · I & O", pattern:"i_e · o_e (Magic-e)", teaches:["i_e","o_e","s:z"],
       patternDesc:"bike · hope", skill:"Long Vowels · Magic-e",
       activities:["segment-it","middle"], miniName:"Stone Stego",
-      words:[ _w("bike",["b","i","ke"],"🚲"), _w("kite",["k","i","te"],"🪁"),
-        _w("time",["t","i","me"],"⏰"), _w("ride",["r","i","de"],"🛷"),
-        _w("hope",["h","o","pe"],"🕊️"), _w("rose",["r","o","se"],"🌹"),
-        _w("note",["n","o","te"],"🎵"), _w("bone",["b","o","ne"],"🦴"),
-        _w("hole",["h","o","le"],"🕳️"), _w("nose",["n","o","se"],"👃") ] },
-    { name:"Vowel Team Vale · I", pattern:"ai · ay · ee · ea",
+      words:[ _w("bike",["b","i_e","k"],"🚲"), _w("kite",["k","i_e","t"],"🪁"),
+        _w("time",["t","i_e","m"],"⏰"), _w("ride",["r","i_e","d"],"🛷"),
+        _w("hope",["h","o_e","p"],"🕊️"), _w("rose",["r","o_e","s"],"🌹"),
+        _w("note",["n","o_e","t"],"🎵"), _w("bone",["b","o_e","n"],"🦴"),
+        _w("hole",["h","o_e","l"],"🕳️"), _w("nose",["n","o_e","s"],"👃") ] },
+    { name:"Vowel Team Vale · I", pattern:"ai · ay · ee · ea", teaches:["ai","ay","ee","ea"],
       patternDesc:"rain · play · feet · leaf", skill:"Long Vowels · Vowel Teams",
       activities:["segment-it","rhyme"], miniName:"Relic Ptero",
       words:[ _w("rain",["r","ai","n"],"🌧️",{rime:"ain"}), _w("pain",["p","ai","n"],"🤕",{rime:"ain"}),
         _w("play",["pl","ay"],"🛝",{rime:"ay"}), _w("day",["d","ay"],"📅",{rime:"ay"}),
         _w("feet",["f","ee","t"],"🦶",{rime:"eet"}), _w("seed",["s","ee","d"],"🌱",{rime:"eed"}),
         _w("leaf",["l","ea","f"],"🍃",{rime:"eaf"}), _w("read",["r","ea","d"],"📖",{rime:"ead"}) ] },
-    { name:"Vowel Team Vale · O", pattern:"oa · igh · oo",
+    { name:"Vowel Team Vale · O", pattern:"oa · igh · oo", teaches:["oa","igh","oo"],
       patternDesc:"boat · light · moon", skill:"Long Vowels · Vowel Teams",
       activities:["segment-it","last"], miniName:"Ancient Anky",
       words:[ _w("boat",["b","oa","t"],"⛵",{rime:"oat"}), _w("coat",["c","oa","t"],"🧥",{rime:"oat"}),
@@ -300,10 +345,10 @@ const _WORLD_STAGES = {
     { name:"Long Vowel Boss", pattern:"Long Vowel Boss",
       patternDesc:"Magic-e and vowel teams unite!", skill:"Long Vowel Boss",
       activities:["segment-it","middle","rhyme"],
-      words:[ _w("cake",["c","a","ke"],"🎂"), _w("bike",["b","i","ke"],"🚲"),
-        _w("hope",["h","o","pe"],"🕊️"), _w("rain",["r","ai","n"],"🌧️",{rime:"ain"}),
+      words:[ _w("cake",["c","a_e","k"],"🎂"), _w("bike",["b","i_e","k"],"🚲"),
+        _w("hope",["h","o_e","p"],"🕊️"), _w("rain",["r","ai","n"],"🌧️",{rime:"ain"}),
         _w("boat",["b","oa","t"],"⛵",{rime:"oat"}), _w("feet",["f","ee","t"],"🦶"),
-        _w("kite",["k","i","te"],"🪁"), _w("rose",["r","o","se"],"🌹"),
+        _w("kite",["k","i_e","t"],"🪁"), _w("rose",["r","o_e","s"],"🌹"),
         _w("goat",["g","oa","t"],"🐐",{rime:"oat"}), _w("light",["l","igh","t"],"💡") ] },
   ],
 
@@ -315,7 +360,7 @@ const _WORLD_STAGES = {
       words:[ _w("the",["th","e"],"📘",{sight:true}), _w("was",["w","a","s"],"⏪",{sight:true}),
         _w("said",["s","ai","d"],"🗣️",{sight:true}), _w("you",["y","ou"],"🫵",{sight:true}),
         _w("are",["ar","e"],"〰️",{sight:true}), _w("for",["f","or"],"🎁",{sight:true}),
-        _w("to",["t","oo"],"➡️",{sight:true}), _w("he",["h","e"],"👦",{sight:true}) ] },
+        _w("to",["t","o"],"➡️",{sight:true}), _w("he",["h","e"],"👦",{sight:true}) ] },
     { name:"Sight Word Summit II", pattern:"Sight Words",
       patternDesc:"have · they · come · some", skill:"Sight Words",
       activities:["sight-word"], challengeEvery:1, miniName:"Crag Spino",
@@ -323,7 +368,7 @@ const _WORLD_STAGES = {
         _w("come",["c","o","me"],"🙌",{sight:true}), _w("some",["s","o","me"],"🔢",{sight:true}),
         _w("were",["w","er","e"],"👣",{sight:true}), _w("what",["wh","a","t"],"❔",{sight:true}),
         _w("when",["wh","e","n"],"❓",{sight:true}), _w("from",["fr","o","m"],"📨",{sight:true}) ] },
-    { name:"Word Family Falls I", pattern:"-all · -ing · -uck",
+    { name:"Word Family Falls I", pattern:"-all · -ing · -uck", teaches:["all","ng","ck"],
       patternDesc:"ball · ring · duck", skill:"Word Families · Rhyme",
       activities:["rhyme","last"], challengeEvery:2, miniName:"Peak Pachy",
       words:[ _w("ball",["b","all"],"⚽",{rime:"all"}), _w("call",["c","all"],"📞",{rime:"all"}),
@@ -350,23 +395,24 @@ const _WORLD_STAGES = {
 
   // ════════ WORLD 6 — Multisyllabic Words & Mastery ════════
   6: [
-    { name:"Two-Syllable Trail", pattern:"2-Syllable Words",
-      patternDesc:"Chunk it: ro·bot · ti·ger", skill:"Multisyllabic · Syllables",
-      activities:["segment-it"], miniName:"Ash Dilo",
+    { name:"Two-Syllable Trail", pattern:"2-Syllable Words", teaches:["o:long_o","i:long_i","u:long_u","a:long_a","er","le"],
+      patternDesc:"Chunk it: ro·bot · ti·ger · ta·ble", skill:"Multisyllabic · Syllables",
+      activities:["segment-it","syllable-split"], miniName:"Ash Dilo",
       words:[ _w("robot",["ro","bot"],"🤖"), _w("tiger",["ti","ger"],"🐯"),
         _w("sunset",["sun","set"],"🌇"), _w("muffin",["muf","fin"],"🧁"),
         _w("rabbit",["rab","bit"],"🐰"), _w("napkin",["nap","kin"],"🧻"),
-        _w("basket",["bas","ket"],"🧺"), _w("picnic",["pic","nic"],"🧺") ] },
-    { name:"Compound Crater", pattern:"Compound Words",
+        _w("basket",["bas","ket"],"🧺"), _w("picnic",["pic","nic"],"🧺"),
+        _w("table",["ta","ble"],"🍽️"), _w("candle",["can","dle"],"🕯️") ] },
+    { name:"Compound Crater", pattern:"Compound Words", teaches:["or"],
       patternDesc:"Two words, one word: cup·cake", skill:"Multisyllabic · Compounds",
-      activities:["segment-it","first"], miniName:"Cinder Dilo",
+      activities:["segment-it","first","syllable-split"], miniName:"Cinder Dilo",
       words:[ _w("cupcake",["cup","cake"],"🧁"), _w("cobweb",["cob","web"],"🕸️"),
         _w("laptop",["lap","top"],"💻"), _w("bathtub",["bath","tub"],"🛁"),
         _w("sandbox",["sand","box"],"🏖️"), _w("hotdog",["hot","dog"],"🌭"),
         _w("popcorn",["pop","corn"],"🍿"), _w("sunset",["sun","set"],"🌇") ] },
-    { name:"Three-Syllable Summit", pattern:"3-Syllable Words",
+    { name:"Three-Syllable Summit", pattern:"3-Syllable Words", teaches:["y:long_i","ph"],
       patternDesc:"vol·ca·no · ba·na·na", skill:"Multisyllabic · Syllables",
-      activities:["segment-it"], miniName:"Magma Dilo",
+      activities:["segment-it","syllable-split"], miniName:"Magma Dilo",
       words:[ _w("volcano",["vol","ca","no"],"🌋"), _w("banana",["ba","na","na"],"🍌"),
         _w("samurai",["sa","mu","rai"],"⚔️"), _w("dinosaur",["di","no","saur"],"🦕"),
         _w("butterfly",["but","ter","fly"],"🦋"), _w("elephant",["el","e","phant"],"🐘"),
@@ -380,23 +426,138 @@ const _WORLD_STAGES = {
         _w("crisp",["cr","i","sp"],"🍪"), _w("thrust",["thr","u","st"],"🚀") ] },
     { name:"Grand Mastery Boss", pattern:"Mastery Boss",
       patternDesc:"Every phonics skill — one final battle!", skill:"Mastery Boss",
-      activities:["segment-it","rhyme","sight-word","middle"], challengeEvery:2,
-      words:[ _w("cake",["c","a","ke"],"🎂"), _w("frog",["fr","o","g"],"🐸"),
+      activities:["segment-it","rhyme","sight-word","middle","syllable-split"], challengeEvery:2,
+      words:[ _w("cake",["c","a_e","k"],"🎂"), _w("frog",["fr","o","g"],"🐸"),
         _w("robot",["ro","bot"],"🤖"), _w("the",["th","e"],"📘",{sight:true}),
         _w("crash",["cr","a","sh"],"💥"), _w("ship",["sh","i","p"],"🚢"),
         _w("jump",["j","u","mp"],"🤸",{rime:"ump"}), _w("bump",["b","u","mp"],"💥",{rime:"ump"}),
         _w("volcano",["vol","ca","no"],"🌋"), _w("light",["l","igh","t"],"💡"),
         _w("blend",["bl","e","nd"],"🌀") ] },
   ],
+
+  // ════════ WORLD 7 — R-Controlled Vowels & Diphthongs ════════
+  7: [
+    { name:"Bossy R Harbor", pattern:"ar · or", teaches:["ar","or"],
+      patternDesc:"Bossy r: car · star · fork · horn", skill:"R-Controlled Vowels",
+      activities:["segment-it","middle"], challengeEvery:3, miniName:"Harbor Ptero",
+      words:[ _w("car",["c","ar"],"🚗",{rime:"ar"}), _w("star",["st","ar"],"⭐",{rime:"ar"}),
+        _w("farm",["f","ar","m"],"🚜"), _w("shark",["sh","ar","k"],"🦈",{rime:"ark"}),
+        _w("park",["p","ar","k"],"🛝",{rime:"ark"}), _w("fork",["f","or","k"],"🍴"),
+        _w("horn",["h","or","n"],"📯",{rime:"orn"}), _w("corn",["c","or","n"],"🌽",{rime:"orn"}),
+        _w("storm",["st","or","m"],"⛈️") ] },
+    { name:"Thunder Turret", pattern:"er · ir · ur", teaches:["er","ir","ur"],
+      patternDesc:"Three spellings, one sound: her · bird · fur", skill:"R-Controlled Vowels",
+      activities:["segment-it","middle","letter-sound"], challengeEvery:3, miniName:"Thunder Raptor",
+      words:[ _w("her",["h","er"],"👩"), _w("fern",["f","er","n"],"🌿"),
+        _w("bird",["b","ir","d"],"🐦"), _w("girl",["g","ir","l"],"👧"),
+        _w("shirt",["sh","ir","t"],"👕"), _w("fur",["f","ur"],"🐻"),
+        _w("burn",["b","ur","n"],"🔥",{rime:"urn"}), _w("turn",["t","ur","n"],"↪️",{rime:"urn"}),
+        _w("surf",["s","ur","f"],"🏄") ] },
+    { name:"Cloud Air Bridge", pattern:"air · are · ear", teaches:["air","are","ear"],
+      patternDesc:"hair · care · hear", skill:"R-Controlled Vowels",
+      activities:["rhyme","segment-it"], challengeEvery:2, miniName:"Gale Ptero",
+      words:[ _w("hair",["h","air"],"💇",{rime:"air"}), _w("chair",["ch","air"],"🪑",{rime:"air"}),
+        _w("pair",["p","air"],"🧦",{rime:"air"}), _w("care",["c","are"],"🤗",{rime:"are"}),
+        _w("share",["sh","are"],"🤝",{rime:"are"}), _w("year",["y","ear"],"📅",{rime:"ear"}),
+        _w("hear",["h","ear"],"🎧",{rime:"ear"}), _w("near",["n","ear"],"📍",{rime:"ear"}),
+        _w("beard",["b","ear","d"],"🧔") ] },
+    { name:"Coin Cove", pattern:"oi · oy · ow · ou", teaches:["oi","oy","ow","ou"],
+      patternDesc:"Sliding vowels: coin · toy · cow · cloud", skill:"Diphthongs",
+      activities:["segment-it","middle","rhyme"], challengeEvery:3, miniName:"Cove Stego",
+      words:[ _w("coin",["c","oi","n"],"🪙",{rime:"oin"}), _w("join",["j","oi","n"],"🔗",{rime:"oin"}),
+        _w("boil",["b","oi","l"],"♨️"), _w("boy",["b","oy"],"👦",{rime:"oy"}),
+        _w("toy",["t","oy"],"🧸",{rime:"oy"}), _w("cow",["c","ow"],"🐄",{rime:"ow"}),
+        _w("owl",["ow","l"],"🦉"), _w("town",["t","ow","n"],"🏘️"),
+        _w("cloud",["cl","ou","d"],"☁️"), _w("mouth",["m","ou","th"],"👄") ] },
+    { name:"Cinder Cellar", pattern:"Hard c · Soft c", teaches:["c:s"],
+      patternDesc:"c says /s/ before e, i or y: cat · face", skill:"Soft C",
+      activities:["hard-soft","segment-it"], challengeEvery:2, miniName:"Cellar Raptor",
+      words:[ _w("cat",["c","a","t"],"🐱"), _w("cup",["c","u","p"],"☕"),
+        _w("card",["c","ar","d"],"🃏"), _w("cent",["c","e","nt"],"🪙"),
+        _w("face",["f","a_e","c"],"🙂",{rime:"ace"}), _w("race",["r","a_e","c"],"🏁",{rime:"ace"}),
+        _w("space",["sp","a_e","c"],"🚀",{rime:"ace"}), _w("rice",["r","i_e","c"],"🍚",{rime:"ice"}),
+        _w("mice",["m","i_e","c"],"🐭",{rime:"ice"}), _w("corn",["c","or","n"],"🌽") ] },
+    { name:"Gem Gate", pattern:"Hard g · Soft g", teaches:["g:j"],
+      patternDesc:"g often says /j/ before e, i or y: gum · gem", skill:"Soft G",
+      activities:["hard-soft","segment-it"], challengeEvery:2, miniName:"Gem Stego",
+      words:[ _w("gum",["g","u","m"],"🍬"), _w("gas",["g","a","s"],"⛽"),
+        _w("goat",["g","oa","t"],"🐐"), _w("gem",["g","e","m"],"💎"),
+        _w("germ",["g","er","m"],"🦠"), _w("page",["p","a_e","g"],"📄",{rime:"age"}),
+        _w("cage",["c","a_e","g"],"🦜",{rime:"age"}), _w("stage",["st","a_e","g"],"🎭",{rime:"age"}),
+        _w("age",["a_e","g"],"🎂",{rime:"age"}), _w("girl",["g","ir","l"],"👧") ] },
+    { name:"Storm Castle Boss", pattern:"Storm Castle Boss",
+      patternDesc:"Bossy r, sliding vowels and soft c & g — storm the castle!", skill:"Storm Castle Boss",
+      activities:["segment-it","middle","rhyme","hard-soft"], challengeEvery:2,
+      words:[ _w("star",["st","ar"],"⭐",{rime:"ar"}), _w("car",["c","ar"],"🚗",{rime:"ar"}),
+        _w("storm",["st","or","m"],"⛈️"), _w("bird",["b","ir","d"],"🐦"),
+        _w("turn",["t","ur","n"],"↪️",{rime:"urn"}), _w("burn",["b","ur","n"],"🔥",{rime:"urn"}),
+        _w("chair",["ch","air"],"🪑"), _w("hear",["h","ear"],"🎧"),
+        _w("coin",["c","oi","n"],"🪙"), _w("toy",["t","oy"],"🧸"),
+        _w("cloud",["cl","ou","d"],"☁️"), _w("face",["f","a_e","c"],"🙂"),
+        _w("gem",["g","e","m"],"💎") ] },
+  ],
+
+  // ════════ WORLD 8 — Morphology ════════
+  // `morphs` marks the base word and its affixes (see MORPHOLOGY below).
+  8: [
+    { name:"Plural Pagoda", pattern:"-s · -es", teaches:["-s","-es"],
+      patternDesc:"More than one: cats · dogs · foxes · dishes", skill:"Inflectional Endings",
+      activities:["word-parts","segment-it"], challengeEvery:2, miniName:"Page Ptero",
+      words:[ _w("cats",["c","a","t","s"],"🐈",{morphs:["cat","-s"]}), _w("dogs",["d","o","g","s"],"🐕",{morphs:["dog","-s"]}),
+        _w("pigs",["p","i","g","s"],"🐖",{morphs:["pig","-s"]}), _w("bugs",["b","u","g","s"],"🐞",{morphs:["bug","-s"]}),
+        _w("foxes",["f","o","x","es"],"🦊",{morphs:["fox","-es"]}), _w("boxes",["b","o","x","es"],"📦",{morphs:["box","-es"]}),
+        _w("dishes",["d","i","sh","es"],"🍽️",{morphs:["dish","-es"]}), _w("wishes",["w","i","sh","es"],"🌠",{morphs:["wish","-es"]}),
+        _w("benches",["b","e","n","ch","es"],"🪑",{morphs:["bench","-es"]}) ] },
+    { name:"Yesterday Yard", pattern:"-ed · /t/ /d/ /id/", teaches:["-ed"],
+      patternDesc:"One ending, three sounds: jumped · rained · landed", skill:"Inflectional Endings",
+      activities:["word-parts","segment-it"], challengeEvery:2, miniName:"Ink Raptor",
+      words:[ _w("jumped",["j","u","mp","ed"],"🤸",{morphs:["jump","-ed"]}), _w("helped",["h","e","lp","ed"],"🤝",{morphs:["help","-ed"]}),
+        _w("kicked",["k","i","ck","ed"],"⚽",{morphs:["kick","-ed"]}), _w("rained",["r","ai","n","ed"],"🌧️",{morphs:["rain","-ed"]}),
+        _w("played",["pl","ay","ed"],"🎮",{morphs:["play","-ed"]}), _w("turned",["t","ur","n","ed"],"↪️",{morphs:["turn","-ed"]}),
+        _w("landed",["l","a","nd","ed"],"🛬",{morphs:["land","-ed"]}), _w("melted",["m","e","lt","ed"],"🫠",{morphs:["melt","-ed"]}),
+        _w("painted",["p","ai","nt","ed"],"🎨",{morphs:["paint","-ed"]}) ] },
+    { name:"Running River Inn", pattern:"-ing · Double · Drop e", teaches:["-ing","pp","nn","tt","mm"],
+      patternDesc:"hop → hopping (double it) · hope → hoping (drop the e)", skill:"Inflectional Endings",
+      activities:["word-parts","segment-it"], challengeEvery:2, miniName:"River Stego",
+      words:[ _w("jumping",["j","u","mp","ing"],"🤸",{morphs:["jump","-ing"]}), _w("hopping",["h","o","pp","ing"],"🐇",{morphs:["hop","-ing"]}),
+        _w("running",["r","u","nn","ing"],"🏃",{morphs:["run","-ing"]}), _w("sitting",["s","i","tt","ing"],"🪑",{morphs:["sit","-ing"]}),
+        _w("swimming",["sw","i","mm","ing"],"🏊",{morphs:["swim","-ing"]}), _w("hoping",["h","o","p","ing"],"🤞",{morphs:["hope","-ing"]}),
+        _w("riding",["r","i","d","ing"],"🚲",{morphs:["ride","-ing"]}), _w("baking",["b","a","k","ing"],"🧁",{morphs:["bake","-ing"]}),
+        _w("skating",["sk","a","t","ing"],"⛸️",{morphs:["skate","-ing"]}) ] },
+    { name:"Prefix Pass", pattern:"un- · re- · -ful · -less", teaches:["un-","re-","-ful","-less"],
+      patternDesc:"Parts change the meaning: unlock · repaint · helpful · endless", skill:"Prefixes & Suffixes",
+      activities:["word-parts","segment-it"], challengeEvery:2, miniName:"Scroll Stego",
+      words:[ _w("unlock",["un","l","o","ck"],"🔓",{morphs:["un-","lock"]}), _w("unpack",["un","p","a","ck"],"🧳",{morphs:["un-","pack"]}),
+        _w("unzip",["un","z","i","p"],"🤐",{morphs:["un-","zip"]}), _w("repaint",["re","p","ai","nt"],"🖌️",{morphs:["re-","paint"]}),
+        _w("replay",["re","pl","ay"],"🔁",{morphs:["re-","play"]}), _w("reheat",["re","h","ea","t"],"♨️",{morphs:["re-","heat"]}),
+        _w("helpful",["h","e","lp","ful"],"🙋",{morphs:["help","-ful"]}), _w("careful",["c","are","ful"],"🦺",{morphs:["care","-ful"]}),
+        _w("endless",["e","nd","less"],"♾️",{morphs:["end","-less"]}), _w("restless",["r","e","st","less"],"😣",{morphs:["rest","-less"]}) ] },
+    { name:"Scroll Library Boss", pattern:"Scroll Library Boss",
+      patternDesc:"Build words from their parts and split them back — read the boss's scroll!", skill:"Scroll Library Boss",
+      activities:["word-parts","segment-it"], challengeEvery:2,
+      words:[ _w("foxes",["f","o","x","es"],"🦊",{morphs:["fox","-es"]}), _w("dogs",["d","o","g","s"],"🐕",{morphs:["dog","-s"]}),
+        _w("jumped",["j","u","mp","ed"],"🤸",{morphs:["jump","-ed"]}), _w("landed",["l","a","nd","ed"],"🛬",{morphs:["land","-ed"]}),
+        _w("hopping",["h","o","pp","ing"],"🐇",{morphs:["hop","-ing"]}), _w("riding",["r","i","d","ing"],"🚲",{morphs:["ride","-ing"]}),
+        _w("unlock",["un","l","o","ck"],"🔓",{morphs:["un-","lock"]}), _w("replay",["re","pl","ay"],"🔁",{morphs:["re-","play"]}),
+        _w("helpful",["h","e","lp","ful"],"🙋",{morphs:["help","-ful"]}), _w("endless",["e","nd","less"],"♾️",{morphs:["end","-less"]}),
+        _w("unpacked",["un","p","a","ck","ed"],"📭",{morphs:["un-","pack","-ed"]}) ] },
+  ],
 };
 
-// ── Build the flat stage list (global ids 1..30) ──────────────
+// ── Build the flat stage list (global ids 1..42) ──────────────
+// The same builder runs for the built-in campaign and for loaded
+// content packs, so stageList / WORLDS / the helpers below never
+// care where the worlds came from.
 PHONICS_DATA.WORLDS = [];
 PHONICS_DATA.stageList = [];
-(function _buildCampaign() {
+PHONICS_DATA.buildCampaign = function(worldsMeta, worldStages) {
+  // Drop the previous build's legacy `stageN` keys before rebuilding.
+  PHONICS_DATA.stageList.forEach((s) => { delete PHONICS_DATA[`stage${s.id}`]; });
+  PHONICS_DATA.WORLDS = [];
+  PHONICS_DATA.stageList = [];
   let gid = 0;
-  _WORLDS_META.forEach((w) => {
-    const stageTables = _WORLD_STAGES[w.id] || [];
+  worldsMeta.forEach((w) => {
+    const stageTables = worldStages[w.id] || [];
     const worldStageIds = [];
     stageTables.forEach((st, sIdx) => {
       gid++;
@@ -414,13 +575,14 @@ PHONICS_DATA.stageList = [];
         patternDesc: st.patternDesc,
         skill: st.skill || w.skill,
         activities: st.activities || [],
+        teaches: st.teaches || null,
         challengeEvery: st.challengeEvery ?? (isBoss ? 3 : 4),
         // theme / art (reuse the world's existing art set)
         bg: w.bg,
-        arenaBg: `arena-${w.id}`,
+        arenaBg: w.arenaBg || `arena-${w.id}`,
         // Boss stages fight the world boss; other stages fight the stage's
         // named mini-boss (unique art where it exists, else the world mini).
-        bossFile: isBoss ? w.bossFile : (st.miniFile || `mini-w${w.id}`),
+        bossFile: isBoss ? w.bossFile : (st.miniFile || w.miniFile || `mini-w${w.id}`),
         minionFile: w.minionFile,
         bossName: isBoss ? w.bossName : (st.miniName || `${w.name} Guardian`),
         // Decodable sentences — the world's Read-with-Riku capstone
@@ -448,10 +610,10 @@ PHONICS_DATA.stageList = [];
       stageCount: worldStageIds.length,
     });
   });
-})();
-
-PHONICS_DATA.stageCount = PHONICS_DATA.stageList.length;
-PHONICS_DATA.worldCount = PHONICS_DATA.WORLDS.length;
+  PHONICS_DATA.stageCount = PHONICS_DATA.stageList.length;
+  PHONICS_DATA.worldCount = PHONICS_DATA.WORLDS.length;
+};
+PHONICS_DATA.buildCampaign(_WORLDS_META, _WORLD_STAGES);
 
 // ── World / stage navigation helpers ─────────────────────────
 PHONICS_DATA.getStage      = (id) => PHONICS_DATA.stageList[id - 1] || null;
@@ -556,14 +718,14 @@ PHONICS_DATA.endlessTiers = [
   {
     label: "Long Vowels", minDist: 1400,
     words: [
-      { word:"cake",  phonemes:["c","a","ke"],   hint:"🎂" },
-      { word:"lake",  phonemes:["l","a","ke"],   hint:"🏞️" },
-      { word:"bike",  phonemes:["b","i","ke"],   hint:"🚲" },
-      { word:"kite",  phonemes:["k","i","te"],   hint:"🪁" },
-      { word:"hope",  phonemes:["h","o","pe"],   hint:"🕊️" },
-      { word:"rose",  phonemes:["r","o","se"],   hint:"🌹" },
-      { word:"cube",  phonemes:["c","u","be"],   hint:"🎲" },
-      { word:"tune",  phonemes:["t","u","ne"],   hint:"🎵" },
+      { word:"cake",  phonemes:["c","a_e","k"],   hint:"🎂" },
+      { word:"lake",  phonemes:["l","a_e","k"],   hint:"🏞️" },
+      { word:"bike",  phonemes:["b","i_e","k"],   hint:"🚲" },
+      { word:"kite",  phonemes:["k","i_e","t"],   hint:"🪁" },
+      { word:"hope",  phonemes:["h","o_e","p"],   hint:"🕊️" },
+      { word:"rose",  phonemes:["r","o_e","s"],   hint:"🌹" },
+      { word:"cube",  phonemes:["c","u_e","b"],   hint:"🎲" },
+      { word:"tune",  phonemes:["t","u_e","n"],   hint:"🎵" },
     ],
   },
   {
@@ -605,15 +767,40 @@ PHONICS_DATA.endlessTiers = [
       { word:"shrub",  phonemes:["shr","u","b"],    hint:"🌿" },
     ],
   },
+  {
+    label: "Bossy R & Diphthongs", minDist: 3000,
+    words: [
+      { word:"shark",  phonemes:["sh","ar","k"],    hint:"🦈" },
+      { word:"storm",  phonemes:["st","or","m"],    hint:"⛈️" },
+      { word:"bird",   phonemes:["b","ir","d"],     hint:"🐦" },
+      { word:"turn",   phonemes:["t","ur","n"],     hint:"↪️" },
+      { word:"chair",  phonemes:["ch","air"],       hint:"🪑" },
+      { word:"coin",   phonemes:["c","oi","n"],     hint:"🪙" },
+      { word:"toy",    phonemes:["t","oy"],         hint:"🧸" },
+      { word:"cloud",  phonemes:["cl","ou","d"],    hint:"☁️" },
+    ],
+  },
+  {
+    label: "Word Parts", minDist: 3400,
+    words: [
+      { word:"foxes",   phonemes:["f","o","x","es"],    hint:"🦊", morphs:["fox","-es"] },
+      { word:"jumped",  phonemes:["j","u","mp","ed"],   hint:"🤸", morphs:["jump","-ed"] },
+      { word:"landed",  phonemes:["l","a","nd","ed"],   hint:"🛬", morphs:["land","-ed"] },
+      { word:"hopping", phonemes:["h","o","pp","ing"],  hint:"🐇", morphs:["hop","-ing"] },
+      { word:"riding",  phonemes:["r","i","d","ing"],   hint:"🚲", morphs:["ride","-ing"] },
+      { word:"unlock",  phonemes:["un","l","o","ck"],   hint:"🔓", morphs:["un-","lock"] },
+      { word:"helpful", phonemes:["h","e","lp","ful"],  hint:"🙋", morphs:["help","-ful"] },
+    ],
+  },
 ];
 
 // ── CONTENT CATEGORY PACKS ────────────────────────────────────
 PHONICS_DATA.categoryPacks = {
   longVowels: [
-    { word:"cake", phonemes:["c","a","ke"], hint:"🎂" },
-    { word:"bike", phonemes:["b","i","ke"], hint:"🚲" },
-    { word:"rope", phonemes:["r","o","pe"], hint:"🪢" },
-    { word:"cube", phonemes:["c","u","be"], hint:"🎲" },
+    { word:"cake", phonemes:["c","a_e","k"], hint:"🎂" },
+    { word:"bike", phonemes:["b","i_e","k"], hint:"🚲" },
+    { word:"rope", phonemes:["r","o_e","p"], hint:"🪢" },
+    { word:"cube", phonemes:["c","u_e","b"], hint:"🎲" },
   ],
   sightWords: [
     { word:"the", phonemes:["th","e"], hint:"📘" },
@@ -704,28 +891,28 @@ PHONICS_DATA.dailySets = [
     { word:"mud",   phonemes:["m","u","d"],   hint:"🌧️" },
   ]},
   { theme:"Long-A", emoji:"🎂", wordObjs:[
-    { word:"cake",  phonemes:["c","a","ke"],  hint:"🎂" },
-    { word:"lake",  phonemes:["l","a","ke"],  hint:"🏞️" },
-    { word:"bake",  phonemes:["b","a","ke"],  hint:"👨‍🍳" },
-    { word:"rake",  phonemes:["r","a","ke"],  hint:"🍂" },
-    { word:"wake",  phonemes:["w","a","ke"],  hint:"⏰" },
-    { word:"make",  phonemes:["m","a","ke"],  hint:"🔨" },
+    { word:"cake",  phonemes:["c","a_e","k"],  hint:"🎂" },
+    { word:"lake",  phonemes:["l","a_e","k"],  hint:"🏞️" },
+    { word:"bake",  phonemes:["b","a_e","k"],  hint:"👨‍🍳" },
+    { word:"rake",  phonemes:["r","a_e","k"],  hint:"🍂" },
+    { word:"wake",  phonemes:["w","a_e","k"],  hint:"⏰" },
+    { word:"make",  phonemes:["m","a_e","k"],  hint:"🔨" },
   ]},
   { theme:"Long-I", emoji:"🚲", wordObjs:[
-    { word:"bike",  phonemes:["b","i","ke"],  hint:"🚲" },
-    { word:"kite",  phonemes:["k","i","te"],  hint:"🪁" },
-    { word:"rice",  phonemes:["r","i","ce"],  hint:"🍚" },
-    { word:"nice",  phonemes:["n","i","ce"],  hint:"😊" },
-    { word:"dice",  phonemes:["d","i","ce"],  hint:"🎲" },
-    { word:"mice",  phonemes:["m","i","ce"],  hint:"🐭" },
+    { word:"bike",  phonemes:["b","i_e","k"],  hint:"🚲" },
+    { word:"kite",  phonemes:["k","i_e","t"],  hint:"🪁" },
+    { word:"rice",  phonemes:["r","i_e","c"],  hint:"🍚" },
+    { word:"nice",  phonemes:["n","i_e","c"],  hint:"😊" },
+    { word:"dice",  phonemes:["d","i_e","c"],  hint:"🎲" },
+    { word:"mice",  phonemes:["m","i_e","c"],  hint:"🐭" },
   ]},
   { theme:"Long-O", emoji:"🕊️", wordObjs:[
-    { word:"hope",  phonemes:["h","o","pe"],  hint:"🕊️" },
-    { word:"rose",  phonemes:["r","o","se"],  hint:"🌹" },
-    { word:"home",  phonemes:["h","o","me"],  hint:"🏠" },
-    { word:"rope",  phonemes:["r","o","pe"],  hint:"🪢" },
-    { word:"nose",  phonemes:["n","o","se"],  hint:"👃" },
-    { word:"bone",  phonemes:["b","o","ne"],  hint:"🦴" },
+    { word:"hope",  phonemes:["h","o_e","p"],  hint:"🕊️" },
+    { word:"rose",  phonemes:["r","o_e","s"],  hint:"🌹" },
+    { word:"home",  phonemes:["h","o_e","m"],  hint:"🏠" },
+    { word:"rope",  phonemes:["r","o_e","p"],  hint:"🪢" },
+    { word:"nose",  phonemes:["n","o_e","s"],  hint:"👃" },
+    { word:"bone",  phonemes:["b","o_e","n"],  hint:"🦴" },
   ]},
   { theme:"WH Words", emoji:"❓", wordObjs:[
     { word:"when",  phonemes:["wh","e","n"],  hint:"❓" },
@@ -768,20 +955,44 @@ PHONICS_DATA.dailySets = [
     { word:"lamp",  phonemes:["l","a","mp"],  hint:"💡" },
   ]},
   { theme:"Long-U", emoji:"🎲", wordObjs:[
-    { word:"cube",  phonemes:["c","u","be"],  hint:"🎲" },
-    { word:"tube",  phonemes:["t","u","be"],  hint:"🧴" },
-    { word:"mule",  phonemes:["m","u","le"],  hint:"🐴" },
-    { word:"cute",  phonemes:["c","u","te"],  hint:"🥰" },
-    { word:"fuse",  phonemes:["f","u","se"],  hint:"🧨" },
-    { word:"dune",  phonemes:["d","u","ne"],  hint:"🏜️" },
+    { word:"cube",  phonemes:["c","u_e","b"],  hint:"🎲" },
+    { word:"tube",  phonemes:["t","u_e","b"],  hint:"🧴" },
+    { word:"mule",  phonemes:["m","u_e","l"],  hint:"🐴" },
+    { word:"cute",  phonemes:["c","u_e","t"],  hint:"🥰" },
+    { word:"fuse",  phonemes:["f","u_e","s"],  hint:"🧨" },
+    { word:"dune",  phonemes:["d","u_e","n"],  hint:"🏜️" },
+  ]},
+  { theme:"Bossy R", emoji:"🦈", wordObjs:[
+    { word:"car",   phonemes:["c","ar"],      hint:"🚗" },
+    { word:"shark", phonemes:["sh","ar","k"], hint:"🦈" },
+    { word:"corn",  phonemes:["c","or","n"],  hint:"🌽" },
+    { word:"girl",  phonemes:["g","ir","l"],  hint:"👧" },
+    { word:"fur",   phonemes:["f","ur"],      hint:"🐻" },
+    { word:"hair",  phonemes:["h","air"],     hint:"💇" },
+  ]},
+  { theme:"OI & OW Words", emoji:"🪙", wordObjs:[
+    { word:"coin",  phonemes:["c","oi","n"],  hint:"🪙" },
+    { word:"boil",  phonemes:["b","oi","l"],  hint:"♨️" },
+    { word:"toy",   phonemes:["t","oy"],      hint:"🧸" },
+    { word:"cow",   phonemes:["c","ow"],      hint:"🐄" },
+    { word:"owl",   phonemes:["ow","l"],      hint:"🦉" },
+    { word:"cloud", phonemes:["cl","ou","d"], hint:"☁️" },
+  ]},
+  { theme:"Word Endings", emoji:"🧩", wordObjs:[
+    { word:"cats",    phonemes:["c","a","t","s"],   hint:"🐈", morphs:["cat","-s"] },
+    { word:"dishes",  phonemes:["d","i","sh","es"], hint:"🍽️", morphs:["dish","-es"] },
+    { word:"kicked",  phonemes:["k","i","ck","ed"], hint:"⚽", morphs:["kick","-ed"] },
+    { word:"rained",  phonemes:["r","ai","n","ed"], hint:"🌧️", morphs:["rain","-ed"] },
+    { word:"running", phonemes:["r","u","nn","ing"], hint:"🏃", morphs:["run","-ing"] },
+    { word:"baking",  phonemes:["b","a","k","ing"], hint:"🧁", morphs:["bake","-ing"] },
   ]},
 ];
 
 // ── HELPERS ──────────────────────────────────────────────────
-PHONICS_DATA.getDailySet = function() {
-  const d = new Date();
-  const dayOfYear = Math.floor((d - new Date(d.getFullYear(), 0, 0)) / 86400000);
-  const set = PHONICS_DATA.dailySets[dayOfYear % PHONICS_DATA.dailySets.length];
+// Today's set, or the one with `theme` ('CH Words') when given
+PHONICS_DATA.getDailySet = function(theme = null) {
+  const set = (theme && PHONICS_DATA.dailySets.find(s => s.theme === theme))
+    || PHONICS_DATA.dailySets[CALENDAR.dayOfYear() % PHONICS_DATA.dailySets.length];
   // wordObjs are inline — return directly with 'words' alias for display
   return { ...set, words: (set.wordObjs || []).map(w => w.word) };
 };
@@ -794,7 +1005,7 @@ PHONICS_DATA.getEndlessWords = function(distMeters) {
   return pool;
 };
 
-// Campaign helpers (stageId is the global 1..30 id)
+// Campaign helpers (stageId is the global 1..42 id)
 PHONICS_DATA.getRunnerCoins = function(stageId) {
   const stage = PHONICS_DATA.stageList[stageId - 1];
   const selected = stage.words.slice(0, 5);
@@ -805,8 +1016,9 @@ PHONICS_DATA.getRunnerCoins = function(stageId) {
     if (w.sight) {
       coins.push({ phoneme: w.word, wordId: wIdx, phIdx: 0, hint: w.hint, word: w.word, sight: true });
     } else {
+      const affixTiles = PHONICS_DATA.affixTiles(w);
       w.phonemes.forEach((ph, pIdx) => {
-        coins.push({ phoneme: ph, wordId: wIdx, phIdx: pIdx, hint: w.hint, word: w.word });
+        coins.push({ phoneme: ph, wordId: wIdx, phIdx: pIdx, hint: w.hint, word: w.word, affix: affixTiles.includes(pIdx) });
       });
     }
   });
@@ -816,3 +1028,969 @@ PHONICS_DATA.getRunnerCoins = function(stageId) {
 PHONICS_DATA.getBattleWords = function(stageId) {
   return PHONICS_DATA.stageList[stageId - 1].words;
 };
+
+// ── GRAPHEME–PHONEME CORRESPONDENCES ─────────────────────────
+// A word's `phonemes` are really its TILES — the letter chunks the
+// child drags ("sh", "a_e", "cup"). This section maps tiles to the
+// speech sounds they spell so scoring, weak-sound tracking and audio
+// can key on the true phoneme (/ā/) rather than the chunk ("ke").
+//
+// Split digraphs are written vowel + "_e" and sit where the vowel
+// sounds: cake = ["c","a_e","k"]. The silent e is spelled after the
+// next tile (see spellTiles).
+
+// Phoneme ids → display label, audio file (assets/audio/phonemes/)
+// and the TTS text used when that file is missing.
+PHONICS_DATA.PHONEMES = {
+  b:{ label:'b', audio:'b', say:'buh' },   d:{ label:'d', audio:'d', say:'duh' },
+  f:{ label:'f', audio:'f', say:'fuh' },   g:{ label:'g', audio:'g', say:'guh' },
+  h:{ label:'h', audio:'h', say:'huh' },   j:{ label:'j', audio:'j', say:'juh' },
+  k:{ label:'k', audio:'k', say:'kuh' },   l:{ label:'l', audio:'l', say:'luh' },
+  m:{ label:'m', audio:'m', say:'muh' },   n:{ label:'n', audio:'n', say:'nuh' },
+  p:{ label:'p', audio:'p', say:'puh' },   r:{ label:'r', audio:'r', say:'ruh' },
+  s:{ label:'s', audio:'s', say:'suh' },   t:{ label:'t', audio:'t', say:'tuh' },
+  v:{ label:'v', audio:'v', say:'vuh' },   w:{ label:'w', audio:'w', say:'wuh' },
+  y:{ label:'y', audio:'y', say:'yuh' },   z:{ label:'z', audio:'z', say:'zuh' },
+  ks:{ label:'ks', audio:'x', say:'ks' },  kw:{ label:'kw', audio:'q', say:'kwuh' },
+  sh:{ label:'sh', audio:'sh', say:'sh' }, ch:{ label:'ch', audio:'ch', say:'ch' },
+  th:{ label:'th', audio:'th', say:'th' }, ng:{ label:'ng', audio:'ng', say:'ng' },
+  a:{ label:'a', audio:'a', say:'ah', vowel:true },  e:{ label:'e', audio:'e', say:'eh', vowel:true },
+  i:{ label:'i', audio:'i', say:'ih', vowel:true },  o:{ label:'o', audio:'o', say:'oh', vowel:true },
+  u:{ label:'u', audio:'u', say:'uh', vowel:true },
+  long_a:{ label:'ā', audio:'long_a', say:'ay',  vowel:true },
+  long_e:{ label:'ē', audio:'long_e', say:'ee',  vowel:true },
+  long_i:{ label:'ī', audio:'long_i', say:'eye', vowel:true },
+  long_o:{ label:'ō', audio:'long_o', say:'oh',  vowel:true },
+  long_u:{ label:'ū', audio:'long_u', say:'you', vowel:true },
+  oo:{ label:'oo', audio:'oo', say:'oo', vowel:true },  ow:{ label:'ow', audio:'ow', say:'ow', vowel:true },
+  oi:{ label:'oi', audio:'oi', say:'oy', vowel:true },  ar:{ label:'ar', audio:'ar', say:'ar', vowel:true },
+  or:{ label:'or', audio:'or', say:'or', vowel:true },  er:{ label:'er', audio:'er', say:'er', vowel:true },
+  air:{ label:'air', audio:'air', say:'air', vowel:true },
+  ear:{ label:'ear', audio:'ear', say:'ear', vowel:true },
+};
+
+// Grapheme → phoneme id(s). Tiles are parsed longest-match first.
+const _GRAPHEMES = {
+  b:'b', c:'k', d:'d', f:'f', g:'g', h:'h', j:'j', k:'k', l:'l', m:'m', n:'n', p:'p',
+  q:'kw', r:'r', s:'s', t:'t', v:'v', w:'w', x:'ks', y:'y', z:'z',
+  ck:'k', qu:'kw', ph:'f', wh:'w', kn:'n', wr:'r', tch:'ch', dge:'j',
+  ll:'l', ss:'s', ff:'f', zz:'z', bb:'b', dd:'d', gg:'g', mm:'m', nn:'n', pp:'p', rr:'r', tt:'t', sh:'sh', ch:'ch', th:'th', ng:'ng', nk:'ng k',
+  a:'a', e:'e', i:'i', o:'o', u:'u',
+  ai:'long_a', ay:'long_a', ey:'long_a', ee:'long_e', ea:'long_e', ie:'long_i', igh:'long_i',
+  oa:'long_o', oe:'long_o', ue:'long_u', ew:'long_u', oo:'oo', ou:'ow', ow:'ow', oi:'oi', oy:'oi',
+  au:'or', aw:'or', ar:'ar', or:'or', er:'er', ir:'er', ur:'er', air:'air', ear:'ear', are:'air',
+  ore:'or', all:'or l',
+  a_e:'long_a', e_e:'long_e', i_e:'long_i', o_e:'long_o', u_e:'long_u',
+};
+const _GRAPHEME_MAX = 3;
+const _SPLIT_RE = /^([aeiou])_e$/;
+const _LONG_OF = { a:'long_a', e:'long_e', i:'long_i', o:'long_o', u:'long_u' };
+
+// Common words whose g stays hard before e / i / y (see the soft-g
+// rule in _gpcFromRules). A pack can also fix a word with `sounds`.
+const _HARD_G_WORDS = new Set([
+  'get', 'gets', 'give', 'gift', 'girl', 'gear', 'geese', 'gecko', 'giggle',
+  'begin', 'forget', 'target', 'together', 'tiger', 'eager', 'burger',
+]);
+
+// Irregular words the rules above can't decode. Sounds line up with
+// the word's tiles ('' = silent tile). Only used when the tile count
+// matches, so a pack that splits the word differently falls back to
+// the rules; a pack word can also carry its own `sounds`.
+const _IRREGULAR_SOUNDS = {
+  the:['th','u'], to:['t','oo'], was:['w','o','z'], said:['s','e','d'], you:['y','oo'], are:['ar',''],
+  have:['h','a','v'], come:['k','u','m'], some:['s','u','m'], were:['w','er',''],
+  what:['w','o','t'], from:['f r','u','m'], does:['d','u','z'], once:['w u','n','s'],
+  i:['long_i'], do:['d','oo'], could:['k','oo','','d'], there:['th','air',''],
+  banana:['b u','n a','n u'], samurai:['s o','m oo','r long_i'],
+  dinosaur:['d long_i','n long_o','s or'], umbrella:['u m','b r e l','l u'],
+};
+
+// Splits one tile into grapheme units [{ g, p:[ids] }] — context-free.
+PHONICS_DATA.parseGraphemes = function(tile) {
+  const t = String(tile || '').toLowerCase();
+  if (_SPLIT_RE.test(t)) return [{ g: t, p: [_GRAPHEMES[t]], split: true }];
+  const units = [];
+  for (let i = 0; i < t.length;) {
+    let len = Math.min(_GRAPHEME_MAX, t.length - i);
+    while (len > 1 && !_GRAPHEMES[t.substr(i, len)]) len--;
+    const g = t.substr(i, len);
+    units.push({ g, p: _GRAPHEMES[g] ? _GRAPHEMES[g].split(' ') : [] });
+    i += len;
+  }
+  // Magic e inside one chunk ("cake" in cupcake): vowel + consonant + e
+  const n = units.length;
+  if (n >= 3 && units[n - 1].g === 'e' && _LONG_OF[units[n - 3].g] &&
+      units[n - 2].p.length === 1 && !PHONICS_DATA.PHONEMES[units[n - 2].p[0]]?.vowel) {
+    units[n - 3].p = [_LONG_OF[units[n - 3].g]];
+    units[n - 1].p = [];
+    units[n - 3].magic = units[n - 1].magic = `${units[n - 3].g}_e`;
+  }
+  return units;
+};
+
+// The word's letters in reading order: a split digraph's e goes
+// after the following tile (["c","a_e","k"] → "cake").
+PHONICS_DATA.spellTiles = function(tiles) {
+  let out = '';
+  let pendingE = false;
+  (tiles || []).forEach((tile) => {
+    const m = _SPLIT_RE.exec(tile);
+    out += m ? m[1] : tile;
+    if (pendingE) { out += 'e'; pendingE = false; }
+    if (m) pendingE = true;
+  });
+  return pendingE ? out + 'e' : out;
+};
+
+// How a tile is shown on screen: "a_e" → "a-e".
+PHONICS_DATA.tileLabel = (tile) => String(tile || '').replace('_', '-');
+
+PHONICS_DATA.phonemeLabel = (id) => PHONICS_DATA.PHONEMES[id]?.label || String(id || '');
+PHONICS_DATA.isVowelPhoneme = (id) => !!PHONICS_DATA.PHONEMES[id]?.vowel;
+
+const _gpcCache = new WeakMap();
+
+// Full correspondence for a word: [{ g, p:[ids], tile }] in tile order.
+// Applies the rules that need the whole word: open syllables (ro·bot),
+// soft c before e/i/y, s → /z/ and g → /j/ before a split e, y as a
+// vowel at the end of a chunk, old-style magic-e chunks (["c","a","ke"])
+// and the sounds of a word's affixes (see MORPHOLOGY).
+PHONICS_DATA.gpcOf = function(wordObj) {
+  if (!wordObj || typeof wordObj !== 'object') return [];
+  if (_gpcCache.has(wordObj)) return _gpcCache.get(wordObj);
+  const tiles = wordObj.phonemes || [];
+  const sounds = Array.isArray(wordObj.sounds) ? wordObj.sounds
+    : Object.prototype.hasOwnProperty.call(_IRREGULAR_SOUNDS, wordObj.word) ? _IRREGULAR_SOUNDS[wordObj.word] : null;
+  const given = !!sounds && sounds.length === tiles.length;
+  const units = given
+    ? tiles.map((tile, ti) => ({ g: tile, p: String(sounds[ti] || '').split(' ').filter(Boolean), tile: ti }))
+    : _gpcFromRules(tiles);
+  _applyMorphs(units, wordObj, !given);
+  _gpcCache.set(wordObj, units);
+  return units;
+};
+
+function _gpcFromRules(tiles) {
+  const byTile = tiles.map((tile, ti) =>
+    PHONICS_DATA.parseGraphemes(tile).map((u) => Object.assign(u, { tile: ti })));
+  const units = [].concat(...byTile);
+  const isVowelUnit = (u) => u.p.some(PHONICS_DATA.isVowelPhoneme);
+
+  byTile.forEach((tu, ti) => {
+    const last = tu[tu.length - 1];
+    if (!last) return;
+    // Old-style magic e: ["c","a","ke"] — a consonant + e chunk ends the
+    // word right after a lone short vowel.
+    const prev = byTile[ti - 1];
+    if (ti === tiles.length - 1 && ti > 0 && tu.length === 2 && last.g === 'e' &&
+        !isVowelUnit(tu[0]) && prev.length === 1 && _LONG_OF[prev[0].g]) {
+      prev[0].p = [_LONG_OF[prev[0].g]];
+      last.p = [];
+      prev[0].magic = last.magic = `${prev[0].g}_e`;
+      return;
+    }
+    // Consonant-le closing the word (ta·ble): the e is silent and the
+    // chunk says /ul/, taught as the one pattern "le".
+    if (ti === tiles.length - 1 && ti > 0 && tu.length === 3 && tu[1].g === 'l' && tu[2].g === 'e' && !isVowelUnit(tu[0])) {
+      tu[1].p = ['u', 'l'];
+      tu[2].p = [];
+      tu[1].key = tu[2].key = 'le';
+      return;
+    }
+    // Open syllable: a consonant-then-vowel chunk that is a whole syllable
+    // ends on a long vowel (ro·bot, di·no) — but not "ca" in ["ca","t"].
+    const wholeSyllable = byTile.slice(ti + 1).some((t) => t.some(isVowelUnit)) ||
+                          (ti > 0 && ti === tiles.length - 1);
+    if (wholeSyllable && tu.length >= 2 && _LONG_OF[last.g] && tu.slice(0, -1).every((u) => !isVowelUnit(u))) {
+      last.p = [_LONG_OF[last.g]];
+    }
+  });
+  // y closing a chunk after a consonant is a vowel (fly).
+  units.forEach((u, i) => {
+    const tu = byTile[u.tile];
+    if (u.g === 'y' && i > 0 && tu[tu.length - 1] === u && !isVowelUnit(units[i - 1])) u.p = ['long_i'];
+  });
+  // A lone vowel ending a one-vowel word is long (he, go) — not "a".
+  const vowels = units.filter(isVowelUnit);
+  const fin = units[units.length - 1];
+  if (units.length > 1 && vowels.length === 1 && vowels[0] === fin && _LONG_OF[fin.g] && byTile[fin.tile].length === 1) {
+    fin.p = [_LONG_OF[fin.g]];
+  }
+
+  // Rules that look at the next spelled letter (split e included).
+  // Soft g is far less regular than soft c: gg (bigger) and the
+  // _HARD_G_WORDS stay hard.
+  const hardG = _HARD_G_WORDS.has(PHONICS_DATA.spellTiles(tiles).toLowerCase());
+  const seq = [];
+  let pendingE = null;
+  byTile.forEach((tu) => {
+    tu.forEach((u) => seq.push({ u, ch: u.split ? u.g[0] : u.g }));
+    if (pendingE) { seq.push({ u: null, ch: 'e', split: true }); pendingE = null; }
+    if (tu[0]?.split) pendingE = tu[0];
+  });
+  seq.forEach((s, i) => {
+    const next = seq[i + 1];
+    if (!s.u || !next) return;
+    if (s.u.g === 'c' && /^[eiy]/.test(next.ch)) s.u.p = ['s'];
+    if (s.u.g === 'g' && (next.split || (/^[eiy]/.test(next.ch) && !hardG && seq[i - 1]?.ch !== 'g'))) s.u.p = ['j'];
+    if (s.u.g === 's' && next.split) s.u.p = ['z'];
+  });
+  return units;
+}
+
+// Every phoneme id in the word, in order (cake → k, long_a, k).
+PHONICS_DATA.wordPhonemes = (wordObj) =>
+  [].concat(...PHONICS_DATA.gpcOf(wordObj).map((u) => u.p));
+
+// The sounds one tile makes. Inside `wordObj` the word's context is
+// used (the c in "rice" is /s/); without it the tile is parsed alone.
+// `index` is the tile's place in the word, which matters when a tile
+// comes twice (ba·na·na); without it the first one is taken.
+PHONICS_DATA.tileSounds = (tile, wordObj, index) =>
+  [].concat(..._tileUnits(tile, wordObj, index).map((u) => u.p));
+
+// The correspondences a word teaches, as "grapheme:phoneme" keys —
+// cake → ["c:k", "a_e:long_a", "k:k"], city → ["c:s", …]. Skill
+// estimates (ProgressTracker.observeSkill) are kept per key, so the
+// c in cat and the k in kit are tracked apart although both say /k/.
+// `tiles` limits the result to those tile indexes. Silent letters
+// teach nothing on their own and are left out.
+PHONICS_DATA.gpcKeys = function(wordObj, tiles = null) {
+  const keep = tiles && new Set(tiles);
+  return PHONICS_DATA.gpcOf(wordObj)
+    .filter((u) => u.p.length && (!keep || keep.has(u.tile)))
+    .map((u) => `${u.key || u.magic || u.g}:${u.p.join('+')}`);
+};
+
+// The phoneme ids a gpcKeys() key spells ("le:u+l" → ["u", "l"]).
+PHONICS_DATA.gpcKeySounds = (key) => String(key).slice(String(key).lastIndexOf(':') + 1).split('+').filter(Boolean);
+
+function _tileUnits(tile, wordObj, index) {
+  const tiles = wordObj?.phonemes;
+  const ti = !tiles ? -1 : tiles[index] === tile ? index : tiles.indexOf(tile);
+  return ti >= 0
+    ? PHONICS_DATA.gpcOf(wordObj).filter((u) => u.tile === ti)
+    : PHONICS_DATA.parseGraphemes(tile);
+}
+
+// Recordings of a grapheme in context, played instead of the plain
+// phoneme clip: the c in "face" is soft_c.mp3 rather than s.mp3.
+const _CONTEXT_CLIPS = { 'c:s': 'soft_c', 'g:j': 'soft_g' };
+
+function _unitClips(u) {
+  const clip = u.p.length === 1 ? _CONTEXT_CLIPS[_gpcKey(u)] || null : null;
+  return u.p.map((id) => ({ id, clip }));
+}
+
+// What to play for a tile / a whole word: [{ id, clip }] in order, one
+// per sound. `clip` names a context recording, or is null to use the
+// phoneme's own (PHONEMES[id].audio).
+PHONICS_DATA.tileClips = (tile, wordObj, index) =>
+  [].concat(..._tileUnits(tile, wordObj, index).map(_unitClips));
+PHONICS_DATA.wordClips = (wordObj) =>
+  [].concat(...PHONICS_DATA.gpcOf(wordObj).map(_unitClips));
+
+// ── MORPHOLOGY ───────────────────────────────────────────────
+// A word made of parts lists them in `morphs`: one base word plus
+// affixes, each written with a hyphen on the side that joins:
+// hopping = ["hop","-ing"], unlock = ["un-","lock"]. Affixes are
+// whole tiles at the ends of the word; the base gets the tiles in
+// between, spelling change included (hop → "hopp", hope → "hop").
+
+const _MORPH_RE = /^(-?[a-z]+|[a-z]+-)$/i;
+const _AFFIX_RE = /^(-[a-z]+|[a-z]+-)$/i;
+const _VOICELESS = new Set(['p', 't', 'k', 'f', 'th', 's', 'sh', 'ch', 'ks']);
+
+// The word's parts → [{ morph, kind:'prefix'|'base'|'suffix', text,
+// surface, tiles:[indexes] }] in order, or null when the word has no
+// `morphs` or they don't line up with its tiles.
+PHONICS_DATA.morphsOf = function(wordObj) {
+  const morphs = wordObj?.morphs;
+  const tiles = wordObj?.phonemes;
+  if (!Array.isArray(morphs) || !morphs.length || !Array.isArray(tiles)) return null;
+  if (!morphs.every((m) => typeof m === 'string' && _MORPH_RE.test(m))) return null;
+  const parts = morphs.map((m) => ({
+    morph: m.toLowerCase(),
+    kind: m.endsWith('-') ? 'prefix' : m.startsWith('-') ? 'suffix' : 'base',
+    text: m.replace('-', '').toLowerCase(),
+  }));
+  const bi = parts.findIndex((p) => p.kind === 'base');
+  if (bi < 0 || parts.some((p, i) => p.kind !== (i < bi ? 'prefix' : i > bi ? 'suffix' : 'base'))) return null;
+
+  const spell = (from, to) => PHONICS_DATA.spellTiles(tiles.slice(from, to)).toLowerCase();
+  const range = (from, to) => Array.from({ length: to - from }, (_, k) => from + k);
+  let lo = 0;
+  let hi = tiles.length;
+  for (const p of parts.slice(0, bi)) {
+    let end = lo;
+    while (end < hi && spell(lo, end).length < p.text.length) end++;
+    if (spell(lo, end) !== p.text) return null;
+    Object.assign(p, { surface: p.text, tiles: range(lo, end) });
+    lo = end;
+  }
+  for (const p of parts.slice(bi + 1).reverse()) {
+    let start = hi;
+    while (start > lo && spell(start, hi).length < p.text.length) start--;
+    if (spell(start, hi) !== p.text) return null;
+    Object.assign(p, { surface: p.text, tiles: range(start, hi) });
+    hi = start;
+  }
+  if (hi <= lo) return null;
+  Object.assign(parts[bi], { surface: spell(lo, hi), tiles: range(lo, hi) });
+  return parts;
+};
+
+// Indexes of the tiles that spell the word's affixes (none if it has no `morphs`).
+PHONICS_DATA.affixTiles = function(wordObj) {
+  const parts = PHONICS_DATA.morphsOf(wordObj) || [];
+  return [].concat(...parts.filter((p) => p.kind !== 'base').map((p) => p.tiles));
+};
+
+// How the base's spelling changed when a suffix joined it: 'same',
+// 'double' (hop → hopping), 'drop-e' (hope → hoping), 'y-i'
+// (happy → happiness), or null if no spelling rule explains it.
+function _baseChange(base) {
+  const { text, surface } = base;
+  if (surface === text) return 'same';
+  if (surface === text + text.slice(-1)) return 'double';
+  if (text.endsWith('e') && surface === text.slice(0, -1)) return 'drop-e';
+  if (text.endsWith('y') && surface === `${text.slice(0, -1)}i`) return 'y-i';
+  return null;
+}
+
+// Sounds of an affix's units, by the sound the base ends on — one
+// space-separated entry per unit ('' = silent), or null for the
+// affix's plain spelling sounds.
+function _affixSounds(morph, baseEnd) {
+  switch (morph) {
+    case '-s':  return [_VOICELESS.has(baseEnd) ? 's' : 'z'];
+    case '-es': return ['i', 'z'];
+    case '-ed': return baseEnd === 't' || baseEnd === 'd' ? ['i', 'd'] : ['', _VOICELESS.has(baseEnd) ? 't' : 'd'];
+    case 're-': return ['r', 'long_e'];
+    default:    return null;
+  }
+}
+
+// Tags each affix unit with its morph (so decodability counts "-ed" as
+// one pattern) and, for rule-derived sounds, fixes what the affix says:
+// -s is /z/ after a voiced sound (dogs), -ed is /t/, /d/ or /id/
+// (jumped, rained, landed), and a base that dropped its e keeps the
+// long vowel (hoping).
+function _applyMorphs(units, wordObj, fromRules) {
+  const parts = PHONICS_DATA.morphsOf(wordObj);
+  if (!parts) return;
+  const base = parts.find((p) => p.kind === 'base');
+  const baseUnits = units.filter((u) => base.tiles.includes(u.tile));
+  if (fromRules && _baseChange(base) === 'drop-e') {
+    const v = baseUnits.filter((u) => _LONG_OF[u.g]).pop();
+    if (v) Object.assign(v, { p: [_LONG_OF[v.g]], magic: `${v.g}_e` });
+  }
+  const baseEnd = [].concat(...baseUnits.map((u) => u.p)).pop();
+  parts.forEach((p) => {
+    if (p.kind === 'base') return;
+    const affixUnits = units.filter((u) => p.tiles.includes(u.tile));
+    const sounds = fromRules ? _affixSounds(p.morph, baseEnd) : null;
+    affixUnits.forEach((u, i) => {
+      u.affix = p.morph;
+      if (sounds && sounds.length === affixUnits.length) u.p = sounds[i].split(' ').filter(Boolean);
+    });
+  });
+}
+
+// ── SYLLABLES ────────────────────────────────────────────────
+// Multisyllabic words are tiled one syllable per tile (vol·ca·no).
+// Each syllable has one of the six classic types, read off its
+// spelling; a word whose spelling misleads can list them itself in
+// `syllableTypes`, one per tile.
+PHONICS_DATA.SYLLABLE_TYPES = {
+  closed:         { label: 'Closed',       hint: 'ends in a consonant, so the vowel is short' },
+  open:           { label: 'Open',         hint: 'ends in a vowel, so the vowel says its name' },
+  vce:            { label: 'Magic-e',      hint: 'the silent e makes the vowel say its name' },
+  'vowel-team':   { label: 'Vowel Team',   hint: 'two letters team up for one vowel sound' },
+  'r-controlled': { label: 'Bossy R',      hint: 'the r changes the vowel sound' },
+  'c-le':         { label: 'Consonant-le', hint: 'a consonant and le end the word' },
+};
+
+function _syllableType(s, isLast) {
+  if (isLast && /^[^aeiouy]+le$/.test(s)) return 'c-le';
+  if (/[aeiou]r/.test(s)) return 'r-controlled';
+  if (/^[^aeiou]*[aeiou][^aeiou]+e$/.test(s)) return 'vce';
+  if (/[aeiou]{2}|[aeo][wy]|igh/.test(s)) return 'vowel-team';
+  return /[aeiouy]$/.test(s) ? 'open' : 'closed';
+}
+
+// The word's syllables → [{ text, tile, type }], or null when its
+// tiles aren't syllables (one-syllable words, letter-by-letter tiles).
+PHONICS_DATA.syllablesOf = function(wordObj) {
+  const tiles = wordObj?.phonemes;
+  if (!Array.isArray(tiles) || tiles.length < 2 || tiles.some((t) => _SPLIT_RE.test(t))) return null;
+  const units = PHONICS_DATA.gpcOf(wordObj);
+  const voiced = tiles.every((_, ti) => units.some((u) => u.tile === ti && u.p.some(PHONICS_DATA.isVowelPhoneme)));
+  if (!voiced) return null;
+  const given = Array.isArray(wordObj.syllableTypes) && wordObj.syllableTypes.length === tiles.length
+    ? wordObj.syllableTypes : null;
+  return tiles.map((tile, ti) => {
+    const text = tile.toLowerCase();
+    return { text, tile: ti, type: given?.[ti] || _syllableType(text, ti === tiles.length - 1) };
+  });
+};
+
+// The division rule between two neighbouring syllables: 'VC/CV'
+// (sun·set), 'V/CV' (ro·bot), 'VC/V' (cab·in), 'V/V' (li·on) or
+// 'C-le' (ta·ble).
+PHONICS_DATA.divisionPattern = function(left, right) {
+  if (/^[^aeiouy]+le$/i.test(right)) return 'C-le';
+  const endsVowel   = /[aeiouy]$/i.test(left);
+  const startsVowel = /^[aeiou]/i.test(right);
+  return endsVowel ? (startsVowel ? 'V/V' : 'V/CV') : (startsVowel ? 'VC/V' : 'VC/CV');
+};
+
+// ── DECODABILITY ─────────────────────────────────────────────
+// Walks the campaign in play order, adding each stage's `teaches`
+// to the taught inventory, and flags any non-sight word — in a
+// stage or a world's Read-with-Riku sentences — that needs a
+// correspondence the child hasn't met yet. A stage without
+// `teaches` (e.g. from a content pack) counts its own words as
+// taught. Used by tools/check-decodability.js and the `~` overlay.
+
+// A correspondence as `teaches` names it: the grapheme alone for its
+// usual sound ("sh", "a_e"), "grapheme:phonemes" otherwise ("c:s").
+// An affix counts as one pattern, whatever it sounds like ("-ed"), and
+// so does consonant-le ("le").
+function _gpcKey(u) {
+  if (u.magic || u.key) return u.magic || u.key;
+  const sound = u.p.join(' ');
+  return _GRAPHEMES[u.g] === sound ? u.g : `${u.g}:${sound}`;
+}
+
+function _gpcKeys(wordObj) {
+  const keys = PHONICS_DATA.gpcOf(wordObj).filter((u) => u.p.length || u.magic).map((u) => u.affix || _gpcKey(u));
+  return [...new Set(keys)];
+}
+
+// Splits a plain word into tiles, finding magic-e ("ride" → r · i_e · d).
+PHONICS_DATA.tilesOf = function(word) {
+  const units = PHONICS_DATA.parseGraphemes(word);
+  const tiles = units.map((u) => u.g);
+  const n = units.length;
+  if (n >= 3 && units[n - 1].magic) tiles.splice(n - 3, 3, units[n - 1].magic, units[n - 2].g);
+  return tiles;
+};
+
+// → { ok, issues:[{ stageId, label, kind:'word'|'sentence', text, word, missing:[keys] }], taught }
+PHONICS_DATA.checkDecodability = function(stages = PHONICS_DATA.stageList) {
+  const taught = new Set();
+  const sight = new Set();
+  const known = {}; // word → its word object, so sentences reuse the stage tiles
+  const issues = [];
+  stages.forEach((stage) => {
+    const label = `${stage.world}-${stage.local}`;
+    const words = stage.words || [];
+    _teachStage(stage, taught);
+    words.forEach((w) => {
+      const lw = w.word.toLowerCase();
+      if (w.sight) sight.add(lw);
+      if (!known[lw]) known[lw] = w;
+    });
+    words.forEach((w) => {
+      if (w.sight) return;
+      const missing = _gpcKeys(w).filter((k) => !taught.has(k));
+      if (missing.length) issues.push({ stageId: stage.id, label, kind: 'word', text: w.word, word: w.word, missing });
+    });
+    (stage.sentences || []).forEach((sentence) => {
+      const seen = new Set();
+      (sentence.toLowerCase().match(/[a-z]+/g) || []).forEach((word) => {
+        if (sight.has(word) || seen.has(word)) return;
+        seen.add(word);
+        const w = known[word] || { word, phonemes: PHONICS_DATA.tilesOf(word) };
+        const missing = _gpcKeys(w).filter((k) => !taught.has(k));
+        if (missing.length) issues.push({ stageId: stage.id, label, kind: 'sentence', text: sentence, word, missing });
+      });
+    });
+  });
+  return { ok: issues.length === 0, issues, taught: [...taught] };
+};
+
+// ── PSEUDO-WORDS ─────────────────────────────────────────────
+// Made-up but sayable words ("vop", "sheb", "tane") for the
+// nonsense-word check (js/nwfCheck.js). A real word can be read from
+// memory or guessed from its picture; a made-up one has to be
+// decoded. Each word is onset + vowel + coda, every part spelled with
+// correspondences taught by the stage, and consonant clusters ("st",
+// "mp") only once a taught word has used them in that place.
+
+const _PSEUDO_ONSETS = ['b','c','d','f','g','h','j','k','l','m','n','p','r','s','t','v','w','y','z','sh','ch','th','wh','qu'];
+const _PSEUDO_CODAS  = ['b','d','f','g','k','l','m','n','p','s','t','x','z','sh','ch','th','ng','ck','ff','ll','ss'];
+// kind: short vowels need a coda; magic-e takes one consonant; teams
+// take one or, when `end` is set, may close the word; `open` ones
+// only close it (say, toy). `codas` narrows what may follow.
+const _PSEUDO_VOWELS = [
+  ...['a','e','i','o','u'].map((v) => ({ v, kind: 'short' })),
+  ...['a_e','i_e','o_e','u_e'].map((v) => ({ v, kind: 'magic' })),
+  ...['ai','ea','oa','ou','oi'].map((v) => ({ v, kind: 'team' })),
+  ...['ee','oo','ar','or','er','ir','ur'].map((v) => ({ v, kind: 'team', end: true })),
+  { v: 'igh', kind: 'team', end: true, codas: ['t'] },
+  ...['ay','oy','ew','aw'].map((v) => ({ v, kind: 'open' })),
+];
+const _PSEUDO_LONG_CODAS = ['b','d','f','g','k','l','m','n','p','s','t','z','th'];
+
+// Real words the pieces above can spell, beyond the game's own word
+// lists, and ones a child shouldn't be shown
+const _NOT_PSEUDO = new Set(`
+  ad am an as at ax ed em en ex if in is it of on ox up us amp and ant ash ask elf end imp inch itch ump
+  bad bag ban bat bed beg bet bib bid big bin bit bob bog bop bud bug bun bus but cab can cap cat cob cod
+  cog cop cot cub cud cup cut dab dad dam den dib did dig dim din dip dog dot dub dud dug fab fad fan fat
+  fed fez fib fig fin fit fix fob fog fox fun gab gag gal gap gas gel get gig gob god got gum gun gut had
+  ham has hat hem hen hex hid him hip his hit hob hog hop hot hub hug hum hut jab jam jet jig jib job jog
+  jot jug jut keg ken kid kin kit lab lad lag lap lax led leg let lid lip lit log lot lug mad man map mat
+  men met mid mix mob mom mop mud mug mum nab nag nap net nib nil nip nit nod not nun nut pad pal pan pat
+  peg pen pep pet pig pin pit pod pop pot pub pug pun pup pus put rag ram ran rap rat red ref rib rid rig
+  rim rip rob rod rot rub rug rum run rut sad sag sap sat sax set sip sit six sob sod son sop sub sum sun
+  sup tab tag tan tap tax ten tin tip tog ton top tot tub tug tux van vat vet vex wag wax web wed wet wig
+  win wit wok won yak yam yap yen yes yet yip yum zap zed zen zig zip
+  bash bath cash dash gash hash lash mash rash sash wash bush push rush gush hush mush lush posh gosh
+  josh shed shin ship shop shot shut sham shod chat chin chip chop chum chug chap chef much such rich
+  then them this that thin thud thug with moth math path lath goth doth hath
+  back beck deck dock duck hack jack kick lick lock luck neck nick pack peck pick puck rack rock sack
+  sick sock suck tack tick tuck wick heck hock muck ruck
+  bang bong bung dong gang hang hung king long lung pang ping rang ring rung sang sing song sung tang
+  wing zing gong
+  bell bill cell dell dill doll dull fell fill full gill gull hall hill hull ill kill mill pill poll
+  sell sill tell till well will yell buff cuff huff muff puff off boss kiss less loss mass miss moss mess
+  fuss hiss toss
+  band bend bond fund hand land lend mend pond sand send tend wind wand hind hint mint tint tent dent bent
+  rent sent went vent hunt punt rant pant cant camp damp lamp ramp bump dump hump jump lump pump rump limp
+  pimp fast last mast past vast best nest pest rest test vest west zest fist list mist dust gust just
+  must rust lost cost mask task desk disk risk husk tusk gift lift loft soft left raft sift belt melt
+  felt kilt tilt milk silk help yelp gulp self golf film bulk sulk hulk
+  blab bled blip blob blot blur clad clam clan clap clip clod clog clot club flab flag flap flat fled
+  flip flop flit flux glad glib glob glum glut plan plod plop plot plug plum plus slab slam slap sled
+  slid slim slip slit slob slop slot slug slum brag bran brat bred brim crab cram crib crop crud drab
+  drag dram drip drop drug drum frog from grab gram grid grim grin grip grit grub grog prim prod prom
+  prop trap trim trip trot snag snap snip snob snug spat sped spin spit spot spud stab stem step stop
+  stub stun swam swim swig swag swat clang clung stack stick stash slack slosh slush crock flock frock
+  clock smack speck
+  ace age ape ate bake bale base cane cape case cave date daze face fade fake fame game gale gate gave
+  gaze hake hale hate haze jade kale lace lake lame lane late laze made make male mane maze nape pace
+  page pale pane pave race rake rate sake sale same save take tale tape vale vane wade wake wave
+  bide bike bite dice dime dine dive file fine fire five hide hike hive kite lice life like lime line
+  live mile mice mine nice nine pike pile pine pipe rice ride ripe rise side site size tide tile time
+  tine vine vise wide wife wine wipe wise fife gibe chide chine tithe tripe
+  bode bone code cole cone cope core cove dole dome dope doze hole home hone hope hose joke lobe lode
+  lone mode mole mope mote nose note poke pole pope pose robe rode role rope rose rote sole tone tote
+  vote woke zone cote chose choke bloke
+  cube cure cute dune duke fume fuse huge jute lute mule mute nude rude rule tube tune use
+  blade blame blaze brave crane crate drape flake flame glade grace grape grate plane plate scale shade
+  shake shame shape skate slate snake space spade stage stake state trade thane slake shale bathe
+  bride crime glide gripe pride prime slide slime smile snipe spine spite stride stripe swipe tribe
+  twine whine white while shrike
+  broke clone close drone drove globe grope probe prone quote slope smoke spoke stole stone stove
+  throne those whole stoke flute prune
+  aid aim ail bail bait fail gain hail jail laid lain maid mail main maim nail pail paid pain raid rail
+  rain sail tail vain wail wait braid brain chain drain faint flail frail grain plain plaid snail
+  sprain stain trail train waist
+  bead beak beam bean beat deal dean feat heal heap heat lead leaf leak lean leap meal mean meat neat
+  pea peak real reap sea seal seam seat tea teak team weak wean yeast cheap cheat clean cream dream
+  each east eat flea gleam plead pleat sneak speak steal steam streak treat wheat zeal great head
+  stead steak sweat threat dead deaf bread dread tread
+  bee beef beep beet deed deem deep fee feed feel feet geek heed heel jeep keel keen keep meek meet
+  need peek peel peep reed reef reek seed seek seem seen seep tee teen teeth weed week weep wee been
+  bleed breed cheek creek creep creed fleet flee free freed glee greed green greet sheep sheet sleep
+  sleet speed steel steep sweep sweet three tree thee lee
+  boat coal coat foal foam goad goal goat load loaf loam loan moan moat oak oat road roam soak soap
+  toad cloak croak float gloat groan throat shoal
+  boo boom boot cool coo doom food fool goof goon hoof hood hook hoop loom loop loot moo mood moon noon
+  nook pool poof room root soon toot too zoo zoom book cook look took wood wool good foot brood broom
+  droop gloom groom proof scoop shoot snoop spook spool spoon stool stoop swoop troop rook croon flood
+  coot spoof shoo
+  out bout gout lout pout rout tout loud couch pouch south mouth shout snout spout stout scout trout
+  cloud proud round sound found hound mound pound ouch our sour hour flour noun soup shroud
+  oil boil coil foil soil toil coin join loin void joint point spoil broil
+  bay day hay jay lay may nay pay ray say way clay gray play pray slay spray stay stray sway tray fray
+  dray boy coy joy soy toy ploy
+  dew few hew mew new pew sew yew chew blew brew crew drew flew grew stew threw
+  caw claw draw flaw jaw law paw raw saw straw thaw
+  high nigh sigh thigh bight fight light might night right sight tight flight fright plight slight
+  bright blight
+  bar car far jar par tar star scar char spar bark dark lark mark park shark spark stark barn darn yarn
+  tarn card hard lard yard shard farm harm charm arm art cart dart part tart chart smart start garb
+  barb carp harp sharp scarf snarl
+  for nor tor born corn horn torn worn thorn cord ford lord fork cork pork stork form norm storm fort
+  port sort tort short snort sport north forth porch torch orb
+  her fern herd jerk perk term germ berth perch kerb
+  fir sir stir bird dirt girl firm first shirt skirt swirl twirl third birch chirp whirl
+  fur cur bur blur slur spur burn turn churn hurt curt blurt burst curl hurl curb burp slurp surf turf
+  curd lurk murk burg
+  dish fish wish swish flash crash smash clash trash brush crush flush plush blush fresh flesh shell spell
+  smell swell skill spill still chill grill drill thrill stuff fluff bluff gruff scuff snuff stiff cliff
+  sniff cross gloss dress press bless chess class glass grass brass swum spun skip skim skid skin skit
+  scan scab scam scat span spam swan swap swab twin twig quit quiz quip quid flung slung swung stung
+  sprung strung swing sling sting spring string bring cling fling thing ink bank sank tank rank honk bunk
+  dunk junk hunk punk sunk link mink pink rink sink wink blank blink clank clink drank drink drunk plank
+  plunk prank skunk slink stink stunk thank think trunk swamp gland glen crag throb sloth flax stint stat
+  lob mack rad lib rind nerd both host soul group cloze clothe chase safe stale snide node dose bole babe
+  bade dale pate gait coif hark herd kart mead death shroom
+  lack leek lust mage mike mime mil none pone rife rile rime shack shad shun sin skool teed thine tock
+  tram trike wad wharf wheel whee whom whorl whir wisp yang yin zine lathe sate swathe snood swish raze
+  coop spree
+  fuk fuc fuck fuq phuk sex secs seks sux poo poop pee pis piss shit shite shat tit tits cum kum jiz
+  jizz fag nig dik dic dick cok coc cock kok kock azz ass arse bum butt fart crap krap damn hell nob
+  knob puss slut hoe hor whor wank twat turd boob rape raip kil ded die dye gun kunt
+  kike coon spic spik chink gook jap wog dike dyke fagot tard skank poon pouf sperm porn barf shag bonk
+  prick bich homo
+`.trim().split(/\s+/));
+
+// The correspondences a stage brings to the taught inventory
+function _teachStage(stage, taught) {
+  if (Array.isArray(stage.teaches)) stage.teaches.forEach((k) => taught.add(k));
+  else (stage.words || []).forEach((w) => { if (!w.sight) _gpcKeys(w).forEach((k) => taught.add(k)); });
+}
+
+// → [{ word, phonemes, pseudo: true }]: up to `count` different made-up
+// words a child who has finished `stageId` can decode. About half use
+// something the stage itself teaches, when it teaches something that
+// fits in one syllable. `rand` is a () => [0, 1) source.
+PHONICS_DATA.pseudoWords = function(stageId, count = 50, rand = Math.random) {
+  const stages = PHONICS_DATA.stageList.slice(0, Math.max(1, stageId));
+  const taught = new Set();
+  stages.forEach((st) => _teachStage(st, taught));
+  const fresh = new Set();
+  _teachStage(stages[stages.length - 1] || {}, fresh);
+
+  // Words the child might know, and clusters taught words begin or end with
+  const real = new Set(_NOT_PSEUDO);
+  const onsets = new Set(_PSEUDO_ONSETS), codas = new Set(_PSEUDO_CODAS);
+  [...PHONICS_DATA.stageList, ...PHONICS_DATA.endlessTiers,
+    ...PHONICS_DATA.dailySets.map((d) => ({ words: d.wordObjs })),
+    ...Object.values(PHONICS_DATA.categoryPacks).map((words) => ({ words })),
+  ].forEach((list) => (list.words || []).forEach((w) => real.add(String(w.word).toLowerCase())));
+  const cluster = (t) => /^[bcdfghjklmnpqrstvwxz]+$/.test(t) && PHONICS_DATA.parseGraphemes(t).length > 1;
+  stages.forEach((st) => (st.words || []).forEach((w) => {
+    const tiles = w.phonemes || [];
+    if (w.sight || tiles.length < 2) return;
+    if (cluster(tiles[0])) onsets.add(tiles[0]);
+    if (cluster(tiles[tiles.length - 1])) codas.add(tiles[tiles.length - 1]);
+  }));
+
+  const keysOf = (tiles) => _gpcKeys({ word: PHONICS_DATA.spellTiles(tiles), phonemes: tiles });
+  const knows  = (part) => keysOf([part]).every((k) => taught.has(k));
+  const on = [...onsets].filter(knows);
+  const co = [...codas].filter(knows);
+  const vo = _PSEUDO_VOWELS.filter((v) => knows(v.v));
+  if (!vo.length || !co.length) return [];
+  const focus = fresh.size > 0 && [...on, ...co, ...vo.map((v) => v.v)].some((t) => keysOf([t]).some((k) => fresh.has(k)));
+
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const out = [], seen = new Set();
+  let focused = 0;
+  for (let tries = 0; out.length < count && tries < count * 40; tries++) {
+    const { v, kind, end, codas: after = _PSEUDO_LONG_CODAS } = pick(vo);
+    const onset = !on.length || (kind === 'short' && rand() < 0.2) ? '' : pick(on);   // VC now and then: "ip"
+    const coda = kind === 'open' || (end && rand() < 0.25) ? ''
+      : pick(kind === 'short' ? co : co.filter((c) => after.includes(c)));
+    if (coda === undefined || (kind === 'short' && coda === 'k')) continue;            // short vowels take ck
+    if (onset === 'qu' && v[0] === 'u') continue;
+    if (/w$/.test(onset) && kind === 'team' && /r$/.test(v)) continue;                // war, word
+    const tiles = [onset, v, coda].filter(Boolean);
+    const word = PHONICS_DATA.spellTiles(tiles);
+    if (seen.has(word) || real.has(word)) continue;
+    const w = { word, phonemes: tiles, pseudo: true };
+    const keys = _gpcKeys(w);
+    if (!keys.every((k) => taught.has(k))) continue;
+    // Half the list, at most, goes without the stage's own patterns
+    // (relaxed towards the end, if those are too few to fill it)
+    const isFresh = keys.some((k) => fresh.has(k));
+    if (!isFresh && focus && out.length - focused >= Math.ceil(count / 2) && tries < count * 30) continue;
+    if (isFresh) focused++;
+    seen.add(word);
+    out.push(w);
+  }
+  return out;
+};
+
+// ── CONTENT PACKS ────────────────────────────────────────────
+// Teachers can ship their own worlds, stages and word lists as a
+// JSON "content pack" instead of editing the tables above. A pack
+// is validated against _PACK_SCHEMA, converted into the same
+// meta + stage-table shape as _WORLDS_META / _WORLD_STAGES, and fed
+// through PHONICS_DATA.buildCampaign(). Format reference: packs/README.md
+PHONICS_DATA.CONTENT_PACK_FORMAT  = 'samurice-content-pack';
+PHONICS_DATA.CONTENT_PACK_VERSION = 1;
+PHONICS_DATA.activePack = null; // { name, author, file } while a pack is loaded
+// Whose stage progress applies: stage ids restart at 1 in every
+// campaign, so ProgressTracker keeps each campaign's stages apart.
+// 'builtin', or 'pack:' and the pack's name as a slug.
+PHONICS_DATA.campaignId = 'builtin';
+
+// Mini-game types BattleEngine knows how to build (`activities`).
+PHONICS_DATA.ACTIVITY_TYPES = [
+  'first', 'last', 'middle', 'missing', 'letter-sound', 'oral-blend',
+  'sound-count', 'segment-it', 'rhyme', 'sight-word', 'hard-soft', 'word-parts',
+  'syllable-split',
+];
+
+// Packs bundled with the game (listed in the parent dashboard).
+PHONICS_DATA.bundledPacks = [
+  { name: 'Short Vowel Review', file: 'packs/short-vowel-review.json' },
+];
+
+const _PACK_STORAGE_KEY = 'samurice_content_pack';
+
+// Field specs: type names, `[]` = array of that type, `!` = required.
+const _PACK_SCHEMA = {
+  pack: {
+    format: 'string!', version: 'number!', name: 'string!', author: 'string',
+    description: 'string', worlds: 'object[]!',
+  },
+  world: {
+    id: 'number!', name: 'string!', icon: 'string!', skill: 'string!', desc: 'string',
+    theme: 'number', bossName: 'string', sentences: 'string[]', stages: 'object[]!',
+    bg: 'string', arenaBg: 'string', bossFile: 'string', minionFile: 'string', miniFile: 'string',
+    skyColor: 'string[]', groundColor: 'string', accentColor: 'string',
+    dmg: 'number', blendTime: 'number', bossHp: 'number', bossAttack: 'number', runnerSpeed: 'number',
+  },
+  stage: {
+    name: 'string!', pattern: 'string!', patternDesc: 'string', skill: 'string',
+    activities: 'string[]!', challengeEvery: 'number', miniName: 'string', miniFile: 'string',
+    teaches: 'string[]', words: 'object[]!',
+  },
+  word: {
+    word: 'string!', phonemes: 'string[]!', hint: 'string!', rime: 'string', sight: 'boolean',
+    sounds: 'string[]', morphs: 'string[]', syllableTypes: 'string[]',
+  },
+};
+
+function _packTypeOk(value, type) {
+  if (type.endsWith('[]')) {
+    const inner = type.slice(0, -2);
+    return Array.isArray(value) && value.every((v) => _packTypeOk(v, inner));
+  }
+  if (type === 'object') return !!value && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+// Pack text ends up in the dashboard and the game's overlays, so it
+// may not carry markup
+const _PACK_MARKUP_RE = /[<>]/;
+
+// Checks one object against a schema entry; unknown keys are only
+// warnings so packs written for a newer build still load.
+function _packCheckFields(obj, spec, path, errors, warnings) {
+  if (!_packTypeOk(obj, 'object')) { errors.push(`${path}: expected an object`); return false; }
+  for (const [key, rule] of Object.entries(spec)) {
+    const required = rule.endsWith('!');
+    const type = required ? rule.slice(0, -1) : rule;
+    if (obj[key] === undefined) {
+      if (required) errors.push(`${path}.${key}: missing`);
+    } else if (!_packTypeOk(obj[key], type)) {
+      errors.push(`${path}.${key}: expected ${type}`);
+    } else if ([].concat(obj[key]).some((v) => typeof v === 'string' && _PACK_MARKUP_RE.test(v))) {
+      errors.push(`${path}.${key}: may not contain < or >`);
+    }
+  }
+  Object.keys(obj).forEach((key) => {
+    if (!(key in spec)) warnings.push(`${path}.${key}: unknown field (ignored)`);
+  });
+  return true;
+}
+
+// Validates a parsed pack → { ok, errors:[...], warnings:[...] }.
+// Error strings carry a path (worlds[0].stages[2].words[1].phonemes)
+// so a teacher can find the offending entry in their file.
+PHONICS_DATA.validateContentPack = function(pack) {
+  const errors = [];
+  const warnings = [];
+  if (!_packCheckFields(pack, _PACK_SCHEMA.pack, 'pack', errors, warnings)) {
+    return { ok: false, errors, warnings };
+  }
+  if (pack.format !== undefined && pack.format !== PHONICS_DATA.CONTENT_PACK_FORMAT) {
+    errors.push(`pack.format: must be "${PHONICS_DATA.CONTENT_PACK_FORMAT}"`);
+  }
+  if (typeof pack.version === 'number' && pack.version > PHONICS_DATA.CONTENT_PACK_VERSION) {
+    errors.push(`pack.version: ${pack.version} is newer than this game supports (${PHONICS_DATA.CONTENT_PACK_VERSION})`);
+  }
+  const worlds = Array.isArray(pack.worlds) ? pack.worlds : [];
+  if (Array.isArray(pack.worlds) && !worlds.length) errors.push('pack.worlds: needs at least one world');
+
+  const seenIds = new Set();
+  worlds.forEach((w, wi) => {
+    const wp = `worlds[${wi}]`;
+    if (!_packCheckFields(w, _PACK_SCHEMA.world, wp, errors, warnings)) return;
+    if (typeof w.id === 'number') {
+      if (!Number.isInteger(w.id) || w.id < 1) errors.push(`${wp}.id: must be a positive whole number`);
+      else if (seenIds.has(w.id)) errors.push(`${wp}.id: duplicate world id ${w.id}`);
+      seenIds.add(w.id);
+    }
+    if (w.theme !== undefined && !(Number.isInteger(w.theme) && w.theme >= 1 && w.theme <= _WORLDS_META.length)) {
+      errors.push(`${wp}.theme: must be 1-${_WORLDS_META.length}`);
+    }
+    const stages = Array.isArray(w.stages) ? w.stages : [];
+    if (Array.isArray(w.stages) && !stages.length) errors.push(`${wp}.stages: needs at least one stage`);
+
+    stages.forEach((st, si) => {
+      const sp = `${wp}.stages[${si}]`;
+      if (!_packCheckFields(st, _PACK_SCHEMA.stage, sp, errors, warnings)) return;
+      (Array.isArray(st.activities) ? st.activities : []).forEach((a) => {
+        if (!PHONICS_DATA.ACTIVITY_TYPES.includes(a)) errors.push(`${sp}.activities: unknown activity "${a}"`);
+      });
+      if (st.challengeEvery !== undefined && !(Number.isInteger(st.challengeEvery) && st.challengeEvery >= 1)) {
+        errors.push(`${sp}.challengeEvery: must be a whole number ≥ 1`);
+      }
+      (Array.isArray(st.teaches) ? st.teaches : []).forEach((k) => {
+        if (_AFFIX_RE.test(k) || k === 'le') return;
+        const [g, sound] = k.split(':');
+        const badSound = sound !== undefined && sound.split(' ').some((id) => id && !PHONICS_DATA.PHONEMES[id]);
+        if (!_GRAPHEMES[g] || badSound) errors.push(`${sp}.teaches: unknown correspondence "${k}"`);
+      });
+      const words = Array.isArray(st.words) ? st.words : [];
+      if (Array.isArray(st.words) && !words.length) errors.push(`${sp}.words: needs at least one word`);
+      else if (words.length && words.length < 4) warnings.push(`${sp}.words: fewer than 4 words makes a very short battle`);
+
+      words.forEach((wd, di) => {
+        const dp = `${sp}.words[${di}]`;
+        if (!_packCheckFields(wd, _PACK_SCHEMA.word, dp, errors, warnings)) return;
+        if (Array.isArray(wd.phonemes)) {
+          if (!wd.phonemes.length) errors.push(`${dp}.phonemes: needs at least one phoneme`);
+          if (wd.phonemes.some((p) => !p.trim())) errors.push(`${dp}.phonemes: empty phoneme`);
+          wd.phonemes.forEach((p, pi) => {
+            if (!p.includes('_')) return;
+            if (!_SPLIT_RE.test(p)) errors.push(`${dp}.phonemes[${pi}]: "${p}" — split digraphs are written a_e, e_e, i_e, o_e or u_e`);
+            else if (pi === wd.phonemes.length - 1) errors.push(`${dp}.phonemes[${pi}]: a split digraph needs a consonant tile after it`);
+          });
+          const spelled = PHONICS_DATA.spellTiles(wd.phonemes);
+          if (typeof wd.word === 'string' && spelled !== wd.word.toLowerCase()) {
+            warnings.push(`${dp}.phonemes: tiles spell "${spelled}", not "${wd.word}"`);
+          }
+        }
+        if (Array.isArray(wd.sounds)) {
+          if (!Array.isArray(wd.phonemes) || wd.sounds.length !== wd.phonemes.length) {
+            errors.push(`${dp}.sounds: needs one entry per tile in phonemes`);
+          }
+          wd.sounds.forEach((snd, ti) => {
+            snd.split(' ').filter(Boolean).forEach((id) => {
+              if (!PHONICS_DATA.PHONEMES[id]) errors.push(`${dp}.sounds[${ti}]: unknown phoneme "${id}"`);
+            });
+          });
+        }
+        if (Array.isArray(wd.syllableTypes)) {
+          if (!Array.isArray(wd.phonemes) || wd.syllableTypes.length !== wd.phonemes.length) {
+            errors.push(`${dp}.syllableTypes: needs one entry per tile in phonemes`);
+          }
+          wd.syllableTypes.forEach((t, ti) => {
+            if (!PHONICS_DATA.SYLLABLE_TYPES[t]) errors.push(`${dp}.syllableTypes[${ti}]: unknown syllable type "${t}"`);
+          });
+        }
+        if (Array.isArray(wd.morphs) && Array.isArray(wd.phonemes)) {
+          const base = PHONICS_DATA.morphsOf(wd)?.find((p) => p.kind === 'base');
+          if (!base) {
+            errors.push(`${dp}.morphs: needs one base word, prefixes ("un-") before it and suffixes ("-ing") after, each spelled by whole tiles`);
+          } else if (!_baseChange(base)) {
+            warnings.push(`${dp}.morphs: no spelling rule turns "${base.text}" into "${base.surface}"`);
+          }
+        }
+      });
+    });
+  });
+  return { ok: errors.length === 0, errors, warnings };
+};
+
+// Converts a validated pack into the builder's (meta, stage-table) pair.
+// `theme` (default: the world id, wrapping) picks which built-in art set
+// and tuning the world borrows; anything the pack sets overrides it.
+function _packToTables(pack) {
+  const meta = [];
+  const stages = {};
+  pack.worlds.forEach((pw) => {
+    const themeId = pw.theme || ((pw.id - 1) % _WORLDS_META.length) + 1;
+    const base = _WORLDS_META[themeId - 1];
+    const { stages: packStages, theme, ...fields } = pw;
+    meta.push(Object.assign({}, base, {
+      arenaBg: base.arenaBg || `arena-${base.id}`,
+      miniFile: base.miniFile || `mini-w${base.id}`,
+      desc: '',
+      sentences: [],
+    }, fields));
+    stages[pw.id] = packStages.map((st) => Object.assign({}, st, {
+      words: st.words.map((wd) => _w(wd.word, wd.phonemes.slice(), wd.hint, {
+        ...(wd.rime ? { rime: wd.rime } : {}),
+        ...(wd.sight ? { sight: true } : {}),
+        ...(wd.sounds ? { sounds: wd.sounds.slice() } : {}),
+        ...(wd.morphs ? { morphs: wd.morphs.slice() } : {}),
+        ...(wd.syllableTypes ? { syllableTypes: wd.syllableTypes.slice() } : {}),
+      })),
+    }));
+  });
+  return { meta, stages };
+}
+
+// Validates `pack` and, if it passes, rebuilds the campaign from it.
+// With `persist` the pack is remembered and re-applied on next load.
+PHONICS_DATA.loadContentPack = function(pack, { persist = false, file = null } = {}) {
+  const result = PHONICS_DATA.validateContentPack(pack);
+  if (!result.ok) return result;
+  const { meta, stages } = _packToTables(pack);
+  PHONICS_DATA.buildCampaign(meta, stages);
+  PHONICS_DATA.activePack = { name: pack.name, author: pack.author || '', file };
+  PHONICS_DATA.campaignId = `pack:${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+  if (persist && !STORE.setItem(_PACK_STORAGE_KEY, JSON.stringify({ file, pack }))) {
+    result.warnings.push('Pack loaded, but it is too large to remember after a reload.');
+  }
+  return result;
+};
+
+// Fetches a bundled (or any same-origin) pack file and loads it.
+PHONICS_DATA.fetchContentPack = async function(url, opts = {}) {
+  let pack;
+  try {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    pack = await res.json();
+  } catch (e) {
+    return { ok: false, errors: [`Could not load ${url}: ${e.message}`], warnings: [] };
+  }
+  return PHONICS_DATA.loadContentPack(pack, Object.assign({ file: url }, opts));
+};
+
+// Drops any loaded pack and restores the built-in campaign.
+PHONICS_DATA.unloadContentPack = function() {
+  PHONICS_DATA.buildCampaign(_WORLDS_META, _WORLD_STAGES);
+  PHONICS_DATA.activePack = null;
+  PHONICS_DATA.campaignId = 'builtin';
+  STORE.removeItem(_PACK_STORAGE_KEY);
+};
+
+// The built-in campaign as a pack — a starting point for custom lists.
+PHONICS_DATA.exportContentPack = function() {
+  return {
+    format: PHONICS_DATA.CONTENT_PACK_FORMAT,
+    version: PHONICS_DATA.CONTENT_PACK_VERSION,
+    name: 'Samurice Campaign',
+    worlds: _WORLDS_META.map((w) => ({
+      id: w.id, name: w.name, icon: w.icon, skill: w.skill, desc: w.desc,
+      bossName: w.bossName, sentences: w.sentences.slice(),
+      stages: (_WORLD_STAGES[w.id] || []).map((st) => {
+        const out = { name: st.name, pattern: st.pattern, patternDesc: st.patternDesc,
+                      skill: st.skill, activities: st.activities.slice() };
+        if (st.challengeEvery !== undefined) out.challengeEvery = st.challengeEvery;
+        if (st.miniName) out.miniName = st.miniName;
+        if (st.miniFile) out.miniFile = st.miniFile;
+        if (st.teaches) out.teaches = st.teaches.slice();
+        out.words = st.words.map((wd) => Object.assign({}, wd, { phonemes: wd.phonemes.slice() }));
+        return out;
+      }),
+    })),
+  };
+};
+
+// Re-apply the pack a parent picked last session. A stored pack that no
+// longer validates (e.g. after a format change) falls back to built-ins.
+// Called at boot once the save store is open.
+PHONICS_DATA.restoreContentPack = function() {
+  let stored = null;
+  try { stored = JSON.parse(STORE.getItem(_PACK_STORAGE_KEY) || 'null'); } catch { /* ignore */ }
+  if (!stored?.pack) return;
+  const result = PHONICS_DATA.loadContentPack(stored.pack, { file: stored.file || null });
+  if (!result.ok) STORE.removeItem(_PACK_STORAGE_KEY);
+};
@@ -0,0 +1,109 @@
+'use strict';
+// ============================================================
+// PLACEMENT CHECK — js/placement.js
+//
+// A short adaptive test for a new child who may already read, so
+// they don't have to start at Stage 1-1. It climbs a ladder of
+// skills, one world each:
+//
+//   letter sounds → CVC blending → digraphs & blends → long vowels
+//   → sight words → multisyllabic words
+//
+// Each rung is a probe of PLACEMENT_ROUNDS ordinary battle rounds
+// (blends, or the mini-games that fit the skill) on words from that
+// world. Passing climbs a rung and failing steps down one, starting
+// from CVC blending; the check ends once the next rung has already
+// been tried. The first rung failed is where the child should start.
+//
+// PlacementTest is the bookkeeping only. SlashGame runs each probe
+// as a BattleEngine battle, reports how it went with record(), and
+// hands result() to ProgressTracker.recordPlacement().
+// ============================================================
+
+const PLACEMENT_ROUNDS = 4;   // rounds in one probe
+const PLACEMENT_PASS   = 3;   // right answers out of PLACEMENT_ROUNDS to pass
+const PLACEMENT_WORDS  = 6;   // words drawn for a probe, so rounds rarely repeat one
+const PLACEMENT_START  = 1;   // the rung tried first (CVC blending)
+
+//   world          — the world the rung checks, by id
+//   activities     — mini-games for the probe; none means plain blending
+//   challengeEvery — as on a stage: 1 makes every round a mini-game
+//   sight          — draw the world's sight words rather than decodable ones
+const PLACEMENT_LEVELS = [
+  { id: 'letters', name: 'Letter sounds',       emoji: '🔤', world: 1, activities: ['letter-sound', 'first'], challengeEvery: 1 },
+  { id: 'cvc',     name: 'CVC blending',        emoji: '🐱', world: 2, activities: [], challengeEvery: 99 },
+  { id: 'digraph', name: 'Digraphs & blends',   emoji: '🚢', world: 3, activities: [], challengeEvery: 99 },
+  { id: 'long',    name: 'Long vowels',         emoji: '🎂', world: 4, activities: [], challengeEvery: 99 },
+  { id: 'sight',   name: 'Sight words',         emoji: '👁️', world: 5, activities: ['sight-word'], challengeEvery: 1, sight: true },
+  { id: 'multi',   name: 'Multisyllabic words', emoji: '🌋', world: 6, activities: ['syllable-split'], challengeEvery: 2 },
+];
+
+class PlacementTest {
+  constructor() {
+    this.level   = PLACEMENT_START;   // index into PLACEMENT_LEVELS; null once finished
+    this.results = {};                // level index → { right, rounds }
+  }
+
+  get done() { return this.level === null; }
+  current()  { return this.done ? null : PLACEMENT_LEVELS[this.level]; }
+
+  // A battle stage for the current rung: the world's first stage for
+  // looks and music, with words drawn from across the world. `placement`
+  // tells BattleEngine to keep these rounds out of any stage's stats.
+  probeStage() {
+    const lv = this.current();
+    const world = PHONICS_DATA.getWorld(lv.world);
+    if (!world) return null;
+    const pool = [];
+    world.stageIds.forEach(id => (PHONICS_DATA.getStage(id)?.words || []).forEach(w => {
+      if (!!w.sight === !!lv.sight && !pool.some(p => p.word === w.word)) pool.push(w);
+    }));
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    const words = pool.slice(0, PLACEMENT_WORDS);
+    if (!words.length) return null;
+    return {
+      ...PHONICS_DATA.getStage(world.startId),
+      name: `🧭 Placement · ${lv.name}`,
+      bossName: 'Sensei Owl',
+      isBoss: false,
+      placement: true,
+      activities: lv.activities,
+      challengeEvery: lv.challengeEvery,
+      sentences: [],
+      // Enough HP that the probe ends on its round count, not a knockout
+      bossHp: Math.round(words.reduce((n, w) => n + (w.damage || 20), 0) * 1.5),
+      words,
+    };
+  }
+
+  // How the current probe went; moves to the next rung or finishes
+  record(right, rounds = PLACEMENT_ROUNDS) {
+    if (this.done) return;
+    const passed = right >= PLACEMENT_PASS;
+    this.results[this.level] = { right, rounds };
+    const next = this.level + (passed ? 1 : -1);
+    this.level = next < 0 || next >= PLACEMENT_LEVELS.length || this.results[next] ? null : next;
+  }
+
+  // → { at, world, levels: [{ id, name, right, rounds, passed }] } where
+  // `world` is where to start: the lowest rung failed, or the world
+  // after the top one when every rung tried was passed
+  result() {
+    const levels = [];
+    let failed = null, top = null;
+    PLACEMENT_LEVELS.forEach((lv, i) => {
+      const r = this.results[i];
+      if (!r) return;
+      const passed = r.right >= PLACEMENT_PASS;
+      levels.push({ id: lv.id, name: lv.name, right: r.right, rounds: r.rounds, passed });
+      if (!passed && failed === null) failed = lv;
+      if (passed) top = lv;
+    });
+    const world = failed ? failed.world
+      : Math.min(PHONICS_DATA.WORLDS.length, (top?.world || 0) + 1);
+    return { at: Date.now(), world: Math.max(1, world), levels };
+  }
+}
@@ -0,0 +1,126 @@
+'use strict';
+// ============================================================
+// PROFILE MANAGER — js/profileManager.js
+//
+// Several children can share one device. Each gets a named
+// profile with an avatar, and everything personal — stars, weak
+// phonemes, rice, streaks, relaxed mode and sound settings — is
+// stored under keys namespaced by profile id.
+//
+//   PROFILES.key('samurice_progress_v3')  →  'samurice_progress_v3:p2'
+//
+// Device-wide settings (low-FX mode, loaded content pack, class
+// code, install banner) stay un-namespaced.
+// ============================================================
+
+// Keys that belong to a child rather than to the device
+const PROFILE_SCOPED_KEYS = [
+  'samurice_progress_v3',
+  'samurice_engage_v2',
+  'samurice_attempts_v1',
+  'samurice_xapi_v1',
+  'samurice_sync_v1',
+  'samurice_sync_base_v1',
+  'samurice_relaxed',
+  'samurice_limits',
+  'samurice_playtime_v1',
+  'samurice_muted',
+  'samurice_vol_master',
+  'samurice_vol_music',
+  'samurice_vol_sfx',
+];
+
+class ProfileManager {
+  static AVATARS = ['🍙', '🦖', '🐼', '🦊', '🐸', '🐯', '🦄', '🐙', '🐝', '🐬', '🌟', '🚀'];
+  static MAX_PROFILES = 6;
+  static MAX_NAME     = 16;
+
+  constructor() {
+    this._key = 'samurice_profiles_v1';
+  }
+
+  // ── Persistence ──────────────────────────────────────────
+  // Called at boot once the save store is open (see index.html).
+  load() {
+    try {
+      const raw = STORE.getItem(this._key);
+      this._d = raw ? JSON.parse(raw) : null;
+    } catch { this._d = null; }
+    if (!this._d || !Array.isArray(this._d.profiles) || !this._d.profiles.length) this._adoptLegacy();
+    if (!this._byId(this._d.activeId)) this._d.activeId = this._d.profiles[0].id;
+  }
+  _save() {
+    STORE.setItem(this._key, JSON.stringify(this._d));
+  }
+
+  // First run after profiles shipped: whatever is already saved on the
+  // device becomes Player 1, so nobody's stars or streak go missing.
+  _adoptLegacy() {
+    this._d = { version: 1, activeId: 1, nextId: 2, profiles: [this._fresh(1, 'Player 1', ProfileManager.AVATARS[0])] };
+    PROFILE_SCOPED_KEYS.forEach(base => {
+      try {
+        const v = STORE.getItem(base);
+        if (v === null) return;
+        STORE.setItem(`${base}:p1`, v);
+        STORE.removeItem(base);
+      } catch { /* ignore */ }
+    });
+    this._save();
+  }
+
+  _fresh(id, name, avatar) {
+    return { id, name, avatar, createdAt: new Date().toISOString() };
+  }
+
+  _byId(id) { return this._d.profiles.find(p => p.id === id) || null; }
+
+  _cleanName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().slice(0, ProfileManager.MAX_NAME);
+  }
+
+  // ── Public ────────────────────────────────────────────────
+  // The active profile's storage key for a per-child setting
+  key(base) { return this.keyFor(this._d.activeId, base); }
+  // …and any profile's, for the few places that read every child's save
+  keyFor(id, base) { return `${base}:p${id}`; }
+
+  list()     { return this._d.profiles.map(p => ({ ...p })); }
+  active()   { return { ...this._byId(this._d.activeId) }; }
+  activeId() { return this._d.activeId; }
+  canAdd()   { return this._d.profiles.length < ProfileManager.MAX_PROFILES; }
+
+  // Returns the new profile, or null when the name is blank, taken,
+  // or the device is full. Does not switch to it.
+  add(name, avatar) {
+    const clean = this._cleanName(name);
+    if (!clean || !this.canAdd()) return null;
+    if (this._d.profiles.some(p => p.name.toLowerCase() === clean.toLowerCase())) return null;
+    const p = this._fresh(this._d.nextId++, clean, ProfileManager.AVATARS.includes(avatar) ? avatar : ProfileManager.AVATARS[0]);
+    this._d.profiles.push(p);
+    this._save();
+    return { ...p };
+  }
+
+  // `leaderboard: false` keeps the child off the family leaderboard
+  update(id, { name, avatar, leaderboard } = {}) {
+    const p = this._byId(id);
+    if (!p) return false;
+    const clean = this._cleanName(name);
+    if (clean && !this._d.profiles.some(o => o !== p && o.name.toLowerCase() === clean.toLowerCase())) p.name = clean;
+    if (ProfileManager.AVATARS.includes(avatar)) p.avatar = avatar;
+    if (typeof leaderboard === 'boolean') p.leaderboard = leaderboard;
+    this._save();
+    return true;
+  }
+
+  // Only changes which keys key() returns. Callers reload the
+  // tracker, engagement engine and audio settings afterwards.
+  switchTo(id) {
+    if (id === this._d.activeId || !this._byId(id)) return false;
+    this._d.activeId = id;
+    this._save();
+    return true;
+  }
+}
+
+const PROFILES = new ProfileManager();
@@ -0,0 +1,217 @@
+'use strict';
+// ============================================================
+// PROGRESS SYNC — js/progressSync.js
+//
+// Keeps one child's progress in step across devices through a
+// sync server (`node tools/sync-server.js` is a reference one).
+// ProgressTracker.syncNow() does the work; this file holds the
+// pieces it plugs together:
+//
+//   HttpSyncAdapter      talks to the server. Any object with the
+//                        same pull()/push() can stand in for it.
+//   mergeSyncSnapshots   three-way merge of this device's snapshot
+//                        and the server's, against the last snapshot
+//                        both agreed on
+//
+// A snapshot is a save file's `data` (progress, engagement,
+// settings, attempts) plus `savedAt`, the time of its last change.
+// ============================================================
+
+const SYNC_CFG_KEY   = 'samurice_sync_cfg';   // device-wide: { endpoint, token }
+const SYNC_STATE_KEY = 'samurice_sync_v1';    // per child, see ProgressTracker._syncState()
+
+// How a field both devices changed since the last sync is settled.
+// Paths are dotted, `*` matching any one key. The first match wins;
+// anything unlisted goes to the newer snapshot and is reported.
+//   sum   both devices' changes are added (counters)
+//   max / min / or   the better value (records, stars, unlocks)
+//   union            arrays are combined (achievements, items)
+//   newer            the newer snapshot's value, not reported
+//   leaf             compared whole rather than key by key
+const SYNC_MERGE_RULES = [
+  ['progress.riceGrains', 'sum'],
+  ['progress.totalRiceGrainsEver', 'sum'],
+  ['progress.totalWordsBlended', 'sum'],
+  ['progress.totalPerfectBlends', 'sum'],
+  ['progress.totalRunDistance', 'sum'],
+  ['progress.endlessTotalRuns', 'sum'],
+  ['progress.dailiesCompleted', 'sum'],
+  ['progress.shopPurchases', 'sum'],
+  ['progress.inventoryPowerups.*', 'sum'],
+  ['progress.stages.*.attempts', 'sum'],
+  ['progress.stages.*.totalBlends', 'sum'],
+  ['progress.stages.*.correctBlends', 'sum'],
+  ['progress.stages.*.wordsAttempted.*.*', 'sum'],
+  ['progress.endlessHighScore', 'max'],
+  ['progress.endlessBestDist', 'max'],
+  ['progress.bestCombo', 'max'],
+  ['progress.dailyStreak', 'max'],
+  ['progress.loginStreak', 'max'],
+  ['progress.version', 'max'],
+  ['progress.stages.*.stars', 'max'],
+  ['progress.stages.*.bestScore', 'max'],
+  ['progress.stages.*.coinsCollected', 'max'],
+  ['progress.stages.*.completedAt', 'max'],
+  ['progress.stages.*.unlocked', 'or'],
+  ['progress.stages.*.testedOut', 'or'],
+  ['progress.stages.*.mastery.noHit', 'or'],
+  ['progress.stages.*.mastery.speedClear', 'or'],
+  ['progress.stages.*.mastery.bestClearSec', 'min'],
+  ['progress.stages.*.firstClearedAt', 'min'],
+  ['progress.dashBest', 'max'],
+  ['progress.bestRunPerfects', 'max'],
+  ['progress.dailyBestSec', 'min'],
+  ['progress.dailyTimeSec', 'max'],
+  ['progress.boardWeek.start', 'max'],
+  ['progress.boardWeek.words', 'sum'],
+  ['progress.boardWeek.dailySec', 'min'],
+  ['progress.boardWeek.*', 'max'],
+  ['progress.achievements', 'union'],
+  ['progress.newAchievements', 'union'],
+  ['progress.ownedItems', 'union'],
+  ['progress.goals', 'newer'],
+  ['progress.newGoals', 'newer'],
+  ['progress.stages.*.wordsMastered', 'union'],
+  ['progress.review.*', 'leaf'],
+  ['progress.placement', 'leaf'],
+  ['progress.campaign', 'newer'],
+  ['progress.campaigns.*', 'leaf'],
+  ['progress.nwf.*', 'newer'],
+  ['progress.orf.*', 'newer'],
+  ['progress.knowledge.*.*', 'leaf'],
+  ['progress.last*', 'newer'],
+  ['progress.daily*', 'newer'],
+  ['progress.loginRewardClaimed', 'newer'],
+  ['engagement.*', 'newer'],
+  ['settings.*', 'newer'],
+];
+
+function _syncRule(path) {
+  const parts = path.split('.');
+  for (const [pattern, rule] of SYNC_MERGE_RULES) {
+    const pp = pattern.split('.');
+    if (pp.length !== parts.length) continue;
+    if (pp.every((p, i) => p === '*' || p === parts[i] || (p.endsWith('*') && parts[i].startsWith(p.slice(0, -1))))) return rule;
+  }
+  return 'lww';
+}
+
+const _syncIsObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// { 'a.b': 1, 'a.c': [..] } — plain objects are walked, everything
+// else (arrays, numbers, `leaf` paths) is a value. An empty object is
+// kept as a value so it survives the round trip.
+function _syncFlatten(obj, prefix = '', out = {}) {
+  Object.entries(obj || {}).forEach(([k, v]) => {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (_syncIsObj(v) && Object.keys(v).length && _syncRule(path) !== 'leaf') _syncFlatten(v, path, out);
+    else out[path] = v;
+  });
+  return out;
+}
+
+function _syncUnflatten(flat) {
+  const out = {};
+  Object.entries(flat).forEach(([path, v]) => {
+    if (v === undefined) return;
+    const parts = path.split('.');
+    let o = out;
+    parts.slice(0, -1).forEach(p => { o = _syncIsObj(o[p]) ? o[p] : (o[p] = {}); });
+    const last = parts[parts.length - 1];
+    // One side's empty {} must not wipe the other side's keys
+    if (_syncIsObj(v) && !Object.keys(v).length && _syncIsObj(o[last])) return;
+    o[last] = v;
+  });
+  return out;
+}
+
+const _syncSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Settle one field both sides changed. Returns [value, reported?].
+function _syncSettle(rule, b, l, r, localNewer) {
+  const newer = localNewer ? l : r;
+  switch (rule) {
+    case 'sum':   return [Math.max(0, (Number(l) || 0) + (Number(r) || 0) - (Number(b) || 0)), false];
+    case 'max':   return [l == null ? r : r == null ? l : (l > r ? l : r), false];
+    case 'min':   return [l == null ? r : r == null ? l : (l < r ? l : r), false];
+    case 'or':    return [!!(l || r), false];
+    case 'union': return [[...new Set([...(Array.isArray(l) ? l : []), ...(Array.isArray(r) ? r : [])])], false];
+    case 'newer':
+    case 'leaf':  return [newer, false];
+    default:      return [newer, true];
+  }
+}
+
+// Three-way merge. `base` is the snapshot both devices last agreed
+// on (null on a first sync). A field only one side changed takes that
+// change; a field both changed follows SYNC_MERGE_RULES. The practice
+// log is a union of both logs. Returns { merged, conflicts } where each
+// conflict is { field, local, remote, kept: 'local' | 'remote' }.
+function mergeSyncSnapshots(base, local, remote) {
+  const localNewer = (local.savedAt || 0) >= (remote.savedAt || 0);
+  const pick = ({ progress, engagement, settings }) => _syncFlatten({ progress, engagement, settings });
+  const B = pick(base || {}), L = pick(local), R = pick(remote);
+  const merged = {};
+  const conflicts = [];
+  new Set([...Object.keys(L), ...Object.keys(R)]).forEach(path => {
+    const b = B[path], l = L[path], r = R[path];
+    if (_syncSame(l, r))      merged[path] = l;
+    else if (_syncSame(l, b)) merged[path] = r;
+    else if (_syncSame(r, b)) merged[path] = l;
+    else {
+      const [value, report] = _syncSettle(_syncRule(path), b, l, r, localNewer);
+      merged[path] = value;
+      if (report) conflicts.push({ field: path.replace(/^progress\./, ''), local: l, remote: r, kept: localNewer ? 'local' : 'remote' });
+    }
+  });
+  const seen = new Set();
+  const attempts = [...(local.attempts || []), ...(remote.attempts || [])]
+    .filter(a => { const k = a && `${a.at}|${a.word}|${a.round}`; return !!k && !seen.has(k) && seen.add(k); })
+    .sort((a, b) => a.at - b.at);
+  return {
+    merged: { ..._syncUnflatten(merged), attempts, savedAt: Math.max(local.savedAt || 0, remote.savedAt || 0) },
+    conflicts,
+  };
+}
+
+// ── HTTP adapter ─────────────────────────────────────────────
+// Talks to tools/sync-server.js (or anything with the same API):
+//   GET /sync/<id>  → 200 { rev, snapshot } · 404 when nothing is stored yet
+//   PUT /sync/<id>  { rev, snapshot } → 200 { rev } · 409 { rev, snapshot }
+//                   when `rev` is no longer the server's latest
+class HttpSyncAdapter {
+  static config() {
+    try { return { endpoint: '', token: '', ...JSON.parse(STORE.getItem(SYNC_CFG_KEY) || '{}') }; }
+    catch { return { endpoint: '', token: '' }; }
+  }
+  static setConfig({ endpoint = '', token = '' } = {}) {
+    STORE.setItem(SYNC_CFG_KEY, JSON.stringify({ endpoint: endpoint.trim(), token: token.trim() }));
+  }
+
+  constructor({ endpoint, token = '' }) {
+    this._base  = endpoint.replace(/\/+$/, '');
+    this._token = token;
+  }
+
+  async pull(id) {
+    const res = await fetch(this._url(id), { headers: this._headers(), cache: 'no-store' });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Sync server said HTTP ${res.status}`);
+    return res.json();
+  }
+
+  // → { ok: true, rev } or { ok: false, conflict: { rev, snapshot } }
+  async push(id, snapshot, rev) {
+    const res = await fetch(this._url(id), {
+      method: 'PUT',
+      headers: { ...this._headers(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rev, snapshot }),
+    });
+    if (res.status === 409) return { ok: false, conflict: await res.json() };
+    if (!res.ok) throw new Error(`Sync server said HTTP ${res.status}`);
+    return { ok: true, rev: (await res.json()).rev };
+  }
+
+  _url(id) { return `${this._base}/sync/${encodeURIComponent(id)}`; }
+  _headers() { return this._token ? { Authorization: `Bearer ${this._token}` } : {}; }
+}
@@ -41,62 +41,330 @@ const SHOP_ITEMS = {
 };
 
 // ── ACHIEVEMENTS ─────────────────────────────────────────────
+// Each achievement is a rule: it unlocks once `metric` reaches `goal`.
+//   scope  — 'total' (lifetime, the default), 'run' (best single run)
+//            or 'streak' (days in a row)
+//   goal   — a number, or 'all' for every stage / sound the filters pick
+//   world, stages — count only those campaign stages
+//   gpc    — 'digraph' or 'short-vowel': which correspondences count
+// ProgressTracker checks every rule on each save, and the achievements
+// screen shows the same numbers as a meter ("37/50").
 const ACHIEVEMENTS = [
-  { id:'first-blend',   name:'First Blend!',      desc:'Complete your first word blend',             emoji:'⚔️' },
-  { id:'combo-5',       name:'Combo Starter',      desc:'Hit a 5-combo streak',                       emoji:'🔥' },
-  { id:'combo-10',      name:'Combo Warrior',      desc:'Hit a 10-combo streak',                      emoji:'💥' },
-  { id:'combo-20',      name:'Combo Legend',       desc:'Hit a 20-combo streak',                      emoji:'🌟' },
-  { id:'dist-100',      name:'First Sprint',       desc:'Run 100m in endless mode',                   emoji:'🏃' },
-  { id:'dist-500',      name:'Long Runner',        desc:'Run 500m in endless mode',                   emoji:'🗺️' },
-  { id:'dist-1000',     name:'Marathon Riku',      desc:'Run 1000m in endless mode',                  emoji:'🏅' },
-  { id:'dist-2000',     name:'Endless Legend',     desc:'Run 2000m in endless mode',                  emoji:'🏆' },
-  { id:'daily-done',    name:'Daily Warrior',      desc:'Complete a daily challenge',                 emoji:'📅' },
-  { id:'daily-streak3', name:'3-Day Streak',       desc:'Complete daily challenges 3 days in a row',  emoji:'🔗' },
-  { id:'daily-streak7', name:'Week Warrior',       desc:'7-day daily challenge streak',               emoji:'🌠' },
-  { id:'shop-buy1',     name:'First Purchase',     desc:'Buy something from the shop',                emoji:'🏪' },
-  { id:'words-50',      name:'Word Apprentice',    desc:'Blend 50 words total',                       emoji:'📚' },
-  { id:'words-200',     name:'Word Master',        desc:'Blend 200 words total',                      emoji:'🧙' },
-  { id:'perfect-10',    name:'Perfect 10',         desc:'Get 10 perfect blends in one run',           emoji:'💯' },
-  { id:'all-stages',    name:'Dino Slayer',        desc:'Complete all 30 campaign stages',            emoji:'🦕' },
-  { id:'ricegrain-500', name:'Rice Baron',         desc:'Collect 500 rice grains total',              emoji:'🌾' },
-  { id:'slip-recover',  name:'Oof Recovery',       desc:'Miss a blend but keep running anyway',       emoji:'😅' },
+  { id:'first-blend',   name:'First Blend!',      desc:'Complete your first word blend',             emoji:'⚔️', metric:'words', goal:1 },
+  { id:'combo-5',       name:'Combo Starter',      desc:'Hit a 5-combo streak',                       emoji:'🔥', metric:'combo', scope:'run', goal:5 },
+  { id:'combo-10',      name:'Combo Warrior',      desc:'Hit a 10-combo streak',                      emoji:'💥', metric:'combo', scope:'run', goal:10 },
+  { id:'combo-20',      name:'Combo Legend',       desc:'Hit a 20-combo streak',                      emoji:'🌟', metric:'combo', scope:'run', goal:20 },
+  { id:'dist-100',      name:'First Sprint',       desc:'Run 100m in endless mode',                   emoji:'🏃', metric:'distance', scope:'run', goal:100 },
+  { id:'dist-500',      name:'Long Runner',        desc:'Run 500m in endless mode',                   emoji:'🗺️', metric:'distance', scope:'run', goal:500 },
+  { id:'dist-1000',     name:'Marathon Riku',      desc:'Run 1000m in endless mode',                  emoji:'🏅', metric:'distance', scope:'run', goal:1000 },
+  { id:'dist-2000',     name:'Endless Legend',     desc:'Run 2000m in endless mode',                  emoji:'🏆', metric:'distance', scope:'run', goal:2000 },
+  { id:'daily-done',    name:'Daily Warrior',      desc:'Complete a daily challenge',                 emoji:'📅', metric:'daily', goal:1 },
+  { id:'daily-streak3', name:'3-Day Streak',       desc:'Complete daily challenges 3 days in a row',  emoji:'🔗', metric:'daily', scope:'streak', goal:3 },
+  { id:'daily-streak7', name:'Week Warrior',       desc:'7-day daily challenge streak',               emoji:'🌠', metric:'daily', scope:'streak', goal:7 },
+  { id:'shop-buy1',     name:'First Purchase',     desc:'Buy something from the shop',                emoji:'🏪', metric:'purchases', goal:1 },
+  { id:'words-50',      name:'Word Apprentice',    desc:'Blend 50 words total',                       emoji:'📚', metric:'words', goal:50 },
+  { id:'words-200',     name:'Word Master',        desc:'Blend 200 words total',                      emoji:'🧙', metric:'words', goal:200 },
+  { id:'perfect-10',    name:'Perfect 10',         desc:'Get 10 perfect blends in one run',           emoji:'💯', metric:'perfects', scope:'run', goal:10 },
+  { id:'all-stages',    name:'Dino Slayer',        desc:'Complete every campaign stage',              emoji:'🦕', metric:'stagesCleared', goal:'all' },
+  { id:'ricegrain-500', name:'Rice Baron',         desc:'Collect 500 rice grains total',              emoji:'🌾', metric:'rice', goal:500 },
+  { id:'slip-recover',  name:'Oof Recovery',       desc:'Miss a blend but keep running anyway',       emoji:'😅', metric:'misses', goal:1 },
+  { id:'sounds-20',     name:'Sound Sage',         desc:'Master 20 letter sounds',                    emoji:'🔤', metric:'soundsMastered', goal:20 },
+  { id:'short-vowels',  name:'Vowel Voyager',      desc:'Master all five short vowels',               emoji:'🅰️', metric:'soundsMastered', gpc:'short-vowel', goal:'all' },
+  { id:'digraphs-all',  name:'Digraph Detective',  desc:'Master every digraph: sh, ch, th…',          emoji:'🔎', metric:'soundsMastered', gpc:'digraph', goal:'all' },
+  { id:'world3-nohit',  name:'Untouchable',        desc:'Clear every World 3 stage without a hit',    emoji:'🛡️', metric:'noHitClears', world:3, goal:'all' },
 ];
 
-// ── FAKE LEADERBOARD ─────────────────────────────────────────
-const FAKE_LEADERS = [
-  { name:'NinjaRice99',   dist:3420, score:58200 },
-  { name:'DinoSlayer',    dist:2890, score:47100 },
-  { name:'PhonicsKing',   dist:2550, score:41800 },
-  { name:'RiceBall_Pro',  dist:2210, score:36500 },
-  { name:'SamuraiStar',   dist:1980, score:32400 },
-  { name:'BlendMaster',   dist:1740, score:28900 },
-  { name:'KatanaKid',     dist:1530, score:25100 },
-  { name:'WordWarrior',   dist:1290, score:21600 },
-  { name:'RicePaddy123',  dist:1040, score:17200 },
-  { name:'DinoBuster',    dist:820,  score:13800 },
+// The campaign stage ids a rule counts
+function _achStageIds(rule) {
+  if (rule.stages) return rule.stages;
+  if (rule.world) return PHONICS_DATA.stagesInWorld(rule.world);
+  return Array.from({ length: PHONICS_DATA.stageCount }, (_, i) => i + 1);
+}
+
+// Which correspondences a `gpc` filter takes. Digraphs are two
+// consonant letters spelling one sound (sh, ck, ph), not a doubled
+// letter (ll); short vowels are a lone vowel saying its short sound.
+const _ACH_GPC = {
+  'digraph':     (g, p) => /^[b-df-hj-np-tv-z]{2}$/.test(g) && g[0] !== g[1] && p.length === 1,
+  'short-vowel': (g, p) => /^[aeiou]$/.test(g) && p.length === 1 && p[0] === g,
+};
+
+// Every correspondence taught in a rule's stages, worked out once per
+// campaign. Loading or unloading a content pack rebuilds the campaign
+// with a new PHONICS_DATA.stageList, which empties the cache.
+const _achGpcCache = new Map();
+let _achGpcCampaign = null;
+function _achGpcKeys(rule) {
+  if (_achGpcCampaign !== PHONICS_DATA.stageList) {
+    _achGpcCache.clear();
+    _achGpcCampaign = PHONICS_DATA.stageList;
+  }
+  const cacheKey = `${rule.gpc || ''}|${_achStageIds(rule).join(',')}`;
+  if (!_achGpcCache.has(cacheKey)) {
+    const keys = new Set();
+    _achStageIds(rule).forEach(id => (PHONICS_DATA.getStage(id)?.words || []).forEach(w => PHONICS_DATA.gpcKeys(w).forEach(key => {
+      const at = key.lastIndexOf(':');
+      if (!rule.gpc || _ACH_GPC[rule.gpc](key.slice(0, at), PHONICS_DATA.gpcKeySounds(key))) keys.add(key);
+    })));
+    _achGpcCache.set(cacheKey, [...keys]);
+  }
+  return _achGpcCache.get(cacheKey);
+}
+
+// metric → scope → (tracker, rule) → current value. `all` is what a
+// goal of 'all' stands for.
+const ACHIEVEMENT_METRICS = {
+  words:     { total: (t) => t.data.totalWordsBlended || 0 },
+  perfects:  { total: (t) => t.data.totalPerfectBlends || 0, run: (t) => t.data.bestRunPerfects || 0 },
+  distance:  { total: (t) => Math.floor(t.data.totalRunDistance || 0), run: (t) => Math.floor(t.data.endlessBestDist || 0) },
+  combo:     { run: (t) => t.data.bestCombo || 0 },
+  rice:      { total: (t) => t.data.totalRiceGrainsEver || 0 },
+  daily:     { total: (t) => t.data.dailiesCompleted || 0, streak: (t) => t.data.dailyStreak || 0 },
+  purchases: { total: (t) => t.data.shopPurchases || 0 },
+  misses: {
+    total: (t) => Object.values(t.data.stages || {}).reduce((n, s) => n + Math.max(0, (s.totalBlends || 0) - (s.correctBlends || 0)), 0),
+  },
+  stagesCleared: {
+    total: (t, rule) => _achStageIds(rule).filter(id => t.data.stages?.[id]?.completedAt).length,
+    all:   (rule) => _achStageIds(rule).length,
+  },
+  noHitClears: {
+    total: (t, rule) => _achStageIds(rule).filter(id => t.data.stages?.[id]?.completedAt && t.data.stages[id].mastery?.noHit).length,
+    all:   (rule) => _achStageIds(rule).length,
+  },
+  soundsMastered: {
+    total: (t, rule) => (rule.gpc || rule.world || rule.stages ? _achGpcKeys(rule) : Object.keys(t.data.knowledge))
+      .filter(key => (t.getSkill(key)?.p || 0) >= BKT.mastered).length,
+    all:   (rule) => _achGpcKeys(rule).length,
+  },
+};
+
+// ── WEEKLY GOALS ─────────────────────────────────────────────
+// Goals a parent sets for a child in the dashboard. Each counts from
+// Monday (CALENDAR.weekStart()) and starts over the next week, except
+// "finish World N", which is met once. Meeting one pays GOAL_REWARD
+// rice and queues it in `newGoals` for a celebration.
+//   type    — a GOAL_TYPES key
+//   target  — words, stages, minutes, or percent right for 'skill'
+//   world   — 'stages' only: every stage of that world, whenever cleared
+//   phoneme — 'skill' only: the sound id whose rounds count ('sh')
+// value(t, goal, since) gives { value, target } from `since`, the
+// week's first millisecond.
+const GOAL_REWARD       = 150;
+const GOAL_SKILL_ROUNDS = 10;    // rounds before a skill goal's accuracy counts
+const GOAL_MAX          = 6;
+const GOAL_TYPES = {
+  words: {
+    name: 'Words blended', emoji: '📖',
+    label: (g) => `Blend ${g.target} words`,
+    value: (t, g) => ({ value: t.data.boardWeek?.start === CALENDAR.weekStart() ? t.data.boardWeek.words : 0, target: g.target }),
+  },
+  stages: {
+    name: 'Stages cleared', emoji: '🗺️',
+    label: (g) => (g.world ? `Finish World ${g.world}` : `Clear ${g.target} stage${g.target === 1 ? '' : 's'}`),
+    value: (t, g, since) => {
+      if (g.world) {
+        const ids = PHONICS_DATA.stagesInWorld(g.world);
+        return { value: ids.filter(id => t.data.stages?.[id]?.completedAt).length, target: ids.length };
+      }
+      // Replays move completedAt on, so only first clears count
+      return { value: Object.values(t.data.stages || {}).filter(s => s?.firstClearedAt >= since).length, target: g.target };
+    },
+  },
+  minutes: {
+    name: 'Minutes played', emoji: '⏱️',
+    label: (g) => `Play ${g.target} minute${g.target === 1 ? '' : 's'}`,
+    value: (t, g) => {
+      const days = SCREEN_TIME.history(CALENDAR.daysBetween(CALENDAR.weekStart()) + 1);
+      return { value: Math.floor(days.reduce((n, d) => n + d.sec, 0) / 60), target: g.target };
+    },
+  },
+  skill: {
+    name: 'Sound accuracy', emoji: '🎯',
+    label: (g) => `${g.target}% right on ${PHONICS_DATA.phonemeLabel(g.phoneme)}`,
+    value: (t, g, since) => {
+      const sum = t.summarizeAttempts(t.getAttempts({ from: since, phoneme: g.phoneme }));
+      return { value: sum.accuracy || 0, target: g.target, rounds: sum.attempts };
+    },
+  },
+};
+
+// ── WHAT TO PRACTISE NEXT ────────────────────────────────────
+// getRecommendations() turns the sound estimates, the attempt log,
+// stars and the review schedule into a short ranked list of steps a
+// parent can launch. Each step is
+//   { id, emoji, title, why: [reasons], score, launch }
+// where `launch` is what SlashGame.launchStep() starts:
+//   { mode: 'stage', stageId } · { mode: 'review' } · { mode: 'daily-set', theme }
+const NEXT_WEAK_P        = 0.6;   // below this a sound is "needs work" (red on the heatmap)
+const NEXT_MIXUP_DAYS    = 14;    // how far back to look for one sound tapped for another
+const NEXT_MIXUP_MIN     = 2;     // mix-ups before a pair is worth mentioning
+const NEXT_STALE_DAYS    = 14;    // a cleared stage unplayed this long is getting rusty
+const NEXT_SET_SHARE     = 0.5;   // a daily set counts for a sound when this share of its words use it
+
+// ── NONSENSE-WORD CHECKS ─────────────────────────────────────
+// One-minute checks run from the dashboard (js/nwfCheck.js), kept by
+// local date: nwf: { 'YYYY-MM-DD': [check, …] }, each check
+//   { at, stage, cls, wwr, words, sounds, sec, missed }
+//   cls     — correct letter sounds
+//   wwr     — whole words read: read in one go with every sound right
+//   words, sounds — how many were tried
+//   missed  — made-up words with an error, the first NWF_MISSED_MAX
+const NWF_KEEP_DAYS  = 365;
+const NWF_MISSED_MAX = 10;
+
+// Whether a stored check has the shape recordNwf() writes
+function _nwfCheckOk(c) {
+  const count = (v) => Number.isInteger(v) && v >= 0;
+  return !!c && typeof c === 'object' && Number.isFinite(c.at) && Number.isInteger(c.stage)
+    && ['cls', 'wwr', 'words', 'sounds', 'sec'].every(k => count(c[k]))
+    && Array.isArray(c.missed) && c.missed.every(w => typeof w === 'string' && /^[a-z]+$/.test(w));
+}
+
+// ── READING SPRINTS ──────────────────────────────────────────
+// Timed oral reading sprints (js/fluencySprint.js), kept by local date
+// like the nonsense-word checks: orf: { 'YYYY-MM-DD': [sprint, …] },
+// each sprint
+//   { at, world, kind, wcpm, accuracy, read, errors, sec, missed }
+//   kind     — 'passage' (the world's story) or 'words' (a word list)
+//   wcpm     — words correct per minute; accuracy — % of words read right
+//   missed   — words read wrong, the first ORF_MISSED_MAX
+const ORF_KEEP_DAYS  = 365;
+const ORF_MISSED_MAX = 10;
+
+// Whether a stored sprint has the shape recordOrf() writes
+function _orfSprintOk(s) {
+  const count = (v) => Number.isInteger(v) && v >= 0;
+  return !!s && typeof s === 'object' && Number.isFinite(s.at) && Number.isInteger(s.world)
+    && (s.kind === 'passage' || s.kind === 'words')
+    && ['wcpm', 'accuracy', 'read', 'errors', 'sec'].every(k => count(s[k]))
+    && Array.isArray(s.missed) && s.missed.every(w => typeof w === 'string' && /^[a-z']*$/.test(w));
+}
+
+// ── LEADERBOARDS ─────────────────────────────────────────────
+// Family boards across the players on this device. Each ranks one
+// number from every player's save, highest first unless `low`. The
+// weekly window restarts every Monday (the `boardWeek` save field);
+// "all time" reads the player's records.
+const LEADERBOARDS = [
+  { id:'endless-dist',  name:'Endless Distance', short:'Distance', emoji:'🏃', unit:'m' },
+  { id:'endless-score', name:'Endless Score',    short:'Score',    emoji:'⭐', unit:'' },
+  { id:'dash',          name:'Dino Dash',        short:'Dash',     emoji:'🦖', unit:'' },
+  { id:'daily-time',    name:'Daily Challenge',  short:'Daily',    emoji:'📅', unit:'s', low:true },
+  { id:'words',         name:'Words Blended',    short:'Words',    emoji:'📖', unit:'' },
 ];
 
+// ── SPACED REVIEW ────────────────────────────────────────────
+// Leitner boxes per campaign word. Blending a word right when it is
+// due moves it up a box; missing it sends it back to the start. A word
+// in box n comes due again REVIEW_DAYS[n - 1] days later.
+const REVIEW_DAYS = [1, 2, 4, 8, 16, 32];
+
+// ── SKILL ESTIMATES ──────────────────────────────────────────
+// Bayesian knowledge tracing per grapheme–phoneme correspondence
+// ("sh:sh", "a_e:long_a" — see PHONICS_DATA.gpcKeys) and per activity
+// ('blend' or a mini-game type). Each estimate is the chance the child
+// knows that correspondence, updated from every observed answer:
+//   init  — the chance before any evidence
+//   learn — the chance of learning it from one practice
+//   slip  — the chance of a wrong answer while knowing it
+//   guess — the chance of a right answer without knowing it; picking
+//           one tile from a pool is harder to guess than one of 3 cards
+// An estimate at or above `mastered` counts as known.
+const BKT = {
+  init: 0.3, learn: 0.12, slip: 0.1, mastered: 0.95,
+  guess: { blend: 0.15, default: 0.3 },
+};
+
+// ── ATTEMPT LOG ──────────────────────────────────────────────
+// Every answered round, oldest dropped first past the cap. Kept under
+// its own storage key so the main save stays small. An entry:
+//   { at, stage, word, round, ok, outcome, tiles, ms, hints, undos, sounds }
+//   at      — epoch ms when the round ended
+//   round   — 'blend' or the mini-game type ('first', 'rhyme', 'segment-it'…)
+//   outcome — 'correct', 'missed' (out of tries) or 'timeout'
+//   tiles   — what the child tapped, in order (tiles, or card keys)
+//   ms      — time from the round starting to the outcome
+//   sounds  — phoneme ids the round practised
+const ATTEMPT_LOG_MAX = 2000;
+
+// ── SAVE FILES ───────────────────────────────────────────────
+// Bump SAVE_VERSION when the file layout changes; older files keep
+// loading because the progress inside them goes through _migrate().
+const SAVE_FORMAT  = 'samurice-save';
+const SAVE_VERSION = 1;
+// Per-child settings carried in a save file (progress and engagement
+// travel as parsed JSON alongside them)
+const SAVE_SETTING_KEYS = ['samurice_relaxed', 'samurice_limits', 'samurice_muted', 'samurice_vol_master', 'samurice_vol_music', 'samurice_vol_sfx'];
+
+// 32-bit FNV-1a over the JSON text: enough to catch a damaged or
+// hand-edited file, not meant to stop a determined tamperer.
+function _saveChecksum(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return 'fnv1a-' + h.toString(16).padStart(8, '0');
+}
+
 // ─────────────────────────────────────────────────────────────
 // PROGRESS TRACKER CLASS
 // ─────────────────────────────────────────────────────────────
 class ProgressTracker {
   constructor() {
-    this._key = 'samurice_progress_v3';
+    this._syncAdapter = null;
+    this._syncTimer   = null;
+    this._syncing     = null;
+    this.reload();
+    // Changes made offline go up as soon as the device is back online
+    window.addEventListener?.('online', () => this._scheduleSync(1000));
+  }
+
+  // Read the active profile's save (called again after a profile switch)
+  reload() {
+    this._key = PROFILES.key('samurice_progress_v3');
+    this._attemptsKey = PROFILES.key('samurice_attempts_v1');
+    this._syncKey     = PROFILES.key(SYNC_STATE_KEY);
+    this._syncBaseKey = PROFILES.key('samurice_sync_base_v1');
     this._load();
-    this._checkDailyReset();
-    this._checkLoginStreak();
+    this._loadAttempts();
+    this.checkNewDay();
+    // A rule added since this save was written, or play logged outside
+    // it (Dino Dash minutes), may already meet something
+    if (this._checkGoals() | this._checkAchievements()) this._save();
+    this._scheduleSync(2000);
   }
 
   _load() {
     try {
-      const raw = localStorage.getItem(this._key);
+      const raw = STORE.getItem(this._key);
       this.data = raw ? JSON.parse(raw) : this._fresh();
     } catch { this.data = this._fresh(); }
     this._migrate();
   }
 
+  // After a content pack is loaded or dropped: swap in the stage
+  // progress kept for the campaign now being played
+  useCampaign() {
+    this._migrate();
+  }
+
   _save() {
-    try { localStorage.setItem(this._key, JSON.stringify(this.data)); } catch {}
+    this._checkGoals();
+    this._checkAchievements();
+    STORE.setItem(this._key, JSON.stringify(this.data));
+    if (!this._applyingSync) this.markSyncDirty();
+  }
+
+  _loadAttempts() {
+    try {
+      const list = JSON.parse(STORE.getItem(this._attemptsKey) || '[]');
+      this._attempts = Array.isArray(list) ? list : [];
+    } catch { this._attempts = []; }
+  }
+  _saveAttempts() {
+    STORE.setItem(this._attemptsKey, JSON.stringify(this._attempts));
   }
 
   _fresh() {
@@ -115,6 +383,8 @@ class ProgressTracker {
         5: this._freshStage(false),
         6: this._freshStage(false),
       },
+      campaign: PHONICS_DATA.campaignId,   // whose stages those are, see _migrate()
+      campaigns: {},        // other campaigns' stages by campaign id
       totalWordsBlended: 0,
       totalPerfectBlends: 0,
       ownedItems: ['sword-basic','hat-none','comp-none'],
@@ -133,7 +403,20 @@ class ProgressTracker {
       loginRewardClaimed: false,
       bestCombo: 0,
       totalRunDistance: 0,
-      weakPhonemesByStage: {},
+      dashBest: 0,          // Dino Dash
+      bestRunPerfects: 0,   // most perfect blends in one run
+      dailiesCompleted: 0,
+      shopPurchases: 0,
+      dailyTimeSec: 0,      // time spent in today's daily battles so far
+      dailyBestSec: null,   // fastest daily challenge
+      boardWeek: null,      // this week's leaderboard numbers, see _boardWeek()
+      goals: [],            // set by a parent, see WEEKLY GOALS
+      placement: null,      // last placement check, see recordPlacement()
+      nwf: {},              // nonsense-word checks by date, see NONSENSE-WORD CHECKS
+      orf: {},              // reading sprints by date, see READING SPRINTS
+      newGoals: [],         // goals met, waiting to be celebrated
+      knowledge: {},   // gpc key → activity → { p, n } (see SKILL ESTIMATES)
+      review: {},
     };
   }
 
@@ -141,101 +424,165 @@ class ProgressTracker {
     return {
       unlocked, stars: 0, bestScore: 0, attempts: 0,
       totalBlends: 0, correctBlends: 0,
-      wordsMastered: [], wordsAttempted: {}, coinsCollected: 0, completedAt: null,
+      wordsMastered: [], wordsAttempted: {}, coinsCollected: 0, completedAt: null, firstClearedAt: null,
       mastery: { noHit: false, speedClear: false, bestClearSec: null },
     };
   }
 
-  _migrate() {
-    if (!this.data.version || this.data.version < 3) {
+  // Bring a save up to the current shape. Defaults to the live save;
+  // an imported file's blob can be passed instead, in which case it is
+  // migrated and returned without touching storage.
+  _migrate(d = this.data) {
+    const live = d === this.data;
+    let dirty = false;
+    if (!d.version || d.version < 3) {
       const fresh = this._fresh();
-      if (this.data.stages) fresh.stages = this.data.stages;
-      if (this.data.ricePoints) fresh.riceGrains = this.data.ricePoints;
-      if (this.data.totalWordsBlended) fresh.totalWordsBlended = this.data.totalWordsBlended;
-      this.data = fresh;
-      this._save();
+      if (d.stages) fresh.stages = d.stages;
+      if (d.ricePoints) fresh.riceGrains = d.ricePoints;
+      if (d.totalWordsBlended) fresh.totalWordsBlended = d.totalWordsBlended;
+      d = fresh;
+      dirty = true;
     }
-    const d = this.data;
     if (!d.ownedItems) d.ownedItems = ['sword-basic','hat-none','comp-none'];
     if (!d.achievements) d.achievements = [];
     if (!d.newAchievements) d.newAchievements = [];
+    if (!Array.isArray(d.goals)) d.goals = [];
+    // Goals also arrive from save files and other devices
+    const goalCount = d.goals.length;
+    d.goals = d.goals.filter(g => this._goalOk(g));
+    if (d.goals.length !== goalCount) dirty = true;
+    if (!Array.isArray(d.newGoals)) d.newGoals = [];
+    if (d.placement === undefined) d.placement = null;
+    if (d.placement !== null && !this._placementOk(d.placement)) { d.placement = null; dirty = true; }
+    // Checks also arrive from save files and other devices; keep only
+    // dates holding well-formed ones
+    const nwf = this._cleanByDate(d.nwf, c => _nwfCheckOk(c));
+    if (!d.nwf || JSON.stringify(nwf) !== JSON.stringify(d.nwf)) dirty = true;
+    d.nwf = nwf;
+    const orf = this._cleanByDate(d.orf, s => _orfSprintOk(s));
+    if (!d.orf || JSON.stringify(orf) !== JSON.stringify(d.orf)) dirty = true;
+    d.orf = orf;
     if (!d.inventoryPowerups) d.inventoryPowerups = {};
     if (typeof d.dailyStreak !== 'number') d.dailyStreak = 0;
     if (typeof d.loginStreak !== 'number') d.loginStreak = 0;
     if (typeof d.bestCombo !== 'number') d.bestCombo = 0;
     if (typeof d.totalRunDistance !== 'number') d.totalRunDistance = 0;
     if (typeof d.totalPerfectBlends !== 'number') d.totalPerfectBlends = 0;
-    if (!d.weakPhonemesByStage || typeof d.weakPhonemesByStage !== 'object') d.weakPhonemesByStage = {};
+    if (typeof d.dashBest !== 'number') d.dashBest = 0;
+    // Counters the achievement rules read; older saves only know whether
+    // the matching achievement was earned, which means at least that much.
+    const had = (id) => (d.achievements || []).includes(id);
+    if (typeof d.bestRunPerfects !== 'number') d.bestRunPerfects = had('perfect-10') ? 10 : 0;
+    if (typeof d.dailiesCompleted !== 'number') d.dailiesCompleted = had('daily-done') ? 1 : 0;
+    if (typeof d.shopPurchases !== 'number') d.shopPurchases = had('shop-buy1') ? 1 : 0;
+    if (typeof d.dailyTimeSec !== 'number') d.dailyTimeSec = 0;
+    if (typeof d.dailyBestSec !== 'number') d.dailyBestSec = null;
+    if (!d.review || typeof d.review !== 'object') d.review = {};
+    if (!d.knowledge || typeof d.knowledge !== 'object') d.knowledge = {};
+    // The old per-stage weak-sound counts blamed every sound in a missed
+    // word alike, so they can't seed fair estimates; they are dropped and
+    // the estimates build up again from play.
+    if ('weakPhonemesByStage' in d || 'weakKeys' in d) {
+      delete d.weakPhonemesByStage;
+      delete d.weakKeys;
+      dirty = true;
+    }
+    // Stage progress is the campaign being played's: a content pack's
+    // stage 1 is not the built-in stage 1. Other campaigns' stages wait
+    // in `campaigns`. A save from before this was kept is taken to be
+    // for whatever campaign is loaded now.
+    if (!d.campaigns || typeof d.campaigns !== 'object') d.campaigns = {};
+    if (typeof d.campaign !== 'string') { d.campaign = PHONICS_DATA.campaignId; dirty = true; }
+    if (d.campaign !== PHONICS_DATA.campaignId) {
+      d.campaigns[d.campaign] = d.stages || {};
+      d.stages = d.campaigns[PHONICS_DATA.campaignId] || this._fresh().stages;
+      delete d.campaigns[PHONICS_DATA.campaignId];
+      d.campaign = PHONICS_DATA.campaignId;
+      dirty = true;
+    }
     Object.keys(d.stages || {}).forEach(id => {
       const st = d.stages[id] || (d.stages[id] = this._freshStage(false));
       if (!st.mastery || typeof st.mastery !== 'object') st.mastery = { noHit:false, speedClear:false, bestClearSec:null };
       if (typeof st.mastery.noHit !== 'boolean') st.mastery.noHit = false;
       if (typeof st.mastery.speedClear !== 'boolean') st.mastery.speedClear = false;
       if (typeof st.mastery.bestClearSec !== 'number') st.mastery.bestClearSec = null;
+      // Older saves only kept the latest clear; it is the earliest one known
+      if (typeof st.firstClearedAt !== 'number') st.firstClearedAt = typeof st.completedAt === 'number' ? st.completedAt : null;
     });
+    // When the campaign grows (a new world), a player who had already
+    // cleared the old final stage would find the next one still locked.
+    const total = PHONICS_DATA.stageCount || 0;
+    Object.keys(d.stages || {}).forEach(id => {
+      const next = Number(id) + 1;
+      if (d.stages[id]?.completedAt && next <= total && !d.stages[next]?.unlocked) {
+        if (!d.stages[next]) d.stages[next] = this._freshStage(false);
+        d.stages[next].unlocked = true;
+      }
+    });
+    if (live) {
+      this.data = d;
+      if (dirty) this._save();
+    }
+    return d;
   }
 
+  // Start a new day if the date has moved on since the last check.
+  // Runs on load; the engagement engine also calls it when midnight
+  // passes with the game open.
+  checkNewDay() {
+    this._checkDailyReset();
+    this._checkLoginStreak();
+  }
+
+  // Days are the device's local dates (see CALENDAR). A date earlier
+  // than the saved one means the clock was turned back: nothing resets
+  // and no streak is lost, the day just carries on.
   _checkDailyReset() {
-    const today = this._dateStr();
-    if (this.data.lastDailyDate !== today) {
-      if (this.data.dailyCompleted && this.data.lastDailyDate) {
-        this.data.dailyStreak++;
-        if (this.data.dailyStreak >= 3) this.unlock('daily-streak3');
-        if (this.data.dailyStreak >= 7) this.unlock('daily-streak7');
-      } else if (this.data.lastDailyDate) {
-        this.data.dailyStreak = 0;
-      }
-      this.data.lastDailyDate = today;
-      this.data.dailyCompleted = false;
-      this.data.dailyProgress = 0;
-      this._save();
-    }
+    const { step } = CALENDAR.streakStep(this.data.lastDailyDate);
+    if (step === 'same') return;
+    // The day that just ended extends the streak only if its daily was done
+    if (step === 'next' && this.data.dailyCompleted) this.data.dailyStreak++;
+    else if (step !== 'first') this.data.dailyStreak = 0;
+    this.data.lastDailyDate = CALENDAR.today();
+    this.data.dailyCompleted = false;
+    this.data.dailyProgress = 0;
+    this.data.dailyTimeSec = 0;
+    this._save();
   }
 
   _checkLoginStreak() {
-    const today = this._dateStr();
-    if (this.data.lastLoginDate !== today) {
-      const yesterday = this._dateStr(-1);
-      if (this.data.lastLoginDate === yesterday) {
-        this.data.loginStreak = this.data.loginStreak + 1;
-      } else if (this._consumeStreakShield()) {
-        // A Streak Shield was armed — the missed day is forgiven.
-        this.data.loginStreak = this.data.loginStreak + 1;
-      } else {
-        this.data.loginStreak = 1;
-      }
-      this.data.lastLoginDate = today;
-      this.data.loginRewardClaimed = false;
-      this._save();
+    const { step, missed } = CALENDAR.streakStep(this.data.lastLoginDate);
+    if (step === 'same') return;
+    if (step === 'next') {
+      this.data.loginStreak = this.data.loginStreak + 1;
+    } else if (step === 'missed' && this._consumeStreakShield(missed)) {
+      // A Streak Shield was armed — the missed days are forgiven.
+      this.data.loginStreak = this.data.loginStreak + 1;
+    } else {
+      this.data.loginStreak = 1;
     }
+    this.data.lastLoginDate = CALENDAR.today();
+    this.data.loginRewardClaimed = false;
+    this._save();
   }
 
-  // The engagement engine sells a "Streak Shield" (rice cost) that is
-  // supposed to protect the streak across one missed day. Honor it here:
-  // if a shield is armed and at most ~2 days were missed, consume it and
-  // report the streak as protected.
-  _consumeStreakShield() {
+  // The engagement engine sells a "Streak Shield" (rice cost) that
+  // protects the login streak across a short break. Spend it here if
+  // one is armed and no more than 2 days in a row were missed.
+  _consumeStreakShield(missedDays) {
+    if (missedDays > 2) return false;
     try {
-      const raw = localStorage.getItem('samurice_engage_v2');
+      const engKey = PROFILES.key('samurice_engage_v2');
+      const raw = STORE.getItem(engKey);
       if (!raw) return false;
       const eng = JSON.parse(raw);
       if (!eng.shieldActive) return false;
-      const last = this.data.lastLoginDate;
-      if (!last) return false;
-      const missedDays = Math.floor((Date.now() - new Date(last).getTime()) / 86400000);
-      if (missedDays > 3) return false; // shield covers a short lapse only
       eng.shieldActive = false;         // one-time use
-      localStorage.setItem('samurice_engage_v2', JSON.stringify(eng));
+      STORE.setItem(engKey, JSON.stringify(eng));
       return true;
     } catch { return false; }
   }
 
-  _dateStr(offsetDays = 0) {
-    const d = new Date();
-    d.setDate(d.getDate() + offsetDays);
-    return d.toISOString().slice(0, 10);
-  }
-
 
   shouldShowTutorial() { return !this.data.tutorialCompleted; }
   markTutorialComplete() { this.data.tutorialCompleted = true; this._save(); }
@@ -246,7 +593,6 @@ class ProgressTracker {
   addRiceGrains(n)     {
     this.data.riceGrains = (this.data.riceGrains || 0) + n;
     this.data.totalRiceGrainsEver = (this.data.totalRiceGrainsEver || 0) + n;
-    if (this.data.totalRiceGrainsEver >= 500) this.unlock('ricegrain-500');
     this._save();
   }
   addRicePoints(n)     { this.addRiceGrains(n); }
@@ -269,12 +615,14 @@ class ProgressTracker {
     if (item.consumable) {
       if (!this.spendRiceGrains(item.price)) return false;
       this.data.inventoryPowerups[itemId] = (this.data.inventoryPowerups[itemId] || 0) + 1;
-      this._save(); this.unlock('shop-buy1'); return true;
+      this.data.shopPurchases = (this.data.shopPurchases || 0) + 1;
+      this._save(); return true;
     }
     if (this.ownsItem(itemId)) return false;
     if (!this.spendRiceGrains(item.price)) return false;
     this.data.ownedItems.push(itemId);
-    this._save(); this.unlock('shop-buy1'); return true;
+    this.data.shopPurchases = (this.data.shopPurchases || 0) + 1;
+    this._save(); return true;
   }
 
   getPowerupCount(id) { return this.data.inventoryPowerups[id] || 0; }
@@ -341,18 +689,17 @@ class ProgressTracker {
     if (dist  > (this.data.endlessBestDist  || 0)) this.data.endlessBestDist  = dist;
     if (combo > (this.data.bestCombo        || 0)) this.data.bestCombo        = combo;
     this.data.totalRunDistance = (this.data.totalRunDistance || 0) + dist;
-    if (dist >= 100)  this.unlock('dist-100');
-    if (dist >= 500)  this.unlock('dist-500');
-    if (dist >= 1000) this.unlock('dist-1000');
-    if (dist >= 2000) this.unlock('dist-2000');
-    if (combo >= 5)   this.unlock('combo-5');
-    if (combo >= 10)  this.unlock('combo-10');
-    if (combo >= 20)  this.unlock('combo-20');
+    const week = this._boardWeek();
+    week.endlessDist  = Math.max(week.endlessDist, dist);
+    week.endlessScore = Math.max(week.endlessScore, score);
     this._save();
   }
 
   // ── Blend stats ───────────────────────────────────────────────
-  recordBlend(stageId, word, success, isPerfect = false, phonemes = []) {
+  // `attempt` carries the round's details for the attempt log:
+  // { round, outcome, tiles, ms, hints, undos } (see ATTEMPT LOG above).
+  recordBlend(stageId, word, success, isPerfect = false, phonemes = [], attempt = null) {
+    let mastered = false;
     if (stageId && this.data.stages[stageId]) {
       const s = this.data.stages[stageId];
       s.totalBlends++;
@@ -362,44 +709,365 @@ class ProgressTracker {
         s.wordsAttempted[word].correct++;
         if (s.wordsAttempted[word].correct >= 2 && !s.wordsMastered.includes(word)) {
           s.wordsMastered.push(word);
+          mastered = true;
         }
       } else {
         s.wordsAttempted[word].wrong++;
-        this.unlock('slip-recover');
       }
       this.data.stages[stageId] = s;
     }
 
-    // Track weak phonemes for adaptive battle word selection.
-    if (stageId) {
-      const key = String(stageId);
-      if (!this.data.weakPhonemesByStage[key]) this.data.weakPhonemesByStage[key] = {};
-      const weak = this.data.weakPhonemesByStage[key];
-      (phonemes || []).forEach((ph) => {
-        const phKey = String(ph || '').toLowerCase();
-        if (!phKey) return;
-        const cur = weak[phKey] || 0;
-        weak[phKey] = success ? Math.max(0, cur - 1) : Math.min(12, cur + 2);
-      });
-    }
-
     if (success) {
       this.data.totalWordsBlended = (this.data.totalWordsBlended || 0) + 1;
+      this._boardWeek().words++;
       if (isPerfect) this.data.totalPerfectBlends = (this.data.totalPerfectBlends || 0) + 1;
-      if (this.data.totalWordsBlended >= 1)   this.unlock('first-blend');
-      if (this.data.totalWordsBlended >= 50)  this.unlock('words-50');
-      if (this.data.totalWordsBlended >= 200) this.unlock('words-200');
     }
+    this._scheduleReview(stageId, word, success);
     this._save();
+    this.logAttempt({ ...attempt, stage: stageId, word, ok: success, sounds: phonemes });
+    if (mastered) XAPI.wordMastered(stageId, word);
+  }
+
+  // ── Attempt log ───────────────────────────────────────────────
+  // Append one answered round. recordBlend() logs for itself; call this
+  // directly for rounds that end without a blend (a mini-game revealed
+  // after too many misses).
+  logAttempt(attempt) {
+    const entry = this._attemptEntry({ ...attempt, at: Date.now() });
+    if (!entry) return;
+    this._attempts.push(entry);
+    if (this._attempts.length > ATTEMPT_LOG_MAX) this._attempts.splice(0, this._attempts.length - ATTEMPT_LOG_MAX);
+    this._saveAttempts();
+    XAPI.roundAnswered(entry);
+  }
+
+  // One log entry in the shape getAttempts() reads, or null when there
+  // is no word or time. Save files and synced logs go through here too,
+  // so an old or hand-edited entry can't break the dashboard.
+  _attemptEntry(a) {
+    if (!a || typeof a !== 'object') return null;
+    const { at, stage = null, word, round = 'blend', ok, outcome = ok ? 'correct' : 'missed', tiles = [], ms = null, hints = 0, undos = 0, sounds = [] } = a;
+    if (!word || !Number.isFinite(at)) return null;
+    const count = (n) => (Number.isInteger(n) && n > 0 ? n : 0);
+    return {
+      at, stage: Number.isInteger(stage) && stage > 0 ? stage : null, word: String(word), round: String(round), ok: !!ok, outcome: String(outcome),
+      tiles: Array.isArray(tiles) ? tiles.map(String) : [], ms: Number.isFinite(ms) ? Math.round(ms) : null,
+      hints: count(hints), undos: count(undos), sounds: Array.isArray(sounds) ? sounds.map(String) : [],
+    };
+  }
+
+  // Filter the log. All fields optional:
+  //   from, to — Date, epoch ms, or 'YYYY-MM-DD' (local day; `to` includes that whole day)
+  //   stage, word, round, ok, outcome — exact match
+  //   phoneme  — rounds that practised this sound id ('sh', 'long_a')
+  //   skill    — the stage's skill, e.g. 'Digraphs'
+  getAttempts({ from, to, stage, word, round, ok, outcome, phoneme, skill } = {}) {
+    const lo = from == null ? -Infinity : this._logTime(from, false);
+    const hi = to == null ? Infinity : this._logTime(to, true);
+    return this._attempts.filter(a =>
+      a.at >= lo && a.at <= hi &&
+      (stage === undefined || a.stage === stage) &&
+      (word === undefined || a.word === word) &&
+      (round === undefined || a.round === round) &&
+      (ok === undefined || a.ok === ok) &&
+      (outcome === undefined || a.outcome === outcome) &&
+      (phoneme === undefined || a.sounds.includes(phoneme)) &&
+      (skill === undefined || PHONICS_DATA.getStage(a.stage)?.skill === skill)
+    ).map(a => ({ ...a }));
+  }
+
+  // Totals for a list from getAttempts()
+  summarizeAttempts(list) {
+    const timed = list.filter(a => a.ms != null);
+    const correct = list.filter(a => a.ok).length;
+    return {
+      attempts: list.length,
+      correct,
+      accuracy: list.length ? Math.round((correct / list.length) * 100) : null,
+      avgMs: timed.length ? Math.round(timed.reduce((n, a) => n + a.ms, 0) / timed.length) : null,
+      hints: list.reduce((n, a) => n + (a.hints || 0), 0),
+      undos: list.reduce((n, a) => n + (a.undos || 0), 0),
+    };
+  }
+
+  _logTime(v, endOfDay) {
+    if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v)) {
+      const [y, m, d] = v.split('-').map(Number);
+      return endOfDay ? new Date(y, m - 1, d + 1).getTime() - 1 : new Date(y, m - 1, d).getTime();
+    }
+    return v instanceof Date ? v.getTime() : Number(v);
+  }
+
+  // Perfect blends in the run that just ended
+  recordPerfectBlends(count) {
+    if (!(count > (this.data.bestRunPerfects || 0))) return;
+    this.data.bestRunPerfects = count;
+    this._save();
+  }
+
+  // ── Skill estimates ───────────────────────────────────────────
+  // Record one answer about some of a word's correspondences.
+  //   ok       — right or wrong
+  //   activity — 'blend' or the mini-game type
+  //   tiles    — the tile indexes the answer was about: the one tile a
+  //              wrong tap missed, or null for the whole word
+  // Battles call this alongside recordBlend(), which only keeps stats.
+  observeSkill(wordObj, ok, { activity = 'blend', tiles = null } = {}) {
+    const keys = PHONICS_DATA.gpcKeys(wordObj, tiles);
+    if (!keys.length) return;
+    const guess = BKT.guess[activity] ?? BKT.guess.default;
+    keys.forEach(key => {
+      const byActivity = this.data.knowledge[key] || (this.data.knowledge[key] = {});
+      const est = byActivity[activity] || { p: BKT.init, n: 0 };
+      const p = est.p;
+      const seen = ok
+        ? p * (1 - BKT.slip) / (p * (1 - BKT.slip) + (1 - p) * guess)
+        : p * BKT.slip / (p * BKT.slip + (1 - p) * (1 - guess));
+      // Kept off 0 and 1, where no later answer could move it
+      const next = Math.min(0.99, Math.max(0.01, seen + (1 - seen) * BKT.learn));
+      byActivity[activity] = { p: Math.round(next * 1000) / 1000, n: est.n + 1 };
+    });
+    this._save();
+  }
+
+  // The estimate for one correspondence: { p, n } or null when it has
+  // never been practised. Without an activity, every activity's
+  // estimate is pooled, weighted by how often each was practised.
+  getSkill(gpcKey, activity = null) {
+    const byActivity = this.data.knowledge[gpcKey];
+    if (!byActivity) return null;
+    if (activity) return byActivity[activity] ? { ...byActivity[activity] } : null;
+    const list = Object.values(byActivity);
+    const n = list.reduce((sum, e) => sum + e.n, 0);
+    if (!n) return null;
+    return { p: list.reduce((sum, e) => sum + e.p * e.n, 0) / n, n };
+  }
+
+  // Every practised speech sound:
+  //   { [phonemeId]: { p, n, graphemes: { [gpcKey]: { p, n, byActivity } } } }
+  // A sound is as strong as its weakest spelling, so `p` is the lowest
+  // of its graphemes' estimates (the c in city and the s in sun for /s/).
+  getSoundMastery() {
+    const out = {};
+    Object.keys(this.data.knowledge).forEach(key => {
+      const est = this.getSkill(key);
+      if (!est) return;
+      const entry = { ...est, byActivity: { ...this.data.knowledge[key] } };
+      PHONICS_DATA.gpcKeySounds(key).forEach(id => {
+        const s = out[id] || (out[id] = { p: 1, n: 0, graphemes: {} });
+        s.graphemes[key] = entry;
+        s.p = Math.min(s.p, est.p);
+        s.n += est.n;
+      });
+    });
+    return out;
   }
 
-  recordPerfectBlends(count) { if (count >= 10) this.unlock('perfect-10'); }
+  // How much a word still has to teach: the summed shortfall from
+  // mastery over its practised correspondences. Unpractised ones add
+  // nothing, so brand-new words aren't pushed ahead of weak ones.
+  getWordWeakness(wordObj) {
+    return PHONICS_DATA.gpcKeys(wordObj).reduce((sum, key) => {
+      const est = this.getSkill(key);
+      return sum + (est ? Math.max(0, BKT.mastered - est.p) : 0);
+    }, 0);
+  }
 
+  // Sounds in a stage's words not yet mastered, scored 0–10 (10 = not
+  // known at all), for the in-game stats screen.
   getWeakPhonemes(stageId) {
-    const key = String(stageId || '');
-    return { ...(this.data.weakPhonemesByStage?.[key] || {}) };
+    const stage = PHONICS_DATA.getStage(stageId);
+    const sounds = this.getSoundMastery();
+    const out = {};
+    (stage?.words || []).forEach(w => PHONICS_DATA.wordPhonemes(w).forEach(id => {
+      const s = sounds[id];
+      if (s && s.p < BKT.mastered) out[id] = Math.round((1 - s.p) * 10);
+    }));
+    return out;
+  }
+
+
+  // ── Spaced review ─────────────────────────────────────────────
+  _scheduleReview(stageId, word, success) {
+    const key = String(word || '').toLowerCase();
+    if (!key) return;
+    // Endless / daily words with no stage of their own only update
+    // words the scheduler already knows.
+    if (!this.data.review[key] && !stageId) return;
+    const today = CALENDAR.today();
+    const r = this.data.review[key] || (this.data.review[key] = { box: 0, due: today, stage: stageId, reviews: 0, lapses: 0 });
+    if (stageId) r.stage = stageId;
+    if (success) {
+      if (r.due > today) return; // extra practice before it's due doesn't move it up
+      r.box = Math.min(REVIEW_DAYS.length, r.box + 1);
+      r.due = CALENDAR.dateStr(REVIEW_DAYS[r.box - 1]);
+      r.reviews++;
+    } else {
+      // Back to the start: due again now, then box 1 once it's right
+      if (r.box > 0) r.lapses++;
+      r.box = 0;
+      r.due = today;
+    }
+  }
+
+  // Due words from cleared stages, least-known first. A cleared stage's
+  // words the scheduler hasn't met yet count as due. Sight words are
+  // left to their own stages (they're read whole, never blended).
+  // Each word comes back tagged `reviewOf` with the stage it belongs to.
+  //   exclude — Set of word strings to skip (e.g. the current stage's)
+  getDueReviewWords({ limit = 8, exclude = null } = {}) {
+    return this._dueReview(exclude)
+      .sort((a, b) => (a.box - b.box) || a.due.localeCompare(b.due))
+      .slice(0, limit)
+      .map(d => d.word);
   }
 
+  _dueReview(exclude = null) {
+    const today = CALENDAR.today();
+    const seen = new Set();
+    const due = [];
+    PHONICS_DATA.stageList.forEach(stage => {
+      if (!this.data.stages[stage.id]?.completedAt) return;
+      stage.words.forEach(w => {
+        const key = w.word.toLowerCase();
+        if (w.sight || exclude?.has(w.word) || seen.has(key)) return;
+        seen.add(key);
+        const r = this.data.review[key];
+        if (r && r.due > today) return;
+        // Unmet words sort after the ones the child has actually missed
+        due.push({ box: r ? r.box : REVIEW_DAYS.length + 1, due: r ? r.due : '', word: { ...w, reviewOf: stage.id } });
+      });
+    });
+    return due;
+  }
+
+  getReviewDueCount() { return this._dueReview().length; }
+
+  // ── What to practise next ─────────────────────────────────────
+  // Candidate steps scored roughly 0–60, merged per target (one stage
+  // can be weak, rusty and short of stars at once), best first.
+  getRecommendations({ limit = 5 } = {}) {
+    const steps = new Map();
+    const add = (id, base, score, why) => {
+      const s = steps.get(id) || steps.set(id, { id, ...base, score: 0, why: [] }).get(id);
+      s.score += score;
+      s.why.push(why);
+    };
+    const stageStep = (stage) => ({
+      emoji: stage.worldIcon || '🗺️',
+      title: `${this.data.stages[stage.id]?.completedAt ? 'Replay' : 'Play'} Stage ${stage.world}-${stage.local}: ${stage.name}`,
+      launch: { mode: 'stage', stageId: stage.id },
+    });
+    const unlocked = PHONICS_DATA.stageList.filter(st => this.isUnlocked(st.id));
+    // The unlocked stage with the most words using any of `keys`, a
+    // stage with all of them winning over one with only some. `partsOf`
+    // gives what a word is matched on: its tiles, or its phoneme ids.
+    const stageFor = (keys, partsOf = (w) => w.phonemes) => {
+      let best = null, bestN = 0;
+      unlocked.forEach(st => {
+        const words = st.words.filter(w => !w.sight).map(partsOf);
+        const n = words.filter(parts => keys.some(k => parts.includes(k))).length;
+        const all = keys.every(k => words.some(parts => parts.includes(k)));
+        const score = n + (all ? 100 : 0);
+        if (n && score > bestN) { best = st; bestN = score; }
+      });
+      return best;
+    };
+    const setFor = (ph) => PHONICS_DATA.dailySets.find(set => {
+      const words = set.wordObjs || [];
+      return words.length && words.filter(w => PHONICS_DATA.wordPhonemes(w).includes(ph)).length / words.length >= NEXT_SET_SHARE;
+    });
+
+    // Mix-ups: a blend round logs wrong taps between the right ones,
+    // and a wrong tap clears the word back to its first tile, so
+    // walking the taps against the word's tiles shows which distractor
+    // was tapped in place of which sound. Taps of the word's own tiles
+    // in the wrong order are slips, not mix-ups.
+    const pairs = {};
+    this.getAttempts({ from: CALENDAR.dateStr(-NEXT_MIXUP_DAYS), round: 'blend', ok: false }).forEach(a => {
+      const tiles = PHONICS_DATA.getStage(a.stage)?.words.find(w => w.word === a.word)?.phonemes;
+      if (!tiles) return;
+      let pos = 0;
+      a.tiles.forEach(tap => {
+        if (tap === tiles[pos]) { pos++; return; }
+        if (pos < tiles.length && !tiles.includes(tap)) {
+          const key = [tiles[pos], tap].sort().join('|');
+          pairs[key] = (pairs[key] || 0) + 1;
+        }
+        pos = 0;
+      });
+    });
+    const mixed = new Set();
+    Object.entries(pairs)
+      .filter(([, n]) => n >= NEXT_MIXUP_MIN)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 2)
+      .forEach(([key, n]) => {
+        const tiles = key.split('|');
+        const stage = stageFor(tiles);
+        if (!stage) return;
+        // Weak sounds below are phoneme ids, so the tiles' sounds go in too
+        tiles.forEach(t => [t, ...PHONICS_DATA.tileSounds(t)].forEach(k => mixed.add(k)));
+        const label = tiles.map(PHONICS_DATA.tileLabel).join('/');
+        add(`stage-${stage.id}`, stageStep(stage), Math.min(60, 30 + n * 5), `${label} mix-ups (${n} in the last ${NEXT_MIXUP_DAYS} days)`);
+      });
+
+    // Weak sounds, weakest first: a stage that uses them, and a daily
+    // set built around the sound when there is one
+    const mastery = this.getSoundMastery();
+    Object.entries(mastery)
+      .filter(([, m]) => m.p < NEXT_WEAK_P)
+      .sort((a, b) => a[1].p - b[1].p)
+      .slice(0, 3)
+      .forEach(([ph, m]) => {
+        const label = PHONICS_DATA.phonemeLabel(ph);
+        const score = Math.round(10 + 40 * (1 - m.p));
+        const why = `${label} is still weak (${Math.round(m.p * 100)}% sure)`;
+        const stage = stageFor([ph], PHONICS_DATA.wordPhonemes);
+        if (stage && !mixed.has(ph)) add(`stage-${stage.id}`, stageStep(stage), score, why);
+        const set = setFor(ph);
+        if (set) {
+          add(`set-${set.theme}`, {
+            emoji: set.emoji || '📅',
+            title: `Daily set: ${set.theme}`,
+            launch: { mode: 'daily-set', theme: set.theme },
+          }, score - 5, `${set.wordObjs.length} words practising ${label}`);
+        }
+      });
+
+    // Cleared stages short of three stars or not played for a while
+    const lastPlayed = {};
+    this._attempts.forEach(a => { if (a.stage) lastPlayed[a.stage] = Math.max(lastPlayed[a.stage] || 0, a.at); });
+    PHONICS_DATA.stageList.forEach(st => {
+      const s = this.data.stages[st.id];
+      if (!s?.completedAt) return;
+      if (s.stars < 3) add(`stage-${st.id}`, stageStep(st), (3 - s.stars) * 6, `${s.stars} of 3 stars so far`);
+      const last = Math.max(s.completedAt, lastPlayed[st.id] || 0);
+      const days = CALENDAR.daysBetween(new Date(last));
+      if (days >= NEXT_STALE_DAYS) add(`stage-${st.id}`, stageStep(st), 10 + Math.min(10, Math.floor((days - NEXT_STALE_DAYS) / 3)), `last played ${days} days ago`);
+    });
+
+    // Words the spaced-review schedule says are due; ones missed last
+    // time make it more pressing than words simply coming round again
+    const due = this._dueReview();
+    if (due.length) {
+      const missed = due.filter(d => d.box === 0).length;
+      add('review', {
+        emoji: '🥋',
+        title: 'Review Dojo',
+        launch: { mode: 'review' },
+      }, 20 + Math.min(20, due.length) + (missed ? 15 : 0),
+      `${due.length} word${due.length === 1 ? '' : 's'} due for review${missed ? `, ${missed} missed last time` : ''}`);
+    }
+
+    // Always something to do: the next stage not yet cleared
+    const next = unlocked.find(st => !this.data.stages[st.id]?.completedAt && !this.data.stages[st.id]?.testedOut);
+    if (next) {
+      add(`stage-${next.id}`, stageStep(next), 15, `next new stage: ${next.pattern || next.skill}`);
+    }
+
+    return [...steps.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
 
   // ── Daily ─────────────────────────────────────────────────────
   getDailyProgress()  { return this.data.dailyProgress || 0; }
@@ -411,12 +1079,26 @@ class ProgressTracker {
     this._save();
   }
 
+  // Seconds spent in one daily battle, hit or miss. Their total is the
+  // day's completion time on the Daily Challenge leaderboard.
+  addDailyTime(sec) {
+    if (this.data.dailyCompleted || !(sec > 0)) return;
+    this.data.dailyTimeSec = (this.data.dailyTimeSec || 0) + sec;
+    this._save();
+  }
+
   completeDaily() {
     if (!this.data.dailyCompleted) {
       this.data.dailyCompleted = true;
+      const sec = Math.round(this.data.dailyTimeSec || 0);
+      if (sec > 0) {
+        const week = this._boardWeek();
+        if (this.data.dailyBestSec == null || sec < this.data.dailyBestSec) this.data.dailyBestSec = sec;
+        if (week.dailySec == null || sec < week.dailySec) week.dailySec = sec;
+      }
       const grains = 150 + this.data.dailyStreak * 25;
+      this.data.dailiesCompleted = (this.data.dailiesCompleted || 0) + 1;
       this.addRiceGrains(grains);
-      this.unlock('daily-done');
       this._save();
       return grains;
     }
@@ -424,6 +1106,7 @@ class ProgressTracker {
   }
 
   // ── Achievements ─────────────────────────────────────────────
+  // Award an achievement outright, whatever its rule says
   unlock(id) {
     if (this.data.achievements.includes(id)) return false;
     this.data.achievements.push(id);
@@ -431,10 +1114,238 @@ class ProgressTracker {
     this._save(); return true;
   }
 
+  // How far along an achievement's rule is: { value, goal, done }.
+  // `value` never passes `goal`; `done` is whether it has been earned.
+  getAchievementProgress(id) {
+    const rule = ACHIEVEMENTS.find(a => a.id === id);
+    if (!rule) return null;
+    const metric = ACHIEVEMENT_METRICS[rule.metric] || {};
+    const fn = metric[rule.scope || 'total'];
+    const goal = rule.goal === 'all' ? (metric.all ? metric.all(rule) : 0) : rule.goal;
+    const value = fn ? fn(this, rule) : 0;
+    return { value: Math.min(value, goal), goal, done: this.hasAchievement(id) };
+  }
+
+  // Unlock every rule that has reached its goal; true if any did. Runs
+  // inside _save(), so it adds to the save being written rather than
+  // saving again.
+  _checkAchievements() {
+    const d = this.data;
+    if (!d?.achievements) return false;
+    let earned = false;
+    ACHIEVEMENTS.forEach(rule => {
+      if (d.achievements.includes(rule.id)) return;
+      const { value, goal } = this.getAchievementProgress(rule.id);
+      if (goal > 0 && value >= goal) {
+        d.achievements.push(rule.id);
+        d.newAchievements.push(rule.id);
+        earned = true;
+      }
+    });
+    return earned;
+  }
+
   hasAchievement(id)     { return this.data.achievements.includes(id); }
   getNewAchievements()   { return [...(this.data.newAchievements || [])]; }
   clearNewAchievements() { this.data.newAchievements = []; this._save(); }
 
+  // ── Weekly goals ──────────────────────────────────────────────
+  // → the goal plus { value, target, pct, done, rounds? }
+  getGoalProgress(goal) {
+    const type = GOAL_TYPES[goal.type];
+    if (!type) return null;
+    const since = new Date(`${CALENDAR.weekStart()}T00:00`).getTime();
+    const { value, target, rounds } = type.value(this, goal, since);
+    let pct = target > 0 ? Math.min(1, value / target) : 0;
+    let met = target > 0 && value >= target;
+    if (goal.type === 'skill') {
+      pct *= Math.min(1, rounds / GOAL_SKILL_ROUNDS);
+      met = met && rounds >= GOAL_SKILL_ROUNDS;
+    }
+    const done = goal.world ? !!goal.doneWeek : goal.doneWeek === CALENDAR.weekStart();
+    return { ...goal, label: type.label(goal), emoji: type.emoji, value, target, rounds, pct: done ? 1 : pct, done, met };
+  }
+
+  getGoals() {
+    return (this.data.goals || []).map(g => this.getGoalProgress(g)).filter(Boolean);
+  }
+
+  // { type, target, world?, phoneme? } → the new goal, or null when
+  // it doesn't make sense (unknown type, no target, too many goals)
+  addGoal({ type, target, world = null, phoneme = null }) {
+    const goals = this.data.goals;
+    if (!Object.prototype.hasOwnProperty.call(GOAL_TYPES, type) || goals.length >= GOAL_MAX) return null;
+    target = Math.round(Number(target));
+    world = Number(world) || null;
+    if (type === 'stages' && world) {
+      if (!PHONICS_DATA.stagesInWorld(world).length) return null;
+      target = PHONICS_DATA.stagesInWorld(world).length;
+    } else {
+      world = null;
+      if (!(target > 0) || (type === 'skill' && target > 100)) return null;
+    }
+    if (type === 'skill' && !Object.prototype.hasOwnProperty.call(PHONICS_DATA.PHONEMES, phoneme)) return null;
+    const goal = { id: `g${Date.now().toString(36)}${goals.length}`, type, target, createdAt: Date.now(), doneWeek: null };
+    if (world) goal.world = world;
+    if (type === 'skill') goal.phoneme = String(phoneme);
+    goals.push(goal);
+    this._save();
+    return goal;
+  }
+
+  // Whether a stored goal is one addGoal() could have made here: a
+  // known type, and a world and sound this campaign has
+  _goalOk(g) {
+    const own = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+    if (!g || typeof g !== 'object' || !own(GOAL_TYPES, g.type)) return false;
+    if (!(typeof g.target === 'number' && g.target > 0)) return false;
+    if (g.world != null && !(Number.isInteger(g.world) && PHONICS_DATA.getWorld(g.world))) return false;
+    return g.type !== 'skill' || own(PHONICS_DATA.PHONEMES, g.phoneme);
+  }
+
+  removeGoal(id) {
+    const before = this.data.goals.length;
+    this.data.goals = this.data.goals.filter(g => g.id !== id);
+    if (this.data.goals.length !== before) this._save();
+  }
+
+  // [{ id, emoji, label, reward }] for the goals met since the last clear
+  getNewGoals()   { return [...(this.data.newGoals || [])]; }
+  clearNewGoals() { this.data.newGoals = []; this._save(); }
+
+  // Pay out every goal met this week and not yet paid. Like
+  // _checkAchievements() it runs inside _save(), so the rice goes
+  // straight into the save being written.
+  _checkGoals() {
+    const d = this.data;
+    if (!d?.goals?.length) return false;
+    let met = false;
+    d.goals.forEach(goal => {
+      const g = this.getGoalProgress(goal);
+      if (!g || g.done || !g.met) return;
+      goal.doneWeek = CALENDAR.weekStart();
+      d.riceGrains = (d.riceGrains || 0) + GOAL_REWARD;
+      d.totalRiceGrainsEver = (d.totalRiceGrainsEver || 0) + GOAL_REWARD;
+      d.newGoals.push({ id: goal.id, emoji: g.emoji, label: g.label, reward: GOAL_REWARD });
+      met = true;
+    });
+    return met;
+  }
+
+  // ── Placement check (js/placement.js) ─────────────────────────
+  // The last check's PlacementTest.result(), plus `applied` once its
+  // earlier stages have been opened
+  recordPlacement(result) {
+    this.data.placement = { ...result, applied: false };
+    this._save();
+  }
+  getPlacement() { return this.data.placement ? { ...this.data.placement } : null; }
+
+  // Whether a stored result has the shape recordPlacement() writes; it
+  // can come from a save file or another device
+  _placementOk(p) {
+    const count = (v) => Number.isInteger(v) && v >= 0;
+    return !!p && typeof p === 'object' && Number.isFinite(p.at) && Number.isInteger(p.world) && Array.isArray(p.levels)
+      && p.levels.every(lv => lv && typeof lv.id === 'string' && typeof lv.name === 'string'
+        && count(lv.right) && count(lv.rounds) && typeof lv.passed === 'boolean');
+  }
+
+  // Open every stage before the placement's world and the world's
+  // first stage. Skipped stages are marked `testedOut` rather than
+  // cleared: no stars or rice, and their words stay out of the review
+  // rotation until the child actually plays them. → the start stage id
+  applyPlacement() {
+    const p = this.data.placement;
+    if (!p) return null;
+    const start = PHONICS_DATA.worldStartId(p.world);
+    PHONICS_DATA.stageList.forEach(st => {
+      if (st.id > start) return;
+      const s = this.data.stages[st.id] || (this.data.stages[st.id] = this._freshStage(false));
+      s.unlocked = true;
+      if (st.id < start && !s.completedAt) s.testedOut = true;
+    });
+    p.applied = true;
+    this._save();
+    return start;
+  }
+
+  // ── Nonsense-word checks (js/nwfCheck.js) ─────────────────────
+  // Store one finished check under today's date → the stored check
+  recordNwf({ stage, cls, wwr, words, sounds, sec, missed = [] }) {
+    const nwf = this.data.nwf;
+    const date = CALENDAR.today();
+    const check = { at: Date.now(), stage, cls, wwr, words, sounds, sec, missed: missed.slice(0, NWF_MISSED_MAX) };
+    (nwf[date] = nwf[date] || []).push(check);
+    const keep = CALENDAR.dateStr(-NWF_KEEP_DAYS);
+    Object.keys(nwf).forEach(day => { if (day < keep) delete nwf[day]; });
+    this._save();
+    XAPI.nwfChecked(check);
+    return { date, ...check };
+  }
+
+  // { 'YYYY-MM-DD': [entry, …] } with only the dates, and the entries
+  // passing `ok`, that getNwfResults() and the like can read
+  _cleanByDate(byDate, ok) {
+    const out = {};
+    if (!byDate || typeof byDate !== 'object' || Array.isArray(byDate)) return out;
+    Object.entries(byDate).forEach(([date, list]) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Array.isArray(list)) return;
+      const kept = list.filter(ok);
+      if (kept.length) out[date] = kept;
+    });
+    return out;
+  }
+
+  // Every check kept, oldest first: [{ date, at, stage, cls, … }]
+  getNwfResults() {
+    return Object.keys(this.data.nwf).sort().flatMap(date =>
+      this.data.nwf[date].map(c => ({ date, ...c })).sort((a, b) => a.at - b.at));
+  }
+
+  // One point per day with a check, oldest first — the day's best by
+  // correct sounds, since a tired or interrupted try drags a mean down
+  getNwfTrend() {
+    return Object.keys(this.data.nwf).sort().map(date => {
+      const best = this.data.nwf[date].reduce((a, b) => (b.cls > a.cls ? b : a));
+      return { date, cls: best.cls, wwr: best.wwr, stage: best.stage };
+    });
+  }
+
+  // ── Reading sprints (js/fluencySprint.js) ─────────────────────
+  // Store one finished sprint under today's date → the stored sprint
+  recordOrf({ world, kind, wcpm, accuracy, read, errors, sec, missed = [] }) {
+    const orf = this.data.orf;
+    const date = CALENDAR.today();
+    const sprint = { at: Date.now(), world, kind, wcpm, accuracy, read, errors, sec, missed: missed.slice(0, ORF_MISSED_MAX) };
+    (orf[date] = orf[date] || []).push(sprint);
+    const keep = CALENDAR.dateStr(-ORF_KEEP_DAYS);
+    Object.keys(orf).forEach(day => { if (day < keep) delete orf[day]; });
+    this._save();
+    XAPI.orfRead(sprint);
+    return { date, ...sprint };
+  }
+
+  // Every sprint kept, oldest first, optionally for one world:
+  // [{ date, at, world, kind, wcpm, … }]
+  getOrfResults(world = null) {
+    return Object.keys(this.data.orf).sort().flatMap(date =>
+      this.data.orf[date].filter(s => world == null || s.world === world)
+        .map(s => ({ date, ...s })).sort((a, b) => a.at - b.at));
+  }
+
+  // One point per day with a sprint of this world and kind, oldest
+  // first — the day's best by WCPM, as for the nonsense-word checks
+  getOrfTrend(world, kind = 'passage') {
+    const days = {};
+    this.getOrfResults(world).filter(s => s.kind === kind).forEach(s => {
+      if (!days[s.date] || s.wcpm > days[s.date].wcpm) days[s.date] = s;
+    });
+    return Object.keys(days).sort().map(date => {
+      const best = days[date];
+      return { date, wcpm: best.wcpm, accuracy: best.accuracy };
+    });
+  }
+
   // ── Campaign stages ───────────────────────────────────────────
   getStage(id)     { return this.data.stages[id] || this._freshStage(false); }
   isUnlocked(id)   { return this.getStage(id).unlocked; }
@@ -447,6 +1358,7 @@ class ProgressTracker {
   completeStage(stageId, score) {
     const s = this.getStage(stageId);
     s.attempts++; s.bestScore = Math.max(s.bestScore, score); s.completedAt = Date.now();
+    if (!s.firstClearedAt) s.firstClearedAt = s.completedAt;
     const acc = s.totalBlends > 0 ? s.correctBlends / s.totalBlends : 0;
     if      (acc >= 0.9) s.stars = 3;
     else if (acc >= 0.7) s.stars = Math.max(s.stars, 2);
@@ -455,12 +1367,6 @@ class ProgressTracker {
     const totalStages = (typeof PHONICS_DATA !== 'undefined' && PHONICS_DATA.stageCount) || 6;
     if (stageId < totalStages) this.unlockStage(stageId + 1);
     this.addRiceGrains(s.stars * 50 + Math.floor(score / 10));
-    let allDone = true;
-    for (let id = 1; id <= totalStages; id++) {
-      if (!this.data.stages[id]?.completedAt) { allDone = false; break; }
-    }
-    if (allDone) this.unlock('all-stages');
-    this._save();
   }
 
   recordRunnerComplete(stageId, coinsCollected) {
@@ -513,14 +1419,60 @@ class ProgressTracker {
     return reward;
   }
 
-  // ── Leaderboard ───────────────────────────────────────────────
-  getLeaderboard() {
-    const myDist  = this.getEndlessBestDist();
-    const myScore = this.getEndlessHighScore();
-    const leaders = [...FAKE_LEADERS];
-    if (myDist > 0) leaders.push({ name:'YOU ⭐', dist:myDist, score:myScore, isMe:true });
-    leaders.sort((a, b) => b.score - a.score);
-    return leaders.slice(0, 12);
+  // ── Dino Dash ─────────────────────────────────────────────────
+  getDashBest() { return this.data.dashBest || 0; }
+
+  recordDinoDash(score) {
+    if (score > (this.data.dashBest || 0)) this.data.dashBest = score;
+    const week = this._boardWeek();
+    week.dash = Math.max(week.dash, score);
+    this._save();
+  }
+
+  // ── Leaderboards ──────────────────────────────────────────────
+  // This week's numbers, started afresh once a new week begins.
+  _boardWeek() {
+    const start = CALENDAR.weekStart();
+    if (this.data.boardWeek?.start !== start) {
+      this.data.boardWeek = { start, endlessDist: 0, endlessScore: 0, dash: 0, dailySec: null, words: 0 };
+    }
+    return this.data.boardWeek;
+  }
+
+  // One board's number from a player's save; null when they have none
+  // to show (never played it, or not this week).
+  _boardValue(d, boardId, window) {
+    if (window === 'week') {
+      const w = d.boardWeek?.start === CALENDAR.weekStart() ? d.boardWeek : null;
+      const v = w && { 'endless-dist': w.endlessDist, 'endless-score': w.endlessScore, dash: w.dash, 'daily-time': w.dailySec, words: w.words }[boardId];
+      return v ? v : null;
+    }
+    const v = { 'endless-dist': d.endlessBestDist, 'endless-score': d.endlessHighScore, dash: d.dashBest, 'daily-time': d.dailyBestSec, words: d.totalWordsBlended }[boardId];
+    return v ? v : null;
+  }
+
+  // Ranked rows for one board:
+  //   [{ id, name, avatar, value, isMe, hidden }]
+  // window is 'week' or 'all'. Players who opted out (PROFILES.update
+  // with leaderboard:false) are left off, except that the active player
+  // always sees their own row, marked `hidden`.
+  getLeaderboard(boardId = 'endless-score', window = 'week') {
+    const board = LEADERBOARDS.find(b => b.id === boardId) || LEADERBOARDS[0];
+    const me = PROFILES.activeId();
+    const rows = [];
+    PROFILES.list().forEach(p => {
+      const shown = p.leaderboard !== false;
+      if (!shown && p.id !== me) return;
+      let d = this.data;
+      if (p.id !== me) {
+        try { d = JSON.parse(STORE.getItem(PROFILES.keyFor(p.id, 'samurice_progress_v3')) || 'null'); } catch { d = null; }
+      }
+      const value = d ? this._boardValue(d, board.id, window) : null;
+      if (value == null) return;
+      rows.push({ id: p.id, name: p.name, avatar: p.avatar, value, isMe: p.id === me, hidden: !shown });
+    });
+    rows.sort((a, b) => board.low ? a.value - b.value : b.value - a.value);
+    return rows;
   }
 
   // ── Misc ──────────────────────────────────────────────────────
@@ -551,5 +1503,246 @@ class ProgressTracker {
   }
   getTotalWordsBlended()  { return this.data.totalWordsBlended || 0; }
   getBestCombo()          { return this.data.bestCombo || 0; }
-  reset()                 { this.data = this._fresh(); this._save(); }
+
+  // Start the active player over: progress and the practice log
+  reset() {
+    this.data = this._fresh();
+    this._attempts = [];
+    this._saveAttempts();
+    this._save();
+  }
+
+  // ── Save files (move a child's progress between devices) ──────
+  // One JSON file holds the tracker save, the engagement save and the
+  // per-child settings, plus a checksum over `data` so a truncated or
+  // hand-edited file is caught before it replaces anything.
+  exportSave() {
+    const read = (base) => STORE.getItem(PROFILES.key(base));
+    let engagement = null;
+    try { engagement = JSON.parse(read('samurice_engage_v2') || 'null'); } catch { /* ignore */ }
+    const settings = {};
+    SAVE_SETTING_KEYS.forEach(base => {
+      const v = read(base);
+      if (v !== null) settings[base] = v;
+    });
+    const data = { progress: this.data, engagement, settings, attempts: this._attempts };
+    const p = PROFILES.active();
+    return {
+      format: SAVE_FORMAT,
+      version: SAVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: { name: p.name, avatar: p.avatar },
+      checksum: _saveChecksum(JSON.stringify(data)),
+      data,
+    };
+  }
+
+  // Check a save file and list what it would change. With `dryRun`
+  // nothing is written; otherwise the active profile's save, engagement
+  // data and settings are replaced and the tracker reloads. Callers
+  // reload the engagement engine and audio settings afterwards.
+  //   → { ok, errors, changes: [{ label, from, to }], profile, exportedAt }
+  importSave(save, { dryRun = false } = {}) {
+    const errors = [];
+    if (!save || typeof save !== 'object' || save.format !== SAVE_FORMAT) {
+      errors.push('Not a Samurice save file');
+    } else if (!Number.isInteger(save.version) || save.version < 1) {
+      errors.push('The file has no save version');
+    } else if (save.version > SAVE_VERSION) {
+      errors.push(`The file is from a newer version of the game (save v${save.version}). Update the game first.`);
+    } else if (!save.data || typeof save.data !== 'object' || !save.data.progress || typeof save.data.progress !== 'object') {
+      errors.push('The file has no progress in it');
+    } else if (save.checksum !== _saveChecksum(JSON.stringify(save.data))) {
+      errors.push('The checksum does not match — the file was changed or cut short');
+    }
+    if (errors.length) return { ok: false, errors, changes: [] };
+
+    const progress = this._migrate(JSON.parse(JSON.stringify(save.data.progress)));
+    const settings = save.data.settings && typeof save.data.settings === 'object' ? save.data.settings : {};
+    const attempts = (Array.isArray(save.data.attempts) ? save.data.attempts : []).map(a => this._attemptEntry(a)).filter(Boolean);
+    const changes  = this._saveChanges(this.data, progress, settings);
+    if (attempts.length !== this._attempts.length) {
+      changes.push({ label: 'Practice log entries', from: this._attempts.length, to: attempts.length });
+    }
+    const result   = { ok: true, errors, changes, profile: save.profile || null, exportedAt: save.exportedAt || null };
+    if (dryRun) return result;
+
+    this._applySnapshot({ ...save.data, progress, settings, attempts });
+    return result;
+  }
+
+  // Replace the active profile's save with a snapshot's contents
+  // (a save file's `data`, or a merged sync snapshot) and reload.
+  _applySnapshot({ progress, engagement, settings = {}, attempts = [] }) {
+    this.data = progress;
+    this._save();
+    this._attempts = (Array.isArray(attempts) ? attempts : []).map(a => this._attemptEntry(a)).filter(Boolean).slice(-ATTEMPT_LOG_MAX);
+    this._saveAttempts();
+    const engKey = PROFILES.key('samurice_engage_v2');
+    if (engagement && typeof engagement === 'object') {
+      STORE.setItem(engKey, JSON.stringify(engagement));
+    } else {
+      STORE.removeItem(engKey);
+    }
+    SAVE_SETTING_KEYS.forEach(base => {
+      if (typeof settings[base] === 'string') STORE.setItem(PROFILES.key(base), settings[base]);
+    });
+    this.reload();
+  }
+
+  // ── Sync between devices (see js/progressSync.js) ─────────────
+  // Per child: { id, rev, dirty, changedAt, lastSyncAt, lastError, conflicts }
+  //   id        the sync code both devices use for this child
+  //   rev       the server revision this device last agreed with
+  //   changedAt when this device's save last changed
+  // The agreed snapshot itself (the merge base) is kept under its own key.
+  _syncState() {
+    let st = null;
+    try { st = JSON.parse(STORE.getItem(this._syncKey) || 'null'); } catch { /* ignore */ }
+    return { id: '', rev: 0, dirty: false, changedAt: 0, lastSyncAt: null, lastError: null, conflicts: [], ...st };
+  }
+  _saveSyncState(st) { STORE.setItem(this._syncKey, JSON.stringify(st)); }
+
+  _syncBase() {
+    try { return JSON.parse(STORE.getItem(this._syncBaseKey) || 'null'); } catch { return null; }
+  }
+
+  // Called on every save (and by the engagement engine for its own).
+  markSyncDirty() {
+    if (!this._syncKey) return;
+    const st = this._syncState();
+    st.dirty = true;
+    st.changedAt = Date.now();
+    this._saveSyncState(st);
+    this._scheduleSync(15000);
+  }
+
+  _scheduleSync(delay) {
+    clearTimeout(this._syncTimer);
+    if (!this._syncAdapter || !this._syncState().id) return;
+    this._syncTimer = setTimeout(() => this.syncNow(), delay);
+  }
+
+  // `adapter` is an HttpSyncAdapter or anything with its pull()/push();
+  // null turns sync off on this device.
+  setSyncAdapter(adapter) {
+    this._syncAdapter = adapter;
+    this._scheduleSync(2000);
+  }
+
+  // The sync code for the active child. Changing it starts afresh:
+  // the next sync merges with whatever the server holds for the code.
+  setSyncId(id) {
+    const clean = String(id || '').trim().toLowerCase();
+    if (clean && !/^[a-z0-9][a-z0-9_-]{0,63}$/.test(clean)) return false;
+    const st = this._syncState();
+    if (clean !== st.id) {
+      this._saveSyncState({ ...st, id: clean, rev: 0, dirty: true, lastError: null, conflicts: [] });
+      STORE.removeItem(this._syncBaseKey);
+    }
+    this._scheduleSync(500);
+    return true;
+  }
+
+  getSyncStatus() {
+    const { id, dirty, lastSyncAt, lastError, conflicts } = this._syncState();
+    return { enabled: !!this._syncAdapter && !!id, id, dirty, lastSyncAt, lastError, conflicts };
+  }
+
+  // Pull, merge, push. Offline or failed syncs leave the save marked
+  // dirty and are retried later; nothing local is lost.
+  //   → { ok, conflicts } or { ok: false, error }
+  syncNow() {
+    if (!this._syncing) this._syncing = this._runSync().finally(() => { this._syncing = null; });
+    return this._syncing;
+  }
+
+  async _runSync() {
+    clearTimeout(this._syncTimer);
+    const adapter = this._syncAdapter;
+    const key = this._syncKey;
+    const st = this._syncState();
+    if (!adapter || !st.id) return { ok: false, error: 'Sync is not set up' };
+    const fail = (error) => {
+      if (this._syncKey !== key) return { ok: false, error };
+      this._saveSyncState({ ...this._syncState(), lastError: error });
+      return { ok: false, error };
+    };
+    try {
+      let remote = await adapter.pull(st.id);
+      let agreed = this._syncBase();
+      for (let tries = 0; tries < 3; tries++) {
+        // A profile switch mid-sync: leave the other child's save alone.
+        if (this._syncKey !== key) return { ok: false, error: 'The player changed during sync' };
+        const cur = this._syncState();
+        if (remote && remote.rev === cur.rev && !cur.dirty) {
+          this._saveSyncState({ ...cur, lastSyncAt: Date.now(), lastError: null });
+          return { ok: true, conflicts: [] };
+        }
+        const local = { ...this.exportSave().data, savedAt: cur.changedAt };
+        let next = local, conflicts = [];
+        if (remote && remote.rev !== cur.rev) {
+          // Stage ids restart in every campaign: bring the other device's
+          // stages, and the base's, over to the campaign played here first
+          [agreed, remote.snapshot].forEach(snap => { if (snap?.progress) snap.progress = this._migrate(snap.progress); });
+          ({ merged: next, conflicts } = mergeSyncSnapshots(agreed, local, remote.snapshot));
+          // The save now holds this remote's changes, so a retry after a
+          // conflict merges against it, not the older base: summed counts
+          // would take its changes twice
+          agreed = remote.snapshot;
+          next.progress = this._migrate(next.progress);
+          this._applyingSync = true;
+          try { this._applySnapshot(next); } finally { this._applyingSync = false; }
+          window._engagementEngine?.reload?.();
+          window._sharedAudio?.loadSettings?.();
+        }
+        const pushed = await adapter.push(st.id, next, remote ? remote.rev : 0);
+        if (!pushed.ok) { remote = pushed.conflict; continue; }
+        if (this._syncKey !== key) return { ok: false, error: 'The player changed during sync' };
+        const { attempts, ...base } = next;
+        STORE.setItem(this._syncBaseKey, JSON.stringify(base));
+        const after = this._syncState();
+        const now = Date.now();
+        this._saveSyncState({
+          ...after,
+          rev: pushed.rev,
+          // Still dirty if the child played on while the push was in flight
+          dirty: after.changedAt !== cur.changedAt,
+          lastSyncAt: now,
+          lastError: null,
+          conflicts: [...conflicts.map(c => ({ ...c, at: now })), ...after.conflicts].slice(0, 20),
+        });
+        return { ok: true, conflicts };
+      }
+      return fail('The server kept changing — try again');
+    } catch (e) {
+      return fail(navigator.onLine === false ? 'Offline — will sync when back online' : e.message);
+    }
+  }
+
+  // Headline numbers a parent would recognise, listed only when they differ
+  _saveChanges(from, to, settings) {
+    const stages = (d) => Object.values(d.stages || {});
+    const facts = [
+      ['Stages cleared', d => stages(d).filter(s => s?.completedAt).length],
+      ['Stars',          d => stages(d).reduce((n, s) => n + (s?.stars || 0), 0)],
+      ['Words blended',  d => d.totalWordsBlended || 0],
+      ['Rice grains',    d => d.riceGrains || 0],
+      ['Daily streak',   d => d.dailyStreak || 0],
+      ['Achievements',   d => (d.achievements || []).length],
+      ['Items owned',    d => (d.ownedItems || []).length],
+      ['Endless record', d => `${d.endlessBestDist || 0}m`],
+    ];
+    const changes = facts
+      .map(([label, get]) => ({ label, from: get(from), to: get(to) }))
+      .filter(c => c.from !== c.to);
+    // Relaxed Mode is on unless switched off (index.html's first-run default)
+    const onOff = (v) => (v === '0' ? 'off' : 'on');
+    if (typeof settings.samurice_relaxed === 'string') {
+      const was = onOff(STORE.getItem(PROFILES.key('samurice_relaxed')));
+      const now = onOff(settings.samurice_relaxed);
+      if (was !== now) changes.push({ label: 'Relaxed Mode', from: was, to: now });
+    }
+    return changes;
+  }
 }
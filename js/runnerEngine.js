@@ -40,6 +40,7 @@ const R_SCORE_POWERUP = 500;
 const R_COYOTE_FRAMES  = 6;    // frames after leaving edge where jump still works
 const R_JUMP_BUFFER    = 10;   // frames to queue a jump before landing
 const R_SPRING_VEL     = -22;  // spring pad launch velocity
+const R_CLOUD_VEL      = -12;  // storm-cloud platform bounce (World 7)
 const R_STAR_DUR       = 480;  // 8 seconds of star invincibility (60 fps)
 
 
@@ -230,6 +231,10 @@ class RunnerPlayer {
           this.y = p.sy - this.h; this.vy = 0; this.onGround = true;
           if (p.fragile && p.breakTimer < 0) p.breakTimer = 45; // crack!
           if (p.icy) this._onIcyPlatform = true;
+          // Storm clouds bounce Riku back up; a ground pound sticks the landing
+          if (p.bouncy && !this.groundPounding) {
+            this.vy = R_CLOUD_VEL; this.onGround = false; p.squash = 8;
+          }
           break;
         }
       }
@@ -473,20 +478,23 @@ class RunnerPlatform {
     // World-mechanic flags (set by the level generator):
     this.fragile    = false; // W2 bamboo — cracks when stood on, then falls
     this.icy        = false; // W5 terraces — slippery surface
+    this.bouncy     = false; // W7 storm clouds — springy, bounce you back up
+    this.squash     = 0;     // frames of bounce squash after a landing
     this.breakTimer = -1;    // frames until a cracked platform gives way
     this.broken     = false;
     this._fallVy    = 0;
   }
 
-  // Fragile platform lifecycle (no-op for normal platforms)
+  // Fragile / bouncy platform lifecycle (no-op for normal platforms)
   updateFragile() {
-    if (!this.fragile) return;
     if (this.broken) {
       this._fallVy += 0.6;
       this.worldY  += this._fallVy;
       this.sy       = this.worldY;
       return;
     }
+    if (this.squash > 0) this.squash--;
+    if (!this.fragile) return;
     if (this.breakTimer > 0) this.breakTimer--;
     else if (this.breakTimer === 0) { this.broken = true; }
   }
@@ -502,6 +510,7 @@ class RunnerPlatform {
       ctx.translate((Math.random() - 0.5) * 3, (Math.random() - 0.5) * 2);
     }
     if (this.broken) ctx.globalAlpha = Math.max(0, 1 - this._fallVy / 14);
+    if (this.squash > 0) ctx.translate(0, this.squash * 0.6);
     this._drawBody(ctx, tileSprites);
     // Crack lines while the timer runs
     if (this.fragile && this.breakTimer >= 0 && !this.broken) {
@@ -517,6 +526,15 @@ class RunnerPlatform {
       ctx.fillStyle = 'rgba(170,225,255,0.35)';
       ctx.fillRect(this.sx, this.sy, this.w, 5);
     }
+    // Cloud puffs along the top (World 7)
+    if (this.bouncy) {
+      ctx.fillStyle = 'rgba(236,240,255,0.85)';
+      for (let px = this.sx + 12; px < this.sx + this.w - 6; px += 24) {
+        ctx.beginPath();
+        ctx.arc(px, this.sy + 2, 10, Math.PI, 0);
+        ctx.fill();
+      }
+    }
     ctx.restore();
   }
 
@@ -574,7 +592,12 @@ class RunnerPlatform {
 // PHONEME COIN
 // ─────────────────────────────────────────────────────────────
 class PhonemeCoin {
-  constructor(worldX, worldY, phoneme, wordId, phIdx, hint, word) {
+  // Gold for letter sounds, teal for affixes.
+  static COLORS       = { glow: '255,215,0',  body: ['#FFF176', '#FFD700', '#F57F17'], rim: '#F9A825', text: '#5D4037' };
+  static AFFIX_COLORS = { glow: '38,198,218', body: ['#B2EBF2', '#26C6DA', '#00838F'], rim: '#0097A7', text: '#004D40' };
+
+  // affix: the tile is a word part (un-, -ing) — drawn as a teal coin.
+  constructor(worldX, worldY, phoneme, wordId, phIdx, hint, word, affix = false) {
     this.worldX   = worldX;
     this.worldY   = worldY;
     this.phoneme  = phoneme;
@@ -582,6 +605,7 @@ class PhonemeCoin {
     this.phIdx    = phIdx;
     this.hint     = hint;
     this.word     = word;
+    this.affix    = affix;
     this.collected = false;
     this.sx       = 0;
     this._bob     = Math.random() * Math.PI * 2; // phase offset for bobbing
@@ -615,17 +639,18 @@ class PhonemeCoin {
     // Coins are the most numerous entity on screen; pre-rendering each
     // phoneme's coin once (gradients + glow + text) turns two radial
     // gradients per coin per frame into a single drawImage.
-    const spr = PhonemeCoin._sprite(this.phoneme, r);
+    const spr = PhonemeCoin._sprite(this.phoneme, r, this.affix);
     ctx.drawImage(spr, cx - r * 1.5, cy - r * 1.5);
   }
 
-  static _sprite(phoneme, r) {
+  static _sprite(phoneme, r, affix = false) {
     if (!PhonemeCoin._cache) {
       PhonemeCoin._cache = new Map();
       // Re-render once webfonts land so cached text isn't stuck in a fallback face
       if (document.fonts?.ready) document.fonts.ready.then(() => PhonemeCoin._cache.clear());
     }
-    const key = phoneme + '@' + r;
+    const key = phoneme + '@' + r + (affix ? '+' : '');
+    const pal = affix ? PhonemeCoin.AFFIX_COLORS : PhonemeCoin.COLORS;
     const hit = PhonemeCoin._cache.get(key);
     if (hit) return hit;
 
@@ -637,8 +662,8 @@ class PhonemeCoin {
 
     // Glow ring
     const glow = ctx.createRadialGradient(cx, cy, r * 0.4, cx, cy, r * 1.5);
-    glow.addColorStop(0,   'rgba(255,215,0,0.45)');
-    glow.addColorStop(1,   'rgba(255,215,0,0)');
+    glow.addColorStop(0,   `rgba(${pal.glow},0.45)`);
+    glow.addColorStop(1,   `rgba(${pal.glow},0)`);
     ctx.fillStyle = glow;
     ctx.beginPath();
     ctx.arc(cx, cy, r * 1.5, 0, Math.PI * 2);
@@ -646,24 +671,24 @@ class PhonemeCoin {
 
     // Coin body
     const gold = ctx.createRadialGradient(cx - r * 0.3, cy - r * 0.3, 1, cx, cy, r);
-    gold.addColorStop(0,   '#FFF176');
-    gold.addColorStop(0.5, '#FFD700');
-    gold.addColorStop(1,   '#F57F17');
+    gold.addColorStop(0,   pal.body[0]);
+    gold.addColorStop(0.5, pal.body[1]);
+    gold.addColorStop(1,   pal.body[2]);
     ctx.fillStyle = gold;
     ctx.beginPath();
     ctx.arc(cx, cy, r, 0, Math.PI * 2);
     ctx.fill();
-    ctx.strokeStyle = '#F9A825';
+    ctx.strokeStyle = pal.rim;
     ctx.lineWidth = 2;
     ctx.stroke();
 
     // Phoneme text — scaled to coin radius
-    const text   = phoneme.toUpperCase();
+    const text   = PHONICS_DATA.tileLabel(phoneme).toUpperCase();
     const fsize  = text.length > 2 ? Math.round(r * 0.5) : text.length > 1 ? Math.round(r * 0.62) : Math.round(r * 0.72);
     ctx.font        = `bold ${fsize}px "Nunito", "Comic Sans MS", system-ui, sans-serif`;
     ctx.textAlign   = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillStyle   = '#5D4037';
+    ctx.fillStyle   = pal.text;
     ctx.fillText(text, cx, cy + 1);
 
     PhonemeCoin._cache.set(key, c);
@@ -1989,10 +2014,12 @@ function generateRunnerLevel(stageData, canvasH, sprites) {
         const plat = new RunnerPlatform(wx - 30, platformH - 20, platW, style);
         // World mechanics: W2 bamboo cracks underfoot (every other one,
         // so young players are never forced onto a crumbling path);
-        // W5 mountain terraces are icy and slippery.
+        // W5 mountain terraces are icy and slippery; W7 storm clouds
+        // bounce (every other one, so there is always a calm landing).
         const world = stageData.world || 1;
         if (world === 2 && wIdx % 4 === 1) plat.fragile = true;
         if (world === 5) plat.icy = true;
+        if (world === 7 && wIdx % 4 === 3) plat.bouncy = true;
         items.platforms.push(plat);
       }
     }
@@ -2013,9 +2040,12 @@ function generateRunnerLevel(stageData, canvasH, sprites) {
         wx, coinY, word.word, wIdx, 0, word.hint, word.word,
       ));
     } else {
+      // Affix tiles (un-, -ing) get their own coin colour so the word's
+      // parts stand out from its base.
+      const affixTiles = PHONICS_DATA.affixTiles(word);
       word.phonemes.forEach((ph, pIdx) => {
         items.coins.push(new PhonemeCoin(
-          wx + pIdx * 82, coinY, ph, wIdx, pIdx, word.hint, word.word,
+          wx + pIdx * 82, coinY, ph, wIdx, pIdx, word.hint, word.word, affixTiles.includes(pIdx),
         ));
       });
     }
@@ -2140,7 +2170,7 @@ class RunnerEngine {
     this.timeLeft          = 120;
     // Relaxed Mode promises "no time pressure" — that must include the
     // runner, not just the battle. Timer neither ticks nor displays.
-    this._relaxedMode      = localStorage.getItem('samurice_relaxed') === '1';
+    this._relaxedMode      = STORE.getItem(PROFILES.key('samurice_relaxed')) === '1';
 
     // Equipped shop items render in-game so purchases feel real:
     // hat on Riku's head, companion trailing behind, sword icon in HUD.
@@ -2681,12 +2711,12 @@ class RunnerEngine {
   // ── Coin collection logic ────────────────────────────────────
   _onCoinCollect(coin) {
     if (this.audio) this.audio.sfxCoin();
-    if (this.audio) this.audio.playPhoneme(coin.phoneme);
+    if (this.audio) this.audio.playPhoneme(coin.phoneme, this.stage.words[coin.wordId], coin.phIdx);
     this.collectedPhonemes.push({ phoneme: coin.phoneme, wordId: coin.wordId, phIdx: coin.phIdx });
     this.collectedCoinIds.add(`${coin.wordId}-${coin.phIdx}`);
 
     // Particle pop
-    this.particles.push(new RunnerParticle(coin.sx, coin.worldY, coin.phoneme.toUpperCase(), '#FFF176', -4));
+    this.particles.push(new RunnerParticle(coin.sx, coin.worldY, PHONICS_DATA.tileLabel(coin.phoneme).toUpperCase(), '#FFF176', -4));
     this.fx.spawn('rice', coin.sx, coin.worldY, 6);
 
     // Check if this completes a word in order
@@ -3065,7 +3095,7 @@ class RunnerEngine {
     ctx.fillRect(0, gy, W, 2.5);
 
     // World-specific accent strip below grass
-    const stageDecorColors = ['#5a9e3c','#2d6b20','#C2185B','#6D4C41','#388E3C','#880E4F'];
+    const stageDecorColors = ['#5a9e3c','#2d6b20','#C2185B','#6D4C41','#388E3C','#880E4F','#455A64','#4527A0'];
     ctx.fillStyle = stageDecorColors[(this.stage?.world || 1) - 1] || '#5a9e3c';
     ctx.fillRect(0, gy + 16, W, 5);
 
@@ -4507,8 +4537,7 @@ class EndlessRunnerEngine {
       if (this._rectOverlap(px, py, pw, ph, g.screenX, g.y, g.w, g.h)) {
         g.triggered  = true;
         this._inBattle = true;
-        const wordPool = PHONICS_DATA.getEndlessWords(this._distM);
-        const word = wordPool[Math.floor(Math.random() * wordPool.length)];
+        const word = this._pickGateWord(PHONICS_DATA.getEndlessWords(this._distM));
         this._pendingGateData = { word, autoBlend: this._autoBlend, slowMoBonus: this._slowTimer > 0 ? 1.5 : 0 };
         this._autoBlend = false;
         this.done    = true;
@@ -4524,6 +4553,19 @@ class EndlessRunnerEngine {
     }
   }
 
+  // A random gate word, leaning toward words whose correspondences the
+  // child hasn't mastered: a word's chance grows with its weakness
+  // (ProgressTracker.getWordWeakness), so known words still turn up.
+  _pickGateWord(pool) {
+    const weights = pool.map(w => 1 + 2 * (this.progress?.getWordWeakness?.(w) || 0));
+    let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < pool.length; i++) {
+      r -= weights[i];
+      if (r < 0) return pool[i];
+    }
+    return pool[pool.length - 1];
+  }
+
   // ── Drawing ───────────────────────────────────────────────────
   draw() {
     const ctx  = this.ctx;
@@ -0,0 +1,189 @@
+'use strict';
+// ============================================================
+// SCREEN TIME — js/screenTime.js
+//
+// Play-time limits a parent sets for each child, and a log of how
+// long they actually played:
+//
+//   dailyMin    minutes of play a day
+//   sessionMin  minutes in one go, then a break of SCREEN_BREAK_MIN
+//   quietFrom / quietTo   'HH:MM' hours with no play at all (bedtime);
+//               may run over midnight, e.g. 19:30 → 07:00
+//
+// The game loops call SCREEN_TIME.tick() while a child is playing
+// and ask SCREEN_TIME.lock() before gameplay. Once a limit is hit
+// SlashGame lets the current battle finish ("Riku needs a nap") and
+// the home screen stops nudging. Limits travel with the child in
+// save files and sync; the play log stays on this device.
+// ============================================================
+
+const SCREEN_LIMITS_KEY = 'samurice_limits';
+const SCREEN_LOG_KEY    = 'samurice_playtime_v1';
+const SCREEN_BREAK_MIN  = 15;    // a gap this long ends a session
+const SCREEN_LOG_DAYS   = 30;
+const SCREEN_SAVE_SEC   = 10;    // write the log at most this often while playing
+const SCREEN_WIND_DOWN_MIN = 5;  // a run still going this long after a limit is stopped
+
+class ScreenTime {
+  constructor() {
+    this._pid = null;
+    this._unsaved = 0;
+  }
+
+  // ── Limits (per child) ───────────────────────────────────
+  limits() {
+    this._ensure();
+    return { ...this._limits };
+  }
+
+  // Numbers ≤ 0 or '' clear a limit; both quiet times are needed
+  setLimits(partial) {
+    this._ensure();
+    const mins = (v) => (Number(v) > 0 ? Math.round(Number(v)) : null);
+    const time = (v) => (/^\d{2}:\d{2}$/.test(v || '') ? v : null);
+    const next = { ...this._limits, ...partial };
+    this._limits = {
+      dailyMin:   mins(next.dailyMin),
+      sessionMin: mins(next.sessionMin),
+      quietFrom:  time(next.quietFrom),
+      quietTo:    time(next.quietTo),
+    };
+    this._limitsRaw = JSON.stringify(this._limits);
+    STORE.setItem(PROFILES.key(SCREEN_LIMITS_KEY), this._limitsRaw);
+    window._progressTracker?.markSyncDirty?.();
+  }
+
+  // ── Counting ─────────────────────────────────────────────
+  // Add `sec` seconds of play. A gap of SCREEN_BREAK_MIN since the
+  // last tick starts a new session.
+  tick(sec, now = Date.now()) {
+    if (!(sec > 0)) return;
+    this._ensure();
+    const log = this._log;
+    if (!log.lastPlayAt || now - log.lastPlayAt >= SCREEN_BREAK_MIN * 60000) {
+      log.sessionSec = 0;
+      this._day(now).sessions++;
+    }
+    log.sessionSec += sec;
+    log.lastPlayAt = now;
+    this._day(now).sec += sec;
+    this._unsaved += sec;
+    if (this._unsaved >= SCREEN_SAVE_SEC) this.flush();
+  }
+
+  flush() {
+    if (!this._log || !this._unsaved) return;
+    this._unsaved = 0;
+    STORE.setItem(this._logKey, JSON.stringify(this._log));
+  }
+
+  // ── Locks ────────────────────────────────────────────────
+  // Whether play is closed right now, and why:
+  //   → null, or { kind: 'quiet' | 'daily' | 'session', until: Date, text }
+  // Quiet hours win over the others, since they usually last longest.
+  lock(now = new Date()) {
+    this._ensure();
+    const lim = this._limits;
+    if (lim.quietFrom && lim.quietTo && this._inQuiet(now, lim.quietFrom, lim.quietTo)) {
+      const until = this._at(now, lim.quietTo);
+      return { kind: 'quiet', until, text: `It's quiet time until ${this._clock(until)}. Riku is fast asleep.` };
+    }
+    if (lim.dailyMin && this.todaySec(now) >= lim.dailyMin * 60) {
+      const until = new Date(now.getTime() + CALENDAR.msUntilMidnight(now));
+      return { kind: 'daily', until, text: "That's all the play time for today. Riku will be ready tomorrow!" };
+    }
+    const log = this._log;
+    const breakMs = SCREEN_BREAK_MIN * 60000;
+    if (lim.sessionMin && log.sessionSec >= lim.sessionMin * 60 && now - log.lastPlayAt < breakMs) {
+      const until = new Date(log.lastPlayAt + breakMs);
+      const mins = Math.max(1, Math.ceil((until - now) / 60000));
+      return { kind: 'session', until, text: `Time for a break! Riku can play again in ${mins} minute${mins === 1 ? '' : 's'}.` };
+    }
+    return null;
+  }
+
+  todaySec(now = new Date()) {
+    this._ensure();
+    return this._log.days[CALENDAR.dateStr(0, now)]?.sec || 0;
+  }
+
+  // Minutes left today before a daily or session limit; null with neither
+  minutesLeft(now = new Date()) {
+    this._ensure();
+    const lim = this._limits;
+    const left = [];
+    if (lim.dailyMin) left.push(lim.dailyMin - this.todaySec(now) / 60);
+    if (lim.sessionMin && now - this._log.lastPlayAt < SCREEN_BREAK_MIN * 60000) {
+      left.push(lim.sessionMin - this._log.sessionSec / 60);
+    }
+    return left.length ? Math.max(0, Math.floor(Math.min(...left))) : null;
+  }
+
+  // The last `n` days, today first: [{ date, sec, sessions }]
+  history(n = 7) {
+    this._ensure();
+    return Array.from({ length: n }, (_, i) => {
+      const date = CALENDAR.dateStr(-i);
+      const d = this._log.days[date];
+      return { date, sec: d?.sec || 0, sessions: d?.sessions || 0 };
+    });
+  }
+
+  // ── Internals ────────────────────────────────────────────
+  // Re-read the log when the active child changes, and the limits
+  // whenever their stored text does (a save file or a sync can
+  // replace them)
+  _ensure() {
+    if (this._pid !== PROFILES.activeId()) {
+      this.flush();
+      this._pid = PROFILES.activeId();
+      this._logKey = PROFILES.key(SCREEN_LOG_KEY);
+      let log = null;
+      try { log = JSON.parse(STORE.getItem(this._logKey) || 'null'); } catch { /* start a fresh log */ }
+      this._log = { days: {}, lastPlayAt: 0, sessionSec: 0, ...log };
+    }
+    const raw = STORE.getItem(PROFILES.key(SCREEN_LIMITS_KEY));
+    if (this._limits && raw === this._limitsRaw) return;
+    let saved = null;
+    try { saved = JSON.parse(raw || 'null'); } catch { /* no limits */ }
+    this._limitsRaw = raw;
+    this._limits = { dailyMin: null, sessionMin: null, quietFrom: null, quietTo: null, ...saved };
+  }
+
+  _day(now) {
+    const date = CALENDAR.dateStr(0, new Date(now));
+    const days = this._log.days;
+    if (!days[date]) {
+      days[date] = { sec: 0, sessions: 0 };
+      const keep = CALENDAR.dateStr(-SCREEN_LOG_DAYS, new Date(now));
+      Object.keys(days).forEach(d => { if (d < keep) delete days[d]; });
+    }
+    return days[date];
+  }
+
+  _mins(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+  }
+
+  _inQuiet(now, from, to) {
+    const m = now.getHours() * 60 + now.getMinutes();
+    const a = this._mins(from), b = this._mins(to);
+    if (a === b) return false;
+    return a < b ? m >= a && m < b : m >= a || m < b;
+  }
+
+  // The next time the clock reads `hhmm`, from `now`
+  _at(now, hhmm) {
+    const m = this._mins(hhmm);
+    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate(), Math.floor(m / 60), m % 60);
+    if (d <= now) d.setDate(d.getDate() + 1);
+    return d;
+  }
+
+  _clock(d) {
+    return d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  }
+}
+
+const SCREEN_TIME = new ScreenTime();
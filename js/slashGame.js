@@ -189,7 +189,8 @@ const SLASH_SPRITE_SHEETS = {
 })();
 // Sticky low-effects mode: once a device proves slow it stays in the
 // fast path on future visits instead of stuttering for 2s every boot.
-window.LOW_FX = localStorage.getItem('samurice_lowfx') === '1';
+// Read at boot, once the save store is open (see index.html).
+window.LOW_FX = false;
 
 // ─────────────────────────────────────────────────────────────
 // SLASH GAME
@@ -242,6 +243,8 @@ class SlashGame {
     this._lastRunnerHp = null;
     this._stageWinMastery = null;
     this._battleResults   = null;  // Phase 8: summary captured before battle destroy
+    this._reviewBattle    = false; // current battle is a Review Dojo round, not a stage
+    this._placementBattle = false; // current battle is a placement probe (js/placement.js)
     this._brStars         = null;  // Phase 8: star-field particles for results card
     this._tutorial = null; // first-play interactive runner tutorial
     // World map animation
@@ -593,7 +596,7 @@ class SlashGame {
   _handleCanvasClick(mx, my) {
     // Soft UI tap sound on menu-style screens (gameplay has its own SFX)
     const MENU_STATES = new Set(['title','mode-select','menu','stage-select','world-map',
-                                 'shop','daily','achievements','leaderboard','stage-win','stage-lose']);
+                                 'shop','daily','achievements','leaderboard','stage-win','stage-lose','placement-result']);
     if (MENU_STATES.has(this.state)) this.audio?.sfxClick?.();
     // PHASE 6: onboarding tutorial click routing
     if (this.state === 'onboarding' && this._onboardingTutorial) {
@@ -641,7 +644,8 @@ class SlashGame {
       if (rq && mx >= rq.x && mx <= rq.x+rq.w && my >= rq.y && my <= rq.y+rq.h) {
         this.battle._stopBlendTimer(); this.battle._paused = false; this.battle = null;
         this._hidePauseBtn(); this.overlay.classList.add('hidden'); this.overlay.innerHTML = '';
-        this.audio.stopMusic(); this.state = 'world-map'; return;
+        this.audio.stopMusic(); this.state = this._reviewBattle || this._placementBattle ? 'mode-select' : 'world-map';
+        this._reviewBattle = false; this._placementBattle = false; this._placement = null; return;
       }
       return;
     }
@@ -671,12 +675,19 @@ class SlashGame {
     }
     // Leaderboard
     if (this.state === 'leaderboard') {
-      this.state = 'mode-select'; return;
+      this._clickLeaderboard(mx, my); return;
+    }
+    if (this.state === 'nap') {
+      this.state = 'mode-select'; this._stateEntryFade = 1.0; return;
+    }
+    if (this.state === 'placement-result') {
+      this._clickPlacementResult(mx, my); return;
     }
     // Phase 9: Dashboard back button
     if (this.state === 'dashboard') {
       const r = this._dashBackRect;
       if (r && mx >= r.x && mx <= r.x + r.w && my >= r.y && my <= r.y + r.h) {
+        PARENT_GATE.lock();
         this.state = 'mode-select';
       }
       return;
@@ -695,8 +706,11 @@ class SlashGame {
       // Relaxed mode toggle (top-right button)
       const rt = this._relaxedToggleRect;
       if (rt && mx >= rt.x && mx <= rt.x + rt.w && my >= rt.y && my <= rt.y + rt.h) {
-        const next = localStorage.getItem('samurice_relaxed') === '1' ? '0' : '1';
-        localStorage.setItem('samurice_relaxed', next);
+        PARENT_GATE.check('switch Relaxed Mode').then(ok => {
+          if (!ok) return;
+          const next = STORE.getItem(PROFILES.key('samurice_relaxed')) === '1' ? '0' : '1';
+          STORE.setItem(PROFILES.key('samurice_relaxed'), next);
+        });
         return;
       }
       const ids = PHONICS_DATA.stagesInWorld(this._worldSel + 1);
@@ -775,6 +789,30 @@ class SlashGame {
     this.audio?.sfxSlash?.();
   }
 
+  // ── Launching a next step ────────────────────────────────────
+  // `launch` is a step's target from ProgressTracker.getRecommendations()
+  // (the parent dashboard's "What to practise next"). A game opened
+  // for it waits for the preload before starting.
+  launchStep(launch) {
+    if (!this._spritesReady || !this._sheetsReady || !this._audioReady) { this._pendingStep = launch; return; }
+    this._pendingStep = null;
+    this.state = 'mode-select';
+    this._stateEntryFade = 1.0;
+    if (launch?.mode === 'stage') {
+      const stage = PHONICS_DATA.getStage(launch.stageId);
+      if (!stage) return;
+      // Back from the stage lands on its own world's map
+      this._worldSel = (stage.world || 1) - 1;
+      this._launchStage(stage.id);
+    } else if (launch?.mode === 'review') {
+      this._startReviewDojo();
+    } else if (launch?.mode === 'daily-set') {
+      this._startDaily(launch.theme);
+    } else if (launch?.mode === 'placement') {
+      this._startPlacement();
+    }
+  }
+
   // ── Stage launch ─────────────────────────────────────────────
   _launchStage(id) {
     if (!this.progress.isUnlocked(id)) return;
@@ -783,6 +821,7 @@ class SlashGame {
     this.overlay.classList.add('hidden');
     this.audio.preloadStage(id);
     this._stageStartedAt = Date.now();
+    XAPI.stageAttempted(id);
     this._lastRunnerHp = null;
     this._stageWinMastery = null;
     this._battleResults   = null;
@@ -982,8 +1021,183 @@ class SlashGame {
       this.sprites, this.audio, this.progress, this.W, this.H,
     );
     if (this._runnerAllCoins) { this.battle.applyCoinBonus(); this._runnerAllCoins = false; }
+    this._reviewBattle = false;
     this.state = 'battle';
   }
+  // ── REVIEW DOJO ──────────────────────────────────────────────
+  // A straight-to-battle round of words due for spaced review, drawn
+  // from every cleared stage. Fought in the arena of the furthest
+  // cleared stage; the boss has just enough HP for the due words.
+  _startReviewDojo() {
+    const words = this.progress.getDueReviewWords({ limit: 8 });
+    if (!words.length) return;
+    const lastCleared = PHONICS_DATA.stageList.filter(st => this.progress.getStage(st.id).completedAt).pop();
+    const stage = {
+      ...lastCleared,
+      name: '🥋 Review Dojo',
+      bossName: 'Dojo Sensei',
+      isBoss: false,
+      review: true,
+      activities: ['segment-it'],
+      challengeEvery: 3,
+      sentences: [],
+      bossHp: Math.round(words.reduce((n, w) => n + (w.damage || 20), 0) * 0.9),
+      words,
+    };
+    this.audio.stopMusic();
+    this._stateEntryFade = 0.8;
+    this.overlay.classList.remove('hidden');
+    this.overlay.classList.add('active');
+    this.overlay.innerHTML = '';
+    this._showPauseBtn();
+    this.battle = new BattleEngine(
+      this.canvas, this.overlay, stage, [],
+      this.sprites, this.audio, this.progress, this.W, this.H,
+    );
+    this._reviewBattle = true;
+    this.state = 'battle';
+  }
+  // Review ends back on the mode screen: rice for each word blended,
+  // win or lose — the point was the practice.
+  _onReviewDone() {
+    const battle = this.battle;
+    const blended = battle?._correctBlends ?? 0;
+    const rice = blended * 10;
+    if (rice > 0) this.progress.addRiceGrains(rice);
+    this._hidePauseBtn();
+    this.overlay.classList.remove('active');
+    this.overlay.classList.add('hidden');
+    this.overlay.innerHTML = '';
+    if (battle) { battle.destroy(); this.battle = null; }
+    this._reviewBattle = false;
+    this.audio.stopMusic();
+    if (battle?.outcome === 'victory') this.audio.sfxVictory();
+    const left = this.progress.getReviewDueCount();
+    this._queueAchievementPopup({
+      emoji: '🥋', name: battle?.outcome === 'victory' ? 'Dojo Cleared!' : 'Good Practice!',
+      desc: `${blended} word${blended === 1 ? '' : 's'} reviewed · +${rice} rice${left ? ` · ${left} still due` : ''}`,
+    });
+    this.state = 'mode-select';
+    this._stateEntryFade = 1.0;
+  }
+  // ── PLACEMENT CHECK (js/placement.js) ────────────────────────
+  // One short battle per rung of the ladder. A probe ends once
+  // PLACEMENT_ROUNDS rounds are over (or the battle ends first), and
+  // only answers right on the first try count, so guessing through a
+  // four-card mini-game doesn't pass it.
+  _startPlacement() {
+    this._placement = new PlacementTest();
+    this._placementResult = null;
+    this._nextPlacementProbe();
+  }
+  _nextPlacementProbe() {
+    const test = this._placement;
+    const stage = test && !test.done ? test.probeStage() : null;
+    if (!stage) { this._finishPlacement(); return; }
+    const lv = test.current();
+    this._startTransition(`🧭 Placement check\n${lv.emoji} ${lv.name}`, () => {
+      this.audio.stopMusic();
+      this.overlay.classList.remove('hidden');
+      this.overlay.classList.add('active');
+      this.overlay.innerHTML = '';
+      this._showPauseBtn();
+      this.battle = new BattleEngine(
+        this.canvas, this.overlay, stage, [],
+        this.sprites, this.audio, this.progress, this.W, this.H,
+      );
+      this._placementBattle = true;
+      this.state = 'battle';
+    }, 90);
+  }
+  _onPlacementProbeDone() {
+    const battle = this.battle;
+    const rounds = Math.min(PLACEMENT_ROUNDS, battle?._roundsDone ?? 0);
+    const right  = Math.min(rounds, battle?._firstTryCorrect ?? 0);
+    this._hidePauseBtn();
+    this.overlay.classList.remove('active');
+    this.overlay.classList.add('hidden');
+    this.overlay.innerHTML = '';
+    if (battle) { battle.destroy(); this.battle = null; }
+    this._placementBattle = false;
+    this.audio.stopMusic();
+    this._placement?.record(right, rounds);
+    this._nextPlacementProbe();
+  }
+  _finishPlacement() {
+    if (!this._placement) { this.state = 'mode-select'; return; }
+    const result = this._placement.result();
+    this._placement = null;
+    this.progress.recordPlacement(result);
+    this._placementResult = result;
+    this.audio.sfxVictory?.();
+    this.state = 'placement-result';
+    this._stateEntryFade = 1.0;
+  }
+  _drawPlacementResult() {
+    const ctx = this.ctx, W = this.W, H = this.H;
+    const res = this._placementResult;
+    if (!res) { this.state = 'mode-select'; return; }
+    ctx.clearRect(0, 0, W, H);
+    const bg = ctx.createLinearGradient(0, 0, 0, H);
+    bg.addColorStop(0, '#0d2040'); bg.addColorStop(1, '#1a3a2a');
+    ctx.fillStyle = bg; ctx.fillRect(0, 0, W, H);
+    ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+    ctx.font = `bold ${Math.min(24,W*0.058)}px Arial Black, sans-serif`;
+    ctx.fillStyle = '#FFD700'; ctx.strokeStyle = '#000'; ctx.lineWidth = 5;
+    ctx.strokeText('🧭 PLACEMENT CHECK', W/2, 12);
+    ctx.fillText('🧭 PLACEMENT CHECK', W/2, 12);
+    // One row per rung tried
+    const rowH = Math.min(40, (H * 0.4) / Math.max(1, res.levels.length));
+    res.levels.forEach((lv, i) => {
+      const y = 56 + i * rowH;
+      ctx.fillStyle = lv.passed ? 'rgba(0,255,136,0.12)' : 'rgba(255,138,128,0.12)';
+      ctx.strokeStyle = lv.passed ? '#00FF88' : '#FF8A80';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath(); ctx.roundRect(W*0.1, y, W*0.8, rowH - 4, 8); ctx.fill(); ctx.stroke();
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'left'; ctx.font = `bold ${Math.min(15,W*0.036)}px Arial, sans-serif`;
+      ctx.fillStyle = '#fff';
+      ctx.fillText(`${lv.passed ? '✅' : '🌱'} ${lv.name}`, W*0.13, y + (rowH - 4)/2);
+      ctx.textAlign = 'right'; ctx.fillStyle = 'rgba(255,255,255,0.7)';
+      ctx.fillText(`${lv.right}/${lv.rounds}`, W*0.87, y + (rowH - 4)/2);
+    });
+    // The suggestion
+    const world = PHONICS_DATA.getWorld(res.world);
+    const sy = 66 + res.levels.length * rowH;
+    ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+    ctx.font = `bold ${Math.min(18,W*0.044)}px Arial, sans-serif`;
+    ctx.fillStyle = '#4ECDC4';
+    ctx.fillText(`Best place to start: World ${res.world}`, W/2, sy);
+    ctx.font = `${Math.min(15,W*0.036)}px Arial, sans-serif`;
+    ctx.fillStyle = 'rgba(255,255,255,0.8)';
+    if (world) ctx.fillText(`${world.icon || ''} ${world.name} · ${world.skill}`.trim(), W/2, sy + 26);
+    // Buttons: skip ahead, or start at the beginning anyway
+    const btnW = Math.min(W*0.7, 280), btnH = 46, btnX = (W - btnW)/2;
+    const buttons = res.world > 1
+      ? [{ label: `🚀 START AT WORLD ${res.world}`, action: 'skip', fill: '#FFD700', text: '#000' },
+         { label: 'Start from World 1', action: 'start', fill: 'rgba(255,255,255,0.12)', text: '#fff' }]
+      : [{ label: '⚔️ LET\'S GO!', action: 'start', fill: '#FFD700', text: '#000' }];
+    this._placementRects = [];
+    buttons.forEach((b, i) => {
+      const y = H * 0.7 + i * (btnH + 10);
+      ctx.fillStyle = b.fill; ctx.strokeStyle = '#FF8C00'; ctx.lineWidth = 2;
+      ctx.beginPath(); ctx.roundRect(btnX, y, btnW, btnH, 12); ctx.fill(); ctx.stroke();
+      ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+      ctx.font = `bold ${Math.min(16,W*0.04)}px Arial Black, sans-serif`;
+      ctx.fillStyle = b.text; ctx.fillText(b.label, W/2, y + btnH/2);
+      this._placementRects.push({ x: btnX, y, w: btnW, h: btnH, action: b.action });
+    });
+  }
+  _clickPlacementResult(mx, my) {
+    const r = (this._placementRects || []).find(r => mx >= r.x && mx <= r.x+r.w && my >= r.y && my <= r.y+r.h);
+    if (!r) return;
+    const world = r.action === 'skip' ? this._placementResult.world : 1;
+    if (r.action === 'skip') this.progress.applyPlacement();
+    this._placementResult = null;
+    this._worldSel = world - 1;
+    this.state = 'world-map';
+    this._stateEntryFade = 1.0;
+  }
   // ── STAGE WIN ────────────────────────────────────────────────
   _onStageWin() {
     this._hidePauseBtn();
@@ -992,9 +1206,16 @@ class SlashGame {
     this._lastBattleAccuracy = this.battle?.getAccuracyPercent?.() ?? null;
     const runnerScore = this._lastRunnerScore || 0;
     const score = battleScore + runnerScore;
+    const starsBefore = this.progress.getStars(this.stageId);
     this.progress.completeStage(this.stageId, score);
 
     const clearSec = this._stageStartedAt ? (Date.now() - this._stageStartedAt) / 1000 : null;
+    const stars = this.progress.getStars(this.stageId);
+    XAPI.stageEnded(this.stageId, {
+      passed: true, score, stars, sec: clearSec,
+      accuracy: this._lastBattleAccuracy != null ? this._lastBattleAccuracy / 100 : null,
+    });
+    if (stars === 3 && starsBefore < 3) XAPI.stageMastered(this.stageId);
     const runnerTookHit = typeof this._lastRunnerHp === 'number' ? this._lastRunnerHp < 3 : false;
     const battleTookHit = this.battle ? this.battle.rikuHp < this.battle.rikuMaxHp : false;
     const masteryResult = {
@@ -1059,6 +1280,12 @@ class SlashGame {
   // ── STAGE LOSE ───────────────────────────────────────────────
   _onStageLose() {
     this._hidePauseBtn();
+    const accuracy = this.battle?.getAccuracyPercent?.();
+    XAPI.stageEnded(this.stageId, {
+      passed: false,
+      accuracy: accuracy != null ? accuracy / 100 : null,
+      sec: this._stageStartedAt ? (Date.now() - this._stageStartedAt) / 1000 : null,
+    });
     this.overlay.classList.remove('active');
     this.overlay.classList.add('hidden');
     this.overlay.innerHTML = '';
@@ -1124,6 +1351,122 @@ class SlashGame {
     }
   }
 
+  // ── Screen time (js/screenTime.js) ───────────────────────────
+  // Counts play while the game is on screen. A limit reached mid-play
+  // starts a wind-down: the current battle is fought to the end (an
+  // endless run ends after it), then gameplay stays closed and any
+  // attempt to start more goes to the nap screen instead.
+  _checkScreenTime(isGameplay, elapsedMs) {
+    const lock = SCREEN_TIME.lock();
+    if (this.state !== 'nap' && this.state !== 'dashboard' && (!lock || this._windDown)) {
+      SCREEN_TIME.tick(Math.min(elapsedMs, 250) / 1000);
+    }
+    const wasGameplay = this._wasGameplay;
+    this._wasGameplay = isGameplay;
+    if (!lock || !isGameplay) { this._windDown = null; return; }
+    if (!this._windDown) {
+      if (!wasGameplay) { this._startNap(lock); return; }
+      this._windDown = { since: performance.now(), battled: false };
+    }
+    const s = this.state;
+    const inBattle = s === 'battle' || s === 'endless-battle' || s === 'boss-defeated';
+    if (inBattle) { this._windDown.battled = true; return; }
+    const overdue = performance.now() - this._windDown.since > SCREEN_WIND_DOWN_MIN * 60000;
+    if (s === 'endless-runner' && (this._windDown.battled || overdue)) {
+      this._windDown = null;
+      this._endEndlessRun();
+    } else if (overdue) {
+      this._startNap(lock);
+    }
+  }
+
+  _startNap(lock) {
+    this._windDown = null;
+    if (this.runner) { this.runner.destroy(); this.runner = null; }
+    if (this.battle) { this.battle.destroy(); this.battle = null; }
+    if (this.endlessRunner) this._stopEndlessRunner();
+    this._reviewBattle = false;
+    this._placementBattle = false;
+    this._placement = null;
+    this._hidePauseBtn();
+    this._hideDpad();
+    this.overlay.classList.remove('active');
+    this.overlay.classList.add('hidden');
+    this.overlay.innerHTML = '';
+    this.audio.stopMusic();
+    SCREEN_TIME.flush();
+    this._napLock = lock;
+    this._napAge = 0;
+    this.state = 'nap';
+    this._stateEntryFade = 1.0;
+  }
+
+  _drawNap() {
+    const ctx = this.ctx;
+    const W = this.W, H = this.H;
+    const t = ++this._napAge;
+    // The lock can lift while this screen is up (a break ends)
+    if (t % 30 === 0) this._napLock = SCREEN_TIME.lock();
+    const sky = ctx.createLinearGradient(0, 0, 0, H);
+    sky.addColorStop(0, '#0b1026');
+    sky.addColorStop(1, '#1c2452');
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, W, H);
+    ctx.save();
+    ctx.fillStyle = '#FFF3C4';
+    ctx.shadowColor = '#FFE082'; ctx.shadowBlur = 24;
+    ctx.beginPath(); ctx.arc(W * 0.8, H * 0.18, Math.min(W, H) * 0.06, 0, Math.PI * 2); ctx.fill();
+    ctx.restore();
+    const riku = this.sprites['riku-idle'] || this.sprites['riku-run'];
+    const rikuH = Math.round(Math.min(H * 0.3, 180));
+    const rikuY = H * 0.5 - rikuH;
+    if (riku && riku.complete && riku.naturalWidth > 0) {
+      const rW = rikuH * riku.naturalWidth / riku.naturalHeight;
+      ctx.save();
+      ctx.globalAlpha = 0.9;
+      ctx.drawImage(riku, W / 2 - rW / 2, rikuY + Math.sin(t * 0.03) * 3, rW, rikuH);
+      ctx.restore();
+    }
+    ctx.save();
+    ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    for (let i = 0; i < 3; i++) {
+      const k = ((t * 0.6 + i * 40) % 120) / 120;
+      ctx.globalAlpha = 1 - k;
+      ctx.font = `bold ${16 + i * 6}px "Nunito", system-ui`;
+      ctx.fillStyle = '#B3E5FC';
+      ctx.fillText('Z', W / 2 + rikuH * 0.35 + k * 40 + i * 10, rikuY - k * 60);
+    }
+    ctx.globalAlpha = 1;
+    ctx.font = `bold ${Math.min(30, W * 0.065)}px "Nunito", "Comic Sans MS", system-ui`;
+    ctx.fillStyle = '#FFD700';
+    ctx.fillText('💤 Riku needs a nap', W / 2, H * 0.6);
+    ctx.font = `${Math.min(16, W * 0.038)}px "Nunito", system-ui`;
+    ctx.fillStyle = '#E3F2FD';
+    ctx.fillText(this._napLock ? this._napLock.text : 'Riku is awake again!', W / 2, H * 0.6 + 40, W - 40);
+    ctx.fillStyle = 'rgba(255,255,255,0.55)';
+    ctx.font = `${Math.min(13, W * 0.032)}px "Nunito", system-ui`;
+    ctx.fillText('Tap to go back', W / 2, H - 36);
+    ctx.restore();
+  }
+
+  // Shown over gameplay while a stage winds down to a nap
+  _drawWindDown() {
+    const ctx = this.ctx;
+    const text = '😴 Riku is getting sleepy: last battle, then nap time!';
+    ctx.save();
+    ctx.font = `bold ${Math.min(15, this.W * 0.034)}px "Nunito", system-ui`;
+    const w = Math.min(this.W - 24, ctx.measureText(text).width + 32);
+    const x = (this.W - w) / 2, y = 10;
+    ctx.globalAlpha = 0.75 + 0.25 * Math.sin(this._age * 0.08);
+    ctx.fillStyle = 'rgba(20,24,60,0.85)';
+    ctx.beginPath(); ctx.roundRect(x, y, w, 32, 16); ctx.fill();
+    ctx.strokeStyle = '#B3E5FC'; ctx.lineWidth = 1.5; ctx.stroke();
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillText(text, this.W / 2, y + 16, w - 16);
+    ctx.restore();
+  }
+
   // ── MAIN LOOP ─────────────────────────────────────────────────
   _loop() {
     this._rafId = requestAnimationFrame(this._loop);
@@ -1151,13 +1494,15 @@ class SlashGame {
       const avg = this._fpsSamples.reduce((a, b) => a + b, 0) / this._fpsSamples.length;
       if (avg < 40) {
         window.LOW_FX = true;
-        try { localStorage.setItem('samurice_lowfx', '1'); } catch (_) {}
+        STORE.setItem('samurice_lowfx', '1');
         this._dpr = 1;
         if (this._resizeCanvas) this._resizeCanvas();
       }
     }
     // Block all states until sprites + sheets + audio preload are ready.
     if (!this._spritesReady || !this._sheetsReady || !this._audioReady) { this._drawLoading(); return; }
+    if (this._pendingStep) this.launchStep(this._pendingStep);
+    this._checkScreenTime(isGameplay, elapsedMs);
     // Tick achievement popup
     this._tickAchievementPopup();
     this._syncShellMusic();
@@ -1182,7 +1527,10 @@ class SlashGame {
       case 'achievements': this._updateAchievements(); break;
       case 'leaderboard': this._updateLeaderboard(); break;
       case 'dashboard':   this._drawDashboard(); break;  // Phase 9
+      case 'nap':         this._drawNap(); break;
+      case 'placement-result': this._drawPlacementResult(); break;
     }
+    if (this._windDown) this._drawWindDown();
     // Achievement popup on top of everything
     this._drawAchievementPopup();
     if (this._debugOverlay) this._drawDebugOverlay();
@@ -1225,9 +1573,34 @@ class SlashGame {
       ctx.fillStyle = i === 0 ? '#7CFFB2' : '#E9FFF2';
       ctx.fillText(line, 12 + pad, 12 + pad + i * 18);
     });
+    this._drawDecodabilityPanel(12, 12 + boxH + 8, boxW);
     ctx.restore();
   }
 
+  // Scope-and-sequence warnings (PHONICS_DATA.checkDecodability) for the
+  // loaded campaign. Cached per stage list, so loading a content pack
+  // re-runs the check.
+  _drawDecodabilityPanel(x, y, w) {
+    if (this._decodeCache?.list !== PHONICS_DATA.stageList) {
+      this._decodeCache = { list: PHONICS_DATA.stageList, report: PHONICS_DATA.checkDecodability() };
+    }
+    const { issues } = this._decodeCache.report;
+    const MAX_ROWS = 8;
+    const rows = issues.slice(0, MAX_ROWS).map(it =>
+      `${it.label} ${it.kind === 'sentence' ? '“' + it.word + '”' : it.word} → ${it.missing.join(', ')}`);
+    if (issues.length > MAX_ROWS) rows.push(`…+${issues.length - MAX_ROWS} more (tools/check-decodability.js)`);
+    const ctx = this.ctx;
+    const h = 20 + (rows.length + 1) * 18;
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = issues.length ? 'rgba(255,200,80,0.85)' : 'rgba(120,255,180,0.8)';
+    ctx.strokeRect(x, y, w, h);
+    ctx.fillStyle = issues.length ? '#FFD180' : '#7CFFB2';
+    ctx.fillText(issues.length ? `DECODABILITY ⚠ ${issues.length} undecodable` : 'DECODABILITY ✔ all decodable', x + 8, y + 8);
+    ctx.fillStyle = '#FFF3E0';
+    rows.forEach((row, i) => ctx.fillText(row, x + 8, y + 8 + (i + 1) * 18, w - 16));
+  }
+
   // ── MENU STATE ───────────────────────────────────────────────
   _updateMenu() {
     this._drawMenu();
@@ -1571,7 +1944,7 @@ class SlashGame {
     }
     // ── Relaxed Mode toggle (top-right corner of header) ───────
     // Lets parents/teachers turn off the timer penalty for early learners.
-    const relaxed = localStorage.getItem('samurice_relaxed') === '1';
+    const relaxed = STORE.getItem(PROFILES.key('samurice_relaxed')) === '1';
     const btnW = Math.min(130, W * 0.30);
     const btnH = 26;
     const btnX = W - btnW - 10;
@@ -1756,20 +2129,53 @@ class SlashGame {
     const lavaR = 80 + Math.sin(t * 0.08) * 40;
     ctx.fillStyle = `rgba(255,${lavaR},0,0.60)`;
     ctx.beginPath(); ctx.ellipse(Math.min(W * 0.97, W - 8), H * 0.38, 14, 8, 0, 0, Math.PI * 2); ctx.fill();
+    // Storm castle under a thundercloud (stage 7 area, top-right)
+    const scX = W * 0.90; const scY = H * 0.20;
+    ctx.fillStyle = 'rgba(55,71,79,0.62)';
+    ctx.fillRect(scX - 26, scY - 30, 52, 34);
+    ctx.fillRect(scX - 34, scY - 46, 14, 50);
+    ctx.fillRect(scX + 20, scY - 46, 14, 50);
+    ctx.fillStyle = 'rgba(84,110,122,0.55)';
+    ctx.beginPath(); ctx.ellipse(scX, scY - 64, 48, 16, 0, 0, Math.PI * 2); ctx.fill();
+    ctx.beginPath(); ctx.ellipse(scX - 26, scY - 58, 26, 12, 0, 0, Math.PI * 2); ctx.fill();
+    if (Math.floor(t / 6) % 40 === 0) {
+      ctx.strokeStyle = 'rgba(255,241,118,0.85)'; ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(scX + 8, scY - 52); ctx.lineTo(scX - 2, scY - 36); ctx.lineTo(scX + 6, scY - 34); ctx.lineTo(scX - 4, scY - 18);
+      ctx.stroke();
+    }
+    // Moonlit scroll library (stage 8 area, top-left)
+    const slX = W * 0.14; const slY = H * 0.30;
+    ctx.fillStyle = 'rgba(255,248,225,0.72)';
+    ctx.beginPath(); ctx.arc(slX - 30, slY - 72, 14, 0, Math.PI * 2); ctx.fill();
+    ctx.fillStyle = 'rgba(69,39,160,0.55)';
+    ctx.fillRect(slX - 24, slY - 30, 48, 30);
+    ctx.beginPath();
+    ctx.moveTo(slX - 36, slY - 30); ctx.lineTo(slX, slY - 52); ctx.lineTo(slX + 36, slY - 30);
+    ctx.closePath(); ctx.fill();
+    ctx.fillStyle = 'rgba(255,236,179,0.70)';
+    for (let k = 0; k < 2; k++) ctx.fillRect(slX - 16, slY - 22 + k * 10, 32, 4);
 
     // ── Stage node positions ──────────────────────────────────
     const margin = 52;
     const mapTop = 66;
     const mapBot = H - 36;
     const mapH   = mapBot - mapTop;
-    const nodes  = [
+    const layout = [
       { fx: 0.12, fy: 0.74 }, // Stage 1 — rice paddy (bottom-left)
       { fx: 0.35, fy: 0.60 }, // Stage 2 — bamboo (center-left)
       { fx: 0.58, fy: 0.48 }, // Stage 3 — temple (center)
       { fx: 0.44, fy: 0.30 }, // Stage 4 — ruins (upper-center)
       { fx: 0.68, fy: 0.18 }, // Stage 5 — mountain (upper-right)
       { fx: 0.88, fy: 0.36 }, // Stage 6 — volcano (right)
-    ].map(n => ({
+      { fx: 0.90, fy: 0.08 }, // Stage 7 — storm castle (top-right)
+      { fx: 0.28, fy: 0.05 }, // Stage 8 — scroll library (top-left)
+    ];
+    // Content packs may bring more worlds than the hand-placed path:
+    // the extras line up along the bottom edge, right to left.
+    const nodes = PHONICS_DATA.WORLDS.map((w, i) => layout[i] || {
+      fx: Math.max(0.04, 0.88 - (i - layout.length) * 0.16), fy: 0.88,
+    }).map(n => ({
       cx: margin + n.fx * (W - margin * 2),
       cy: mapTop + n.fy * mapH,
     }));
@@ -1812,8 +2218,8 @@ class SlashGame {
     }
     ctx.restore();
 
-    // ── World nodes (6 worlds along the path) ─────────────────
-    const worldAccents = ['#8BC34A','#4CAF50','#E91E63','#FF9800','#42A5F5','#FF5722'];
+    // ── World nodes (one per world along the path) ────────────
+    const worldAccents = ['#8BC34A','#4CAF50','#E91E63','#FF9800','#42A5F5','#FF5722','#7C4DFF','#26A69A'];
     PHONICS_DATA.WORLDS.forEach((world, i) => {
       const n       = nodes[i];
       if (!n) return;
@@ -2208,8 +2614,12 @@ class SlashGame {
       const intensity = 1 - (this.battle.bossHp / this.battle.bossMaxHp);
       this.audio.setMusicIntensity?.(Math.min(1, intensity + 0.2));
     }
+    // A placement probe stops once its rounds are over (the next
+    // round has started), without waiting for a knockout
+    if (this._placementBattle && (this.battle.done || this.battle._roundNum > PLACEMENT_ROUNDS)) { this._onPlacementProbeDone(); return; }
     if (!this.battle.done) return;
-    if (this.battle.outcome === 'victory') this._onStageWin();
+    if (this._reviewBattle) this._onReviewDone();
+    else if (this.battle.outcome === 'victory') this._onStageWin();
     else this._onStageLose();
   }
   // ── PHASE 8: POST-BATTLE REWARDS SCREEN ──────────────────────
@@ -2539,7 +2949,8 @@ class SlashGame {
   // ── READ WITH RIKU — decodable-sentence capstone ──────────────
   // After each world boss, the child reads real sentences built only
   // from patterns they've been taught (PhonicsQuest journey step 5:
-  // reading independently). Every word is tappable for TTS support.
+  // reading independently). Every word is tappable for TTS support, and
+  // a grown-up can time the passage as a reading sprint (fluencySprint.js).
   _openStoryScroll(stage) {
     if (this._storyEl) this._storyEl.remove();
     const sentences = stage.sentences || [];
@@ -2559,6 +2970,7 @@ class SlashGame {
           <button class="story-hear">🔊 Read to me</button>
           <button class="story-done">✅ I read it!</button>
         </div>
+        <button class="story-sprint">⏱️ Grown-ups: time a reading sprint</button>
       </div>`;
     document.getElementById('slashWrapper')?.appendChild(el);
     this._storyEl = el;
@@ -2591,6 +3003,7 @@ class SlashGame {
       idx++;
       if (idx >= sentences.length) {
         this.progress.addRiceGrains(50);
+        XAPI.storyRead(stage.id, sentences.length);
         this._queueAchievementPopup({ emoji: '📖', name: 'Story Read!', desc: '+50 Rice Grains — you read it yourself!' });
         this.audio?.speak?.('Amazing reading! You read the whole scroll!', 0.9, 1.15);
         el.remove();
@@ -2599,6 +3012,11 @@ class SlashGame {
         render();
       }
     });
+    el.querySelector('.story-sprint').addEventListener('click', () => {
+      PARENT_GATE.check('time a reading sprint').then(ok => {
+        if (ok) FLUENCY_SPRINT.start(this.progress, stage.world, 'passage');
+      });
+    });
     el.querySelector('.story-close').addEventListener('click', () => {
       el.remove();
       this._storyEl = null;
@@ -2895,10 +3313,15 @@ class SlashGame {
     ctx.textAlign = 'right'; ctx.font = `bold 16px Arial, sans-serif`;
     ctx.fillStyle = '#FFD700'; ctx.fillText(`🌾 ${this.progress.getRiceGrains()}`, W - 12, 22);
     // Mode buttons
+    const reviewDue = this.progress.getReviewDueCount();
+    // Offered until the child has a placement or has cleared a stage
+    const offerPlacement = !this.progress.getPlacement() && !PHONICS_DATA.stageList.some(st => this.progress.getStage(st.id).completedAt);
     const modes = [
       { label:'🏃 ENDLESS RUN', sub:'How far can you go?', col:'#FF6B35', action:'endless', hot:true },
       { label:'🗺️ CAMPAIGN', sub:`${PHONICS_DATA.worldCount || 6} worlds · ${PHONICS_DATA.stageCount || 30} stages`, col:'#4ECDC4', action:'campaign' },
+      ...(offerPlacement ? [{ label:'🧭 WHERE DO I START?', sub:'A quick check to find your world', col:'#9CCC65', action:'placement' }] : []),
       { label:'📅 DAILY', sub:this.progress.getDailyCompleted() ? '✅ Done today!' : 'Fresh challenge!', col:'#FFD700', action:'daily' },
+      { label:'🥋 REVIEW DOJO', sub:reviewDue ? `${reviewDue} word${reviewDue === 1 ? '' : 's'} ready to review` : 'All caught up — come back tomorrow!', col:'#FF7043', action:'review' },
       { label:'🏪 SHOP', sub:'Spend your rice grains', col:'#FF80FF', action:'shop' },
       { label:'🏆 BEST SCORES', sub:'Your family record book', col:'#FF8C00', action:'leaderboard' },
       { label:'🥇 ACHIEVEMENTS', sub:`${this.progress.data.achievements.length}/${ACHIEVEMENTS.length} unlocked`, col:'#00CCFF', action:'achievements' },
@@ -2961,10 +3384,16 @@ class SlashGame {
         if (r.action === 'endless') { this._startEndlessRunner(); this._stateEntryFade = 1.0; }
         if (r.action === 'campaign') { this._worldSel = this._furthestUnlockedWorldIdx(); this.state = 'world-map'; this._stateEntryFade = 1.0; }
         if (r.action === 'daily') { this._startDaily(); this._stateEntryFade = 1.0; }
+        if (r.action === 'review') { this._startReviewDojo(); }
+        if (r.action === 'placement') { this._startPlacement(); }
         if (r.action === 'shop') { this._startShop(); this._stateEntryFade = 1.0; }
         if (r.action === 'leaderboard') { this.state = 'leaderboard'; this._stateEntryFade = 1.0; }
-        if (r.action === 'achievements') { this.state = 'achievements'; this._stateEntryFade = 1.0; }
-        if (r.action === 'dashboard')    { this.state = 'dashboard'; this._dashScroll = 0; this._stateEntryFade = 1.0; }  // Phase 9
+        if (r.action === 'achievements') { this.state = 'achievements'; this._achScroll = 0; this._stateEntryFade = 1.0; }
+        if (r.action === 'dashboard') {  // Phase 9
+          PARENT_GATE.check('open the progress view').then(ok => {
+            if (ok && this.state === 'mode-select') { this.state = 'dashboard'; this._dashScroll = 0; this._stateEntryFade = 1.0; }
+          });
+        }
         if (r.action === 'tutorial')     { this._startOnboarding(() => { this.state = 'mode-select'; this._stateEntryFade = 1.0; }); }
         if (r.action === 'back') { this.state = 'title'; this._stateEntryFade = 1.0; }
         return;
@@ -3326,18 +3755,11 @@ class SlashGame {
                       SHOP_ITEMS.hats.find(i=>i.id===item.id) ? 'hat' : 'comp';
           this.progress.equip(cat, item.id);
           this._queueAchievementPopup({ emoji:item.emoji, name:'Equipped!', desc:item.name });
+        } else if (this.progress.canAfford(item.price) && PARENT_GATE.guardsPurchase(item.price)) {
+          // A parent asked to okay the bigger purchases
+          PARENT_GATE.check(`buy ${item.name} for ${item.price} rice`).then(ok => { if (ok) this._buyShopItem(item); });
         } else {
-          // Buy
-          if (this.progress.buyItem(item.id)) {
-            this._queueAchievementPopup({ emoji:'🌾', name:'Purchased!', desc:`${item.name} for 🌾${item.price}` });
-            if (!item.consumable) {
-              const cat = SHOP_ITEMS.swords.find(i=>i.id===item.id) ? 'sword' :
-                          SHOP_ITEMS.hats.find(i=>i.id===item.id) ? 'hat' : 'comp';
-              this.progress.equip(cat, item.id);
-            }
-          } else {
-            this._queueAchievementPopup({ emoji:'😅', name:'Not enough!', desc:`Need 🌾${item.price} grains` });
-          }
+          this._buyShopItem(item);
         }
         return;
       }
@@ -3346,18 +3768,33 @@ class SlashGame {
     const prevState = this._preShopState || 'mode-select';
     this.state = prevState;
   }
+  _buyShopItem(item) {
+    if (this.progress.buyItem(item.id)) {
+      this._queueAchievementPopup({ emoji:'🌾', name:'Purchased!', desc:`${item.name} for 🌾${item.price}` });
+      if (!item.consumable) {
+        const cat = SHOP_ITEMS.swords.find(i=>i.id===item.id) ? 'sword' :
+                    SHOP_ITEMS.hats.find(i=>i.id===item.id) ? 'hat' : 'comp';
+        this.progress.equip(cat, item.id);
+      }
+    } else {
+      this._queueAchievementPopup({ emoji:'😅', name:'Not enough!', desc:`Need 🌾${item.price} grains` });
+    }
+  }
   // ── DAILY CHALLENGE ───────────────────────────────────────────
-  _startDaily() {
-    const set = PHONICS_DATA.getDailySet();
+  // With a `theme` this is practice on that day's set instead (from the
+  // parent dashboard's next steps): the words are logged as usual but
+  // today's daily, its streak and its reward are left alone.
+  _startDaily(theme = null) {
+    const set = PHONICS_DATA.getDailySet(theme);
     this._dailySet = set;
-    this._dailyWords = set.wordObjs || [];
+    this._dailyPractice = !!theme;
+    this._dailyWords = [...(set.wordObjs || [])];
     this._dailyIdx = 0;
     this._dailyBlended= 0;
     this._dailyBattle = null;
     // Daily modifier: every other day is a Golden Day with double rice.
     // (Honest label — the doubling really happens on completion.)
-    const dayOfYear = Math.floor((Date.now() - new Date(new Date().getFullYear(), 0, 0)) / 86400000);
-    this._dailyGolden = dayOfYear % 2 === 1;
+    this._dailyGolden = !this._dailyPractice && CALENDAR.dayOfYear() % 2 === 1;
     this.state = 'daily';
   }
   _updateDaily() {
@@ -3395,7 +3832,7 @@ class SlashGame {
     // Theme
     ctx.font = `bold ${Math.min(18,W*0.044)}px Arial, sans-serif`;
     ctx.fillStyle = '#4ECDC4';
-    ctx.fillText(`${set.emoji || '📖'} Today: ${set.theme}`, W/2, 46);
+    ctx.fillText(`${set.emoji || '📖'} ${this._dailyPractice ? 'Practice' : 'Today'}: ${set.theme}`, W/2, 46);
     if (this._dailyGolden) {
       const gp = 0.7 + 0.3 * Math.sin(t * 0.1);
       ctx.font = `bold ${Math.min(14,W*0.034)}px Arial, sans-serif`;
@@ -3403,7 +3840,8 @@ class SlashGame {
       ctx.fillText('✨ GOLDEN DAY — double rice! ✨', W/2, 66);
     }
     // Progress bar
-    const prog = this.progress.getDailyCompleted() ? this._dailyWords.length
+    const dayDone = !this._dailyPractice && this.progress.getDailyCompleted();
+    const prog = dayDone ? this._dailyWords.length
                  : Math.min(this._dailyBlended, this._dailyWords.length);
     const pct = this._dailyWords.length > 0 ? prog / this._dailyWords.length : 0;
     const barW = W * 0.75, barH = 18, barX = (W - barW)/2, barY = this._dailyGolden ? 88 : 75;
@@ -3420,7 +3858,7 @@ class SlashGame {
     const wordH = Math.min(40, (H * 0.48) / this._dailyWords.length);
     this._dailyWords.forEach((w, i) => {
       const wy = listY + i * wordH;
-      const done = i < this._dailyBlended || this.progress.getDailyCompleted();
+      const done = i < this._dailyBlended || dayDone;
       const current = i === this._dailyIdx && !done;
       ctx.fillStyle = done ? 'rgba(0,255,136,0.15)' : current ? 'rgba(255,215,0,0.15)' : 'rgba(255,255,255,0.05)';
       ctx.strokeStyle = done ? '#00FF88' : current ? '#FFD700' : '#333';
@@ -3435,7 +3873,7 @@ class SlashGame {
       ctx.fillText(w.hint || '?', W*0.9, wy + wordH/2);
     });
     // Action button
-    const completed = this.progress.getDailyCompleted() || this._dailyBlended >= this._dailyWords.length;
+    const completed = dayDone || this._dailyBlended >= this._dailyWords.length;
     const btnY = H * 0.79, btnW = Math.min(W*0.6, 240), btnH = 48;
     const btnX = (W - btnW) / 2;
     if (completed) {
@@ -3443,7 +3881,7 @@ class SlashGame {
       ctx.beginPath(); ctx.roundRect(btnX, btnY, btnW, btnH, 12); ctx.fill(); ctx.stroke();
       ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
       ctx.font = `bold ${Math.min(18,W*0.044)}px Arial Black, sans-serif`;
-      ctx.fillStyle = '#000'; ctx.fillText('🏆 COMPLETED! Claim Reward', btnX + btnW/2, btnY + btnH/2);
+      ctx.fillStyle = '#000'; ctx.fillText(this._dailyPractice ? '✅ PRACTICE DONE!' : '🏆 COMPLETED! Claim Reward', btnX + btnW/2, btnY + btnH/2);
     } else {
       ctx.fillStyle = '#FF6B35'; ctx.strokeStyle = '#FF4400'; ctx.lineWidth = 2;
       ctx.beginPath(); ctx.roundRect(btnX, btnY, btnW, btnH, 12); ctx.fill(); ctx.stroke();
@@ -3457,7 +3895,9 @@ class SlashGame {
     ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
     ctx.font = `bold 14px Arial, sans-serif`;
     ctx.fillStyle = '#FF8C00';
-    ctx.fillText(`🔥 ${this.progress.getDailyStreak()} day streak · 🌾 Reward: ${150 + this.progress.getDailyStreak()*25}`, W/2, btnY - 8);
+    ctx.fillText(this._dailyPractice
+      ? 'Practice round · today’s daily is still waiting'
+      : `🔥 ${this.progress.getDailyStreak()} day streak · 🌾 Reward: ${150 + this.progress.getDailyStreak()*25}`, W/2, btnY - 8);
     // Back
     ctx.fillStyle = 'rgba(255,255,255,0.4)';
     this._drawBigBack(ctx, W, H);
@@ -3473,7 +3913,9 @@ class SlashGame {
     if (!this._dailyActionRect) return;
     const r = this._dailyActionRect;
     if (mx < r.x || mx > r.x+r.w || my < r.y || my > r.y+r.h) return;
-    if (r.completed) {
+    if (r.completed && this._dailyPractice) {
+      this.state = 'mode-select';
+    } else if (r.completed) {
       let earned = this.progress.completeDaily();
       if (earned > 0 && this._dailyGolden) { this.progress.addRiceGrains(earned); earned *= 2; }
       if (earned > 0) this._queueAchievementPopup({ emoji: this._dailyGolden ? '✨' : '🏆', name: this._dailyGolden ? 'GOLDEN Daily!' : 'Daily Complete!', desc:`+${earned} Rice Grains!` });
@@ -3484,12 +3926,13 @@ class SlashGame {
       this._dailyBattle = new EndlessBattleEngine(
         this.canvas, document.getElementById('battleOverlay'),
         word, this.sprites, this.audio, this.W, this.H,
-        (result) => {
+        (result, timeUsed) => {
           const success = result === 'perfect' || result === 'good';
+          if (!this._dailyPractice) this.progress.addDailyTime(timeUsed);
           this.progress.recordBlend(null, word.word, success, result === 'perfect');
           if (success) {
             this._dailyBlended++;
-            this.progress.recordDailyWord();
+            if (!this._dailyPractice) this.progress.recordDailyWord();
             this._dailyIdx++;
           } else {
             // Failed word goes to the back of the queue instead of being
@@ -3498,7 +3941,7 @@ class SlashGame {
             if (missed) this._dailyWords.push(missed);
           }
           this._dailyBattle = null;
-          if (this._dailyBlended >= this._dailyWords.length) {
+          if (this._dailyBlended >= this._dailyWords.length && !this._dailyPractice) {
             let earned = this.progress.completeDaily();
             if (earned > 0 && this._dailyGolden) { this.progress.addRiceGrains(earned); earned *= 2; }
             if (earned > 0) this._queueAchievementPopup({ emoji: this._dailyGolden ? '✨' : '🏆', name: this._dailyGolden ? 'GOLDEN Daily!' : 'Daily Complete!', desc:`+${earned} Rice Grains!` });
@@ -3524,12 +3967,18 @@ class SlashGame {
     ctx.fillText(`${unlocked.length} / ${ACHIEVEMENTS.length} unlocked`, W/2, 44);
     const cols = 2, rows = Math.ceil(ACHIEVEMENTS.length / cols);
     const cellW = (W - 24) / cols, cellH = Math.min(64, (H - 90) / 4.5);
-    const startY = 62;
-    const scroll = this._achScroll || 0;
+    const startY = 62, listBottom = H - 60;
+    // The grid scrolls a couple of rows at a time with ▲ / ▼ by BACK
+    const maxScroll = Math.max(0, startY + rows * (cellH + 6) - listBottom);
+    this._achScroll = Math.max(0, Math.min(maxScroll, this._achScroll || 0));
+    this._achScrollStep = (cellH + 6) * 2;
+    const scroll = this._achScroll;
+    ctx.save();
+    ctx.beginPath(); ctx.rect(0, startY - 2, W, listBottom - startY + 2); ctx.clip();
     ACHIEVEMENTS.forEach((ach, i) => {
       const col = i % cols, row = Math.floor(i / cols);
       const ax = 8 + col * (cellW + 8), ay = startY + row * (cellH + 6) - scroll;
-      if (ay + cellH < 60 || ay > H) return;
+      if (ay + cellH < startY || ay > listBottom) return;
       const isUnlocked = unlocked.includes(ach.id);
       const isNew = this.progress.data.newAchievements?.includes(ach.id);
       ctx.fillStyle = isNew ? 'rgba(255,215,0,0.18)' : isUnlocked ? 'rgba(255,255,255,0.1)' : 'rgba(50,50,50,0.5)';
@@ -3560,11 +4009,43 @@ class SlashGame {
       ctx.fillText(ach.name, ax + 52, ay + cellH*0.35);
       ctx.font = `${Math.min(10,W*0.025)}px Arial, sans-serif`;
       ctx.fillStyle = '#aaa';
-      ctx.fillText(ach.desc, ax + 52, ay + cellH*0.65);
+      ctx.fillText(ach.desc, ax + 52, ay + cellH*0.62);
       ctx.globalAlpha = 1;
+      // Progress meter on locked achievements: "37/50", "best 340/500"
+      const prog = !isUnlocked && this.progress.getAchievementProgress(ach.id);
+      if (prog && prog.goal > 1) {
+        const mx0 = ax + 52, mw = cellW - 66, my0 = ay + cellH - 9;
+        ctx.fillStyle = 'rgba(255,255,255,0.12)';
+        ctx.beginPath(); ctx.roundRect(mx0, my0, mw, 4, 2); ctx.fill();
+        if (prog.value > 0) {
+          ctx.fillStyle = '#00CCFF';
+          ctx.beginPath(); ctx.roundRect(mx0, my0, Math.max(4, mw * prog.value / prog.goal), 4, 2); ctx.fill();
+        }
+        ctx.textAlign = 'right';
+        ctx.font = `bold ${Math.min(10,W*0.025)}px Arial, sans-serif`;
+        ctx.fillStyle = '#8fdcff';
+        ctx.fillText(`${ach.scope === 'run' ? 'best ' : ''}${prog.value}/${prog.goal}`, ax + cellW - 12, ay + cellH*0.35);
+        ctx.textAlign = 'left';
+      }
     });
+    ctx.restore();
     this._drawBigBack(ctx, W, H);
     this._achBackRect = { x:W/2-80, y:H-52, w:160, h:46 };
+    this._achScrollRects = [];
+    if (maxScroll > 0) {
+      [{ dir:-1, label:'▲', x:W/2-140 }, { dir:1, label:'▼', x:W/2+90 }].forEach(b => {
+        const r = { x:b.x, y:H-52, w:50, h:46, dir:b.dir };
+        const live = b.dir < 0 ? scroll > 0 : scroll < maxScroll;
+        ctx.fillStyle = live ? 'rgba(255,255,255,0.10)' : 'rgba(255,255,255,0.03)';
+        ctx.strokeStyle = live ? 'rgba(255,255,255,0.35)' : 'rgba(255,255,255,0.1)'; ctx.lineWidth = 2;
+        ctx.beginPath(); ctx.roundRect(r.x, r.y, r.w, r.h, 14); ctx.fill(); ctx.stroke();
+        ctx.font = 'bold 18px Arial, sans-serif';
+        ctx.fillStyle = live ? 'rgba(255,255,255,0.85)' : 'rgba(255,255,255,0.25)';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText(b.label, r.x + r.w/2, r.y + r.h/2);
+        this._achScrollRects.push(r);
+      });
+    }
   }
   // Big, thumb-friendly BACK button used by daily/achievements/scores
   _drawBigBack(ctx, W, H) {
@@ -3581,6 +4062,12 @@ class SlashGame {
   }
 
   _clickAchievements(mx, my) {
+    for (const r of this._achScrollRects || []) {
+      if (mx >= r.x && mx <= r.x+r.w && my >= r.y && my <= r.y+r.h) {
+        this._achScroll = (this._achScroll || 0) + r.dir * (this._achScrollStep || 140);
+        return;
+      }
+    }
     if (this._achBackRect) {
       const r = this._achBackRect;
       if (mx >= r.x && mx <= r.x+r.w && my >= r.y && my <= r.y+r.h) {
@@ -3593,6 +4080,8 @@ class SlashGame {
   _updateLeaderboard() { this._drawLeaderboard(); }
   _drawLeaderboard() {
     const ctx = this.ctx, W = this.W, H = this.H;
+    if (!this._lbBoard) { this._lbBoard = 'endless-score'; this._lbWindow = 'week'; }
+    const board = LEADERBOARDS.find(b => b.id === this._lbBoard);
     ctx.clearRect(0, 0, W, H);
     const bg = ctx.createLinearGradient(0, 0, 0, H);
     bg.addColorStop(0, '#0d0d2e'); bg.addColorStop(1, '#2e0d0d');
@@ -3601,13 +4090,50 @@ class SlashGame {
     ctx.font = `bold ${Math.min(24,W*0.058)}px Arial Black, sans-serif`;
     ctx.fillStyle = '#FFD700'; ctx.strokeStyle = '#000'; ctx.lineWidth = 5;
     ctx.strokeText('🏆 BEST SCORES', W/2, 12); ctx.fillText('🏆 BEST SCORES', W/2, 12);
-    ctx.font = `13px Arial, sans-serif`; ctx.fillStyle = '#888';
-    ctx.fillText('Endless Run · scores on this device', W/2, 44);
-    const leaders = this.progress.getLeaderboard();
-    const rowH = Math.min(40, (H - 110) / 11);
+
+    // Board tabs
+    const tabW = (W - 20) / LEADERBOARDS.length, tabH = 40;
+    this._lbTabRects = LEADERBOARDS.map((b, i) => {
+      const r = { x: 10 + i * tabW, y: 44, w: tabW - 4, h: tabH, id: b.id };
+      const on = b.id === board.id;
+      ctx.fillStyle = on ? 'rgba(255,215,0,0.22)' : 'rgba(255,255,255,0.06)';
+      ctx.strokeStyle = on ? '#FFD700' : '#333'; ctx.lineWidth = 1.5;
+      ctx.beginPath(); ctx.roundRect(r.x, r.y, r.w, r.h, 8); ctx.fill(); ctx.stroke();
+      ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+      ctx.font = `${Math.min(15,W*0.036)}px serif`;
+      ctx.fillText(b.emoji, r.x + r.w/2, r.y + 13);
+      ctx.font = `bold ${Math.min(10,W*0.026)}px Arial, sans-serif`;
+      ctx.fillStyle = on ? '#FFD700' : '#aaa';
+      ctx.fillText(b.short, r.x + r.w/2, r.y + 30);
+      return r;
+    });
+
+    // This week / all time
+    const winY = 92, winW = Math.min(120, W * 0.3), winH = 26;
+    this._lbWindowRects = [['week', 'This week'], ['all', 'All time']].map(([id, label], i) => {
+      const r = { x: W/2 + (i ? 4 : -winW - 4), y: winY, w: winW, h: winH, id };
+      const on = id === this._lbWindow;
+      ctx.fillStyle = on ? '#FF8C00' : 'rgba(255,255,255,0.06)';
+      ctx.beginPath(); ctx.roundRect(r.x, r.y, r.w, r.h, 13); ctx.fill();
+      ctx.font = `bold ${Math.min(12,W*0.03)}px Arial, sans-serif`;
+      ctx.fillStyle = on ? '#000' : '#aaa';
+      ctx.fillText(label, r.x + r.w/2, r.y + r.h/2);
+      return r;
+    });
+    ctx.font = `12px Arial, sans-serif`; ctx.fillStyle = '#888';
+    ctx.fillText(`${board.name} · ${board.low ? 'fastest' : 'best'} on this device${this._lbWindow === 'week' ? ' · resets Monday' : ''}`, W/2, winY + winH + 14);
+
+    const leaders = this.progress.getLeaderboard(board.id, this._lbWindow);
+    const topY = winY + winH + 30;
+    if (!leaders.length) {
+      ctx.font = `${Math.min(14,W*0.034)}px Arial, sans-serif`; ctx.fillStyle = '#aaa';
+      ctx.fillText(this._lbWindow === 'week' ? 'Nobody has played this yet this week — be the first!' : 'No scores yet — go play!', W/2, topY + 40);
+    }
+    const rowH = Math.min(40, (H - topY - 70) / ProfileManager.MAX_PROFILES - 4);
     const medals = ['🥇','🥈','🥉'];
+    const fmt = (v) => board.id === 'daily-time' ? `${Math.floor(v / 60)}:${String(v % 60).padStart(2, '0')}` : `${v.toLocaleString()}${board.unit}`;
     leaders.forEach((l, i) => {
-      const ry = 64 + i * (rowH + 4);
+      const ry = topY + i * (rowH + 4);
       const isMe = l.isMe;
       ctx.fillStyle = isMe ? 'rgba(255,215,0,0.18)' : i < 3 ? 'rgba(255,255,255,0.1)' : 'rgba(255,255,255,0.04)';
       ctx.strokeStyle = isMe ? '#FFD700' : '#333'; ctx.lineWidth = 1.5;
@@ -3615,17 +4141,25 @@ class SlashGame {
       ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
       ctx.font = `${Math.min(16,W*0.038)}px serif`;
       ctx.fillText(i < 3 ? medals[i] : `${i+1}.`, 16, ry + rowH/2);
+      ctx.fillText(l.avatar, 46, ry + rowH/2);
       ctx.font = `bold ${Math.min(14,W*0.034)}px Arial, sans-serif`;
       ctx.fillStyle = isMe ? '#FFD700' : '#fff';
-      ctx.fillText(l.name, 46, ry + rowH/2);
+      // An opted-out player still sees their own row; nobody else does
+      ctx.fillText(l.hidden ? `${l.name} (only you see this)` : l.name, 72, ry + rowH/2);
       ctx.textAlign = 'right';
-      ctx.font = `bold ${Math.min(14,W*0.034)}px Arial, sans-serif`;
       ctx.fillStyle = isMe ? '#FFD700' : '#aaa';
-      ctx.fillText(l.score.toLocaleString(), W - 14, ry + rowH/2 - 8);
-      ctx.font = `11px Arial, sans-serif`; ctx.fillStyle = '#666';
-      ctx.fillText(`${l.dist}m`, W - 14, ry + rowH/2 + 7);
+      ctx.fillText(fmt(l.value), W - 14, ry + rowH/2);
     });
     this._drawBigBack(ctx, W, H);
+    this._lbBackRect = { x:W/2-80, y:H-52, w:160, h:46 };
+  }
+  _clickLeaderboard(mx, my) {
+    const hit = (r) => r && mx >= r.x && mx <= r.x + r.w && my >= r.y && my <= r.y + r.h;
+    const tab = (this._lbTabRects || []).find(hit);
+    if (tab) { this._lbBoard = tab.id; return; }
+    const win = (this._lbWindowRects || []).find(hit);
+    if (win) { this._lbWindow = win.id; return; }
+    if (hit(this._lbBackRect)) this.state = 'mode-select';
   }
   // ── ACHIEVEMENT POPUP SYSTEM ──────────────────────────────────
   _tickAchievementPopup() {
@@ -3641,6 +4175,13 @@ class SlashGame {
         if (ach) this._queueAchievementPopup(ach);
       }
     }
+    const goals = this.progress.getNewGoals();
+    if (goals.length > 0) {
+      this.progress.clearNewGoals();
+      for (const g of goals) {
+        this._queueAchievementPopup({ emoji: g.emoji, name: 'Goal reached!', desc: `${g.label} · +${g.reward} Rice Grains`, badge: '🎯 WEEKLY GOAL' });
+      }
+    }
 
     if (this._achPopup) {
       this._achPopup.life -= 0.018;
@@ -3746,7 +4287,7 @@ class SlashGame {
       const weakKeys = Object.entries(weak)
         .sort((a, b) => b[1] - a[1])
         .slice(0, 4)
-        .map(([ph]) => ph.toUpperCase());
+        .map(([ph]) => PHONICS_DATA.phonemeLabel(ph).toUpperCase());
       if (weakKeys.length) {
         ctx.font = '10px system-ui'; ctx.fillStyle = '#FF8A80'; ctx.textAlign = 'right';
         ctx.fillText(`Needs work: ${weakKeys.join(', ')}`, W - 18, ry + 62);
@@ -3805,10 +4346,10 @@ class SlashGame {
     ctx.font = `${Math.min(11,W*0.027)}px Arial, sans-serif`;
     ctx.fillStyle = '#bbb';
     ctx.fillText(p.desc || '', popX + 46, popY + popH*0.65);
-    // ★ ACHIEVEMENT badge
+    // ★ ACHIEVEMENT badge (or the popup's own, e.g. a weekly goal)
     ctx.textAlign = 'right'; ctx.font = `bold 11px Arial, sans-serif`;
     ctx.fillStyle = '#888';
-    ctx.fillText('★ ACHIEVEMENT', popX + popW - 8, popY + 12);
+    ctx.fillText(p.badge || '★ ACHIEVEMENT', popX + popW - 8, popY + 12);
     ctx.restore();
   }
 }
@@ -3816,8 +4357,9 @@ class SlashGame {
 // GLOBAL INIT & NAVIGATION
 // ─────────────────────────────────────────────────────────────
 let _slashGameInstance = null;
-// Override the function defined in game.js
-function launchSlashGame() {
+// Override the function defined in game.js. `step` optionally starts
+// straight into a recommended step (see SlashGame.launchStep).
+function launchSlashGame(step = null) {
   document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
   document.getElementById('slashScreen').classList.add('active');
   // Request landscape lock (mobile) — ignore if unsupported
@@ -3829,7 +4371,10 @@ function launchSlashGame() {
     _slashGameInstance.state = 'mode-select';
     _slashGameInstance.overlay.classList.add('hidden');
     _slashGameInstance.overlay.innerHTML = '';
+    // A smaller content pack may have been loaded from the dashboard since.
+    if (_slashGameInstance.stageId > PHONICS_DATA.stageCount) _slashGameInstance.stageId = 1;
   }
+  if (step) _slashGameInstance.launchStep(step);
 }
 function exitSlash() {
   if (_slashGameInstance) {
@@ -3869,7 +4414,10 @@ document.addEventListener('keydown', (e) => {
       _slashGameInstance.battle._paused = false;
       _slashGameInstance.audio.stopMusic();
       _slashGameInstance.battle = null;
-      _slashGameInstance.state = 'world-map';
+      _slashGameInstance.state = _slashGameInstance._reviewBattle || _slashGameInstance._placementBattle ? 'mode-select' : 'world-map';
+      _slashGameInstance._reviewBattle = false;
+      _slashGameInstance._placementBattle = false;
+      _slashGameInstance._placement = null;
     }
   }
 });
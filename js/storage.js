@@ -0,0 +1,186 @@
+'use strict';
+// ============================================================
+// SAVE STORE — js/storage.js
+//
+// Where every game save lives. Keys and values are the same strings
+// the game used to keep in localStorage, behind the same calls:
+//
+//   STORE.getItem(key)  STORE.setItem(key, value)  STORE.removeItem(key)
+//
+// At boot STORE.open() loads everything from IndexedDB into memory,
+// so reads stay synchronous. Writes update memory at once and reach
+// IndexedDB in one batched transaction a moment later. IndexedDB
+// holds far more than localStorage's ~5 MB, which the attempt log
+// and xAPI queue would otherwise fill.
+//
+// Without IndexedDB (some private modes, old browsers) the store
+// falls back to localStorage. Either way a write that fails calls
+// every onError() listener, and the home screen shows a warning.
+//
+// On first open, every `samurice_*` key already in localStorage is
+// copied into IndexedDB and then removed from localStorage.
+// ============================================================
+
+const STORE_DB      = 'samurice';
+const STORE_DB_VER  = 1;
+const STORE_TABLE   = 'kv';
+const STORE_PREFIX  = 'samurice_';             // keys that belong to the store
+const STORE_MIGRATED = '__migratedFromLocalStorage';
+
+class SaveStore {
+  constructor() {
+    this._cache    = new Map();
+    this._pending  = new Map();   // key → value, or null to delete
+    this._db       = null;
+    this._flushTimer = null;
+    this._errorFns = [];
+    this._opening  = null;
+    this.backend   = 'none';      // 'indexeddb' | 'localstorage' once open
+  }
+
+  // ── Boot ─────────────────────────────────────────────────
+  // Resolves once every saved key is readable. Safe to call twice.
+  open() {
+    if (!this._opening) {
+      this._opening = this._openIndexedDb().catch(() => this._openLocalStorage());
+    }
+    return this._opening;
+  }
+
+  async _openIndexedDb() {
+    if (typeof indexedDB === 'undefined') throw new Error('IndexedDB unavailable');
+    this._db = await new Promise((resolve, reject) => {
+      const req = indexedDB.open(STORE_DB, STORE_DB_VER);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE_TABLE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB blocked'));
+    });
+    await new Promise((resolve, reject) => {
+      const tx  = this._db.transaction(STORE_TABLE, 'readonly');
+      const req = tx.objectStore(STORE_TABLE).openCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        this._cache.set(cur.key, cur.value);
+        cur.continue();
+      };
+      tx.oncomplete = resolve;
+      tx.onerror    = () => reject(tx.error);
+    });
+    this.backend = 'indexeddb';
+    if (!this._cache.has(STORE_MIGRATED)) await this._migrateLocalStorage();
+    // Ask the browser not to clear the saves under storage pressure.
+    try { navigator.storage?.persist?.(); } catch { /* ignore */ }
+    window.addEventListener?.('pagehide', () => this._flush());
+  }
+
+  _openLocalStorage() {
+    this._db = null;
+    this.backend = 'localstorage';
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(STORE_PREFIX)) this._cache.set(key, localStorage.getItem(key));
+      }
+    } catch { /* storage disabled entirely: play on, nothing persists */ }
+  }
+
+  // One time only: copy the game's localStorage keys across, and clear
+  // them from localStorage once IndexedDB has committed the copy.
+  async _migrateLocalStorage() {
+    const keys = [];
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(STORE_PREFIX)) keys.push(key);
+      }
+    } catch { /* nothing to migrate */ }
+    keys.forEach(key => {
+      if (!this._cache.has(key)) this._cache.set(key, localStorage.getItem(key));
+      this._pending.set(key, this._cache.get(key));
+    });
+    this._cache.set(STORE_MIGRATED, new Date().toISOString());
+    this._pending.set(STORE_MIGRATED, this._cache.get(STORE_MIGRATED));
+    if (await this._flush()) keys.forEach(key => { try { localStorage.removeItem(key); } catch { /* ignore */ } });
+  }
+
+  // ── Reading & writing ────────────────────────────────────
+  getItem(key) {
+    return this._cache.has(key) ? this._cache.get(key) : null;
+  }
+
+  // Returns false when the write failed straight away (localStorage
+  // full). IndexedDB failures arrive later, through onError().
+  setItem(key, value) {
+    value = String(value);
+    this._cache.set(key, value);
+    return this._write(key, value);
+  }
+
+  removeItem(key) {
+    this._cache.delete(key);
+    this._write(key, null);
+  }
+
+  // Called with an Error whenever a save doesn't reach storage.
+  onError(fn) { this._errorFns.push(fn); }
+
+  _write(key, value) {
+    if (this.backend === 'localstorage') {
+      try {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+        return true;
+      } catch (e) {
+        this._fail(e);
+        return false;
+      }
+    }
+    this._pending.set(key, value);
+    if (this._db && !this._flushTimer) this._flushTimer = setTimeout(() => this._flush(), 0);
+    return true;
+  }
+
+  // Writes every pending change in one transaction. Resolves true when
+  // it committed; on failure the changes stay pending for the next try.
+  _flush() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    if (!this._db || !this._pending.size) return Promise.resolve(true);
+    const batch = new Map(this._pending);
+    this._pending.clear();
+    return new Promise((resolve) => {
+      let tx;
+      try {
+        tx = this._db.transaction(STORE_TABLE, 'readwrite');
+        const table = tx.objectStore(STORE_TABLE);
+        batch.forEach((value, key) => { if (value === null) table.delete(key); else table.put(value, key); });
+      } catch (e) {
+        this._requeue(batch);
+        this._fail(e);
+        resolve(false);
+        return;
+      }
+      tx.oncomplete = () => resolve(true);
+      // A failed request fires error and then abort on the transaction,
+      // so only abort is handled: the batch is put back once
+      tx.onabort = () => {
+        this._requeue(batch);
+        this._fail(tx.error || new Error('Save transaction aborted'));
+        resolve(false);
+      };
+    });
+  }
+
+  // Put a failed batch back, unless a newer write for a key came in.
+  _requeue(batch) {
+    batch.forEach((value, key) => { if (!this._pending.has(key)) this._pending.set(key, value); });
+  }
+
+  _fail(err) {
+    this._errorFns.forEach(fn => { try { fn(err); } catch { /* ignore */ } });
+  }
+}
+
+const STORE = new SaveStore();
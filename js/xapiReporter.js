@@ -0,0 +1,257 @@
+'use strict';
+// ============================================================
+// XAPI REPORTER — js/xapiReporter.js
+//
+// Turns play into xAPI 1.0.3 statements for a school's Learning
+// Record Store (LRS):
+//
+//   attempted  a stage            the child starts it
+//   passed     a word / a stage   a round answered right / a stage cleared
+//   failed     a word / a stage   a round missed or timed out / a stage lost
+//   mastered   a word / a stage   2 correct blends / a 3-star clear
+//   completed  a story            a Read-with-Riku scroll read to the end
+//   completed  an assessment      a one-minute nonsense-word check or reading sprint
+//
+// Statements queue per child in the save store until they are sent.
+// The dashboard exports the queue as a JSON array (the body an LRS
+// takes on POST /statements) or posts it to the endpoint set there.
+// `node tools/mock-lrs.js` runs a local LRS to try it against.
+// ============================================================
+
+const XAPI_VERSION   = '1.0.3';
+const XAPI_QUEUE_MAX = 1000;   // oldest statements drop first (each is ~0.7 KB)
+const XAPI_BATCH     = 50;     // statements per POST
+
+const _XAPI_VERBS = {
+  attempted: 'http://adlnet.gov/expapi/verbs/attempted',
+  passed:    'http://adlnet.gov/expapi/verbs/passed',
+  failed:    'http://adlnet.gov/expapi/verbs/failed',
+  mastered:  'http://adlnet.gov/expapi/verbs/mastered',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+};
+
+const _XAPI_TYPES = {
+  stage: 'http://adlnet.gov/expapi/activities/lesson',
+  word:  'http://adlnet.gov/expapi/activities/interaction',
+  story: 'http://adlnet.gov/expapi/activities/media',
+  assessment: 'http://adlnet.gov/expapi/activities/assessment',
+};
+
+class XApiReporter {
+  constructor() {
+    this._cfgKey = 'samurice_xapi_cfg';
+  }
+
+  // ── Settings (device-wide) ───────────────────────────────
+  // { endpoint, auth } — `auth` is the full Authorization header,
+  // e.g. "Basic dXNlcjpwYXNz", as the LRS hands it out.
+  config() {
+    try { return { endpoint: '', auth: '', ...JSON.parse(STORE.getItem(this._cfgKey) || '{}') }; }
+    catch { return { endpoint: '', auth: '' }; }
+  }
+  setConfig({ endpoint = '', auth = '' } = {}) {
+    STORE.setItem(this._cfgKey, JSON.stringify({ endpoint: endpoint.trim(), auth: auth.trim() }));
+  }
+
+  // ── Queue (per child) ────────────────────────────────────
+  _queueKey() { return PROFILES.key('samurice_xapi_v1'); }
+  _load() {
+    try {
+      const list = JSON.parse(STORE.getItem(this._queueKey()) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch { return []; }
+  }
+  _store(list) {
+    STORE.setItem(this._queueKey(), JSON.stringify(list));
+  }
+
+  queued()       { return this._load().length; }
+  statements()   { return this._load(); }
+  clear()        { this._store([]); }
+
+  // ── Events ───────────────────────────────────────────────
+  // One answered round from the attempt log (ProgressTracker.logAttempt).
+  roundAnswered(a) {
+    this._record(a.ok ? 'passed' : 'failed', this._word(a.word), {
+      result: {
+        success: !!a.ok,
+        score: { scaled: a.ok ? 1 : 0, raw: a.ok ? 1 : 0, min: 0, max: 1 },
+        ...(a.tiles.length && { response: a.tiles.join('|') }),
+        ...(a.ms != null && { duration: this._duration(a.ms) }),
+      },
+      parent: a.stage,
+      extensions: { round: a.round, outcome: a.outcome, hints: a.hints, undos: a.undos, sounds: a.sounds },
+    });
+  }
+
+  wordMastered(stageId, word) {
+    this._record('mastered', this._word(word), { result: { success: true }, parent: stageId });
+  }
+
+  stageAttempted(stageId) {
+    this._record('attempted', this._stage(stageId));
+  }
+
+  // `accuracy` is 0–1; `sec` the time from starting the stage.
+  stageEnded(stageId, { passed, accuracy = null, score = null, stars = null, sec = null }) {
+    const result = { success: !!passed, completion: !!passed };
+    if (accuracy != null) result.score = { scaled: Math.round(accuracy * 100) / 100, ...(score != null && { raw: score, min: 0 }) };
+    if (sec != null) result.duration = this._duration(sec * 1000);
+    if (stars != null) result.extensions = { [this._ext('stars')]: stars };
+    this._record(passed ? 'passed' : 'failed', this._stage(stageId), { result });
+  }
+
+  stageMastered(stageId) {
+    this._record('mastered', this._stage(stageId), { result: { success: true } });
+  }
+
+  storyRead(stageId, sentences) {
+    const stage = PHONICS_DATA.getStage(stageId);
+    this._record('completed', {
+      id: `${this._base()}story/${stage?.world ?? stageId}`,
+      name: `Read with Riku — ${stage?.name || `Stage ${stageId}`}`,
+      type: _XAPI_TYPES.story,
+    }, { result: { completion: true, extensions: { [this._ext('sentences')]: sentences } }, parent: stageId });
+  }
+
+  // A nonsense-word check (ProgressTracker.recordNwf): the raw score
+  // is correct letter sounds, as NWF scoring sheets report it
+  nwfChecked(c) {
+    this._record('completed', {
+      id: `${this._base()}assessment/nwf`,
+      name: 'Nonsense-word fluency check',
+      type: _XAPI_TYPES.assessment,
+    }, {
+      result: {
+        completion: true,
+        score: { raw: c.cls, min: 0 },
+        duration: this._duration(c.sec * 1000),
+        extensions: { [this._ext('whole-words')]: c.wwr, [this._ext('words')]: c.words, [this._ext('sounds')]: c.sounds },
+      },
+      parent: c.stage,
+    });
+  }
+
+  // A reading sprint (ProgressTracker.recordOrf): the raw score is
+  // words correct per minute, one activity per world
+  orfRead(s) {
+    const world = PHONICS_DATA.getWorld(s.world);
+    this._record('completed', {
+      id: `${this._base()}assessment/orf/${s.world}`,
+      name: `Oral reading fluency — ${world?.name || `World ${s.world}`}`,
+      type: _XAPI_TYPES.assessment,
+    }, {
+      result: {
+        completion: true,
+        score: { raw: s.wcpm, min: 0 },
+        duration: this._duration(s.sec * 1000),
+        extensions: {
+          [this._ext('accuracy')]: s.accuracy, [this._ext('words-read')]: s.read,
+          [this._ext('errors')]: s.errors, [this._ext('text')]: s.kind,
+        },
+      },
+    });
+  }
+
+  // ── Sending ──────────────────────────────────────────────
+  // Posts the queue in batches. Each accepted batch leaves the queue
+  // straight away, so a failure part-way only resends what's left.
+  async send() {
+    const { endpoint, auth } = this.config();
+    if (!endpoint) return { ok: false, sent: 0, error: 'No LRS endpoint set' };
+    const url = endpoint.replace(/\/+$/, '') + '/statements';
+    let sent = 0;
+    for (let batch = this._load().slice(0, XAPI_BATCH); batch.length; batch = this._load().slice(0, XAPI_BATCH)) {
+      try {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': XAPI_VERSION,
+            ...(auth && { Authorization: auth }),
+          },
+          body: JSON.stringify(batch),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      } catch (e) {
+        return { ok: false, sent, error: e.message };
+      }
+      const ids = new Set(batch.map(s => s.id));
+      this._store(this._load().filter(s => !ids.has(s.id)));
+      sent += batch.length;
+    }
+    return { ok: true, sent };
+  }
+
+  // ── Statement building ───────────────────────────────────
+  _record(verb, activity, { result, parent, extensions } = {}) {
+    const statement = {
+      id: this._uuid(),
+      actor: this._actor(),
+      verb: { id: _XAPI_VERBS[verb], display: { 'en-US': verb } },
+      object: {
+        objectType: 'Activity',
+        id: activity.id,
+        definition: { type: activity.type, name: { 'en-US': activity.name } },
+      },
+      context: { platform: 'SamuRice Dino Slash', language: 'en' },
+      timestamp: new Date().toISOString(),
+    };
+    if (result) statement.result = result;
+    if (parent != null) statement.context.contextActivities = { parent: [{ objectType: 'Activity', id: this._stage(parent).id }] };
+    if (extensions) {
+      statement.context.extensions = {};
+      Object.entries(extensions).forEach(([k, v]) => { statement.context.extensions[this._ext(k)] = v; });
+    }
+    const list = this._load();
+    list.push(statement);
+    if (list.length > XAPI_QUEUE_MAX) list.splice(0, list.length - XAPI_QUEUE_MAX);
+    this._store(list);
+  }
+
+  _stage(stageId) {
+    const stage = PHONICS_DATA.getStage(stageId);
+    return { id: `${this._base()}stage/${stageId}`, name: stage ? `Stage ${stageId}: ${stage.name}` : `Stage ${stageId}`, type: _XAPI_TYPES.stage };
+  }
+  _word(word) {
+    return { id: `${this._base()}word/${encodeURIComponent(word)}`, name: word, type: _XAPI_TYPES.word };
+  }
+  _ext(name) { return `${this._base()}ext/${name}`; }
+
+  // Activity ids hang off the page's own address; opened from disk
+  // there is none, so fall back to a URN.
+  _base() {
+    try {
+      if (/^https?:$/.test(location.protocol)) return location.origin + location.pathname.replace(/[^/]*$/, '');
+    } catch { /* ignore */ }
+    return 'urn:samurice:';
+  }
+
+  // The child is identified by this device plus their profile, never by
+  // name alone, so two "Sam"s in one class stay two learners.
+  _actor() {
+    const p = PROFILES.active();
+    return {
+      objectType: 'Agent',
+      name: p.name,
+      account: { homePage: this._base(), name: `${this._deviceId()}-p${p.id}` },
+    };
+  }
+  _deviceId() {
+    let id = STORE.getItem('samurice_device_id');
+    if (!id) { id = this._uuid().slice(0, 8); STORE.setItem('samurice_device_id', id); }
+    return id;
+  }
+
+  _duration(ms) { return `PT${(Math.max(0, ms) / 1000).toFixed(1)}S`; }
+
+  _uuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, ch => {
+      const r = Math.random() * 16 | 0;
+      return (ch === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+}
+
+const XAPI = new XApiReporter();
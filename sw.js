@@ -8,7 +8,7 @@
 // ─────────────────────────────────────────────────────────────
 'use strict';
 
-const CACHE_VERSION = 'samurice-v12';
+const CACHE_VERSION = 'samurice-v29';
 const CACHE_NAME    = `${CACHE_VERSION}-static`;
 
 // Assets that should be pre-cached at install time (critical path).
@@ -16,15 +16,26 @@ const PRECACHE_URLS = [
   './',
   './index.html',
   './css/style.css',
+  './js/storage.js',
+  './js/calendar.js',
+  './js/parentGate.js',
   './js/phonicsData.js',
+  './js/profileManager.js',
+  './js/screenTime.js',
+  './js/xapiReporter.js',
+  './js/progressSync.js',
   './js/progressTracker.js',
   './js/audioManager.js',
   './js/runnerEngine.js',
   './js/battleEngine.js',
+  './js/placement.js',
   './js/tutorial.js',
   './js/slashGame.js',
+  './js/nwfCheck.js',
+  './js/fluencySprint.js',
   './js/parentDashboard.js',
   './js/engagementEngine.js',
+  './packs/short-vowel-review.json',
   './manifest.json',
   './assets/icons/icon-192.png',
   './assets/icons/icon-512.png',
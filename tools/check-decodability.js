@@ -0,0 +1,85 @@
+'use strict';
+// ─────────────────────────────────────────────────────────────
+// check-decodability.js — scope-and-sequence checker
+//
+// Loads js/phonicsData.js the way the browser does and runs
+// PHONICS_DATA.checkDecodability(): every non-sight stage word and
+// Read-with-Riku sentence word must only use grapheme–phoneme
+// correspondences taught (`teaches`) by that point in the campaign.
+//
+//   node tools/check-decodability.js              built-in campaign
+//   node tools/check-decodability.js my-pack.json a content pack
+//
+// Exits 1 when anything is flagged (or the pack doesn't validate),
+// so it can gate a content change.
+// ─────────────────────────────────────────────────────────────
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SRC  = path.join(ROOT, 'js/phonicsData.js');
+
+// phonicsData.js is a plain browser script: run it in a sandbox and
+// pull out the global. It only touches the save store when asked to
+// remember or restore a pack, which this tool never does.
+function loadPhonicsData() {
+  const sandbox = {};
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(`${fs.readFileSync(SRC, 'utf8')}\nthis.PHONICS_DATA = PHONICS_DATA;`, sandbox, { filename: SRC });
+  return sandbox.PHONICS_DATA;
+}
+
+function main() {
+  const P = loadPhonicsData();
+  const packFile = process.argv[2];
+  let title = 'built-in campaign';
+
+  if (packFile) {
+    let pack;
+    try {
+      pack = JSON.parse(fs.readFileSync(packFile, 'utf8'));
+    } catch (e) {
+      console.error(`✖ ${packFile}: ${e.message}`);
+      process.exit(1);
+    }
+    const result = P.loadContentPack(pack);
+    if (!result.ok) {
+      console.error(`✖ ${packFile} is not a valid content pack:`);
+      result.errors.forEach((msg) => console.error(`  - ${msg}`));
+      process.exit(1);
+    }
+    title = `"${pack.name}" (${path.basename(packFile)})`;
+  }
+
+  const { issues, taught } = P.checkDecodability();
+  console.log(`Decodability — ${title}: ${P.stageCount} stages, ${taught.length} correspondences taught`);
+  if (!issues.length) {
+    console.log('✔ every word is decodable or a sight word');
+    return;
+  }
+
+  let lastStage = null;
+  let lastSentence = null;
+  issues.forEach((it) => {
+    if (it.stageId !== lastStage) {
+      const stage = P.getStage(it.stageId);
+      console.log(`\nStage ${it.label} · ${stage.name}`);
+      lastStage = it.stageId;
+      lastSentence = null;
+    }
+    if (it.kind === 'sentence') {
+      if (it.text !== lastSentence) console.log(`  “${it.text}”`);
+      lastSentence = it.text;
+      console.log(`      ${it.word.padEnd(12)} needs ${it.missing.join(', ')}`);
+    } else {
+      console.log(`  ${it.word.padEnd(16)} needs ${it.missing.join(', ')}`);
+    }
+  });
+  console.log(`\n✖ ${issues.length} undecodable word${issues.length === 1 ? '' : 's'}. ` +
+              'Teach the correspondence earlier, mark the word `sight`, or reword.');
+  process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,104 @@
+'use strict';
+// ─────────────────────────────────────────────────────────────
+// check-save-import.js — save-file import check
+//
+// Loads the save store and ProgressTracker the way the browser does,
+// with an in-memory localStorage, then imports a save file whose
+// practice log holds malformed entries (no time, the wrong types,
+// not objects at all). The import has to keep the good entries, drop
+// the rest, and leave the log readable by everything the dashboard
+// asks of it.
+//
+//   node tools/check-save-import.js
+//
+// Exits 1 when a check fails.
+// ─────────────────────────────────────────────────────────────
+const assert = require('assert');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['storage', 'calendar', 'phonicsData', 'profileManager', 'screenTime',
+  'xapiReporter', 'progressSync', 'progressTracker'];
+
+// The scripts are plain browser globals: run them in one sandbox with
+// just enough of `window` for a tracker that never draws or syncs.
+function loadTracker() {
+  const items = new Map();
+  const sandbox = {
+    console,
+    crypto: globalThis.crypto,
+    location: { protocol: 'file:' },
+    navigator: { onLine: true },
+    document: { getElementById: () => null },
+    setTimeout: () => 0, clearTimeout() {}, setInterval: () => 0, clearInterval() {},
+    localStorage: {
+      get length() { return items.size; },
+      key: (i) => [...items.keys()][i] ?? null,
+      getItem: (k) => (items.has(k) ? items.get(k) : null),
+      setItem: (k, v) => { items.set(k, String(v)); },
+      removeItem: (k) => { items.delete(k); },
+    },
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  SCRIPTS.forEach((name) => {
+    const file = path.join(ROOT, `js/${name}.js`);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+  });
+  vm.runInContext(`STORE._openLocalStorage(); PROFILES.load();
+    this.tracker = new ProgressTracker(); this.checksum = _saveChecksum; this.today = CALENDAR.today();`, sandbox);
+  return sandbox;
+}
+
+function main() {
+  const { tracker, checksum, today } = loadTracker();
+  tracker.logAttempt({ stage: 1, word: 'cat', ok: true, sounds: ['k', 'a', 't'] });
+
+  const now = Date.now();
+  const save = tracker.exportSave();
+  save.data.attempts = [
+    ...save.data.attempts,
+    null,
+    'cat',
+    { word: 'mat' },                                       // no time
+    { at: 'yesterday', word: 'sat' },                      // time isn't a number
+    { at: now, ok: true },                                 // no word
+    { at: now, word: 'ship', ok: true, sounds: 'sh' },     // sounds not a list
+    { at: now, word: 'fish', stage: '<b>1</b>', tiles: null, hints: 'lots', ms: 'slow' },
+  ];
+  save.checksum = checksum(JSON.stringify(save.data));
+
+  const preview = tracker.importSave(save, { dryRun: true });
+  assert.ok(preview.ok, `the preview fails: ${preview.errors.join('; ')}`);
+  const result = tracker.importSave(save);
+  assert.ok(result.ok, `the import fails: ${result.errors.join('; ')}`);
+
+  // Arrays from the sandbox have its own Array prototype, so they are
+  // copied out before a deep comparison
+  const log = tracker.getAttempts();
+  assert.deepStrictEqual(Array.from(log, a => a.word), ['cat', 'ship', 'fish'], 'entries without a word or time are dropped');
+  const ship = log.find(a => a.word === 'ship');
+  assert.deepStrictEqual(Array.from(ship.sounds), [], 'sounds that are not a list become empty');
+  const fish = log.find(a => a.word === 'fish');
+  assert.strictEqual(fish.stage, null, 'a stage that is not an id is dropped');
+  assert.deepStrictEqual(Array.from(fish.tiles), []);
+  assert.strictEqual(fish.hints, 0);
+  assert.strictEqual(fish.ms, null);
+
+  // What the dashboard reads from the log
+  assert.strictEqual(tracker.getAttempts({ phoneme: 'k' }).length, 1);
+  assert.strictEqual(tracker.getAttempts({ from: today }).length, 3);
+  assert.strictEqual(tracker.summarizeAttempts(log).attempts, 3);
+  tracker.getRecommendations();
+  tracker.getSoundMastery();
+  console.log('✔ a save with malformed practice-log entries imports and the log stays readable');
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`✖ ${e.message}`);
+  process.exit(1);
+}
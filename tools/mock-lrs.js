@@ -0,0 +1,82 @@
+'use strict';
+// ─────────────────────────────────────────────────────────────
+// mock-lrs.js — a throwaway Learning Record Store for testing
+//
+// Accepts the xAPI statements the game sends from
+// 📊 Progress → 📡 School LRS, checks their shape, and keeps them
+// in memory (and optionally appends them to a file, one per line).
+//
+//   node tools/mock-lrs.js                 listen on :8089
+//   node tools/mock-lrs.js 9000 out.jsonl  another port, keep a copy
+//
+// In the dashboard set the endpoint to http://localhost:8089/xapi.
+//   POST /xapi/statements   store a statement or an array of them
+//   GET  /xapi/statements   everything stored so far
+// Only the basics are checked: the version header and each
+// statement's actor, verb and object. Stop it with Ctrl-C.
+// ─────────────────────────────────────────────────────────────
+const fs     = require('fs');
+const http   = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8089;
+const OUT  = process.argv[3] || null;
+
+const stored = [];
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Experience-API-Version',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
+
+function reply(res, status, body) {
+  res.writeHead(status, { ...CORS, 'Content-Type': 'application/json', 'X-Experience-API-Version': '1.0.3' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// The problems with one statement, as short strings.
+function checkStatement(s, i) {
+  const at = `statement ${i}`;
+  if (!s || typeof s !== 'object') return [`${at}: not an object`];
+  const errors = [];
+  if (!s.actor || !(s.actor.mbox || s.actor.account || s.actor.openid || s.actor.mbox_sha1sum)) errors.push(`${at}: actor needs an identifier`);
+  if (!s.verb || typeof s.verb.id !== 'string') errors.push(`${at}: verb.id missing`);
+  if (!s.object || typeof s.object.id !== 'string') errors.push(`${at}: object.id missing`);
+  if (s.id !== undefined && !/^[0-9a-f-]{36}$/i.test(s.id)) errors.push(`${at}: id is not a UUID`);
+  return errors;
+}
+
+function onStatements(req, res, body) {
+  if (!req.headers['x-experience-api-version']) return reply(res, 400, { error: 'X-Experience-API-Version header missing' });
+  let list;
+  try { list = JSON.parse(body); } catch (e) { return reply(res, 400, { error: `Not valid JSON: ${e.message}` }); }
+  if (!Array.isArray(list)) list = [list];
+  const errors = list.flatMap(checkStatement);
+  if (errors.length) {
+    console.log(`✖ rejected ${list.length} statement(s):\n  ${errors.join('\n  ')}`);
+    return reply(res, 400, { errors });
+  }
+  const ids = list.map(s => {
+    const statement = { ...s, id: s.id || crypto.randomUUID(), stored: new Date().toISOString() };
+    stored.push(statement);
+    if (OUT) fs.appendFileSync(OUT, JSON.stringify(statement) + '\n');
+    const name = s.object.definition?.name?.['en-US'] || s.object.id;
+    console.log(`✔ ${s.actor.name || s.actor.account?.name} ${s.verb.display?.['en-US'] || s.verb.id} ${name}`);
+    return statement.id;
+  });
+  reply(res, 200, ids);
+}
+
+const server = http.createServer((req, res) => {
+  const path = req.url.split('?')[0];
+  if (req.method === 'OPTIONS') return reply(res, 204);
+  if (!/\/statements\/?$/.test(path)) return reply(res, 404, { error: `No route for ${path}` });
+  if (req.method === 'GET') return reply(res, 200, { statements: stored, more: '' });
+  if (req.method !== 'POST') return reply(res, 405, { error: `${req.method} not supported` });
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => onStatements(req, res, body));
+});
+
+server.listen(PORT, () => console.log(`Mock LRS listening on http://localhost:${PORT}/xapi/statements`));
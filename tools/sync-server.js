@@ -0,0 +1,125 @@
+'use strict';
+// ─────────────────────────────────────────────────────────────
+// sync-server.js — a small reference server for progress sync
+//
+// Stores one snapshot per sync code as a JSON file on disk, so a
+// family can keep a child's progress in step between a tablet and
+// a laptop (📊 Progress → 🔄 Sync Between Devices).
+//
+//   node tools/sync-server.js                      listen on :8090, store in ./sync-data
+//   node tools/sync-server.js 9000 /srv/samurice   another port and folder
+//   node tools/sync-server.js --token s3cret       require "Authorization: Bearer s3cret"
+//
+//   GET /sync/<code>   200 { rev, snapshot } · 404 when nothing is stored
+//   PUT /sync/<code>   { rev, snapshot } → 200 { rev }
+//                      409 { rev, snapshot } when `rev` is not the latest;
+//                      the game merges with what it gets back and retries
+//
+// Every accepted PUT bumps `rev`. The file is written to a temp file
+// and renamed over the old one, so a crash never leaves half a save.
+// Merging happens in the game, not here. Stop it with Ctrl-C.
+// ─────────────────────────────────────────────────────────────
+const fs   = require('fs');
+const http = require('http');
+const path = require('path');
+
+const args  = process.argv.slice(2);
+const tokenAt = args.indexOf('--token');
+const TOKEN = tokenAt >= 0 ? args.splice(tokenAt, 2)[1] || '' : '';
+const PORT  = Number(args[0]) || 8090;
+const DIR   = path.resolve(args[1] || 'sync-data');
+const MAX_BODY = 5 * 1024 * 1024;
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+};
+
+function reply(res, status, body) {
+  res.writeHead(status, { ...CORS, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Same rule the game uses for sync codes; it also keeps paths inside DIR.
+const validId = (id) => /^[a-z0-9][a-z0-9_-]{0,63}$/.test(id);
+const fileFor = (id) => path.join(DIR, `${id}.json`);
+
+function read(id) {
+  try { return JSON.parse(fs.readFileSync(fileFor(id), 'utf8')); }
+  catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function write(id, record) {
+  const tmp = `${fileFor(id)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(record));
+  fs.renameSync(tmp, fileFor(id));
+}
+
+function onPut(res, id, body) {
+  let msg;
+  try { msg = JSON.parse(body); } catch (e) { return reply(res, 400, { error: `Not valid JSON: ${e.message}` }); }
+  if (!msg || !Number.isInteger(msg.rev) || !msg.snapshot || typeof msg.snapshot !== 'object') {
+    return reply(res, 400, { error: 'Expected { rev, snapshot }' });
+  }
+  // Requests are handled one at a time, so this read-then-write can't interleave.
+  const current = read(id);
+  const rev = current ? current.rev : 0;
+  if (msg.rev !== rev) {
+    console.log(`✖ ${id}: stale push (rev ${msg.rev}, server has ${rev})`);
+    return reply(res, 409, current || { rev: 0, snapshot: null });
+  }
+  write(id, { rev: rev + 1, savedAt: new Date().toISOString(), snapshot: msg.snapshot });
+  console.log(`✔ ${id}: rev ${rev + 1}`);
+  reply(res, 200, { rev: rev + 1 });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return reply(res, 204);
+  const m = /^\/sync\/([^/?]+)\/?(?:\?.*)?$/.exec(req.url);
+  if (!m) return reply(res, 404, { error: `No route for ${req.url}` });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return reply(res, 401, { error: 'Wrong or missing token' });
+  let id;
+  try {
+    id = decodeURIComponent(m[1]).toLowerCase();
+  } catch (e) {
+    if (e instanceof URIError) return reply(res, 400, { error: 'Sync code is not valid URL encoding' });
+    throw e;
+  }
+  if (!validId(id)) return reply(res, 400, { error: 'Sync codes are letters, numbers, - and _' });
+
+  try {
+    if (req.method === 'GET') {
+      const record = read(id);
+      return record ? reply(res, 200, { rev: record.rev, snapshot: record.snapshot }) : reply(res, 404, { error: 'Nothing stored yet' });
+    }
+    if (req.method !== 'PUT') return reply(res, 405, { error: `${req.method} not supported` });
+  } catch (e) {
+    return reply(res, 500, { error: e.message });
+  }
+
+  let body = '';
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      // Answer now and let the rest of the body drain unread; closing
+      // the socket here can cut the 413 off before the client reads it
+      reply(res, 413, { error: 'Snapshot too large' });
+      req.removeAllListeners('data');
+      req.resume();
+      return;
+    }
+    body += chunk;
+  });
+  req.on('end', () => {
+    if (size > MAX_BODY) return;
+    try { onPut(res, id, body); } catch (e) { reply(res, 500, { error: e.message }); }
+  });
+});
+
+fs.mkdirSync(DIR, { recursive: true });
+server.listen(PORT, () => console.log(`Sync server on http://localhost:${PORT} — snapshots in ${DIR}${TOKEN ? ' (token required)' : ''}`));